@@ -4,6 +4,9 @@ import { ProtectedRoute, AdminRoute } from './auth/ProtectedRoute';
 import HomePage from './pages/HomePage';
 import HeliPage from './pages/HeliPage';
 import AdminPage from './pages/AdminPage';
+import ReportsPage from './pages/ReportsPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
 
 function App() {
   return (
@@ -11,6 +14,8 @@ function App() {
       <AuthProvider>
         <Routes>
           <Route path="/" element={<HomePage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
           
           <Route path="/heli" element={
             <ProtectedRoute>
@@ -24,6 +29,12 @@ function App() {
             </AdminRoute>
           } />
           
+          <Route path="/reports" element={
+            <AdminRoute>
+              <ReportsPage />
+            </AdminRoute>
+          } />
+          
           {/* Add other routes as needed */}
         </Routes>
       </AuthProvider>
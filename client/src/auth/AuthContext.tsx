@@ -8,6 +8,7 @@ type User = {
   firstName?: string;
   lastName?: string;
   homeLocation?: string;
+  coordinatorSites?: string[];
   token?: string;
 } | null;
 
@@ -16,11 +17,15 @@ type AuthContextType = {
   isLoading: boolean;
   error: string | null;
   login: (username: string, password: string) => Promise<void>;
-  logout: () => void;
+  logout: () => Promise<void>;
 };
 
 const AuthContext = createContext<AuthContextType | null>(null);
 
+// Pages that can be used without logging in
+const isPublicPath = (pathname: string) =>
+  pathname === '/' || pathname === '/forgot-password' || pathname.startsWith('/reset-password/');
+
 export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
   const [user, setUser] = useState<User>(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -67,6 +72,7 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
           firstName: userData.firstName,
           lastName: userData.lastName,
           homeLocation: userData.homeLocation,
+          coordinatorSites: userData.coordinatorSites || [],
           token
         });
 
@@ -87,7 +93,7 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
   const handleLogout = () => {
     localStorage.removeItem('token');
     setUser(null);
-    if (location.pathname !== '/') {
+    if (!isPublicPath(location.pathname)) {
       navigate('/');
     }
   };
@@ -125,6 +131,7 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
         firstName: data.user.firstName,
         lastName: data.user.lastName,
         homeLocation: data.user.homeLocation,
+        coordinatorSites: data.user.coordinatorSites || [],
         token: authToken
       });
       
@@ -138,7 +145,24 @@ export const AuthProvider = ({ children }: { children: React.ReactNode }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    const token = localStorage.getItem('token');
+    
+    // Revoke the session on the server; sign out locally even if that fails
+    if (token) {
+      try {
+        await fetch(API_ENDPOINTS.LOGOUT, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+      } catch (err) {
+        console.error('Logout request failed:', err);
+      }
+    }
+    
     localStorage.removeItem('token');
     setUser(null);
     navigate('/');
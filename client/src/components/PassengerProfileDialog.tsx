@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react';
+import { format, subDays, parseISO } from 'date-fns';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TableContainer,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert,
+  Box,
+  TextField,
+  LinearProgress
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { API_ENDPOINTS } from '../config/api';
+import { TRIP_STATUS_LABELS, getTripStatus } from '../config/tripStatus';
+import { describePassengerDetails, getCertificationState, CERTIFICATION_STATE_COLORS } from '../config/passengers';
+import type { TripStatus } from '../config/tripStatus';
+import type { PassengerProfile } from '../config/passengers';
+
+interface ProfilePassenger extends PassengerProfile {
+  _id: string;
+  firstName: string;
+  lastName: string;
+  jobRole: string;
+}
+
+interface ProfileTrip {
+  _id: string;
+  fromOrigin: string;
+  toDestination: string;
+  tripDate: string;
+  status?: TripStatus;
+  confirmed: boolean;
+  numberOfPassengers?: number;
+}
+
+interface SiteDays {
+  site: string;
+  days: number;
+  visits: number;
+  firstDay: string;
+  lastDay: string;
+}
+
+interface RotationStatus {
+  rotation: { _id: string; site: string; homeBase: string; daysOn: number; daysOff: number; startDate: string; endDate: string };
+  phase: 'on' | 'off' | 'upcoming';
+  hitchStart: string | null;
+  nextChange: string | null;
+}
+
+interface PassengerSummary {
+  from: string;
+  to: string;
+  daysBySite: SiteDays[];
+  unknownDays: number;
+  trips: { total: number; byStatus: Partial<Record<TripStatus, number>> };
+  location: { site: string; since: string } | null;
+  rotation: RotationStatus | null;
+  upcomingTrips: ProfileTrip[];
+}
+
+interface PassengerProfileDialogProps {
+  open: boolean;
+  onClose: () => void;
+  token?: string;
+  passenger: ProfilePassenger | null;
+}
+
+// Range shown when the dialog opens, matching the server's default
+const DEFAULT_RANGE_DAYS = 90;
+
+const formatDay = (date: string) => format(parseISO(date), 'd MMM yyyy');
+
+const describeRotation = ({ rotation, phase, nextChange }: RotationStatus) => {
+  const schedule = `${rotation.daysOn}/${rotation.daysOff} at ${rotation.site}`;
+  if (phase === 'upcoming') return `${schedule}, starts ${formatDay(rotation.startDate)}`;
+  if (phase === 'on') return `On hitch (${schedule}), flies out ${nextChange ? formatDay(nextChange) : '—'}`;
+  return `Off hitch (${schedule}), ${nextChange ? `next hitch ${formatDay(nextChange)}` : 'no further hitches'}`;
+};
+
+const TripTable = ({ trips }: { trips: ProfileTrip[] }) => (
+  <Table size="small" stickyHeader>
+    <TableHead>
+      <TableRow>
+        <TableCell>Date</TableCell>
+        <TableCell>Route</TableCell>
+        <TableCell>Status</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {trips.map(trip => (
+        <TableRow key={trip._id}>
+          <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDay(trip.tripDate)}</TableCell>
+          <TableCell>
+            {trip.fromOrigin} → {trip.toDestination}
+            {trip.numberOfPassengers && trip.numberOfPassengers > 1 ? ` [${trip.numberOfPassengers}]` : ''}
+          </TableCell>
+          <TableCell>{TRIP_STATUS_LABELS[getTripStatus(trip)]}</TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+// A passenger's profile: where they are, their rotation, days at each site
+// over a range, upcoming trips and full trip history
+const PassengerProfileDialog = ({ open, onClose, token, passenger }: PassengerProfileDialogProps) => {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [summary, setSummary] = useState<PassengerSummary | null>(null);
+  const [trips, setTrips] = useState<ProfileTrip[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const passengerId = passenger?._id;
+
+  useEffect(() => {
+    if (!open) return;
+
+    const today = new Date();
+    setFrom(format(subDays(today, DEFAULT_RANGE_DAYS - 1), 'yyyy-MM-dd'));
+    setTo(format(today, 'yyyy-MM-dd'));
+    setSummary(null);
+    setTrips([]);
+    setError(null);
+  }, [open, passengerId]);
+
+  useEffect(() => {
+    if (!open || !passengerId) return;
+
+    let cancelled = false;
+    const fetchTrips = async () => {
+      try {
+        const response = await fetch(API_ENDPOINTS.PASSENGER_TRIPS(passengerId), {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        if (!response.ok) throw new Error('Failed to fetch trip history');
+        const data = await response.json();
+        if (!cancelled) setTrips(data);
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to fetch trip history');
+      }
+    };
+
+    fetchTrips();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, passengerId, token]);
+
+  useEffect(() => {
+    if (!open || !passengerId || !from || !to) return;
+
+    let cancelled = false;
+    const fetchSummary = async () => {
+      setLoading(true);
+      try {
+        const response = await fetch(API_ENDPOINTS.PASSENGER_SUMMARY(passengerId, new URLSearchParams({ from, to })), {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to fetch travel summary');
+        if (!cancelled) {
+          setSummary(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to fetch travel summary');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchSummary();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, passengerId, from, to, token]);
+
+  const rangeDays = summary
+    ? summary.daysBySite.reduce((sum, entry) => sum + entry.days, 0) + summary.unknownDays
+    : 0;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Box>
+          {passenger ? `${passenger.firstName} ${passenger.lastName}` : 'Passenger'}
+          {passenger && (
+            <Typography variant="body2" color="textSecondary">
+              {describePassengerDetails(passenger)}
+            </Typography>
+          )}
+        </Box>
+        <IconButton onClick={onClose} size="small">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {passenger && (passenger.certifications || []).length > 0 && (
+          <Box display="flex" gap={0.5} flexWrap="wrap" mb={2}>
+            {(passenger.certifications || []).map(certification => (
+              <Chip
+                key={certification.name}
+                label={certification.expiresOn ? `${certification.name} · ${certification.expiresOn}` : certification.name}
+                size="small"
+                color={CERTIFICATION_STATE_COLORS[getCertificationState(certification)]}
+                variant="outlined"
+              />
+            ))}
+          </Box>
+        )}
+
+        {summary && (
+          <Box mb={2}>
+            <Typography variant="body2">
+              <strong>Now:</strong>{' '}
+              {summary.location
+                ? `at ${summary.location.site} since ${formatDay(summary.location.since)}`
+                : 'no confirmed trips yet'}
+            </Typography>
+            <Typography variant="body2">
+              <strong>Rotation:</strong> {summary.rotation ? describeRotation(summary.rotation) : 'none'}
+            </Typography>
+          </Box>
+        )}
+
+        <Box display="flex" alignItems="center" gap={2} mb={1}>
+          <Typography variant="subtitle2">Days at each site</Typography>
+          <TextField
+            type="date"
+            label="From"
+            size="small"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            type="date"
+            label="To"
+            size="small"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          {loading && <CircularProgress size={20} />}
+        </Box>
+
+        {summary && (
+          <>
+            {summary.daysBySite.length === 0 ? (
+              <Typography variant="body2" color="textSecondary" mb={2}>No confirmed travel in this range</Typography>
+            ) : (
+              <Table size="small" sx={{ mb: 1 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Site</TableCell>
+                    <TableCell align="right">Days</TableCell>
+                    <TableCell align="right">Visits</TableCell>
+                    <TableCell sx={{ width: '40%' }} />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {summary.daysBySite.map(entry => (
+                    <TableRow key={entry.site}>
+                      <TableCell>{entry.site}</TableCell>
+                      <TableCell align="right">{entry.days}</TableCell>
+                      <TableCell align="right">{entry.visits}</TableCell>
+                      <TableCell>
+                        <LinearProgress variant="determinate" value={rangeDays ? (entry.days / rangeDays) * 100 : 0} />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+            <Box display="flex" gap={0.5} flexWrap="wrap" mb={2}>
+              <Typography variant="body2" color="textSecondary" mr={1}>
+                {summary.trips.total} trip(s) in range
+                {summary.unknownDays > 0 && `, location unknown for ${summary.unknownDays} day(s)`}
+              </Typography>
+              {(Object.keys(summary.trips.byStatus) as TripStatus[]).map(status => (
+                <Chip key={status} label={`${TRIP_STATUS_LABELS[status]}: ${summary.trips.byStatus[status]}`} size="small" />
+              ))}
+            </Box>
+
+            <Typography variant="subtitle2" gutterBottom>Upcoming trips</Typography>
+            {summary.upcomingTrips.length === 0 ? (
+              <Typography variant="body2" color="textSecondary" mb={2}>None planned</Typography>
+            ) : (
+              <Box mb={2}>
+                <TripTable trips={summary.upcomingTrips} />
+              </Box>
+            )}
+          </>
+        )}
+
+        <Typography variant="subtitle2" gutterBottom>Trip history</Typography>
+        {trips.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">No trips</Typography>
+        ) : (
+          <TableContainer sx={{ maxHeight: 300 }}>
+            <TripTable trips={trips} />
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PassengerProfileDialog;
@@ -0,0 +1,195 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Close, Logout } from '@mui/icons-material';
+import { API_ENDPOINTS } from '../config/api';
+
+interface Session {
+  _id: string;
+  createdAt?: string;
+  lastUsedAt?: string;
+  userAgent: string;
+  ip: string;
+  current: boolean;
+}
+
+interface SessionsDialogProps {
+  open: boolean;
+  onClose: () => void;
+  token?: string;
+  // When set, an admin is managing another user's sessions
+  userId?: string;
+  userName?: string;
+  // Called after the current session itself has been signed out
+  onSignedOut?: () => void;
+}
+
+const formatDateTime = (value?: string) => {
+  return value ? new Date(value).toLocaleString() : '—';
+};
+
+const SessionsDialog = ({ open, onClose, token, userId, userName, onSignedOut }: SessionsDialogProps) => {
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(userId ? API_ENDPOINTS.USER_SESSIONS(userId) : API_ENDPOINTS.SESSIONS, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch sessions');
+
+      setSessions(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, userId]);
+
+  useEffect(() => {
+    if (open) {
+      fetchSessions();
+    }
+  }, [open, fetchSessions]);
+
+  const handleSignOut = async (session: Session) => {
+    setError(null);
+    try {
+      const response = await fetch(
+        userId ? API_ENDPOINTS.USER_SESSION(userId, session._id) : API_ENDPOINTS.SESSION_BY_ID(session._id),
+        {
+          method: 'DELETE',
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to sign out session');
+      }
+
+      if (session.current) {
+        onSignedOut?.();
+        return;
+      }
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to sign out session');
+    }
+  };
+
+  const handleSignOutAll = async () => {
+    const target = userId ? `all sessions of ${userName || 'this user'}` : 'all your sessions, including this one';
+    if (!window.confirm(`Sign out ${target}?`)) return;
+
+    setError(null);
+    try {
+      const response = await fetch(userId ? API_ENDPOINTS.USER_LOGOUT_ALL(userId) : API_ENDPOINTS.LOGOUT_ALL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to sign out sessions');
+      }
+
+      if (!userId || sessions.some(s => s.current)) {
+        onSignedOut?.();
+        return;
+      }
+      setSessions([]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to sign out sessions');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        {userId ? `Sessions - ${userName}` : 'My Active Sessions'}
+        <IconButton onClick={onClose} size="small">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+        {loading ? (
+          <CircularProgress size={24} />
+        ) : sessions.length === 0 ? (
+          <Typography color="textSecondary">No active sessions</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Device</TableCell>
+                <TableCell>IP Address</TableCell>
+                <TableCell>Signed In</TableCell>
+                <TableCell>Last Active</TableCell>
+                <TableCell align="center">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sessions.map(session => (
+                <TableRow key={session._id}>
+                  <TableCell sx={{ maxWidth: 280 }}>
+                    <Typography variant="body2" noWrap title={session.userAgent}>
+                      {session.userAgent || 'Unknown device'}
+                    </Typography>
+                    {session.current && <Chip label="This session" size="small" color="primary" />}
+                  </TableCell>
+                  <TableCell>{session.ip || '—'}</TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDateTime(session.createdAt)}</TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDateTime(session.lastUsedAt)}</TableCell>
+                  <TableCell align="center">
+                    <IconButton color="error" onClick={() => handleSignOut(session)} title="Sign out this session">
+                      <Logout />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button color="error" onClick={handleSignOutAll} disabled={sessions.length === 0}>
+          Sign Out All Sessions
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SessionsDialog;
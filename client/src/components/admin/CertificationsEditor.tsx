@@ -0,0 +1,62 @@
+import { Box, Button, IconButton, TextField, Typography, Autocomplete } from '@mui/material';
+import { Add, Delete } from '@mui/icons-material';
+import { CERTIFICATION_TYPES } from '../../config/passengers';
+import type { Certification } from '../../config/passengers';
+
+interface CertificationsEditorProps {
+  certifications: Certification[];
+  onChange: (certifications: Certification[]) => void;
+}
+
+const CertificationsEditor = ({ certifications, onChange }: CertificationsEditorProps) => {
+  const updateAt = (index: number, changes: Partial<Certification>) => {
+    onChange(certifications.map((certification, i) => i === index ? { ...certification, ...changes } : certification));
+  };
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="subtitle2">Certifications</Typography>
+        <Button
+          size="small"
+          startIcon={<Add />}
+          onClick={() => onChange([...certifications, { name: '', expiresOn: null }])}
+        >
+          Add
+        </Button>
+      </Box>
+      {certifications.length === 0 && (
+        <Typography variant="body2" color="textSecondary">No certifications recorded</Typography>
+      )}
+      {certifications.map((certification, index) => (
+        <Box key={index} display="flex" gap={1} alignItems="center" mb={1}>
+          <Autocomplete
+            freeSolo
+            options={CERTIFICATION_TYPES}
+            value={certification.name}
+            onInputChange={(_, value) => updateAt(index, { name: value })}
+            sx={{ flex: 1 }}
+            renderInput={(params) => <TextField {...params} label="Name" size="small" />}
+          />
+          <TextField
+            type="date"
+            label="Expires"
+            size="small"
+            value={certification.expiresOn || ''}
+            onChange={(e) => updateAt(index, { expiresOn: e.target.value || null })}
+            InputLabelProps={{ shrink: true }}
+          />
+          <IconButton
+            color="error"
+            size="small"
+            onClick={() => onChange(certifications.filter((_, i) => i !== index))}
+          >
+            <Delete />
+          </IconButton>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default CertificationsEditor;
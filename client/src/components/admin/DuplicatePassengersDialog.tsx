@@ -0,0 +1,202 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TableContainer,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert,
+  Box
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { API_ENDPOINTS } from '../../config/api';
+import { describePassengerDetails } from '../../config/passengers';
+
+interface DuplicateCandidate {
+  _id: string;
+  firstName: string;
+  lastName: string;
+  jobRole: string;
+  company?: string;
+  employeeNumber?: string;
+  phone?: string;
+  tripCount: number;
+}
+
+type DuplicateReason = 'same-name' | 'swapped-name' | 'similar-name' | 'same-phone';
+
+interface DuplicatePair {
+  score: number;
+  reasons: DuplicateReason[];
+  passengers: [DuplicateCandidate, DuplicateCandidate];
+}
+
+interface DuplicatePassengersDialogProps {
+  open: boolean;
+  onClose: () => void;
+  token?: string;
+  onMerged: (movedTrips: number) => void;
+}
+
+const REASON_LABELS: Record<DuplicateReason, string> = {
+  'same-name': 'Same name',
+  'swapped-name': 'Names swapped',
+  'similar-name': 'Similar name',
+  'same-phone': 'Same phone'
+};
+
+const CandidateCell = ({ passenger }: { passenger: DuplicateCandidate }) => (
+  <TableCell>
+    <Typography variant="body2">{passenger.firstName} {passenger.lastName}</Typography>
+    <Typography variant="caption" color="textSecondary" display="block">
+      {[describePassengerDetails(passenger), passenger.phone, `${passenger.tripCount} trip(s)`].filter(Boolean).join(' · ')}
+    </Typography>
+  </TableCell>
+);
+
+// Likely duplicate passengers, merged by keeping one record of each pair
+const DuplicatePassengersDialog = ({ open, onClose, token, onMerged }: DuplicatePassengersDialogProps) => {
+  const [pairs, setPairs] = useState<DuplicatePair[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchDuplicates = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(API_ENDPOINTS.PASSENGER_DUPLICATES, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to find duplicates');
+
+      const data = await response.json();
+      setPairs(data.pairs);
+      setTotal(data.total);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to find duplicates');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (open) {
+      fetchDuplicates();
+    }
+  }, [open, fetchDuplicates]);
+
+  const handleMerge = async (keep: DuplicateCandidate, duplicate: DuplicateCandidate) => {
+    const keptName = `${keep.firstName} ${keep.lastName}`;
+    if (!window.confirm(
+      `Merge ${duplicate.firstName} ${duplicate.lastName} into ${keptName}? ` +
+      `Their ${duplicate.tripCount} trip(s) move to ${keptName} and the other record is deleted.`
+    )) return;
+
+    setMerging(true);
+    setError(null);
+    try {
+      const response = await fetch(API_ENDPOINTS.PASSENGER_MERGE(keep._id), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ duplicateId: duplicate._id })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Merge failed');
+      }
+
+      onMerged(data.movedTrips);
+      await fetchDuplicates();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Merge failed');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        Possible Duplicate Passengers
+        <IconButton onClick={onClose} size="small">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading ? (
+          <CircularProgress size={24} />
+        ) : pairs.length === 0 ? (
+          <Typography color="textSecondary">No likely duplicates found</Typography>
+        ) : (
+          <>
+            {total > pairs.length && (
+              <Typography variant="body2" color="textSecondary" gutterBottom>
+                Showing the {pairs.length} most likely of {total} pairs
+              </Typography>
+            )}
+            <TableContainer sx={{ maxHeight: 500 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Match</TableCell>
+                    <TableCell>Passenger</TableCell>
+                    <TableCell>Possible Duplicate</TableCell>
+                    <TableCell align="center">Keep</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {pairs.map(({ score, reasons, passengers: [first, second] }) => (
+                    <TableRow key={`${first._id}-${second._id}`}>
+                      <TableCell>
+                        <Typography variant="body2">{Math.round(score * 100)}%</Typography>
+                        <Box display="flex" gap={0.5} flexWrap="wrap">
+                          {reasons.map(reason => <Chip key={reason} label={REASON_LABELS[reason]} size="small" />)}
+                        </Box>
+                      </TableCell>
+                      <CandidateCell passenger={first} />
+                      <CandidateCell passenger={second} />
+                      <TableCell align="center" sx={{ whiteSpace: 'nowrap' }}>
+                        <Button size="small" disabled={merging} onClick={() => handleMerge(first, second)}>
+                          Keep first
+                        </Button>
+                        <Button size="small" disabled={merging} onClick={() => handleMerge(second, first)}>
+                          Keep second
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DuplicatePassengersDialog;
@@ -0,0 +1,325 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Box, Button, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton, Typography, Chip, TextField, MenuItem, Dialog, DialogTitle, DialogContent, DialogActions, CircularProgress, Alert } from '@mui/material';
+import { Add, Edit, Delete, Close } from '@mui/icons-material';
+import { format } from 'date-fns';
+import { API_ENDPOINTS } from '../../config/api';
+
+// Define interfaces locally
+interface Flight {
+  _id: string;
+  flightDate: string;
+  departureTime: string;
+  route: string[];
+  aircraftRegistration: string;
+  seatCapacity: number;
+  notes?: string;
+  seatsBooked: number;
+}
+
+interface FlightForm {
+  flightDate: string;
+  departureTime: string;
+  route: string[];
+  aircraftRegistration: string;
+  seatCapacity: number | '';
+  notes: string;
+}
+
+interface FlightsTabProps {
+  token?: string;
+  siteNames: string[];
+}
+
+const emptyForm = (): FlightForm => ({
+  flightDate: format(new Date(), 'yyyy-MM-dd'),
+  departureTime: '08:00',
+  route: [],
+  aircraftRegistration: '',
+  seatCapacity: '',
+  notes: ''
+});
+
+const getLoadColor = (booked: number, capacity: number): 'success' | 'warning' | 'error' => {
+  if (booked >= capacity) return 'error';
+  if (booked >= capacity * 0.8) return 'warning';
+  return 'success';
+};
+
+const FlightsTab = ({ token, siteNames }: FlightsTabProps) => {
+  const [flights, setFlights] = useState<Flight[]>([]);
+  const [fromDate, setFromDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<FlightForm>(emptyForm());
+  const [dialogError, setDialogError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchFlights = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (fromDate) params.set('from', fromDate);
+
+      const response = await fetch(`${API_ENDPOINTS.FLIGHTS}?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch flights');
+
+      setFlights(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch flights');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, fromDate]);
+
+  useEffect(() => {
+    fetchFlights();
+  }, [fetchFlights]);
+
+  const handleOpenDialog = (flight?: Flight) => {
+    setEditingId(flight?._id || null);
+    setForm(flight ? {
+      flightDate: flight.flightDate,
+      departureTime: flight.departureTime,
+      route: flight.route,
+      aircraftRegistration: flight.aircraftRegistration,
+      seatCapacity: flight.seatCapacity,
+      notes: flight.notes || ''
+    } : emptyForm());
+    setDialogError(null);
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+    setEditingId(null);
+    setDialogError(null);
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setDialogError(null);
+    try {
+      const response = await fetch(editingId ? API_ENDPOINTS.FLIGHT_BY_ID(editingId) : API_ENDPOINTS.FLIGHTS, {
+        method: editingId ? 'PUT' : 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(form)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.problems?.join('. ') || errorData.message || errorData.error || 'Failed to save flight');
+      }
+
+      handleCloseDialog();
+      fetchFlights();
+    } catch (err) {
+      setDialogError(err instanceof Error ? err.message : 'Failed to save flight');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (flight: Flight) => {
+    if (!window.confirm(`Delete flight ${flight.aircraftRegistration} on ${flight.flightDate} ${flight.departureTime}? Its trips will be unassigned.`)) return;
+
+    try {
+      const response = await fetch(API_ENDPOINTS.FLIGHT_BY_ID(flight._id), {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to delete flight');
+      }
+
+      setFlights(prev => prev.filter(f => f._id !== flight._id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete flight');
+    }
+  };
+
+  return (
+    <>
+      <Box display="flex" justifyContent="space-between" mb={2} alignItems="center">
+        <Box display="flex" gap={2} alignItems="center">
+          <TextField
+            type="date"
+            size="small"
+            label="From"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ width: 200 }}
+          />
+          {loading && <CircularProgress size={24} />}
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={() => handleOpenDialog()}
+        >
+          Add Flight
+        </Button>
+      </Box>
+      {error && (
+        <Typography color="error" mb={2}>{error}</Typography>
+      )}
+      <TableContainer sx={{ maxHeight: 'calc(100vh - 300px)', overflow: 'auto' }}>
+        <Table stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Departure</TableCell>
+              <TableCell>Aircraft</TableCell>
+              <TableCell>Route</TableCell>
+              <TableCell align="center">Seats</TableCell>
+              <TableCell>Notes</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {flights.map((flight) => (
+              <TableRow key={flight._id}>
+                <TableCell>{flight.flightDate}</TableCell>
+                <TableCell>{flight.departureTime}</TableCell>
+                <TableCell>
+                  <Typography variant="subtitle1" fontWeight="bold">
+                    {flight.aircraftRegistration}
+                  </Typography>
+                </TableCell>
+                <TableCell>{flight.route.join(' → ')}</TableCell>
+                <TableCell align="center">
+                  <Chip
+                    label={`${flight.seatsBooked} / ${flight.seatCapacity}`}
+                    color={getLoadColor(flight.seatsBooked, flight.seatCapacity)}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell>{flight.notes}</TableCell>
+                <TableCell align="center">
+                  <IconButton onClick={() => handleOpenDialog(flight)}>
+                    <Edit color="primary" />
+                  </IconButton>
+                  <IconButton onClick={() => handleDelete(flight)}>
+                    <Delete color="error" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          {editingId ? 'Edit' : 'Add New'} Flight
+          <IconButton onClick={handleCloseDialog} size="small">
+            <Close />
+          </IconButton>
+        </DialogTitle>
+        <DialogContent>
+          {dialogError && (
+            <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>
+          )}
+          <TextField
+            type="date"
+            label="Flight Date"
+            fullWidth
+            margin="normal"
+            value={form.flightDate}
+            onChange={(e) => setForm({ ...form, flightDate: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            required
+          />
+          <TextField
+            type="time"
+            label="Departure Time"
+            fullWidth
+            margin="normal"
+            value={form.departureTime}
+            onChange={(e) => setForm({ ...form, departureTime: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            required
+          />
+          <TextField
+            select
+            label="Route"
+            fullWidth
+            margin="normal"
+            value={form.route}
+            onChange={(e) => {
+              const value = e.target.value as unknown as string[];
+              setForm({ ...form, route: value });
+            }}
+            SelectProps={{
+              multiple: true,
+              renderValue: (selected) => (selected as string[]).join(' → ')
+            }}
+            helperText="Stops are flown in the order they are selected"
+            required
+          >
+            {siteNames.map((location) => (
+              <MenuItem key={location} value={location}>
+                {form.route.includes(location) ? `${form.route.indexOf(location) + 1}. ${location}` : location}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Aircraft Registration"
+            fullWidth
+            margin="normal"
+            value={form.aircraftRegistration}
+            onChange={(e) => setForm({ ...form, aircraftRegistration: e.target.value.toUpperCase() })}
+            required
+          />
+          <TextField
+            type="number"
+            label="Seat Capacity"
+            fullWidth
+            margin="normal"
+            value={form.seatCapacity}
+            onChange={(e) => setForm({ ...form, seatCapacity: e.target.value === '' ? '' : parseInt(e.target.value, 10) })}
+            inputProps={{ min: 1 }}
+            required
+          />
+          <TextField
+            label="Notes"
+            fullWidth
+            margin="normal"
+            multiline
+            rows={2}
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSubmit}
+            disabled={saving || form.route.length < 2 || !form.aircraftRegistration.trim() || form.seatCapacity === ''}
+          >
+            {saving ? <CircularProgress size={24} /> : editingId ? 'Update' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default FlightsTab;
@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import { Box, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, TextField, MenuItem, Chip, Typography, TablePagination, CircularProgress } from '@mui/material';
+import { Search } from '@mui/icons-material';
+import { API_ENDPOINTS } from '../../config/api';
+
+// Define interfaces locally
+interface AuditChange {
+  field: string;
+  from: unknown;
+  to: unknown;
+}
+
+interface AuditLog {
+  _id: string;
+  actor: {
+    userId: string | null;
+    userName: string;
+  };
+  action: string;
+  entityType: string;
+  entityId: string | null;
+  changes: AuditChange[];
+  metadata: Record<string, unknown> | null;
+  createdAt: string;
+}
+
+interface HistoryTabProps {
+  token?: string;
+  formatDate: (dateString: string) => string;
+}
+
+const ENTITY_TYPES = ['Trip', 'Passenger', 'Site', 'User', 'Flight', 'Rotation'];
+const ACTIONS = ['create', 'update', 'delete', 'confirm', 'update-pob', 'initialize', 'assign', 'unassign', 'reset-password', 'force-logout', 'rename', 'archive', 'unarchive', 'migrate', 'cancel', 'bulk', 'import', 'merge'];
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const getActionColor = (action: string): 'success' | 'error' | 'primary' => {
+  if (action === 'create') return 'success';
+  if (action === 'delete') return 'error';
+  return 'primary';
+};
+
+const HistoryTab = ({ token, formatDate }: HistoryTabProps) => {
+  const [logs, setLogs] = useState<AuditLog[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [entityType, setEntityType] = useState('');
+  const [action, setAction] = useState('');
+  const [actor, setActor] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchLogs = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams({
+          page: String(page + 1),
+          limit: String(rowsPerPage)
+        });
+        if (entityType) params.set('entityType', entityType);
+        if (action) params.set('action', action);
+        if (actor.trim()) params.set('actor', actor.trim());
+
+        const response = await fetch(`${API_ENDPOINTS.AUDIT}?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        if (!response.ok) throw new Error('Failed to fetch history');
+
+        const data = await response.json();
+        setLogs(data.logs);
+        setTotal(data.total);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to fetch history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLogs();
+  }, [token, page, rowsPerPage, entityType, action, actor]);
+
+  return (
+    <>
+      <Box display="flex" gap={2} mb={2} alignItems="center">
+        <TextField
+          variant="outlined"
+          size="small"
+          placeholder="Search by user..."
+          InputProps={{
+            startAdornment: <Search color="action" sx={{ mr: 1 }} />
+          }}
+          sx={{ width: 300 }}
+          value={actor}
+          onChange={(e) => {
+            setActor(e.target.value);
+            setPage(0);
+          }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Entity"
+          value={entityType}
+          onChange={(e) => {
+            setEntityType(e.target.value);
+            setPage(0);
+          }}
+          sx={{ width: 160 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          {ENTITY_TYPES.map(type => (
+            <MenuItem key={type} value={type}>{type}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Action"
+          value={action}
+          onChange={(e) => {
+            setAction(e.target.value);
+            setPage(0);
+          }}
+          sx={{ width: 160 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          {ACTIONS.map(item => (
+            <MenuItem key={item} value={item}>{item}</MenuItem>
+          ))}
+        </TextField>
+        {loading && <CircularProgress size={24} />}
+      </Box>
+      {error && (
+        <Typography color="error" mb={2}>{error}</Typography>
+      )}
+      <TableContainer sx={{ maxHeight: 'calc(100vh - 350px)', overflow: 'auto' }}>
+        <Table stickyHeader size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>When</TableCell>
+              <TableCell>User</TableCell>
+              <TableCell>Action</TableCell>
+              <TableCell>Entity</TableCell>
+              <TableCell>Changes</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {logs.map((log) => (
+              <TableRow key={log._id}>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(log.createdAt)}</TableCell>
+                <TableCell>{log.actor.userName}</TableCell>
+                <TableCell>
+                  <Chip label={log.action} size="small" color={getActionColor(log.action)} variant="outlined" />
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">{log.entityType}</Typography>
+                  <Typography variant="caption" color="textSecondary">{log.entityId}</Typography>
+                </TableCell>
+                <TableCell>
+                  {log.action !== 'create' && log.action !== 'delete'
+                    ? log.changes.map(change => (
+                        <Typography key={change.field} variant="body2">
+                          <strong>{change.field}</strong>: {formatValue(change.from)} → {formatValue(change.to)}
+                        </Typography>
+                      ))
+                    : null}
+                  {log.metadata && (
+                    <Typography variant="caption" color="textSecondary">
+                      {Object.entries(log.metadata).map(([key, value]) => `${key}: ${formatValue(value)}`).join(', ')}
+                    </Typography>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <TablePagination
+        component="div"
+        count={total}
+        page={page}
+        onPageChange={(_, newPage) => setPage(newPage)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={(e) => {
+          setRowsPerPage(parseInt(e.target.value, 10));
+          setPage(0);
+        }}
+        rowsPerPageOptions={[25, 50, 100]}
+      />
+    </>
+  );
+};
+
+export default HistoryTab;
@@ -0,0 +1,230 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TableContainer,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert,
+  Box,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import { Close, UploadFile } from '@mui/icons-material';
+import { API_ENDPOINTS } from '../../config/api';
+
+interface ImportRow {
+  row: number;
+  status: 'new' | 'duplicate' | 'error';
+  errors: string[];
+  duplicateOf: { match: 'name' | 'employeeNumber'; passengerId?: string; row?: number; name: string } | null;
+  passenger: { firstName: string; lastName: string; jobRole?: string; company?: string; employeeNumber?: string };
+}
+
+interface ImportReport {
+  dryRun: boolean;
+  summary: { rows: number; new: number; duplicates: number; errors: number; toImport: number; created: number };
+  rows: ImportRow[];
+}
+
+interface ImportPassengersDialogProps {
+  open: boolean;
+  onClose: () => void;
+  token?: string;
+  onImported: (created: number) => void;
+}
+
+const STATUS_COLORS: Record<ImportRow['status'], 'success' | 'warning' | 'error'> = {
+  new: 'success',
+  duplicate: 'warning',
+  error: 'error'
+};
+
+const describeDuplicate = (duplicateOf: NonNullable<ImportRow['duplicateOf']>) => {
+  const target = duplicateOf.row ? `row ${duplicateOf.row} (${duplicateOf.name})` : duplicateOf.name;
+  return duplicateOf.match === 'employeeNumber' ? `Same employee number as ${target}` : `Same name as ${target}`;
+};
+
+// Upload a CSV or XLSX crew list, preview what it would do, then import it
+const ImportPassengersDialog = ({ open, onClose, token, onImported }: ImportPassengersDialogProps) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [createDuplicates, setCreateDuplicates] = useState(false);
+  const [report, setReport] = useState<ImportReport | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setFile(null);
+    setCreateDuplicates(false);
+    setReport(null);
+    setError(null);
+  }, [open]);
+
+  const sendFile = useCallback(async (dryRun: boolean) => {
+    if (!file) return null;
+
+    const params = new URLSearchParams({
+      dryRun: String(dryRun),
+      duplicates: createDuplicates ? 'create' : 'skip'
+    });
+    const response = await fetch(API_ENDPOINTS.PASSENGER_IMPORT(params), {
+      method: 'POST',
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'Authorization': `Bearer ${token}`
+      },
+      body: file
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Import failed');
+    }
+    return data as ImportReport;
+  }, [file, createDuplicates, token]);
+
+  // Preview again whenever the file or duplicate handling changes
+  useEffect(() => {
+    if (!open || !file) return;
+
+    let cancelled = false;
+    const preview = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await sendFile(true);
+        if (!cancelled) setReport(data);
+      } catch (err) {
+        if (!cancelled) {
+          setReport(null);
+          setError(err instanceof Error ? err.message : 'Failed to read file');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    preview();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, file, sendFile]);
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await sendFile(false);
+      if (data) {
+        onImported(data.summary.created);
+        onClose();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        Import Passengers
+        <IconButton onClick={onClose} size="small">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="textSecondary" gutterBottom>
+          CSV or XLSX with a header row. First Name and Last Name are required; Job Role, Company,
+          Employee Number, Phone, Emergency Contact, Body Weight (kg), Baggage Weight (kg) and
+          Certifications (e.g. "HUET:2026-01-31; BOSIET:2027-05-01") are optional. An export can be re-imported.
+        </Typography>
+
+        <Box display="flex" alignItems="center" gap={2} my={2}>
+          <Button variant="outlined" component="label" startIcon={<UploadFile />}>
+            Choose File
+            <input
+              type="file"
+              hidden
+              accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+            />
+          </Button>
+          <Typography variant="body2">{file?.name || 'No file chosen'}</Typography>
+          <FormControlLabel
+            control={<Checkbox checked={createDuplicates} onChange={(e) => setCreateDuplicates(e.target.checked)} />}
+            label="Import name matches as new passengers"
+            sx={{ ml: 'auto' }}
+          />
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading && !report && <CircularProgress size={24} />}
+
+        {report && (
+          <>
+            <Alert severity={report.summary.errors > 0 ? 'warning' : 'info'} sx={{ mb: 2 }}>
+              {report.summary.rows} row(s): {report.summary.new} new, {report.summary.duplicates} duplicate(s),{' '}
+              {report.summary.errors} with errors. {report.summary.toImport} will be imported.
+            </Alert>
+            <TableContainer sx={{ maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Company</TableCell>
+                    <TableCell>Employee No.</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.rows.map(row => (
+                    <TableRow key={row.row}>
+                      <TableCell>{row.row}</TableCell>
+                      <TableCell>{row.passenger.firstName} {row.passenger.lastName}</TableCell>
+                      <TableCell>{row.passenger.company}</TableCell>
+                      <TableCell>{row.passenger.employeeNumber}</TableCell>
+                      <TableCell>
+                        <Chip label={row.status} size="small" color={STATUS_COLORS[row.status]} />
+                      </TableCell>
+                      <TableCell>
+                        {row.status === 'error' ? row.errors.join('; ') : row.duplicateOf ? describeDuplicate(row.duplicateOf) : ''}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleImport}
+          disabled={loading || !report || report.summary.toImport === 0}
+        >
+          {loading && report ? <CircularProgress size={24} /> : `Import ${report?.summary.toImport ?? 0} Passenger(s)`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportPassengersDialog;
@@ -1,8 +1,10 @@
-import { Box, Button, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton, TextField } from '@mui/material';
-import { Add, Edit, Delete, Search } from '@mui/icons-material';
+import { Box, Button, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton, TextField, Chip, Typography } from '@mui/material';
+import { Add, Edit, Delete, Search, UploadFile, Download, MergeType } from '@mui/icons-material';
+import { getCertificationState, CERTIFICATION_STATE_COLORS, describeWeights } from '../../config/passengers';
+import type { PassengerProfile } from '../../config/passengers';
 
 // Define interface locally
-interface Passenger {
+interface Passenger extends PassengerProfile {
   _id: string;
   firstName: string;
   lastName: string;
@@ -15,6 +17,10 @@ interface PassengersTabProps {
   onSearchChange: (term: string) => void;
   onOpenDialog: (passenger?: Passenger | null) => void;
   onDelete: (id: string) => void;
+  onImport: () => void;
+  onExport: (format: 'csv' | 'xlsx') => void;
+  onFindDuplicates: () => void;
+  onOpenProfile: (passenger: Passenger) => void;
   filterPassengers: (passenger: Passenger) => boolean;
 }
 
@@ -24,6 +30,10 @@ const PassengersTab = ({
   onSearchChange,
   onOpenDialog,
   onDelete,
+  onImport,
+  onExport,
+  onFindDuplicates,
+  onOpenProfile,
   filterPassengers
 }: PassengersTabProps) => {
   return (
@@ -32,7 +42,7 @@ const PassengersTab = ({
         <TextField
           variant="outlined"
           size="small"
-          placeholder="Search passengers..."
+          placeholder="Search name, company, employee no..."
           InputProps={{
             startAdornment: <Search color="action" sx={{ mr: 1 }} />
           }}
@@ -40,13 +50,43 @@ const PassengersTab = ({
           value={searchTerm}
           onChange={(e) => onSearchChange(e.target.value)}
         />
-        <Button
-          variant="contained"
-          startIcon={<Add />}
-          onClick={() => onOpenDialog(null)}
-        >
-          Add Passenger
-        </Button>
+        <Box display="flex" gap={1}>
+          <Button
+            variant="outlined"
+            startIcon={<Download />}
+            onClick={() => onExport('csv')}
+          >
+            CSV
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<Download />}
+            onClick={() => onExport('xlsx')}
+          >
+            XLSX
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<UploadFile />}
+            onClick={onImport}
+          >
+            Import
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<MergeType />}
+            onClick={onFindDuplicates}
+          >
+            Duplicates
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={() => onOpenDialog(null)}
+          >
+            Add Passenger
+          </Button>
+        </Box>
       </Box>
       <TableContainer sx={{ maxHeight: 'calc(100vh - 300px)', overflow: 'auto' }}>
         <Table stickyHeader>
@@ -55,16 +95,53 @@ const PassengersTab = ({
               <TableCell>First Name</TableCell>
               <TableCell>Last Name</TableCell>
               <TableCell>Job Role</TableCell>
+              <TableCell>Company</TableCell>
+              <TableCell>Employee No.</TableCell>
+              <TableCell>Contact</TableCell>
+              <TableCell>Weight</TableCell>
+              <TableCell>Certifications</TableCell>
               <TableCell>Actions</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
             {passengers.filter(filterPassengers).map((passenger) => (
-              <TableRow key={passenger._id}>
+              <TableRow
+                key={passenger._id}
+                hover
+                onClick={() => onOpenProfile(passenger)}
+                sx={{ cursor: 'pointer' }}
+              >
                 <TableCell>{passenger.firstName}</TableCell>
                 <TableCell>{passenger.lastName}</TableCell>
                 <TableCell>{passenger.jobRole}</TableCell>
+                <TableCell>{passenger.company}</TableCell>
+                <TableCell>{passenger.employeeNumber}</TableCell>
                 <TableCell>
+                  {passenger.phone}
+                  {passenger.emergencyContact?.name && (
+                    <Typography variant="caption" color="textSecondary" display="block">
+                      ICE: {passenger.emergencyContact.name}
+                      {passenger.emergencyContact.relationship && ` (${passenger.emergencyContact.relationship})`}
+                      {passenger.emergencyContact.phone && ` ${passenger.emergencyContact.phone}`}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{describeWeights(passenger)}</TableCell>
+                <TableCell>
+                  <Box display="flex" gap={0.5} flexWrap="wrap">
+                    {(passenger.certifications || []).map(certification => (
+                      <Chip
+                        key={certification.name}
+                        label={certification.name}
+                        size="small"
+                        variant="outlined"
+                        color={CERTIFICATION_STATE_COLORS[getCertificationState(certification)]}
+                        title={certification.expiresOn ? `Expires ${certification.expiresOn}` : 'No expiry'}
+                      />
+                    ))}
+                  </Box>
+                </TableCell>
+                <TableCell onClick={(e) => e.stopPropagation()}>
                   <IconButton
                     color="primary"
                     onClick={() => onOpenDialog(passenger)}
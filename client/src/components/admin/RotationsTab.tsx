@@ -0,0 +1,395 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Box, Button, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton, Typography, Chip, TextField, MenuItem, Dialog, DialogTitle, DialogContent, DialogActions, CircularProgress, Alert, Autocomplete, FormControlLabel, Checkbox, Switch } from '@mui/material';
+import { Add, Edit, Cancel, Close } from '@mui/icons-material';
+import { format, addDays, parseISO } from 'date-fns';
+import { API_ENDPOINTS } from '../../config/api';
+
+// Define interfaces locally
+interface Passenger {
+  _id: string;
+  firstName: string;
+  lastName: string;
+  jobRole: string;
+}
+
+interface Rotation {
+  _id: string;
+  passengerId: string;
+  site: string;
+  homeBase: string;
+  daysOn: number;
+  daysOff: number;
+  startDate: string;
+  endDate: string;
+  confirmed: boolean;
+  notes?: string;
+  status: 'active' | 'cancelled';
+}
+
+interface RotationForm {
+  passengerId: string;
+  site: string;
+  homeBase: string;
+  daysOn: number | '';
+  daysOff: number | '';
+  startDate: string;
+  endDate: string;
+  confirmed: boolean;
+  notes: string;
+}
+
+interface RotationsTabProps {
+  token?: string;
+  siteNames: string[];
+  defaultHomeBase: string;
+  passengers: Passenger[];
+}
+
+const emptyForm = (homeBase: string): RotationForm => ({
+  passengerId: '',
+  site: '',
+  homeBase,
+  daysOn: 14,
+  daysOff: 14,
+  startDate: format(new Date(), 'yyyy-MM-dd'),
+  endDate: format(addDays(new Date(), 364), 'yyyy-MM-dd'),
+  confirmed: false,
+  notes: ''
+});
+
+// Number of trips the server will generate: two per hitch that finishes by the end date
+const countLegs = (form: RotationForm) => {
+  if (!form.daysOn || !form.daysOff || !form.startDate || !form.endDate) return 0;
+
+  const end = parseISO(form.endDate);
+  let hitches = 0;
+  for (let start = parseISO(form.startDate); addDays(start, form.daysOn) <= end; start = addDays(start, form.daysOn + form.daysOff)) {
+    hitches++;
+  }
+  return hitches * 2;
+};
+
+const RotationsTab = ({ token, siteNames, defaultHomeBase, passengers }: RotationsTabProps) => {
+  const [rotations, setRotations] = useState<Rotation[]>([]);
+  const [showCancelled, setShowCancelled] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<RotationForm>(emptyForm(defaultHomeBase));
+  const [dialogError, setDialogError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchRotations = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (!showCancelled) params.set('status', 'active');
+
+      const response = await fetch(`${API_ENDPOINTS.TRIP_SERIES}?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch rotations');
+
+      setRotations(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch rotations');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, showCancelled]);
+
+  useEffect(() => {
+    fetchRotations();
+  }, [fetchRotations]);
+
+  const getPassengerName = (passengerId: string) => {
+    const passenger = passengers.find(p => p._id === passengerId);
+    return passenger ? `${passenger.firstName} ${passenger.lastName}` : 'Unknown passenger';
+  };
+
+  const handleOpenDialog = (rotation?: Rotation) => {
+    setEditingId(rotation?._id || null);
+    setForm(rotation ? {
+      passengerId: rotation.passengerId,
+      site: rotation.site,
+      homeBase: rotation.homeBase,
+      daysOn: rotation.daysOn,
+      daysOff: rotation.daysOff,
+      startDate: rotation.startDate,
+      endDate: rotation.endDate,
+      confirmed: rotation.confirmed,
+      notes: rotation.notes || ''
+    } : emptyForm(defaultHomeBase));
+    setDialogError(null);
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+    setEditingId(null);
+    setDialogError(null);
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setDialogError(null);
+    try {
+      const response = await fetch(editingId ? API_ENDPOINTS.TRIP_SERIES_BY_ID(editingId) : API_ENDPOINTS.TRIP_SERIES, {
+        method: editingId ? 'PUT' : 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(form)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.problems?.join('. ') || errorData.message || errorData.error || 'Failed to save rotation');
+      }
+
+      handleCloseDialog();
+      fetchRotations();
+    } catch (err) {
+      setDialogError(err instanceof Error ? err.message : 'Failed to save rotation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancelSeries = async (rotation: Rotation) => {
+    if (!window.confirm(`Cancel the ${rotation.site} rotation for ${getPassengerName(rotation.passengerId)}? All of its trips from today on will be deleted.`)) return;
+
+    try {
+      const response = await fetch(API_ENDPOINTS.TRIP_SERIES_BY_ID(rotation._id), {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to cancel rotation');
+      }
+
+      fetchRotations();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to cancel rotation');
+    }
+  };
+
+  const selectedPassenger = passengers.find(p => p._id === form.passengerId) || null;
+  const legCount = countLegs(form);
+
+  return (
+    <>
+      <Box display="flex" justifyContent="space-between" mb={2} alignItems="center">
+        <Box display="flex" gap={2} alignItems="center">
+          <FormControlLabel
+            control={<Switch checked={showCancelled} onChange={(e) => setShowCancelled(e.target.checked)} />}
+            label="Show cancelled"
+          />
+          {loading && <CircularProgress size={24} />}
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={() => handleOpenDialog()}
+        >
+          Add Rotation
+        </Button>
+      </Box>
+      {error && (
+        <Typography color="error" mb={2}>{error}</Typography>
+      )}
+      <TableContainer sx={{ maxHeight: 'calc(100vh - 300px)', overflow: 'auto' }}>
+        <Table stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Passenger</TableCell>
+              <TableCell>Site</TableCell>
+              <TableCell>Home Base</TableCell>
+              <TableCell align="center">On / Off</TableCell>
+              <TableCell>Start</TableCell>
+              <TableCell>End</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="center">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rotations.map((rotation) => (
+              <TableRow key={rotation._id} sx={{ opacity: rotation.status === 'cancelled' ? 0.5 : 1 }}>
+                <TableCell>
+                  <Typography variant="subtitle1" fontWeight="bold">
+                    {getPassengerName(rotation.passengerId)}
+                  </Typography>
+                </TableCell>
+                <TableCell>{rotation.site}</TableCell>
+                <TableCell>{rotation.homeBase}</TableCell>
+                <TableCell align="center">{rotation.daysOn} / {rotation.daysOff}</TableCell>
+                <TableCell>{rotation.startDate}</TableCell>
+                <TableCell>{rotation.endDate}</TableCell>
+                <TableCell>
+                  <Chip
+                    label={rotation.status === 'active' ? (rotation.confirmed ? 'Confirmed' : 'Active') : 'Cancelled'}
+                    color={rotation.status === 'active' ? (rotation.confirmed ? 'success' : 'primary') : 'default'}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell align="center">
+                  {rotation.status === 'active' && (
+                    <>
+                      <IconButton onClick={() => handleOpenDialog(rotation)}>
+                        <Edit color="primary" />
+                      </IconButton>
+                      <IconButton onClick={() => handleCancelSeries(rotation)} title="Cancel rotation">
+                        <Cancel color="error" />
+                      </IconButton>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          {editingId ? 'Edit' : 'Add New'} Rotation
+          <IconButton onClick={handleCloseDialog} size="small">
+            <Close />
+          </IconButton>
+        </DialogTitle>
+        <DialogContent>
+          {dialogError && (
+            <Alert severity="error" sx={{ mb: 2 }}>{dialogError}</Alert>
+          )}
+          <Autocomplete
+            options={passengers}
+            getOptionLabel={(option) => `${option.firstName} ${option.lastName}`}
+            value={selectedPassenger}
+            onChange={(_, newValue) => setForm({ ...form, passengerId: newValue?._id || '' })}
+            renderInput={(params) => (
+              <TextField {...params} label="Passenger" margin="normal" required />
+            )}
+          />
+          <Box display="flex" gap={2}>
+            <TextField
+              select
+              label="Site"
+              fullWidth
+              margin="normal"
+              value={form.site}
+              onChange={(e) => setForm({ ...form, site: e.target.value })}
+              required
+            >
+              {siteNames.map((location) => (
+                <MenuItem key={location} value={location}>{location}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Home Base"
+              fullWidth
+              margin="normal"
+              value={form.homeBase}
+              onChange={(e) => setForm({ ...form, homeBase: e.target.value })}
+              required
+            >
+              {siteNames.map((location) => (
+                <MenuItem key={location} value={location}>{location}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <Box display="flex" gap={2}>
+            <TextField
+              type="number"
+              label="Days On"
+              fullWidth
+              margin="normal"
+              value={form.daysOn}
+              onChange={(e) => setForm({ ...form, daysOn: e.target.value === '' ? '' : parseInt(e.target.value, 10) })}
+              inputProps={{ min: 1 }}
+              required
+            />
+            <TextField
+              type="number"
+              label="Days Off"
+              fullWidth
+              margin="normal"
+              value={form.daysOff}
+              onChange={(e) => setForm({ ...form, daysOff: e.target.value === '' ? '' : parseInt(e.target.value, 10) })}
+              inputProps={{ min: 1 }}
+              required
+            />
+          </Box>
+          <Box display="flex" gap={2}>
+            <TextField
+              type="date"
+              label="First Day On Site"
+              fullWidth
+              margin="normal"
+              value={form.startDate}
+              onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              required
+            />
+            <TextField
+              type="date"
+              label="End Date"
+              fullWidth
+              margin="normal"
+              value={form.endDate}
+              onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              required
+            />
+          </Box>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={form.confirmed}
+                onChange={(e) => setForm({ ...form, confirmed: e.target.checked })}
+              />
+            }
+            label="Confirmed"
+          />
+          <TextField
+            label="Notes"
+            fullWidth
+            margin="normal"
+            multiline
+            rows={2}
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          />
+          <Typography variant="body2" color="textSecondary" mt={1}>
+            {legCount > 0
+              ? `${legCount} trips over the whole series. Only trips from today on are ${editingId ? 'updated' : 'created'}.`
+              : 'The first hitch must finish by the end date.'}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSubmit}
+            disabled={saving || !form.passengerId || !form.site || !form.homeBase || form.site === form.homeBase || legCount === 0}
+          >
+            {saving ? <CircularProgress size={24} /> : editingId ? 'Update' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default RotationsTab;
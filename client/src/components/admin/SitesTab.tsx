@@ -1,5 +1,5 @@
 import { Box, Button, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton, Typography, Chip, TextField } from '@mui/material';
-import { Edit, Search } from '@mui/icons-material';
+import { Edit, Search, Add } from '@mui/icons-material';
 
 // Define interfaces locally
 interface Site {
@@ -8,6 +8,10 @@ interface Site {
   currentPOB: number;
   maximumPOB: number;
   pobUpdatedDate: string;
+  color: string;
+  type: 'base' | 'rig' | 'vessel';
+  sortOrder: number;
+  archived: boolean;
 }
 
 interface SitesTabProps {
@@ -45,18 +49,29 @@ const SitesTab = ({
           value={searchTerm}
           onChange={(e) => onSearchChange(e.target.value)}
         />
-        <Button
-          variant="outlined"
-          onClick={onInitializeSites}
-        >
-          Initialize Sites
-        </Button>
+        <Box display="flex" gap={1}>
+          <Button
+            variant="outlined"
+            onClick={onInitializeSites}
+          >
+            Initialize Sites
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={() => onOpenDialog()}
+          >
+            Add Site
+          </Button>
+        </Box>
       </Box>
       <TableContainer sx={{ maxHeight: 'calc(100vh - 300px)', overflow: 'auto' }}>
         <Table stickyHeader>
           <TableHead>
             <TableRow>
               <TableCell>Site Name</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell align="center">Order</TableCell>
               <TableCell align="center">Current POB</TableCell>
               <TableCell align="center">Maximum POB</TableCell>
               <TableCell align="center">Status</TableCell>
@@ -66,12 +81,26 @@ const SitesTab = ({
           </TableHead>
           <TableBody>
             {sites.filter(filterSites).map((site) => (
-              <TableRow key={site._id}>
+              <TableRow key={site._id} sx={{ opacity: site.archived ? 0.5 : 1 }}>
                 <TableCell>
-                  <Typography variant="subtitle1" fontWeight="bold">
-                    {site.siteName}
-                  </Typography>
+                  <Box display="flex" alignItems="center" gap={1}>
+                    <Box
+                      sx={{
+                        width: 14,
+                        height: 14,
+                        borderRadius: '50%',
+                        backgroundColor: site.color,
+                        border: '1px solid #ccc'
+                      }}
+                    />
+                    <Typography variant="subtitle1" fontWeight="bold">
+                      {site.siteName}
+                    </Typography>
+                    {site.archived && <Chip label="Archived" size="small" />}
+                  </Box>
                 </TableCell>
+                <TableCell sx={{ textTransform: 'capitalize' }}>{site.type}</TableCell>
+                <TableCell align="center">{site.sortOrder}</TableCell>
                 <TableCell align="center">
                   <Typography variant="h6" color="primary">
                     {site.currentPOB}
@@ -1,14 +1,16 @@
-import { Box, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton, TextField, Button } from '@mui/material';
-import { Edit, Delete, Search, Check, Close, PersonAdd } from '@mui/icons-material';
+import { Box, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton, TextField, Button, Chip } from '@mui/material';
+import { Edit, Delete, Search, Check, Close, PersonAdd, Devices } from '@mui/icons-material';
 
 // Define interfaces locally
 interface User {
   _id: string;
   userName: string; // Changed from userEmail to userName
+  email?: string;
   firstName: string;
   lastName: string;
   homeLocation: string;
   isAdmin: boolean;
+  coordinatorSites?: string[];
   lastLogin?: string;
 }
 
@@ -18,6 +20,7 @@ interface UsersTabProps {
   onSearchChange: (term: string) => void;
   onOpenDialog: (user?: User | null) => void;
   onDelete: (id: string) => void;
+  onOpenSessions: (user: User) => void;
   filterUsers: (user: User) => boolean;
 }
 
@@ -27,6 +30,7 @@ const UsersTab = ({
   onSearchChange,
   onOpenDialog,
   onDelete,
+  onOpenSessions,
   filterUsers
 }: UsersTabProps) => {
   return (
@@ -62,10 +66,12 @@ const UsersTab = ({
           <TableHead>
             <TableRow>
               <TableCell>Username</TableCell> {/* Changed from Email to Username */}
+              <TableCell>Email</TableCell>
               <TableCell>First Name</TableCell>
               <TableCell>Last Name</TableCell>
               <TableCell>Location</TableCell>
               <TableCell>Admin</TableCell>
+              <TableCell>Coordinator For</TableCell>
               <TableCell>Last Login</TableCell>
               <TableCell>Actions</TableCell>
             </TableRow>
@@ -74,12 +80,18 @@ const UsersTab = ({
             {users.filter(filterUsers).map((user) => (
               <TableRow key={user._id}>
                 <TableCell>{user.userName}</TableCell> {/* Changed from userEmail to userName */}
+                <TableCell>{user.email}</TableCell>
                 <TableCell>{user.firstName}</TableCell>
                 <TableCell>{user.lastName}</TableCell>
                 <TableCell>{user.homeLocation}</TableCell>
                 <TableCell>
                   {user.isAdmin ? <Check color="success" /> : <Close color="error" />}
                 </TableCell>
+                <TableCell>
+                  {(user.coordinatorSites || []).map(site => (
+                    <Chip key={site} label={site} size="small" sx={{ mr: 0.5 }} />
+                  ))}
+                </TableCell>
                 <TableCell>
                   {user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never'}
                 </TableCell>
@@ -90,6 +102,13 @@ const UsersTab = ({
                   >
                     <Edit />
                   </IconButton>
+                  <IconButton
+                    color="primary"
+                    onClick={() => onOpenSessions(user)}
+                    title="Sessions"
+                  >
+                    <Devices />
+                  </IconButton>
                   <IconButton
                     color="error"
                     onClick={() => onDelete(user._id)}
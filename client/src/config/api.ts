@@ -20,6 +20,10 @@ export const API_ENDPOINTS = {
   // Auth endpoints
   AUTH_CHECK: `${API_BASE_URL}/users/me`,
   LOGIN: `${API_BASE_URL}/users/login`,
+  LOGOUT: `${API_BASE_URL}/users/logout`,
+  LOGOUT_ALL: `${API_BASE_URL}/users/logout-all`,
+  SESSIONS: `${API_BASE_URL}/users/sessions`,
+  SESSION_BY_ID: (sessionId: string) => `${API_BASE_URL}/users/sessions/${sessionId}`,
   REGISTER: `${API_BASE_URL}/users/register`,
   FORGOT_PASSWORD: `${API_BASE_URL}/users/forgot-password`,
   RESET_PASSWORD: (token: string) => `${API_BASE_URL}/users/reset-password/${token}`,
@@ -27,21 +31,60 @@ export const API_ENDPOINTS = {
   // Passenger endpoints
   PASSENGERS: `${API_BASE_URL}/passengers`,
   PASSENGER_BY_ID: (id: string) => `${API_BASE_URL}/passengers/${id}`,
+  PASSENGER_IMPORT: (params: URLSearchParams) => `${API_BASE_URL}/passengers/import?${params}`,
+  PASSENGER_EXPORT: (format: 'csv' | 'xlsx') => `${API_BASE_URL}/passengers/export?format=${format}`,
+  PASSENGER_SEARCH: (params: URLSearchParams) => `${API_BASE_URL}/passengers/search?${params}`,
+  PASSENGER_DUPLICATES: `${API_BASE_URL}/passengers/duplicates`,
+  PASSENGER_MERGE: (id: string) => `${API_BASE_URL}/passengers/${id}/merge`,
+  PASSENGER_SUMMARY: (id: string, params: URLSearchParams) => `${API_BASE_URL}/passengers/${id}/summary?${params}`,
   
   // User endpoints
   USERS: `${API_BASE_URL}/users`,
   USER_BY_ID: (id: string) => `${API_BASE_URL}/users/${id}`,
+  USER_SESSIONS: (id: string) => `${API_BASE_URL}/users/${id}/sessions`,
+  USER_SESSION: (id: string, sessionId: string) => `${API_BASE_URL}/users/${id}/sessions/${sessionId}`,
+  USER_LOGOUT_ALL: (id: string) => `${API_BASE_URL}/users/${id}/logout-all`,
   UNVERIFIED_USERS: `${API_BASE_URL}/users/unverified`,
   VERIFY_USER: (id: string) => `${API_BASE_URL}/users/verify/${id}`,
   
   // Site endpoints
   SITES: `${API_BASE_URL}/sites`,
+  SITES_ALL: `${API_BASE_URL}/sites?includeArchived=true`,
+  SITE_BY_NAME: (siteName: string) => `${API_BASE_URL}/sites/${siteName}`,
+  SITE_RENAME: (siteName: string) => `${API_BASE_URL}/sites/${siteName}/rename`,
   SITE_POB: (siteName: string) => `${API_BASE_URL}/sites/${siteName}/pob`,
+  SITE_POB_FORECAST: (siteName: string, from: string, to: string) =>
+    `${API_BASE_URL}/sites/${siteName}/pob-forecast?from=${from}&to=${to}&tzOffset=${new Date().getTimezoneOffset()}`,
   INITIALIZE_SITES: `${API_BASE_URL}/sites/initialize`,
   
   // Trip endpoints
   TRIPS: `${API_BASE_URL}/trips`,
   TRIP_BY_ID: (id: string) => `${API_BASE_URL}/trips/${id}`,
+  PASSENGER_TRIPS: (passengerId: string) => `${API_BASE_URL}/trips/passenger/${passengerId}`,
+  TRIP_MANIFEST: (params: URLSearchParams) => `${API_BASE_URL}/trips/manifest?${params}`,
+  TRIP_BULK: `${API_BASE_URL}/trips/bulk`,
+  TRIP_CANCEL_DAY: `${API_BASE_URL}/trips/cancel-day`,
+  TRIP_IMPORT: (params: URLSearchParams) => `${API_BASE_URL}/trips/import?${params}`,
+  TRIP_CAPACITY_CHECK: `${API_BASE_URL}/trips/capacity-check`,
+  TRIP_SERIES: `${API_BASE_URL}/trips/series`,
+  TRIP_SERIES_BY_ID: (id: string) => `${API_BASE_URL}/trips/series/${id}`,
+
+  // Flight endpoints
+  FLIGHTS: `${API_BASE_URL}/flights`,
+  FLIGHT_BY_ID: (id: string) => `${API_BASE_URL}/flights/${id}`,
+  FLIGHT_TRIPS: (id: string) => `${API_BASE_URL}/flights/${id}/trips`,
+  FLIGHT_TRIP: (id: string, tripId: string) => `${API_BASE_URL}/flights/${id}/trips/${tripId}`,
+  FLIGHT_MANIFEST: (id: string, format: 'pdf' | 'csv') => `${API_BASE_URL}/flights/${id}/manifest?format=${format}`,
+
+  // Audit endpoints
+  AUDIT: `${API_BASE_URL}/audit`,
+
+  // Report endpoints (Admin only)
+  REPORT: (report: 'pob-utilisation' | 'movements' | 'confirmation' | 'job-roles', params: URLSearchParams) =>
+    `${API_BASE_URL}/reports/${report}?${params}`,
+
+  // Live update stream
+  EVENTS: `${API_BASE_URL}/events`,
 };
 
 // Helper function for API calls
@@ -0,0 +1,59 @@
+// Result of checking a trip change against site maximumPOB, as returned by
+// POST /api/trips/capacity-check and attached to 409 and warning responses
+export interface CapacityDay {
+  date: string;
+  before: number;
+  after: number;
+}
+
+export interface CapacitySite {
+  siteName: string;
+  maximumPOB: number;
+  level: 'warning' | 'exceeded';
+  days: CapacityDay[];
+}
+
+export interface CapacityResult {
+  level: 'ok' | 'warning' | 'exceeded';
+  sites: CapacitySite[];
+  message?: string | null;
+  canOverride?: boolean;
+}
+
+// Thrown when the server refuses a trip change because a site would be over capacity
+export class CapacityError extends Error {
+  capacity: CapacityResult;
+
+  constructor(message: string, capacity: CapacityResult) {
+    super(message);
+    this.name = 'CapacityError';
+    this.capacity = capacity;
+  }
+}
+
+// Read a failed trip save, turning capacity refusals into a CapacityError
+export const toSaveError = (errorData: { error?: string; message?: string; capacity?: CapacityResult; canOverride?: boolean }, fallback: string) => {
+  if (errorData.error === 'Capacity exceeded' && errorData.capacity) {
+    return new CapacityError(errorData.message || 'Site capacity would be exceeded', {
+      ...errorData.capacity,
+      canOverride: errorData.canOverride
+    });
+  }
+  return new Error(errorData.message || errorData.error || fallback);
+};
+
+// "NSC 198 → 201/200 on 2025-03-04, 2025-03-05", one line per site
+export const describeCapacitySites = (capacity: CapacityResult) => {
+  return capacity.sites.map(site => {
+    const peak = site.days.reduce((max, day) => day.after > max.after ? day : max, site.days[0]);
+    const dates = site.days.map(day => day.date);
+    return `${site.siteName} ${peak.before} → ${peak.after}/${site.maximumPOB} on ${dates.length > 3 ? `${dates.slice(0, 3).join(', ')} and ${dates.length - 3} more` : dates.join(', ')}`;
+  });
+};
+
+// Trip from a save response, without the capacity result the server attaches
+export const withoutCapacity = <T>(data: T & { capacity?: CapacityResult }): T => {
+  const trip = { ...data };
+  delete trip.capacity;
+  return trip;
+};
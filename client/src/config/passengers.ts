@@ -0,0 +1,84 @@
+import { format, addDays } from 'date-fns';
+
+// Passenger profile fields, mirroring server/src/models/passengerModel.js
+export interface Certification {
+  name: string;
+  // YYYY-MM-DD; the certificate is valid through this day
+  expiresOn: string | null;
+}
+
+export interface EmergencyContact {
+  name: string;
+  phone: string;
+  relationship: string;
+}
+
+export interface PassengerProfile {
+  company?: string;
+  employeeNumber?: string;
+  phone?: string;
+  emergencyContact?: EmergencyContact;
+  // Kilograms
+  bodyWeight?: number | null;
+  baggageWeight?: number | null;
+  certifications?: Certification[];
+}
+
+// Offshore safety courses offered when adding a certification. Other names are allowed.
+export const CERTIFICATION_TYPES = ['HUET', 'BOSIET', 'FOET', 'CA-EBS', 'Offshore Medical'];
+
+// Certificates expiring within this many days are flagged
+export const CERTIFICATION_WARNING_DAYS = 30;
+
+export type CertificationState = 'valid' | 'expiring' | 'expired';
+
+export const CERTIFICATION_STATE_COLORS: Record<CertificationState, 'success' | 'warning' | 'error'> = {
+  valid: 'success',
+  expiring: 'warning',
+  expired: 'error'
+};
+
+export const getCertificationState = (certification: Certification, on: Date = new Date()): CertificationState => {
+  if (!certification.expiresOn) return 'valid';
+  if (certification.expiresOn < format(on, 'yyyy-MM-dd')) return 'expired';
+  return certification.expiresOn <= format(addDays(on, CERTIFICATION_WARNING_DAYS), 'yyyy-MM-dd') ? 'expiring' : 'valid';
+};
+
+interface SearchablePassenger extends PassengerProfile {
+  firstName: string;
+  lastName: string;
+  jobRole: string;
+}
+
+// Every word of the search has to appear in the name, job role, company,
+// employee number, phone or a certification
+export const matchesPassengerSearch = (passenger: SearchablePassenger, search: string) => {
+  const words = search.toLowerCase().trim().split(/\s+/).filter(word => word.length > 0);
+  const fields = [
+    passenger.firstName,
+    passenger.lastName,
+    `${passenger.firstName} ${passenger.lastName}`,
+    passenger.jobRole,
+    passenger.company,
+    passenger.employeeNumber,
+    passenger.phone,
+    ...(passenger.certifications || []).map(certification => certification.name)
+  ].map(field => field?.toLowerCase() || '');
+
+  return words.every(word => fields.some(field => field.includes(word)));
+};
+
+// "Driller · Acme Drilling · #E1234", for pickers and lists
+export const describePassengerDetails = (passenger: SearchablePassenger) => {
+  return [
+    passenger.jobRole,
+    passenger.company,
+    passenger.employeeNumber && `#${passenger.employeeNumber}`
+  ].filter(Boolean).join(' · ');
+};
+
+// "82 + 12 kg"
+export const describeWeights = (passenger: PassengerProfile) => {
+  if (passenger.bodyWeight == null && passenger.baggageWeight == null) return '';
+  return `${passenger.bodyWeight ?? '?'} + ${passenger.baggageWeight ?? '?'} kg`;
+};
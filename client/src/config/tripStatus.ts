@@ -0,0 +1,25 @@
+// Trip lifecycle, mirroring server/src/utils/tripStatus.js
+export type TripStatus = 'planned' | 'confirmed' | 'cancelled' | 'completed' | 'no-show';
+
+export type CancellationCategory = 'weather' | 'operational' | 'other';
+
+export const TRIP_STATUS_LABELS: Record<TripStatus, string> = {
+  planned: 'Planned',
+  confirmed: 'Confirmed',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+  'no-show': 'No-show'
+};
+
+export const CANCELLATION_CATEGORY_LABELS: Record<CancellationCategory, string> = {
+  weather: 'Weather',
+  operational: 'Operational',
+  other: 'Other'
+};
+
+// Trips saved before status existed only have the confirmed flag
+export const getTripStatus = (trip: { status?: TripStatus; confirmed: boolean }): TripStatus => {
+  return trip.status ?? (trip.confirmed ? 'confirmed' : 'planned');
+};
+
+export const isConfirmedStatus = (status: TripStatus) => status === 'confirmed' || status === 'completed';
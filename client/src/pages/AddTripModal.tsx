@@ -27,12 +27,17 @@ import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { Close, Add, PersonAdd, SwapHoriz } from '@mui/icons-material';
-import type { Passenger } from './HeliPage';
+import type { Passenger, Site } from './HeliPage';
+import { API_ENDPOINTS } from '../config/api';
+import { CapacityError, describeCapacitySites } from '../config/capacity';
+import { describePassengerDetails, getCertificationState } from '../config/passengers';
+import type { CapacityResult } from '../config/capacity';
+import { useAuth } from '../auth/AuthContext';
 
 interface AddTripModalProps {
   isOpen: boolean;
   onClose: () => void;
-  passengers: Passenger[];
+  sites: Site[];
   selectedDate: Date;
   tripType: 'incoming' | 'outgoing';
   currentLocation: string;
@@ -44,12 +49,11 @@ interface AddTripModalProps {
     tripDate: string;
     confirmed: boolean;
     numberOfPassengers?: number;
-  }) => void;
+    capacityOverride?: { justification: string };
+  }) => Promise<void>;
   onAddPassenger?: (passenger: { firstName: string; lastName: string; jobRole: string }) => Promise<Passenger>;
 }
 
-const locations = ['NTM', 'Ogle', 'NSC', 'NDT', 'NBD', 'STC'];
-
 // Helper function to normalize dates (fix timezone issues)
 const normalizeDate = (date: Date) => {
   return new Date(date.getFullYear(), date.getMonth(), date.getDate());
@@ -58,7 +62,7 @@ const normalizeDate = (date: Date) => {
 export default function AddTripModal({
   isOpen,
   onClose,
-  passengers,
+  sites,
   selectedDate,
   tripType,
   currentLocation,
@@ -66,20 +70,33 @@ export default function AddTripModal({
   onSubmit,
   onAddPassenger
 }: AddTripModalProps) {
+  const { user } = useAuth();
+  const isAdmin = user?.isAdmin || false;
+  const locations = sites.map(site => site.siteName);
+  // Trips default to leaving from the first base (e.g. the heliport)
+  const defaultOrigin = sites.find(site => site.type === 'base')?.siteName || locations[0] || '';
+
   const [passengerSearch, setPassengerSearch] = useState('');
   const [selectedPassenger, setSelectedPassenger] = useState<Passenger | null>(null);
-  const [fromOrigin, setFromOrigin] = useState('Ogle');
+  const [fromOrigin, setFromOrigin] = useState(defaultOrigin);
   const [toDestination, setToDestination] = useState(userHomeBase);
   const [tripDate, setTripDate] = useState<Date | null>(normalizeDate(selectedDate));
   const [confirmed, setConfirmed] = useState(true);
   const [numberOfPassengers, setNumberOfPassengers] = useState<number | ''>('');
   const [showAddPassenger, setShowAddPassenger] = useState(false);
   const [showDropdown, setShowDropdown] = useState(false);
+  const [filteredPassengers, setFilteredPassengers] = useState<Passenger[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
   const [newPassenger, setNewPassenger] = useState({
     firstName: '',
     lastName: '',
     jobRole: ''
   });
+  // Projected effect of the trip on site POB, refreshed as the form changes
+  const [capacity, setCapacity] = useState<CapacityResult | null>(null);
+  const [capacityReloadKey, setCapacityReloadKey] = useState(0);
+  const [overrideJustification, setOverrideJustification] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -91,7 +108,7 @@ export default function AddTripModal({
   useEffect(() => {
     if (isOpen) {
       setTripDate(normalizeDate(selectedDate));
-      setFromOrigin('Ogle');
+      setFromOrigin(defaultOrigin);
       setToDestination(userHomeBase);
       setConfirmed(true);
       setNumberOfPassengers('');
@@ -100,8 +117,91 @@ export default function AddTripModal({
       setNewPassenger({ firstName: '', lastName: '', jobRole: '' });
       setSelectedPassenger(null);
       setPassengerSearch('');
+      setOverrideJustification('');
+    }
+  }, [selectedDate, tripType, currentLocation, isOpen, userHomeBase, defaultOrigin]);
+
+  useEffect(() => {
+    if (!isOpen || !tripDate || fromOrigin === toDestination) {
+      setCapacity(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    // Wait for the user to stop typing before asking the server
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(API_ENDPOINTS.TRIP_CAPACITY_CHECK, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${user?.token}`
+          },
+          body: JSON.stringify({
+            fromOrigin,
+            toDestination,
+            tripDate: format(tripDate, 'yyyy-MM-dd'),
+            numberOfPassengers: numberOfPassengers !== '' ? numberOfPassengers : null,
+            tzOffset: new Date().getTimezoneOffset()
+          }),
+          signal: controller.signal
+        });
+
+        if (response.ok) {
+          setCapacity(await response.json());
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Error checking capacity:', error);
+        }
+      }
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [isOpen, fromOrigin, toDestination, tripDate, numberOfPassengers, capacityReloadKey, user?.token]);
+
+  // Passengers matching the search, ranked by the server
+  useEffect(() => {
+    const query = passengerSearch.trim();
+    if (!showDropdown || !query) {
+      setFilteredPassengers([]);
+      setIsSearching(false);
+      return;
     }
-  }, [selectedDate, tripType, currentLocation, isOpen, userHomeBase]);
+
+    const controller = new AbortController();
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: query, limit: '20' });
+        const response = await fetch(API_ENDPOINTS.PASSENGER_SEARCH(params), {
+          headers: {
+            'Authorization': `Bearer ${user?.token}`,
+            'Content-Type': 'application/json'
+          },
+          signal: controller.signal
+        });
+
+        if (response.ok) {
+          setFilteredPassengers(await response.json());
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Error searching passengers:', error);
+        }
+      } finally {
+        if (!controller.signal.aborted) setIsSearching(false);
+      }
+    }, 250);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [passengerSearch, showDropdown, user?.token]);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -169,15 +269,34 @@ export default function AddTripModal({
       toDestination,
       tripDate: format(tripDate, 'yyyy-MM-dd'),
       confirmed,
-      ...(numberOfPassengers !== '' && { numberOfPassengers: Number(numberOfPassengers) })
+      ...(numberOfPassengers !== '' && { numberOfPassengers: Number(numberOfPassengers) }),
+      ...(capacity?.level === 'exceeded' && isAdmin && { capacityOverride: { justification: overrideJustification.trim() } })
     };
 
-    onSubmit(tripData);
+    setIsSubmitting(true);
+    try {
+      await onSubmit(tripData);
+    } catch (error) {
+      // Someone else may have booked the last beds since the preview
+      if (error instanceof CapacityError) {
+        setCapacity(error.capacity);
+      }
+      setSnackbar({
+        open: true,
+        message: error instanceof Error ? error.message : 'Failed to add trip',
+        severity: 'error'
+      });
+      return;
+    } finally {
+      setIsSubmitting(false);
+    }
     
     // Clear only the passenger field and keep modal open
     setSelectedPassenger(null);
     setPassengerSearch('');
     setShowDropdown(false);
+    setOverrideJustification('');
+    setCapacityReloadKey(key => key + 1);
     setSnackbar({
       open: true,
       message: 'Trip added successfully',
@@ -210,37 +329,12 @@ export default function AddTripModal({
     }));
   };
 
-  // Custom search logic
-  const filteredPassengers = passengers.filter(passenger => {
-    const searchLower = passengerSearch.toLowerCase().trim();
-    
-    if (!searchLower) return false;
-    
-    const firstName = passenger.firstName.toLowerCase();
-    const lastName = passenger.lastName.toLowerCase();
-    const jobRole = passenger.jobRole.toLowerCase();
-    const fullName = `${firstName} ${lastName}`;
-    
-    // Split search into words to handle multiple terms
-    const searchWords = searchLower.split(/\s+/).filter(word => word.length > 0);
-    
-    // If only one search word, check individual fields
-    if (searchWords.length === 1) {
-      const word = searchWords[0];
-      return firstName.includes(word) || 
-             lastName.includes(word) || 
-             jobRole.includes(word) ||
-             fullName.includes(word);
-    }
-    
-    // If multiple search words, require ALL words to match somewhere
-    return searchWords.every(word => 
-      firstName.includes(word) || 
-      lastName.includes(word) || 
-      jobRole.includes(word) ||
-      fullName.includes(word)
-    );
-  });
+  // Certificates that will have lapsed by the day of the trip
+  const expiredCertifications = (passenger: Passenger) => {
+    return (passenger.certifications || [])
+      .filter(certification => getCertificationState(certification, tripDate || new Date()) === 'expired')
+      .map(certification => certification.name);
+  };
 
   const handlePassengerSelect = (passenger: Passenger) => {
     setSelectedPassenger(passenger);
@@ -286,7 +380,7 @@ export default function AddTripModal({
                         onChange={handleSearchChange}
                         onFocus={handleSearchFocus}
                         required
-                        helperText="Search by first name, last name, or job role"
+                        helperText="Search by name, job role, company, employee number or certification"
                         fullWidth
                         sx={{ minWidth: 0 }}
                       />
@@ -307,7 +401,11 @@ export default function AddTripModal({
                           }}
                         >
                           <List dense>
-                            {filteredPassengers.length > 0 ? (
+                            {isSearching && filteredPassengers.length === 0 ? (
+                              <ListItem>
+                                <ListItemText secondary="Searching..." />
+                              </ListItem>
+                            ) : filteredPassengers.length > 0 ? (
                               filteredPassengers.map((passenger) => (
                                 <ListItem
                                   key={passenger._id}
@@ -321,7 +419,16 @@ export default function AddTripModal({
                                 >
                                   <ListItemText
                                     primary={`${passenger.firstName} ${passenger.lastName}`}
-                                    secondary={passenger.jobRole}
+                                    secondary={
+                                      <>
+                                        {describePassengerDetails(passenger)}
+                                        {expiredCertifications(passenger).length > 0 && (
+                                          <Typography component="span" variant="caption" color="error" display="block">
+                                            Expired: {expiredCertifications(passenger).join(', ')}
+                                          </Typography>
+                                        )}
+                                      </>
+                                    }
                                   />
                                 </ListItem>
                               ))
@@ -514,6 +621,41 @@ export default function AddTripModal({
               </Alert>
             )}
 
+            {capacity && fromOrigin !== toDestination && (
+              <Alert
+                severity={capacity.level === 'exceeded' ? 'error' : capacity.level === 'warning' ? 'warning' : 'success'}
+                sx={{ mt: 2 }}
+              >
+                {capacity.level === 'ok' ? (
+                  'Projected POB stays within site capacity'
+                ) : (
+                  <>
+                    {capacity.level === 'exceeded'
+                      ? 'This trip would put a site over its maximum POB:'
+                      : 'This trip brings a site close to its maximum POB:'}
+                    {describeCapacitySites(capacity).map(line => (
+                      <div key={line}>{line}</div>
+                    ))}
+                    {capacity.level === 'exceeded' && !isAdmin && (
+                      <div>Only an administrator can book over capacity.</div>
+                    )}
+                  </>
+                )}
+              </Alert>
+            )}
+
+            {capacity?.level === 'exceeded' && isAdmin && (
+              <TextField
+                label="Override justification"
+                value={overrideJustification}
+                onChange={(e) => setOverrideJustification(e.target.value)}
+                fullWidth
+                required
+                margin="normal"
+                helperText="Recorded in the audit history"
+              />
+            )}
+
             <DialogActions sx={{ mt: 2 }}>
               <Button onClick={handleClose} variant="outlined">
                 Close
@@ -521,14 +663,16 @@ export default function AddTripModal({
               <Button
                 type="submit"
                 disabled={
+                  isSubmitting ||
                   (!selectedPassenger && !showAddPassenger) || 
                   fromOrigin === toDestination || 
                   !tripDate ||
+                  (capacity?.level === 'exceeded' && (!isAdmin || !overrideJustification.trim())) ||
                   (showAddPassenger && (!newPassenger.firstName || !newPassenger.lastName || !newPassenger.jobRole))
                 }
                 variant="contained"
               >
-                {showAddPassenger ? 'Add Passenger & Create Trip' : 'Add Trip'}
+                {showAddPassenger ? 'Add Passenger & Create Trip' : capacity?.level === 'exceeded' ? 'Add Trip Over Capacity' : 'Add Trip'}
               </Button>
             </DialogActions>
           </form>
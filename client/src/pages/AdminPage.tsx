@@ -22,6 +22,8 @@ import {
   Snackbar,
   Alert,
   Chip,
+  Switch,
+  FormControlLabel,
   Alert as MuiAlert
 } from '@mui/material';
 import {
@@ -29,14 +31,27 @@ import {
   Person,
   People,
   LocationOn,
+  History,
+  Flight,
+  Repeat,
   Close
 } from '@mui/icons-material';
 import PassengersTab from '../components/admin/PassengersTab';
 import UsersTab from '../components/admin/UsersTab';
 import SitesTab from '../components/admin/SitesTab';
+import HistoryTab from '../components/admin/HistoryTab';
+import FlightsTab from '../components/admin/FlightsTab';
+import RotationsTab from '../components/admin/RotationsTab';
+import CertificationsEditor from '../components/admin/CertificationsEditor';
+import ImportPassengersDialog from '../components/admin/ImportPassengersDialog';
+import DuplicatePassengersDialog from '../components/admin/DuplicatePassengersDialog';
+import PassengerProfileDialog from '../components/PassengerProfileDialog';
+import SessionsDialog from '../components/SessionsDialog';
 import { API_ENDPOINTS } from '../config/api';
+import { matchesPassengerSearch } from '../config/passengers';
+import type { PassengerProfile, Certification, EmergencyContact } from '../config/passengers';
 
-interface Passenger {
+interface Passenger extends PassengerProfile {
   _id: string;
   firstName: string;
   lastName: string;
@@ -46,10 +61,12 @@ interface Passenger {
 interface User {
   _id: string;
   userName: string;
+  email?: string;
   firstName: string;
   lastName: string;
   homeLocation: string;
   isAdmin: boolean;
+  coordinatorSites?: string[];
   lastLogin?: string;
 }
 
@@ -59,6 +76,10 @@ interface Site {
   currentPOB: number;
   maximumPOB: number;
   pobUpdatedDate: string;
+  color: string;
+  type: 'base' | 'rig' | 'vessel';
+  sortOrder: number;
+  archived: boolean;
 }
 
 interface PassengerForm {
@@ -66,34 +87,82 @@ interface PassengerForm {
   firstName: string;
   lastName: string;
   jobRole: string;
+  company: string;
+  employeeNumber: string;
+  phone: string;
+  emergencyContact: EmergencyContact;
+  // Kept as typed so an empty field stays empty
+  bodyWeight: string;
+  baggageWeight: string;
+  certifications: Certification[];
 }
 
 interface UserForm {
   _id: string;
   userName: string;
+  email: string;
   password: string;
   confirmPassword: string;
   firstName: string;
   lastName: string;
   homeLocation: string;
   isAdmin: boolean;
+  coordinatorSites: string[];
 }
 
 interface SiteForm {
   _id: string;
   siteName: string;
+  originalName: string;
   currentPOB: number;
   maximumPOB: number;
+  color: string;
+  type: 'base' | 'rig' | 'vessel';
+  sortOrder: number;
+  archived: boolean;
 }
 
-// Define the available locations
-const LOCATIONS = ['NTM', 'Ogle', 'NSC', 'NDT', 'NBD', 'STC'];
+const SITE_TYPES = ['base', 'rig', 'vessel'];
+
+const emptyPassengerForm = (): PassengerForm => ({
+  _id: '',
+  firstName: '',
+  lastName: '',
+  jobRole: '',
+  company: '',
+  employeeNumber: '',
+  phone: '',
+  emergencyContact: { name: '', phone: '', relationship: '' },
+  bodyWeight: '',
+  baggageWeight: '',
+  certifications: []
+});
+
+const toPassengerForm = (passenger: Passenger): PassengerForm => ({
+  ...emptyPassengerForm(),
+  ...passenger,
+  company: passenger.company || '',
+  employeeNumber: passenger.employeeNumber || '',
+  phone: passenger.phone || '',
+  emergencyContact: { name: '', phone: '', relationship: '', ...passenger.emergencyContact },
+  bodyWeight: passenger.bodyWeight == null ? '' : String(passenger.bodyWeight),
+  baggageWeight: passenger.baggageWeight == null ? '' : String(passenger.baggageWeight),
+  certifications: passenger.certifications || []
+});
+
+const toPassengerPayload = (form: PassengerForm) => ({
+  ...form,
+  bodyWeight: form.bodyWeight === '' ? null : Number(form.bodyWeight),
+  baggageWeight: form.baggageWeight === '' ? null : Number(form.baggageWeight),
+  certifications: form.certifications.filter(certification => certification.name.trim())
+});
 
 const AdminPage = () => {
   const { user, logout } = useAuth();
   const token = user?.token;
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState(0);
+  const [sessionsUser, setSessionsUser] = useState<User | null>(null);
   const [passengers, setPassengers] = useState<Passenger[]>([]);
   const [users, setUsers] = useState<User[]>([]);
   const [sites, setSites] = useState<Site[]>([]);
@@ -112,6 +181,9 @@ const AdminPage = () => {
   });
   const [searchTerm, setSearchTerm] = useState('');
   const [duplicateWarning, setDuplicateWarning] = useState<string>('');
+  const [importOpen, setImportOpen] = useState(false);
+  const [duplicatesOpen, setDuplicatesOpen] = useState(false);
+  const [profilePassenger, setProfilePassenger] = useState<Passenger | null>(null);
 
   useEffect(() => {
     const fetchData = async () => {
@@ -121,7 +193,8 @@ const AdminPage = () => {
           'Content-Type': 'application/json'
         };
 
-        if (activeTab === 0) {
+        // Rotations pick their passenger from the same list
+        if (activeTab === 0 || activeTab === 5) {
           setLoading(prev => ({ ...prev, passengers: true }));
           const response = await fetch(API_ENDPOINTS.PASSENGERS, { headers });
           const data = await response.json();
@@ -133,7 +206,7 @@ const AdminPage = () => {
           setUsers(data);
         } else if (activeTab === 2) {
           setLoading(prev => ({ ...prev, sites: true }));
-          const response = await fetch(API_ENDPOINTS.SITES, { headers });
+          const response = await fetch(API_ENDPOINTS.SITES_ALL, { headers });
           const data = await response.json();
           setSites(data);
         }
@@ -155,100 +228,138 @@ const AdminPage = () => {
     fetchData();
   }, [activeTab, token]);
 
+  // Sites are needed on every tab for location pickers
+  useEffect(() => {
+    const fetchSites = async () => {
+      try {
+        const response = await fetch(API_ENDPOINTS.SITES_ALL, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        if (response.ok) {
+          setSites(await response.json());
+        }
+      } catch (err) {
+        console.error('Failed to fetch sites:', err);
+      }
+    };
+
+    fetchSites();
+  }, [token]);
+
+  const siteNames = sites.filter(site => !site.archived).map(site => site.siteName);
+  const defaultHomeBase = sites.find(site => !site.archived && site.type === 'base')?.siteName || '';
+
   // Check for duplicate passengers when form fields change
   useEffect(() => {
-    if (activeTab === 0 && openDialog && currentItem && !isEditing) {
-      const passengerForm = currentItem as PassengerForm;
-      const { firstName, lastName } = passengerForm;
-      
-      if (firstName.trim() || lastName.trim()) {
-        const duplicates = passengers.filter(p => 
-          p.firstName.toLowerCase().includes(firstName.toLowerCase()) &&
-          p.lastName.toLowerCase().includes(lastName.toLowerCase())
+    if (!(activeTab === 0 && openDialog && currentItem && !isEditing)) {
+      setDuplicateWarning('');
+      return;
+    }
+
+    const passengerForm = currentItem as PassengerForm;
+    const { firstName, lastName, employeeNumber } = passengerForm;
+
+    // An employee number identifies one person, so a match settles it
+    const employeeMatch = employeeNumber.trim() && passengers.find(p => 
+      p.employeeNumber?.toLowerCase() === employeeNumber.trim().toLowerCase()
+    );
+
+    if (employeeMatch) {
+      setDuplicateWarning(`⚠️ Employee number ${employeeMatch.employeeNumber} already belongs to "${employeeMatch.firstName} ${employeeMatch.lastName}"`);
+      return;
+    }
+
+    const query = `${firstName} ${lastName}`.trim();
+    if (!query) {
+      setDuplicateWarning('');
+      return;
+    }
+
+    // Names are matched on the server; wait for typing to pause
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: query, limit: '5' });
+        const response = await fetch(API_ENDPOINTS.PASSENGER_SEARCH(params), {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          signal: controller.signal
+        });
+        if (!response.ok) throw new Error('Failed to check for duplicates');
+
+        const matches: Passenger[] = await response.json();
+        const exactMatch = matches.find(p => 
+          p.firstName.toLowerCase() === firstName.trim().toLowerCase() && 
+          p.lastName.toLowerCase() === lastName.trim().toLowerCase()
         );
-        
-        if (duplicates.length > 0) {
-          if (firstName && lastName) {
-            // Exact match found
-            const exactMatch = duplicates.find(p => 
-              p.firstName.toLowerCase() === firstName.toLowerCase() && 
-              p.lastName.toLowerCase() === lastName.toLowerCase()
-            );
-            
-            if (exactMatch) {
-              setDuplicateWarning(`⚠️ Exact match found: "${exactMatch.firstName} ${exactMatch.lastName}" works as "${exactMatch.jobRole}"`);
-            } else {
-              // Partial matches
-              const firstNameMatches = passengers.filter(p => 
-                p.firstName.toLowerCase().includes(firstName.toLowerCase())
-              ).length;
-              
-              const lastNameMatches = passengers.filter(p => 
-                p.lastName.toLowerCase().includes(lastName.toLowerCase())
-              ).length;
-              
-              setDuplicateWarning(
-                `🔍 ${firstNameMatches} passenger(s) with similar first name, ${lastNameMatches} with similar last name. ` +
-                `${duplicates.length} potential match(es) found.`
-              );
-            }
-          } else if (firstName) {
-            const firstNameMatches = passengers.filter(p => 
-              p.firstName.toLowerCase().includes(firstName.toLowerCase())
-            ).length;
-            setDuplicateWarning(`🔍 ${firstNameMatches} passenger(s) with similar first name`);
-          } else if (lastName) {
-            const lastNameMatches = passengers.filter(p => 
-              p.lastName.toLowerCase().includes(lastName.toLowerCase())
-            ).length;
-            setDuplicateWarning(`🔍 ${lastNameMatches} passenger(s) with similar last name`);
-          }
+
+        if (exactMatch) {
+          setDuplicateWarning(`⚠️ Exact match found: "${exactMatch.firstName} ${exactMatch.lastName}" works as "${exactMatch.jobRole}"`);
+        } else if (matches.length > 0) {
+          setDuplicateWarning(`🔍 Similar passengers: ${matches.map(p => `${p.firstName} ${p.lastName}`).join(', ')}`);
         } else {
           setDuplicateWarning('');
         }
-      } else {
-        setDuplicateWarning('');
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          console.error('Error checking for duplicate passengers:', err);
+        }
       }
-    } else {
-      setDuplicateWarning('');
-    }
-  }, [currentItem, passengers, activeTab, openDialog, isEditing]);
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [currentItem, passengers, activeTab, openDialog, isEditing, token]);
 
   const handleOpenDialog = (item: Passenger | User | Site | null = null) => {
     if (item && activeTab === 1) {
       setCurrentItem({
         ...item,
+        email: (item as User).email || '',
+        coordinatorSites: (item as User).coordinatorSites || [],
         password: '',
         confirmPassword: ''
       } as UserForm);
     } else if (item && activeTab === 0) {
-      setCurrentItem(item as PassengerForm);
+      setCurrentItem(toPassengerForm(item as Passenger));
     } else if (item && activeTab === 2) {
-      setCurrentItem(item as SiteForm);
-    } else if (activeTab === 0) {
       setCurrentItem({
-        _id: '',
-        firstName: '',
-        lastName: '',
-        jobRole: ''
-      });
+        ...(item as Site),
+        originalName: (item as Site).siteName
+      } as SiteForm);
+    } else if (activeTab === 0) {
+      setCurrentItem(emptyPassengerForm());
     } else if (activeTab === 1) {
       setCurrentItem({
         _id: '',
         userName: '',
+        email: '',
         password: '',
         confirmPassword: '',
         firstName: '',
         lastName: '',
-        homeLocation: 'NSC', // Default to NSC
-        isAdmin: false
+        homeLocation: siteNames[0] || '',
+        isAdmin: false,
+        coordinatorSites: []
       });
     } else if (activeTab === 2) {
       setCurrentItem({
         _id: '',
         siteName: '',
+        originalName: '',
         currentPOB: 0,
-        maximumPOB: 200
+        maximumPOB: 200,
+        color: '#666666',
+        type: 'rig',
+        sortOrder: sites.length + 1,
+        archived: false
       });
     }
     setIsEditing(!!item);
@@ -267,6 +378,16 @@ const AdminPage = () => {
     setCurrentItem(prev => (prev ? { ...prev, [name]: value } : null));
   };
 
+  const handlePassengerFormChange = (changes: Partial<PassengerForm>) => {
+    setCurrentItem(prev => (prev ? { ...prev, ...changes } as PassengerForm : null));
+  };
+
+  const handleEmergencyContactChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    const contact = (currentItem as PassengerForm).emergencyContact;
+    handlePassengerFormChange({ emergencyContact: { ...contact, [name]: value } });
+  };
+
   const handleSave = async () => {
     try {
       if (activeTab === 1) {
@@ -289,7 +410,7 @@ const AdminPage = () => {
 
       if (activeTab === 0) {
         url = API_ENDPOINTS.PASSENGERS;
-        dataToSend = currentItem;
+        dataToSend = toPassengerPayload(currentItem as PassengerForm);
       } else if (activeTab === 1) {
         // Use different endpoints for creating vs editing users
         if (isEditing) {
@@ -297,11 +418,13 @@ const AdminPage = () => {
           const userForm = currentItem as UserForm;
           dataToSend = {
             userName: userForm.userName,
+            email: userForm.email,
             ...(userForm.password && { password: userForm.password }),
             firstName: userForm.firstName,
             lastName: userForm.lastName,
             homeLocation: userForm.homeLocation,
-            isAdmin: userForm.isAdmin
+            isAdmin: userForm.isAdmin,
+            coordinatorSites: userForm.coordinatorSites
           };
         } else {
           // Use register endpoint for new users
@@ -309,19 +432,59 @@ const AdminPage = () => {
           const userForm = currentItem as UserForm;
           dataToSend = {
             userName: userForm.userName,
+            email: userForm.email,
             password: userForm.password,
             firstName: userForm.firstName,
             lastName: userForm.lastName,
             homeLocation: userForm.homeLocation,
-            isAdmin: userForm.isAdmin
+            isAdmin: userForm.isAdmin,
+            coordinatorSites: userForm.coordinatorSites
           };
         }
       } else if (activeTab === 2) {
         const siteForm = currentItem as SiteForm;
-        url = API_ENDPOINTS.SITE_POB(siteForm.siteName);
-        dataToSend = {
-          currentPOB: Number(siteForm.currentPOB)
+        const siteName = siteForm.siteName.trim();
+        const displayFields = {
+          color: siteForm.color,
+          type: siteForm.type,
+          sortOrder: Number(siteForm.sortOrder)
         };
+
+        if (isEditing) {
+          // Renaming also updates every trip, flight and user that refers to the site
+          if (siteName !== siteForm.originalName) {
+            const renameResponse = await fetch(API_ENDPOINTS.SITE_RENAME(siteForm.originalName), {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+              },
+              body: JSON.stringify({ newName: siteName })
+            });
+
+            if (!renameResponse.ok) {
+              const errorData = await renameResponse.json();
+              throw new Error(errorData.message || errorData.error || 'Failed to rename site');
+            }
+          }
+
+          // Only send currentPOB when it changed, since it moves the POB anchor date
+          const originalSite = sites.find(site => site._id === siteForm._id);
+          url = API_ENDPOINTS.SITE_BY_NAME(siteName);
+          dataToSend = {
+            ...displayFields,
+            archived: siteForm.archived,
+            ...(Number(siteForm.currentPOB) !== originalSite?.currentPOB && { currentPOB: Number(siteForm.currentPOB) })
+          };
+        } else {
+          url = API_ENDPOINTS.SITES;
+          dataToSend = {
+            ...displayFields,
+            siteName,
+            currentPOB: Number(siteForm.currentPOB),
+            maximumPOB: Number(siteForm.maximumPOB)
+          };
+        }
       }
 
       const id = currentItem?._id;
@@ -345,7 +508,7 @@ const AdminPage = () => {
         });
       } else if (activeTab === 2) {
         response = await fetch(url!, {
-          method: 'PUT',
+          method: isEditing ? 'PUT' : 'POST',
           headers,
           body: JSON.stringify(dataToSend),
         });
@@ -381,12 +544,7 @@ const AdminPage = () => {
         
         // Clear form fields but keep dialog open for adding more passengers
         if (!isEditing) {
-          setCurrentItem({
-            _id: '',
-            firstName: '',
-            lastName: '',
-            jobRole: ''
-          });
+          setCurrentItem(emptyPassengerForm());
           setDuplicateWarning('');
         } else {
           handleCloseDialog();
@@ -396,7 +554,7 @@ const AdminPage = () => {
         setUsers(await usersResponse.json());
         handleCloseDialog();
       } else if (activeTab === 2) {
-        const sitesResponse = await fetch(API_ENDPOINTS.SITES, { headers: headersForRefresh });
+        const sitesResponse = await fetch(API_ENDPOINTS.SITES_ALL, { headers: headersForRefresh });
         setSites(await sitesResponse.json());
         handleCloseDialog();
       }
@@ -415,15 +573,28 @@ const AdminPage = () => {
       const url = activeTab === 0 
         ? API_ENDPOINTS.PASSENGER_BY_ID(id)
         : API_ENDPOINTS.USER_BY_ID(id);
+      const headers = {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      };
       
-      const response = await fetch(url, {
+      let response = await fetch(url, {
         method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
+        headers
       });
 
+      // Passengers with trips are only deleted once the trips' fate is confirmed
+      if (activeTab === 0 && response.status === 409) {
+        const errorData = await response.json();
+        if (!window.confirm(`This passenger has ${errorData.tripCount} trip(s) and ${errorData.rotationCount ?? 0} rotation series. Delete the passenger along with them?`)) {
+          return;
+        }
+        response = await fetch(`${url}?trips=cascade`, {
+          method: 'DELETE',
+          headers
+        });
+      }
+
       if (!response.ok) throw new Error('Delete failed');
 
       setSnackbar({
@@ -446,6 +617,64 @@ const AdminPage = () => {
     }
   };
 
+  const refreshPassengers = async () => {
+    try {
+      const response = await fetch(API_ENDPOINTS.PASSENGERS, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      setPassengers(await response.json());
+    } catch (err) {
+      console.error('Error refreshing passengers:', err);
+    }
+  };
+
+  const handlePassengersImported = async (created: number) => {
+    setSnackbar({
+      open: true,
+      message: `Imported ${created} passenger(s)`,
+      severity: 'success'
+    });
+    await refreshPassengers();
+  };
+
+  const handlePassengersMerged = async (movedTrips: number) => {
+    setSnackbar({
+      open: true,
+      message: `Passengers merged; ${movedTrips} trip(s) moved`,
+      severity: 'success'
+    });
+    await refreshPassengers();
+  };
+
+  // The export needs the auth header, so download it through a blob URL
+  const handleExportPassengers = async (exportFormat: 'csv' | 'xlsx') => {
+    try {
+      const response = await fetch(API_ENDPOINTS.PASSENGER_EXPORT(exportFormat), {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) throw new Error('Export failed');
+
+      const objectUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = `passengers.${exportFormat}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+    } catch (err) {
+      setSnackbar({
+        open: true,
+        message: err instanceof Error ? err.message : 'Export failed',
+        severity: 'error'
+      });
+    }
+  };
+
   const handleInitializeSites = async () => {
     try {
       const response = await fetch(API_ENDPOINTS.INITIALIZE_SITES, {
@@ -464,7 +693,7 @@ const AdminPage = () => {
         severity: 'success'
       });
 
-      const sitesResponse = await fetch(API_ENDPOINTS.SITES, {
+      const sitesResponse = await fetch(API_ENDPOINTS.SITES_ALL, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -482,27 +711,21 @@ const AdminPage = () => {
 
   const filterPassengers = (passenger: Passenger) => {
     if (!searchTerm) return true;
-    const term = searchTerm.toLowerCase();
-    const firstName = passenger.firstName?.toLowerCase() || '';
-    const lastName = passenger.lastName?.toLowerCase() || '';
-    const jobRole = passenger.jobRole?.toLowerCase() || '';
-    return (
-      firstName.includes(term) ||
-      lastName.includes(term) ||
-      jobRole.includes(term)
-    );
+    return matchesPassengerSearch(passenger, searchTerm);
   };
 
   const filterUsers = (user: User) => {
     if (!searchTerm) return true;
     const term = searchTerm.toLowerCase();
     const userName = user.userName?.toLowerCase() || '';
+    const email = user.email?.toLowerCase() || '';
     const firstName = user.firstName?.toLowerCase() || '';
     const lastName = user.lastName?.toLowerCase() || '';
     const homeLocation = user.homeLocation?.toLowerCase() || '';
     const adminStatus = user.isAdmin ? 'admin' : '';
     return (
       userName.includes(term) ||
+      email.includes(term) ||
       firstName.includes(term) ||
       lastName.includes(term) ||
       homeLocation.includes(term) ||
@@ -572,6 +795,9 @@ const AdminPage = () => {
             <Tab label="Passengers" icon={<Person />} />
             <Tab label="Users" icon={<People />} />
             <Tab label="Sites" icon={<LocationOn />} />
+            <Tab label="History" icon={<History />} />
+            <Tab label="Flights" icon={<Flight />} />
+            <Tab label="Rotations" icon={<Repeat />} />
           </Tabs>
 
           <Box sx={{ mt: 3 }}>
@@ -588,6 +814,10 @@ const AdminPage = () => {
                     onSearchChange={setSearchTerm}
                     onOpenDialog={handleOpenDialog}
                     onDelete={handleDelete}
+                    onImport={() => setImportOpen(true)}
+                    onExport={handleExportPassengers}
+                    onFindDuplicates={() => setDuplicatesOpen(true)}
+                    onOpenProfile={setProfilePassenger}
                     filterPassengers={filterPassengers}
                   />
                 )}
@@ -598,6 +828,7 @@ const AdminPage = () => {
                     onSearchChange={setSearchTerm}
                     onOpenDialog={handleOpenDialog}
                     onDelete={handleDelete}
+                    onOpenSessions={setSessionsUser}
                     filterUsers={filterUsers}
                   />
                 )}
@@ -613,12 +844,59 @@ const AdminPage = () => {
                     getPOBStatus={getPOBStatus}
                   />
                 )}
+                {activeTab === 3 && (
+                  <HistoryTab
+                    token={token}
+                    formatDate={formatDate}
+                  />
+                )}
+                {activeTab === 4 && (
+                  <FlightsTab token={token} siteNames={siteNames} />
+                )}
+                {activeTab === 5 && (
+                  <RotationsTab
+                    token={token}
+                    siteNames={siteNames}
+                    defaultHomeBase={defaultHomeBase}
+                    passengers={passengers}
+                  />
+                )}
               </>
             )}
           </Box>
         </Paper>
       </Container>
 
+      <SessionsDialog
+        open={sessionsUser !== null}
+        onClose={() => setSessionsUser(null)}
+        token={token}
+        userId={sessionsUser?._id}
+        userName={sessionsUser?.userName}
+        onSignedOut={logout}
+      />
+
+      <ImportPassengersDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        token={token}
+        onImported={handlePassengersImported}
+      />
+
+      <DuplicatePassengersDialog
+        open={duplicatesOpen}
+        onClose={() => setDuplicatesOpen(false)}
+        token={token}
+        onMerged={handlePassengersMerged}
+      />
+
+      <PassengerProfileDialog
+        open={profilePassenger !== null}
+        onClose={() => setProfilePassenger(null)}
+        token={token}
+        passenger={profilePassenger}
+      />
+
       <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
         <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
           {isEditing ? 'Edit' : 'Add New'} {activeTab === 0 ? 'Passenger' : activeTab === 2 ? 'Site' : 'User'}
@@ -654,11 +932,81 @@ const AdminPage = () => {
                   fullWidth
                   required
                 />
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    name="company"
+                    label="Company"
+                    value={(currentItem as PassengerForm)?.company || ''}
+                    onChange={handleInputChange}
+                    fullWidth
+                  />
+                  <TextField
+                    name="employeeNumber"
+                    label="Employee Number"
+                    value={(currentItem as PassengerForm)?.employeeNumber || ''}
+                    onChange={handleInputChange}
+                    fullWidth
+                  />
+                </Box>
+                <TextField
+                  name="phone"
+                  label="Phone"
+                  value={(currentItem as PassengerForm)?.phone || ''}
+                  onChange={handleInputChange}
+                  fullWidth
+                />
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    name="name"
+                    label="Emergency Contact"
+                    value={(currentItem as PassengerForm)?.emergencyContact.name || ''}
+                    onChange={handleEmergencyContactChange}
+                    fullWidth
+                  />
+                  <TextField
+                    name="relationship"
+                    label="Relationship"
+                    value={(currentItem as PassengerForm)?.emergencyContact.relationship || ''}
+                    onChange={handleEmergencyContactChange}
+                    fullWidth
+                  />
+                  <TextField
+                    name="phone"
+                    label="Contact Phone"
+                    value={(currentItem as PassengerForm)?.emergencyContact.phone || ''}
+                    onChange={handleEmergencyContactChange}
+                    fullWidth
+                  />
+                </Box>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    name="bodyWeight"
+                    label="Body Weight (kg)"
+                    type="number"
+                    value={(currentItem as PassengerForm)?.bodyWeight || ''}
+                    onChange={handleInputChange}
+                    inputProps={{ min: 0 }}
+                    fullWidth
+                  />
+                  <TextField
+                    name="baggageWeight"
+                    label="Baggage Weight (kg)"
+                    type="number"
+                    value={(currentItem as PassengerForm)?.baggageWeight || ''}
+                    onChange={handleInputChange}
+                    inputProps={{ min: 0 }}
+                    fullWidth
+                  />
+                </Box>
+                <CertificationsEditor
+                  certifications={(currentItem as PassengerForm)?.certifications || []}
+                  onChange={(certifications) => handlePassengerFormChange({ certifications })}
+                />
                 
                 {/* Duplicate Warning */}
                 {duplicateWarning && (
                   <MuiAlert 
-                    severity={duplicateWarning.includes('⚠️ Exact match found') ? 'warning' : 'info'}
+                    severity={duplicateWarning.startsWith('⚠️') ? 'warning' : 'info'}
                     sx={{ mt: 1 }}
                   >
                     {duplicateWarning}
@@ -677,6 +1025,15 @@ const AdminPage = () => {
                   disabled={isEditing}
                   helperText="Letters, numbers, and hyphens only"
                 />
+                <TextField
+                  name="email"
+                  label="Email"
+                  type="email"
+                  value={(currentItem as UserForm)?.email || ''}
+                  onChange={handleInputChange}
+                  fullWidth
+                  helperText="Used to send password reset links"
+                />
                 
                 {/* Password fields - always show for new users, optional for editing */}
                 <TextField
@@ -735,7 +1092,7 @@ const AdminPage = () => {
                   fullWidth
                   required
                 >
-                  {LOCATIONS.map((location) => (
+                  {siteNames.map((location) => (
                     <MenuItem key={location} value={location}>
                       {location}
                     </MenuItem>
@@ -760,6 +1117,32 @@ const AdminPage = () => {
                   <MenuItem value="false">No</MenuItem>
                   <MenuItem value="true">Yes</MenuItem>
                 </TextField>
+
+                <TextField
+                  name="coordinatorSites"
+                  label="Coordinator For"
+                  value={(currentItem as UserForm)?.coordinatorSites || []}
+                  onChange={(e) => {
+                    if (currentItem) {
+                      const value = e.target.value as unknown as string[] | string;
+                      setCurrentItem({
+                        ...currentItem,
+                        coordinatorSites: typeof value === 'string' ? value.split(',') : value
+                      } as UserForm);
+                    }
+                  }}
+                  select
+                  fullWidth
+                  disabled={(currentItem as UserForm)?.isAdmin}
+                  SelectProps={{ multiple: true }}
+                  helperText="Sites this user can manage trips and POB for (admins can manage all sites)"
+                >
+                  {siteNames.map((location) => (
+                    <MenuItem key={location} value={location}>
+                      {location}
+                    </MenuItem>
+                  ))}
+                </TextField>
               </>
             ) : activeTab === 2 ? (
               <>
@@ -770,7 +1153,7 @@ const AdminPage = () => {
                   onChange={handleInputChange}
                   fullWidth
                   required
-                  disabled={isEditing}
+                  helperText={isEditing ? "Renaming updates all trips, flights and users at this site" : ""}
                 />
                 <TextField
                   name="currentPOB"
@@ -791,9 +1174,55 @@ const AdminPage = () => {
                   fullWidth
                   required
                   inputProps={{ min: 1 }}
-                  disabled={true}
-                  helperText="Maximum POB cannot be edited"
+                  disabled={isEditing}
+                  helperText={isEditing ? "Maximum POB cannot be edited" : ""}
                 />
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    name="type"
+                    label="Type"
+                    value={(currentItem as SiteForm)?.type || 'rig'}
+                    onChange={handleInputChange}
+                    select
+                    fullWidth
+                  >
+                    {SITE_TYPES.map((type) => (
+                      <MenuItem key={type} value={type}>
+                        {type}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  <TextField
+                    name="sortOrder"
+                    label="Sort Order"
+                    type="number"
+                    value={(currentItem as SiteForm)?.sortOrder ?? 0}
+                    onChange={handleInputChange}
+                    fullWidth
+                  />
+                  <TextField
+                    name="color"
+                    label="Color"
+                    type="color"
+                    value={(currentItem as SiteForm)?.color || '#666666'}
+                    onChange={handleInputChange}
+                    fullWidth
+                  />
+                </Box>
+                {isEditing && (
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={(currentItem as SiteForm)?.archived || false}
+                        onChange={(e) => setCurrentItem({
+                          ...(currentItem as SiteForm),
+                          archived: e.target.checked
+                        })}
+                      />
+                    }
+                    label="Archived (hidden from location pickers)"
+                  />
+                )}
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                   <Typography variant="body2" color="textSecondary">
                     Utilization:
@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react';
+import { format, addDays } from 'date-fns';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Button,
+  CircularProgress,
+  Alert,
+  Typography
+} from '@mui/material';
+import type { Trip } from './HeliPage';
+import { API_ENDPOINTS } from '../config/api';
+import { CANCELLATION_CATEGORY_LABELS } from '../config/tripStatus';
+import type { CancellationCategory } from '../config/tripStatus';
+import { useAuth } from '../auth/AuthContext';
+
+export interface CancelDayResult {
+  rescheduledTo: string | null;
+  cancelled: Trip[];
+  rescheduled: Trip[];
+}
+
+interface CancelDayModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  site: string;
+  date: Date;
+  // Open trips at the site that day, shown so the user knows what will change
+  tripCount: number;
+  onCancelled: (result: CancelDayResult) => void;
+}
+
+type RescheduleMode = 'next' | 'date' | 'none';
+
+export default function CancelDayModal({
+  isOpen,
+  onClose,
+  site,
+  date,
+  tripCount,
+  onCancelled
+}: CancelDayModalProps) {
+  const { user } = useAuth();
+  const [category, setCategory] = useState<CancellationCategory>('weather');
+  const [reason, setReason] = useState('');
+  const [rescheduleMode, setRescheduleMode] = useState<RescheduleMode>('next');
+  const [rescheduleDate, setRescheduleDate] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setCategory('weather');
+    setReason('');
+    setRescheduleMode('next');
+    setRescheduleDate(format(addDays(date, 1), 'yyyy-MM-dd'));
+    setError(null);
+  }, [isOpen, date]);
+
+  const handleSubmit = async () => {
+    if (isSubmitting) return;
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(API_ENDPOINTS.TRIP_CANCEL_DAY, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user?.token}`
+        },
+        body: JSON.stringify({
+          site,
+          date: format(date, 'yyyy-MM-dd'),
+          category,
+          reason: reason.trim(),
+          reschedule: rescheduleMode === 'next' ? true : rescheduleMode === 'date' ? rescheduleDate : false
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || errorData.error || 'Failed to cancel trips');
+      }
+
+      onCancelled(await response.json());
+      onClose();
+    } catch (error) {
+      console.error('Error cancelling day:', error);
+      setError(error instanceof Error ? error.message : 'Failed to cancel trips');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Cancel {site} trips on {format(date, 'MMM d')}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+        <Typography variant="body2" color="textSecondary">
+          {tripCount > 0
+            ? `${tripCount} open trip(s) will be marked cancelled. They stay on this day for reporting.`
+            : 'There are no open trips to cancel on this day.'}
+        </Typography>
+
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Cancelled for</InputLabel>
+          <Select
+            value={category}
+            onChange={(e) => setCategory(e.target.value as CancellationCategory)}
+            label="Cancelled for"
+          >
+            {(Object.keys(CANCELLATION_CATEGORY_LABELS) as CancellationCategory[]).map(value => (
+              <MenuItem key={value} value={value}>{CANCELLATION_CATEGORY_LABELS[value]}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <TextField
+          label="Reason"
+          fullWidth
+          margin="normal"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. Low cloud, flights scrubbed"
+        />
+
+        <RadioGroup
+          value={rescheduleMode}
+          onChange={(e) => setRescheduleMode(e.target.value as RescheduleMode)}
+        >
+          <FormControlLabel value="next" control={<Radio />} label="Rebook on the next available day" />
+          <FormControlLabel value="date" control={<Radio />} label="Rebook on a chosen day" />
+          <FormControlLabel value="none" control={<Radio />} label="Do not rebook" />
+        </RadioGroup>
+
+        {rescheduleMode === 'date' && (
+          <TextField
+            type="date"
+            label="Rebook on"
+            fullWidth
+            margin="dense"
+            value={rescheduleDate}
+            onChange={(e) => setRescheduleDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant="contained"
+          color="error"
+          onClick={handleSubmit}
+          disabled={isSubmitting || tripCount === 0 || (rescheduleMode === 'date' && !rescheduleDate)}
+        >
+          {isSubmitting ? <CircularProgress size={24} /> : 'Cancel Trips'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { format } from 'date-fns';
 import {
   Dialog,
@@ -10,18 +10,27 @@ import {
   MenuItem,
   FormControl,
   InputLabel,
-  Checkbox,
-  FormControlLabel,
   Button,
   CircularProgress,
   Autocomplete,
-  Alert
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
 } from '@mui/material';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
-import type { Passenger, Trip } from './HeliPage';
+import type { Passenger, Trip, Flight, Site } from './HeliPage';
 import { API_ENDPOINTS } from '../config/api'; // Add this import
+import { TRIP_STATUS_LABELS, CANCELLATION_CATEGORY_LABELS, getTripStatus, isConfirmedStatus } from '../config/tripStatus';
+import type { TripStatus, CancellationCategory } from '../config/tripStatus';
+import { describeCapacitySites, withoutCapacity } from '../config/capacity';
+import type { CapacityResult } from '../config/capacity';
+import { useAuth } from '../auth/AuthContext';
 
 // Helper function to normalize dates (fix timezone issues)
 const normalizeDate = (dateString: string) => {
@@ -35,65 +44,134 @@ interface EditTripModalProps {
   onClose: () => void;
   passengers: Passenger[];
   trip: Trip | null;
+  sites: Site[];
+  flights: Flight[];
   currentLocation: string;
   onUpdate: (updatedTrip: Trip) => void;
   onDelete: (tripId: string) => void;
 }
 
-const locations = ['Ogle', 'NTM', 'NSC', 'NDT', 'NBD', 'STC'];
 
 export default function EditTripModal({
   isOpen,
   onClose,
   passengers,
   trip,
+  sites,
+  flights,
   onUpdate,
   onDelete
 }: EditTripModalProps) {
+  const { user } = useAuth();
   const [passengerSearch, setPassengerSearch] = useState('');
   const [selectedPassenger, setSelectedPassenger] = useState<Passenger | null>(null);
-  const [fromOrigin, setFromOrigin] = useState('NTM');
-  const [toDestination, setToDestination] = useState('NSC');
+  const [fromOrigin, setFromOrigin] = useState('');
+  const [toDestination, setToDestination] = useState('');
   const [tripDate, setTripDate] = useState<Date | null>(new Date());
-  const [confirmed, setConfirmed] = useState(false);
+  const [status, setStatus] = useState<TripStatus>('planned');
+  const [cancellationCategory, setCancellationCategory] = useState<CancellationCategory>('operational');
+  const [cancellationReason, setCancellationReason] = useState('');
   const [numberOfPassengers, setNumberOfPassengers] = useState<number | ''>('');
+  const [flightId, setFlightId] = useState('');
   const [isDeleting, setIsDeleting] = useState(false);
   const [isUpdating, setIsUpdating] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  // The server copy the form was loaded from; its __v is sent with the update
+  const [baseTrip, setBaseTrip] = useState<Trip | null>(null);
+  // Set when the update was rejected because someone else saved first
+  const [conflict, setConflict] = useState<Trip | null>(null);
+  // Set when the update was refused because a site would go over its maximum POB
+  const [capacityBlock, setCapacityBlock] = useState<CapacityResult | null>(null);
+  const [overrideJustification, setOverrideJustification] = useState('');
+
+  // Read through a ref so live passenger updates don't reset the form mid-edit
+  const passengersRef = useRef(passengers);
+  useEffect(() => {
+    passengersRef.current = passengers;
+  }, [passengers]);
+
+  const loadForm = useCallback((source: Trip) => {
+    const passenger = passengersRef.current.find(p => p._id === source.passengerId);
+    setPassengerSearch(
+      passenger ? `${passenger.firstName} ${passenger.lastName}` : ''
+    );
+    setSelectedPassenger(passenger || null);
+    setFromOrigin(source.fromOrigin);
+    setToDestination(source.toDestination);
+    // Use the normalizeDate helper to avoid timezone issues
+    setTripDate(source.tripDate ? normalizeDate(source.tripDate) : new Date());
+    setStatus(getTripStatus(source));
+    setCancellationCategory(source.cancellation?.category || 'operational');
+    setCancellationReason(source.cancellation?.reason || '');
+    // Set numberOfPassengers from trip data, handle null/undefined
+    setNumberOfPassengers(source.numberOfPassengers ?? '');
+    setFlightId(source.flightId || '');
+    setBaseTrip(source);
+  }, []);
   
   useEffect(() => {
     if (trip) {
-      const passenger = passengers.find(p => p._id === trip.passengerId);
-      setPassengerSearch(
-        passenger ? `${passenger.firstName} ${passenger.lastName}` : ''
-      );
-      setSelectedPassenger(passenger || null);
-      setFromOrigin(trip.fromOrigin);
-      setToDestination(trip.toDestination);
-      // Use the normalizeDate helper to avoid timezone issues
-      setTripDate(trip.tripDate ? normalizeDate(trip.tripDate) : new Date());
-      setConfirmed(trip.confirmed || false);
-      // Set numberOfPassengers from trip data, handle null/undefined
-      setNumberOfPassengers(trip.numberOfPassengers ?? '');
+      loadForm(trip);
     }
     
     return () => {
       setPassengerSearch('');
       setSelectedPassenger(null);
-      setFromOrigin('NTM');
-      setToDestination('NSC');
+      setFromOrigin('');
+      setToDestination('');
       setTripDate(new Date());
-      setConfirmed(false);
+      setStatus('planned');
+      setCancellationCategory('operational');
+      setCancellationReason('');
       setNumberOfPassengers('');
+      setFlightId('');
       setError(null);
       setIsUpdating(false);
       setIsDeleting(false);
+      setBaseTrip(null);
+      setConflict(null);
+      setCapacityBlock(null);
+      setOverrideJustification('');
     };
-  }, [trip, passengers]);
+  }, [trip, loadForm]);
+
+  // Describe a trip field by field, for comparing the form with the server copy
+  const describeTrip = (source: Pick<Trip, 'passengerId' | 'fromOrigin' | 'toDestination' | 'tripDate' | 'confirmed' | 'status' | 'numberOfPassengers' | 'flightId'>) => {
+    const passenger = passengers.find(p => p._id === source.passengerId);
+    const flight = flights.find(f => f._id === source.flightId);
+    return [
+      { label: 'Passenger', value: passenger ? `${passenger.firstName} ${passenger.lastName}` : 'Unknown' },
+      { label: 'Date', value: source.tripDate.split('T')[0] },
+      { label: 'From', value: source.fromOrigin },
+      { label: 'To', value: source.toDestination },
+      { label: 'Status', value: TRIP_STATUS_LABELS[getTripStatus(source)] },
+      { label: 'Passengers', value: source.numberOfPassengers ? String(source.numberOfPassengers) : '—' },
+      { label: 'Flight', value: flight ? `${flight.departureTime} · ${flight.aircraftRegistration}` : 'Not assigned' }
+    ];
+  };
 
   const handleUpdate = async (e: React.FormEvent) => {
     e.preventDefault();
-    
+    await saveTrip(baseTrip?.__v);
+  };
+
+  // Overwrite the other change with ours, now that we have seen it
+  const handleKeepMine = async () => {
+    const version = conflict?.__v;
+    setConflict(null);
+    await saveTrip(version);
+  };
+
+  // Discard our edits and continue from the server copy
+  const handleUseTheirs = () => {
+    if (!conflict) return;
+    loadForm(conflict);
+    onUpdate(conflict);
+    setConflict(null);
+    setError(null);
+  };
+
+  const saveTrip = async (version?: number) => {
     if (isUpdating || !trip || !tripDate) return;
     setIsUpdating(true);
     setError(null);
@@ -112,15 +190,30 @@ export default function EditTripModal({
     // Format the date as YYYY-MM-DD without timezone conversion
     const formattedDate = format(tripDate, 'yyyy-MM-dd');
 
+    // Only send the cancellation when it is new or edited, so the original
+    // cancellation time and user are kept
+    const currentTrip = baseTrip || trip;
+    const cancellationChanged = getTripStatus(currentTrip) !== 'cancelled' ||
+      currentTrip.cancellation?.category !== cancellationCategory ||
+      (currentTrip.cancellation?.reason || '') !== cancellationReason.trim();
+
     const updatedTrip = {
-      ...trip,
+      ...currentTrip,
       passengerId: selectedPassenger._id,
       fromOrigin,
       toDestination,
       tripDate: formattedDate,
-      confirmed,
+      status,
+      confirmed: isConfirmedStatus(status),
+      cancellation: status === 'cancelled' && cancellationChanged
+        ? { category: cancellationCategory, reason: cancellationReason.trim() }
+        : undefined,
       // Only include numberOfPassengers if it's a valid number, otherwise set to null
-      numberOfPassengers: numberOfPassengers !== '' ? Number(numberOfPassengers) : null
+      numberOfPassengers: numberOfPassengers !== '' ? Number(numberOfPassengers) : null,
+      capacityOverride: capacityBlock?.canOverride && overrideJustification.trim()
+        ? { justification: overrideJustification.trim() }
+        : undefined,
+      tzOffset: new Date().getTimezoneOffset()
     };
 
     try {
@@ -129,16 +222,65 @@ export default function EditTripModal({
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user?.token}`,
+          ...(version !== undefined && { 'If-Match': `"${version}"` })
         },
         body: JSON.stringify(updatedTrip),
       });
 
+      if (response.status === 409) {
+        const conflictData = await response.json();
+        if (conflictData.error === 'Capacity exceeded') {
+          setCapacityBlock({ ...conflictData.capacity, canOverride: conflictData.canOverride });
+        } else {
+          setConflict(conflictData.current);
+        }
+        return;
+      }
+
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to update trip');
+        throw new Error(errorData.message || errorData.error || 'Failed to update trip');
+      }
+
+      let data = withoutCapacity<Trip>(await response.json());
+
+      // Apply the flight change after the trip itself is saved, since moving
+      // the trip to another day or route (or cancelling it) clears its flight
+      // on the server
+      const wantedFlightId = status === 'cancelled' ? '' : flightId;
+      if (wantedFlightId !== (data.flightId || '')) {
+        const flightResponse = wantedFlightId
+          ? await fetch(API_ENDPOINTS.FLIGHT_TRIPS(flightId), {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${user?.token}`
+              },
+              body: JSON.stringify({ tripIds: [trip._id] }),
+            })
+          : await fetch(API_ENDPOINTS.FLIGHT_TRIP(data.flightId || '', trip._id), {
+              method: 'DELETE',
+              headers: {
+                'Authorization': `Bearer ${user?.token}`
+              }
+            });
+
+        if (!flightResponse.ok) {
+          const errorData = await flightResponse.json();
+          onUpdate(data);
+          throw new Error(errorData.problems?.join('. ') || errorData.message || 'Failed to update flight assignment');
+        }
+
+        // The flight change bumped the trip's version, so reload it
+        const tripResponse = await fetch(API_ENDPOINTS.TRIP_BY_ID(trip._id), {
+          headers: {
+            'Authorization': `Bearer ${user?.token}`
+          }
+        });
+        data = tripResponse.ok ? await tripResponse.json() : { ...data, flightId: wantedFlightId || null };
       }
 
-      const data = await response.json();
       onUpdate(data);
       onClose();
     } catch (error) {
@@ -159,11 +301,14 @@ export default function EditTripModal({
       // Use environment-based URL
       const response = await fetch(API_ENDPOINTS.TRIP_BY_ID(trip._id), {
         method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${user?.token}`
+        }
       });
 
       if (!response.ok && response.status !== 404) {
         const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to delete trip');
+        throw new Error(errorData.message || errorData.error || 'Failed to delete trip');
       }
 
       onDelete(trip._id);
@@ -185,6 +330,41 @@ export default function EditTripModal({
     }
   };
 
+  // Keep the trip's own sites selectable even if they have since been archived
+  const locations = [...new Set([
+    ...sites.map(site => site.siteName),
+    ...(trip ? [trip.fromOrigin, trip.toDestination] : [])
+  ])];
+
+  // Flights on the selected day whose route carries this trip
+  const selectedDate = tripDate ? format(tripDate, 'yyyy-MM-dd') : '';
+  const availableFlights = flights.filter(flight => {
+    const fromIndex = flight.route.indexOf(fromOrigin);
+    const toIndex = flight.route.indexOf(toDestination);
+    return flight.flightDate === selectedDate && fromIndex !== -1 && fromIndex < toIndex;
+  });
+
+  // Field-by-field comparison of the form with the server copy after a 409
+  const conflictRows = conflict ? (() => {
+    const mine = describeTrip({
+      passengerId: selectedPassenger?._id || '',
+      fromOrigin,
+      toDestination,
+      tripDate: selectedDate,
+      confirmed: isConfirmedStatus(status),
+      status,
+      numberOfPassengers: numberOfPassengers !== '' ? Number(numberOfPassengers) : undefined,
+      flightId: flightId || null
+    });
+    const theirs = describeTrip(conflict);
+    return mine.map((field, index) => ({
+      label: field.label,
+      mine: field.value,
+      theirs: theirs[index].value,
+      differs: field.value !== theirs[index].value
+    }));
+  })() : [];
+
   if (!isOpen || !trip) return null;
 
   return (
@@ -226,18 +406,50 @@ export default function EditTripModal({
                 />
               </FormControl>
               
-              <FormControlLabel
-                control={
-                  <Checkbox
-                    checked={confirmed}
-                    onChange={(e) => setConfirmed(e.target.checked)}
-                  />
-                }
-                label="Confirmed"
-                style={{ marginTop: '16px' }}
-              />
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Status</InputLabel>
+                <Select
+                  value={status}
+                  onChange={(e) => setStatus(e.target.value as TripStatus)}
+                  label="Status"
+                >
+                  {(Object.keys(TRIP_STATUS_LABELS) as TripStatus[]).map(value => (
+                    <MenuItem key={value} value={value}>{TRIP_STATUS_LABELS[value]}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
             </div>
 
+            {status === 'cancelled' && (
+              <div style={{ display: 'flex', gap: '16px' }}>
+                <FormControl margin="normal" style={{ minWidth: '160px' }}>
+                  <InputLabel>Cancelled for</InputLabel>
+                  <Select
+                    value={cancellationCategory}
+                    onChange={(e) => setCancellationCategory(e.target.value as CancellationCategory)}
+                    label="Cancelled for"
+                  >
+                    {(Object.keys(CANCELLATION_CATEGORY_LABELS) as CancellationCategory[]).map(value => (
+                      <MenuItem key={value} value={value}>{CANCELLATION_CATEGORY_LABELS[value]}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <TextField
+                  label="Reason"
+                  fullWidth
+                  margin="normal"
+                  value={cancellationReason}
+                  onChange={(e) => setCancellationReason(e.target.value)}
+                />
+              </div>
+            )}
+
+            {trip.originalDate && (
+              <Typography variant="body2" color="textSecondary">
+                Rescheduled, originally booked for {trip.originalDate}
+              </Typography>
+            )}
+
             <div style={{ display: 'flex', gap: '16px', marginTop: '16px' }}>
               <FormControl fullWidth margin="normal">
                 <InputLabel>From</InputLabel>
@@ -266,6 +478,22 @@ export default function EditTripModal({
               </FormControl>
             </div>
 
+            <FormControl fullWidth margin="normal" disabled={status === 'cancelled'}>
+              <InputLabel>Flight</InputLabel>
+              <Select
+                value={availableFlights.some(f => f._id === flightId) ? flightId : ''}
+                onChange={(e) => setFlightId(e.target.value)}
+                label="Flight"
+              >
+                <MenuItem value="">Not assigned</MenuItem>
+                {availableFlights.map(flight => (
+                  <MenuItem key={flight._id} value={flight._id}>
+                    {flight.departureTime} · {flight.aircraftRegistration} · {flight.route.join(' → ')} ({flight.seatsBooked}/{flight.seatCapacity})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
             {/* Add Number of Passengers Field */}
             <FormControl fullWidth margin="normal">
               <TextField
@@ -294,6 +522,29 @@ export default function EditTripModal({
               </Alert>
             )}
 
+            {capacityBlock && (
+              <Alert severity="error" sx={{ mt: 2 }}>
+                This change would put a site over its maximum POB:
+                {describeCapacitySites(capacityBlock).map(line => (
+                  <div key={line}>{line}</div>
+                ))}
+                {!capacityBlock.canOverride && (
+                  <div>Only an administrator can book over capacity.</div>
+                )}
+              </Alert>
+            )}
+
+            {capacityBlock?.canOverride && (
+              <TextField
+                label="Override justification"
+                value={overrideJustification}
+                onChange={(e) => setOverrideJustification(e.target.value)}
+                fullWidth
+                margin="normal"
+                helperText="Enter a justification and update again to save over capacity. It is recorded in the audit history."
+              />
+            )}
+
             <DialogActions sx={{ mt: 2 }}>
               <Button
                 onClick={handleDelete}
@@ -314,6 +565,43 @@ export default function EditTripModal({
           </form>
         </DialogContent>
       </Dialog>
+
+      <Dialog open={conflict !== null} onClose={() => setConflict(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Trip Changed by Someone Else</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            This trip was saved by another user after you opened it. Choose which version to keep.
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Field</TableCell>
+                <TableCell>Your changes</TableCell>
+                <TableCell>Current version</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {conflictRows.map(row => (
+                <TableRow
+                  key={row.label}
+                  sx={row.differs ? { backgroundColor: 'rgba(255, 152, 0, 0.12)' } : undefined}
+                >
+                  <TableCell>{row.label}</TableCell>
+                  <TableCell sx={{ fontWeight: row.differs ? 600 : undefined }}>{row.mine}</TableCell>
+                  <TableCell sx={{ fontWeight: row.differs ? 600 : undefined }}>{row.theirs}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConflict(null)}>Cancel</Button>
+          <Button onClick={handleUseTheirs}>Use Current Version</Button>
+          <Button variant="contained" color="warning" onClick={handleKeepMine}>
+            Keep My Changes
+          </Button>
+        </DialogActions>
+      </Dialog>
     </LocalizationProvider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Paper,
+  Alert,
+  Link
+} from '@mui/material';
+import { API_ENDPOINTS } from '../config/api';
+
+const ForgotPasswordPage = () => {
+  const [identifier, setIdentifier] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const value = identifier.trim();
+      const response = await fetch(API_ENDPOINTS.FORGOT_PASSWORD, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(value.includes('@') ? { email: value } : { userName: value })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to request password reset');
+      }
+
+      setMessage(data.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to request password reset');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        background: 'linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%)'
+      }}
+    >
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          width: 400,
+          borderRadius: 2,
+          boxShadow: '0px 4px 20px rgba(0, 0, 0, 0.1)'
+        }}
+      >
+        <Typography variant="h4" gutterBottom sx={{
+          textAlign: 'center',
+          color: 'primary.main',
+          fontWeight: 600
+        }}>
+          Forgot Password
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {message}
+          </Alert>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <TextField
+            label="Email or Username"
+            type="text"
+            fullWidth
+            margin="normal"
+            value={identifier}
+            onChange={(e) => setIdentifier(e.target.value)}
+            required
+            helperText="A reset link will be sent to the email on your account"
+          />
+
+          <Button
+            type="submit"
+            variant="contained"
+            fullWidth
+            sx={{ mt: 3, py: 1.5 }}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+          </Button>
+        </form>
+
+        <Box sx={{ mt: 2, textAlign: 'center' }}>
+          <Link component={RouterLink} to="/" variant="body2">
+            Back to login
+          </Link>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -1,21 +1,31 @@
 import { useState, useEffect, useCallback } from 'react';
 import { format, addWeeks, startOfWeek, endOfWeek, eachDayOfInterval } from 'date-fns';
-import { AppBar, Toolbar, IconButton, Typography, Box, Button } from '@mui/material';
-import { Settings, ChevronLeft, ChevronRight } from '@mui/icons-material';
+import { AppBar, Toolbar, IconButton, Typography, Box, Button, Menu, MenuItem, Paper, TextField } from '@mui/material';
+import { Settings, ChevronLeft, ChevronRight, Print, Devices, Close, Thunderstorm, UploadFile, BarChart } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../auth/AuthContext';
 import LocationDropdown from './LocationDropdown';
 import PassengerCard from './PassengerCard';
 import AddTripModal from './AddTripModal';
 import EditTripModal from './EditTripModal';
+import CancelDayModal from './CancelDayModal';
+import type { CancelDayResult } from './CancelDayModal';
+import ImportTripsModal from './ImportTripsModal';
+import SessionsDialog from '../components/SessionsDialog';
+import PassengerProfileDialog from '../components/PassengerProfileDialog';
 import { API_ENDPOINTS } from '../config/api';
+import { TRIP_STATUS_LABELS, CANCELLATION_CATEGORY_LABELS, getTripStatus } from '../config/tripStatus';
+import { CapacityError, toSaveError, describeCapacitySites, withoutCapacity } from '../config/capacity';
+import type { TripStatus, CancellationCategory } from '../config/tripStatus';
+import type { PassengerProfile } from '../config/passengers';
 import './HeliPage.css';
 
-export interface Passenger {
+export interface Passenger extends PassengerProfile {
   _id: string;
   firstName: string;
   lastName: string;
   jobRole: string;
+  __v?: number;
 }
 
 export interface Trip {
@@ -25,15 +35,42 @@ export interface Trip {
   toDestination: string;
   tripDate: string;
   confirmed: boolean;
+  status?: TripStatus;
+  cancellation?: {
+    category: CancellationCategory;
+    reason?: string;
+    cancelledAt: string;
+    cancelledBy?: string;
+  } | null;
+  // Date the trip was first booked for, when it has been rescheduled
+  originalDate?: string | null;
+  rescheduledFrom?: string | null;
   numberOfPassengers?: number;
+  flightId?: string | null;
+  __v?: number;
 }
 
-interface Site {
+export interface Flight {
+  _id: string;
+  flightDate: string;
+  departureTime: string;
+  route: string[];
+  aircraftRegistration: string;
+  seatCapacity: number;
+  notes?: string;
+  seatsBooked: number;
+}
+
+export interface Site {
   _id: string;
   siteName: string;
   currentPOB: number;
   maximumPOB: number;
   pobUpdatedDate: string;
+  color: string;
+  type: 'base' | 'rig' | 'vessel';
+  sortOrder: number;
+  archived: boolean;
 }
 
 interface DayData {
@@ -44,160 +81,59 @@ interface DayData {
   updateInfo?: string;
 }
 
-// Helper function to get passenger count from a trip
-const getPassengerCount = (trip: Trip): number => {
-  return trip.numberOfPassengers && trip.numberOfPassengers > 1 
-    ? trip.numberOfPassengers 
-    : 1;
-};
-
-// Calculate POB for a specific day with update history
-const calculatePOB = (
-  date: Date, 
-  currentLocation: string, 
-  allTrips: Trip[], 
-  sites: Site[]
-): { pob: number; updateInfo?: string } => {
-  const dateStr = format(date, 'yyyy-MM-dd');
-  
-  // Find the site data for current location
-  const site = sites.find(s => s.siteName === currentLocation);
-  if (!site) return { pob: 0 };
-
-  // Get the site's last update date and POB
-  const siteLastUpdate = site.pobUpdatedDate ? new Date(site.pobUpdatedDate) : new Date();
-  const siteLastUpdateStr = format(siteLastUpdate, 'yyyy-MM-dd');
-  const sitePOBAtUpdate = site.currentPOB;
-
-  // If the date is exactly the site's last update date
-  if (dateStr === siteLastUpdateStr) {
-    // On update day, POB is the manually set value + today's net change
-    const todaysTrips = allTrips.filter(trip => 
-      (trip.toDestination === currentLocation || trip.fromOrigin === currentLocation) &&
-      trip.tripDate === dateStr
-    );
-    
-    let todaysNetChange = 0;
-    todaysTrips.forEach(trip => {
-      const passengerCount = getPassengerCount(trip);
-      if (trip.toDestination === currentLocation) {
-        todaysNetChange += passengerCount;
-      } else if (trip.fromOrigin === currentLocation) {
-        todaysNetChange -= passengerCount;
-      }
-    });
-
-    const endOfDayPOB = sitePOBAtUpdate + todaysNetChange;
-    
-    return { 
-      pob: Math.max(0, endOfDayPOB),
-      updateInfo: `updated to ${sitePOBAtUpdate}`
-    };
-  }
+interface POBForecastDay {
+  date: string;
+  startOfDay: number;
+  incoming: number;
+  outgoing: number;
+  endOfDay: number;
+  isAnchorDay: boolean;
+  // Last POB count taken that day, and how far the counts were from the projection
+  counted: number | null;
+  drift: number | null;
+}
 
-  // If the date is before the site's last update, calculate backwards
-  if (dateStr < siteLastUpdateStr) {
-    return calculatePOBBeforeUpdate(dateStr, siteLastUpdateStr, sitePOBAtUpdate, currentLocation, allTrips);
-  }
+interface POBForecast {
+  siteName: string;
+  maximumPOB: number;
+  anchor: {
+    date: string;
+    pob: number;
+    updatedAt: string | null;
+  };
+  days: POBForecastDay[];
+}
 
-  // If the date is after the last update, calculate forwards
-  return calculatePOBAfterUpdate(dateStr, siteLastUpdateStr, sitePOBAtUpdate, currentLocation, allTrips);
-};
+// A change broadcast on the server event stream (/api/events)
+interface ChangeEvent {
+  entity: 'trip' | 'passenger' | 'site' | 'flight';
+  action: 'upsert' | 'delete' | 'resync';
+  data: { _id: string } | null;
+}
 
-// Calculate POB for dates before the last update (working backwards from update day START)
-const calculatePOBBeforeUpdate = (
-  targetDate: string,
-  updateDate: string,
-  pobAtUpdateStart: number,
-  currentLocation: string,
-  allTrips: Trip[]
-): { pob: number; updateInfo?: string } => {
-  const relevantTrips = allTrips
-    .filter(trip => 
-      (trip.toDestination === currentLocation || trip.fromOrigin === currentLocation) &&
-      trip.tripDate >= targetDate &&
-      trip.tripDate < updateDate
-    )
-    .sort((a, b) => new Date(b.tripDate).getTime() - new Date(a.tripDate).getTime());
-
-  let currentPOB = pobAtUpdateStart;
-
-  const tripsByDate: { [date: string]: Trip[] } = {};
-  relevantTrips.forEach(trip => {
-    if (!tripsByDate[trip.tripDate]) {
-      tripsByDate[trip.tripDate] = [];
-    }
-    tripsByDate[trip.tripDate].push(trip);
-  });
+type BulkAction = 'confirm' | 'unconfirm' | 'move' | 'delete';
 
-  const sortedDates = Object.keys(tripsByDate).sort().reverse();
-  
-  for (const tripDate of sortedDates) {
-    const daysTrips = tripsByDate[tripDate];
-    
-    let dailyNetChange = 0;
-    daysTrips.forEach(trip => {
-      const passengerCount = getPassengerCount(trip);
-      
-      if (trip.toDestination === currentLocation) {
-        dailyNetChange -= passengerCount;
-      } else if (trip.fromOrigin === currentLocation) {
-        dailyNetChange += passengerCount;
-      }
-    });
+// Card order within a day: trips that will fly first, trips that did not last
+const STATUS_ORDER: TripStatus[] = ['confirmed', 'completed', 'planned', 'no-show', 'cancelled'];
 
-    currentPOB += dailyNetChange;
-  }
+// Delay before reopening a dropped event stream
+const EVENT_RETRY_MS = 5000;
 
-  return { pob: Math.max(0, currentPOB) };
+// Replace an item by _id, or append it if it is new
+const upsertById = <T extends { _id: string }>(items: T[], item: T): T[] => {
+  return items.some(existing => existing._id === item._id)
+    ? items.map(existing => existing._id === item._id ? item : existing)
+    : [...items, item];
 };
 
-// Calculate POB for dates after the last update (working forwards from update day END)
-const calculatePOBAfterUpdate = (
-  targetDate: string,
-  updateDate: string,
-  pobAtUpdateStart: number,
-  currentLocation: string,
-  allTrips: Trip[]
-): { pob: number; updateInfo?: string } => {
-  const relevantTrips = allTrips
-    .filter(trip => 
-      (trip.toDestination === currentLocation || trip.fromOrigin === currentLocation) &&
-      trip.tripDate >= updateDate &&
-      trip.tripDate <= targetDate
-    )
-    .sort((a, b) => new Date(a.tripDate).getTime() - new Date(b.tripDate).getTime());
-
-  let currentPOB = pobAtUpdateStart;
-
-  const tripsByDate: { [date: string]: Trip[] } = {};
-  relevantTrips.forEach(trip => {
-    if (!tripsByDate[trip.tripDate]) {
-      tripsByDate[trip.tripDate] = [];
-    }
-    tripsByDate[trip.tripDate].push(trip);
-  });
-
-  const sortedDates = Object.keys(tripsByDate).sort();
-  
-  for (const tripDate of sortedDates) {
-    const daysTrips = tripsByDate[tripDate];
-    
-    let dailyNetChange = 0;
-    daysTrips.forEach(trip => {
-      const passengerCount = getPassengerCount(trip);
-      
-      if (trip.toDestination === currentLocation) {
-        dailyNetChange += passengerCount;
-      } else if (trip.fromOrigin === currentLocation) {
-        dailyNetChange -= passengerCount;
-      }
-    });
-
-    currentPOB += dailyNetChange;
-  }
+// "counted 42", with the drift from the projection when there was any
+const describeCount = (day: POBForecastDay) => {
+  const drift = day.drift ? `, ${day.drift > 0 ? '+' : ''}${day.drift} vs planned` : '';
+  return `counted ${day.counted}${drift}`;
+};
 
-  return { pob: Math.max(0, currentPOB) };
+const sortSites = (sites: Site[]) => {
+  return [...sites].sort((a, b) => a.sortOrder - b.sortOrder || a.siteName.localeCompare(b.siteName));
 };
 
 const HeliPage = () => {
@@ -210,6 +146,8 @@ const HeliPage = () => {
   const [trips, setTrips] = useState<Trip[]>([]);
   const [sites, setSites] = useState<Site[]>([]);
   const [weeksData, setWeeksData] = useState<DayData[][]>([]);
+  const [forecast, setForecast] = useState<POBForecast | null>(null);
+  const [flights, setFlights] = useState<Flight[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [modalOpen, setModalOpen] = useState(false);
@@ -219,9 +157,35 @@ const HeliPage = () => {
   const [weekOffset, setWeekOffset] = useState(0);
   const [draggedTrip, setDraggedTrip] = useState<Trip | null>(null);
   const [dragType, setDragType] = useState<'incoming' | 'outgoing' | null>(null);
+  const [sessionsOpen, setSessionsOpen] = useState(false);
+  const [manifestMenu, setManifestMenu] = useState<{ anchorEl: HTMLElement; date: Date } | null>(null);
+  const [selectedTripIds, setSelectedTripIds] = useState<string[]>([]);
+  const [bulkMoveDate, setBulkMoveDate] = useState('');
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkError, setBulkError] = useState<string | null>(null);
+  const [cancelDayDate, setCancelDayDate] = useState<Date | null>(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [profilePassenger, setProfilePassenger] = useState<Passenger | null>(null);
+
+  // Bumped to reload the visible trips after the event stream asks for a resync
+  const [tripsReloadKey, setTripsReloadKey] = useState(0);
 
   const navigate = useNavigate();
 
+  // The two visible weeks; trips, flights and the POB forecast are loaded for this range
+  const rangeFrom = format(startOfWeek(addWeeks(new Date(), weekOffset)), 'yyyy-MM-dd');
+  const rangeTo = format(endOfWeek(addWeeks(new Date(), weekOffset + 1)), 'yyyy-MM-dd');
+
+  // Admins can edit everywhere, coordinators only at the sites they manage
+  const canEdit = isAdmin || (user?.coordinatorSites || []).includes(currentLocation);
+
+  // Archived sites still color old trips but are not offered for new ones
+  const activeSites = sites.filter(site => !site.archived);
+
+  const getSiteColor = (siteName: string) => {
+    return sites.find(site => site.siteName === siteName)?.color || '#666666';
+  };
+
   const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
   // Update location when user data loads or changes
@@ -235,9 +199,10 @@ const HeliPage = () => {
     return format(date, 'yyyy-MM-dd') === format(new Date(), 'yyyy-MM-dd');
   };
 
-  const fetchData = useCallback(async () => {
+  // showLoading is off for background resyncs so the page is not blanked
+  const fetchData = useCallback(async (showLoading = true) => {
     try {
-      setLoading(true);
+      if (showLoading) setLoading(true);
       setError(null);
       
       const headers = {
@@ -245,22 +210,18 @@ const HeliPage = () => {
         'Content-Type': 'application/json'
       };
       
-      const [passengersRes, tripsRes, sitesRes] = await Promise.all([
+      const [passengersRes, sitesRes] = await Promise.all([
         fetch(API_ENDPOINTS.PASSENGERS, { headers }),
-        fetch(API_ENDPOINTS.TRIPS, { headers }),
-        fetch(API_ENDPOINTS.SITES, { headers })
+        fetch(API_ENDPOINTS.SITES_ALL, { headers })
       ]);
       
       if (!passengersRes.ok) throw new Error('Failed to fetch passengers');
-      if (!tripsRes.ok) throw new Error('Failed to fetch trips');
       if (!sitesRes.ok) throw new Error('Failed to fetch sites');
       
       const passengersData = await passengersRes.json();
-      const tripsData = await tripsRes.json();
       const sitesData = await sitesRes.json();
       
       setPassengers(passengersData);
-      setTrips(tripsData);
       setSites(sitesData);
     } catch (error) {
       console.error('Error fetching data:', error);
@@ -270,40 +231,217 @@ const HeliPage = () => {
     }
   }, [user?.token]);
 
-  // Auto-refresh implementation
+  // Initial load; later changes arrive on the event stream
   useEffect(() => {
-    let refreshInterval: NodeJS.Timeout;
-    let isMounted = true;
-    
-    const startPolling = async () => {
+    fetchData();
+  }, [fetchData]);
+
+  // Only the visible fortnight at the current site is loaded; history stays on the server
+  useEffect(() => {
+    let isCurrent = true;
+
+    const fetchTrips = async () => {
       try {
-        await fetchData();
-        
-        // Only set interval if component is still mounted
-        if (isMounted) {
-          refreshInterval = setInterval(async () => {
-            try {
-              await fetchData();
-            } catch (error) {
-              console.error('Error during auto-refresh:', error);
-              // Don't stop polling on errors - try again next interval
-            }
-          }, 600000); // 10 minutes
+        const params = new URLSearchParams({ from: rangeFrom, to: rangeTo, site: currentLocation });
+        const response = await fetch(`${API_ENDPOINTS.TRIPS}?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${user?.token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        if (!response.ok) throw new Error('Failed to fetch trips');
+
+        const tripsData = await response.json();
+        if (isCurrent) setTrips(tripsData);
+      } catch (error) {
+        console.error('Error fetching trips:', error);
+        if (isCurrent) setError(error instanceof Error ? error.message : 'Unknown error');
+      }
+    };
+
+    fetchTrips();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [currentLocation, rangeFrom, rangeTo, tripsReloadKey, user?.token]);
+
+  // Apply changes pushed by the server instead of polling for them
+  useEffect(() => {
+    if (!user?.token) return;
+
+    const controller = new AbortController();
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+    let resyncTimer: ReturnType<typeof setTimeout> | undefined;
+    let hasConnected = false;
+
+    // Several resyncs often arrive together (e.g. a site rename), so coalesce them
+    const scheduleResync = () => {
+      clearTimeout(resyncTimer);
+      resyncTimer = setTimeout(() => {
+        fetchData(false);
+        setTripsReloadKey(key => key + 1);
+      }, 500);
+    };
+
+    const applyChange = ({ entity, action, data }: ChangeEvent) => {
+      if (action === 'resync') {
+        scheduleResync();
+        return;
+      }
+      if (!data) return;
+
+      if (entity === 'trip') {
+        setTrips(prev => action === 'delete'
+          ? prev.filter(t => t._id !== data._id)
+          : upsertById(prev, data as Trip));
+      } else if (entity === 'passenger') {
+        if (action === 'delete') {
+          // The server deletes a passenger's trips along with the passenger
+          setPassengers(prev => prev.filter(p => p._id !== data._id));
+          setTrips(prev => prev.filter(t => t.passengerId !== data._id));
+        } else {
+          setPassengers(prev => upsertById(prev, data as Passenger));
+        }
+      } else if (entity === 'site') {
+        if (action === 'upsert') {
+          setSites(prev => sortSites(upsertById(prev, data as Site)));
+        }
+      } else if (entity === 'flight') {
+        if (action === 'delete') {
+          setFlights(prev => prev.filter(f => f._id !== data._id));
+          setTrips(prev => prev.map(t => t.flightId === data._id ? { ...t, flightId: null } : t));
+        } else {
+          setFlights(prev => upsertById(prev, data as Flight));
+        }
+      }
+    };
+
+    const handleMessage = (message: string) => {
+      let eventName = 'message';
+      let data = '';
+      message.split('\n').forEach(line => {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+
+      if (eventName === 'ready') {
+        // Changes may have been missed while the stream was down
+        if (hasConnected) scheduleResync();
+        hasConnected = true;
+      } else if (eventName === 'change' && data) {
+        applyChange(JSON.parse(data));
+      }
+    };
+
+    // EventSource cannot send the Authorization header, so read the stream with fetch
+    const connect = async () => {
+      try {
+        const response = await fetch(API_ENDPOINTS.EVENTS, {
+          headers: {
+            'Authorization': `Bearer ${user.token}`,
+            'Accept': 'text/event-stream'
+          },
+          signal: controller.signal
+        });
+
+        // A revoked or expired session will not recover by retrying
+        if (response.status === 401) return;
+        if (!response.ok || !response.body) throw new Error('Failed to open event stream');
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += value;
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop() || '';
+          messages.forEach(handleMessage);
         }
       } catch (error) {
-        console.error('Initial data fetch failed:', error);
+        if (controller.signal.aborted) return;
+        console.error('Event stream error:', error);
+      }
+
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(connect, EVENT_RETRY_MS);
       }
     };
-    
-    startPolling();
-    
+
+    connect();
+
     return () => {
-      isMounted = false;
-      if (refreshInterval) {
-        clearInterval(refreshInterval);
+      controller.abort();
+      clearTimeout(retryTimer);
+      clearTimeout(resyncTimer);
+    };
+  }, [fetchData, user?.token]);
+
+  // Fetch the server-side POB projection for the two visible weeks.
+  // Re-runs whenever trips or sites change so the footer stays in sync.
+  useEffect(() => {
+    let isCurrent = true;
+
+    const fetchForecast = async () => {
+      try {
+        const response = await fetch(API_ENDPOINTS.SITE_POB_FORECAST(currentLocation, rangeFrom, rangeTo), {
+          headers: {
+            'Authorization': `Bearer ${user?.token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          if (isCurrent) setForecast(null);
+          return;
+        }
+
+        const forecastData = await response.json();
+        if (isCurrent) setForecast(forecastData);
+      } catch (error) {
+        console.error('Error fetching POB forecast:', error);
       }
     };
-  }, [fetchData]);
+
+    fetchForecast();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [currentLocation, rangeFrom, rangeTo, trips, sites, user?.token]);
+
+  // Fetch flights for the two visible weeks; trips changing affects seat counts
+  useEffect(() => {
+    let isCurrent = true;
+
+    const fetchFlights = async () => {
+      try {
+        const response = await fetch(`${API_ENDPOINTS.FLIGHTS}?from=${rangeFrom}&to=${rangeTo}`, {
+          headers: {
+            'Authorization': `Bearer ${user?.token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        if (!response.ok) return;
+
+        const flightsData = await response.json();
+        if (isCurrent) setFlights(flightsData);
+      } catch (error) {
+        console.error('Error fetching flights:', error);
+      }
+    };
+
+    fetchFlights();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [rangeFrom, rangeTo, trips, user?.token]);
 
   // Updated POB status function
   const getPOBStatus = (currentPOB: number, maximumPOB: number): 'normal' | 'warning' | 'critical' => {
@@ -326,28 +464,26 @@ const HeliPage = () => {
         const dateStr = format(date, 'yyyy-MM-dd');
         const relevantTrips = trips.filter(trip => trip.tripDate === dateStr);
         
-        const sortByConfirmed = (a: Trip, b: Trip) => {
-          if (a.confirmed && !b.confirmed) return -1;
-          if (!a.confirmed && b.confirmed) return 1;
-          return 0;
+        const sortByStatus = (a: Trip, b: Trip) => {
+          return STATUS_ORDER.indexOf(getTripStatus(a)) - STATUS_ORDER.indexOf(getTripStatus(b));
         };
 
-        const pobResult = calculatePOB(date, currentLocation, trips, sites);
+        const forecastDay = forecast?.days.find(d => d.date === dateStr);
         
         return {
           date,
           incoming: relevantTrips
             .filter(trip => trip.toDestination === currentLocation)
-            .sort(sortByConfirmed),
+            .sort(sortByStatus),
           outgoing: relevantTrips
             .filter(trip => trip.fromOrigin === currentLocation)
-            .sort(sortByConfirmed),
-          pob: pobResult.pob,
-          updateInfo: pobResult.updateInfo
+            .sort(sortByStatus),
+          pob: forecastDay?.endOfDay ?? 0,
+          updateInfo: forecastDay?.isAnchorDay ? describeCount(forecastDay) : undefined
         };
       });
     });
-  }, [trips, currentLocation, weekOffset, sites]);
+  }, [trips, currentLocation, weekOffset, forecast]);
 
   useEffect(() => {
     const generatedWeeks = generateWeeks();
@@ -358,6 +494,24 @@ const HeliPage = () => {
     return passengers.find(p => p._id === passengerId);
   };
 
+  // Group a day's trips under their flights (by departure time), unassigned trips last
+  const groupTripsByFlight = (dayTrips: Trip[]): { flight: Flight | null; trips: Trip[] }[] => {
+    const groups = flights
+      .filter(flight => dayTrips.some(trip => trip.flightId === flight._id))
+      .sort((a, b) => a.departureTime.localeCompare(b.departureTime))
+      .map(flight => ({
+        flight: flight as Flight | null,
+        trips: dayTrips.filter(trip => trip.flightId === flight._id)
+      }));
+
+    const unassigned = dayTrips.filter(trip => !trip.flightId || !flights.some(f => f._id === trip.flightId));
+    if (unassigned.length > 0) {
+      groups.push({ flight: null, trips: unassigned });
+    }
+
+    return groups;
+  };
+
 // In HeliPage.tsx - Update the handleAddPassenger function
 const handleAddPassenger = async (passengerData: { firstName: string; lastName: string; jobRole: string }) => {
   try {
@@ -376,23 +530,9 @@ const handleAddPassenger = async (passengerData: { firstName: string; lastName:
     }
 
     const newPassenger = await response.json();
-    
-    // Force update the passengers list by refetching all passengers
-    // This ensures we have the complete, up-to-date list
-    const passengersResponse = await fetch(API_ENDPOINTS.PASSENGERS, {
-      headers: {
-        'Authorization': `Bearer ${user?.token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    if (passengersResponse.ok) {
-      const allPassengers = await passengersResponse.json();
-      setPassengers(allPassengers);
-    } else {
-      // Fallback: just add the new passenger to the existing list
-      setPassengers(prev => [...prev, newPassenger]);
-    }
+
+    // The event stream may already have delivered it, so upsert rather than append
+    setPassengers(prev => upsertById(prev, newPassenger));
     
     return newPassenger;
   } catch (error) {
@@ -408,8 +548,9 @@ const handleAddTrip = async (tripData: {
   tripDate: string;
   confirmed: boolean;
   numberOfPassengers?: number;
+  capacityOverride?: { justification: string };
 }) => {
-  if (!isAdmin) return;
+  if (!canEdit) return;
   
   try {
     const response = await fetch(API_ENDPOINTS.TRIPS, {
@@ -418,26 +559,29 @@ const handleAddTrip = async (tripData: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${user?.token}`
       },
-      body: JSON.stringify(tripData),
+      body: JSON.stringify({ ...tripData, tzOffset: new Date().getTimezoneOffset() }),
     });
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to add trip');
+      throw toSaveError(await response.json(), 'Failed to add trip');
     }
 
-    const newTrip = await response.json();
-    setTrips(prev => [...prev, newTrip]);
+    // Capacity warnings were already shown by AddTripModal's preview
+    const newTrip = withoutCapacity<Trip>(await response.json());
+    setTrips(prev => upsertById(prev, newTrip));
     
     // Don't close the modal here - let AddTripModal handle it
     // setModalOpen(false); // REMOVE THIS LINE
   } catch (error) {
     console.error('Error adding trip:', error);
+    // AddTripModal reports the failure and keeps the form
+    throw error;
   }
 };
 
-  const handleUpdateTrip = async (updatedTrip: Trip) => {
-    if (!isAdmin) return;
+  // Used for drag-and-drop moves
+  const handleUpdateTrip = async (updatedTrip: Trip, capacityOverride?: { justification: string }) => {
+    if (!canEdit) return;
     
     try {
       const response = await fetch(API_ENDPOINTS.TRIP_BY_ID(updatedTrip._id), {
@@ -446,52 +590,154 @@ const handleAddTrip = async (tripData: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${user?.token}`
         },
-        body: JSON.stringify(updatedTrip),
+        body: JSON.stringify({ ...updatedTrip, capacityOverride, tzOffset: new Date().getTimezoneOffset() }),
       });
 
-      if (!response.ok) throw new Error('Failed to update trip');
+      if (!response.ok) {
+        const errorData = await response.json();
 
-      setTrips(trips.map(t => t._id === updatedTrip._id ? updatedTrip : t));
+        // Someone else changed the trip first: show their version instead
+        if (errorData.error === 'Version conflict') {
+          setTrips(prev => upsertById(prev, errorData.current));
+        }
+        throw toSaveError(errorData, 'Failed to update trip');
+      }
+
+      const savedTrip = withoutCapacity<Trip>(await response.json());
+      setTrips(prev => upsertById(prev, savedTrip));
       setEditingTrip(null);
     } catch (error) {
       console.error('Error updating trip:', error);
+
+      if (error instanceof CapacityError) {
+        const details = describeCapacitySites(error.capacity).join('\n');
+        if (!error.capacity.canOverride) {
+          window.alert(`This move would put a site over its maximum POB:\n${details}`);
+          return;
+        }
+
+        const justification = window.prompt(`This move would put a site over its maximum POB:\n${details}\n\nEnter a justification to move it anyway:`);
+        if (justification?.trim()) {
+          await handleUpdateTrip(updatedTrip, { justification: justification.trim() });
+        }
+      }
     }
   };
 
-  const handleDeleteTrip = async (tripId: string) => {
-    if (!isAdmin) return;
-    
+  // EditTripModal has already saved these changes (and closes itself), so only local state is updated
+  const handleTripSaved = (savedTrip: Trip) => {
+    setTrips(prevTrips => prevTrips.map(t => t._id === savedTrip._id ? savedTrip : t));
+  };
+
+  const handleTripDeleted = (tripId: string) => {
+    setTrips(prevTrips => prevTrips.filter(t => t._id !== tripId));
+  };
+
+  // Only trips still on screen are acted on; others may have moved or been deleted
+  const selectedTrips = trips.filter(trip => selectedTripIds.includes(trip._id));
+
+  const toggleTripSelection = (tripId: string) => {
+    setBulkError(null);
+    setSelectedTripIds(prev => prev.includes(tripId)
+      ? prev.filter(id => id !== tripId)
+      : [...prev, tripId]);
+  };
+
+  const clearSelection = () => {
+    setSelectedTripIds([]);
+    setBulkError(null);
+  };
+
+  // Ctrl/Cmd-click starts a selection; while one is active, any click adds or removes a card
+  // Editors open the trip; everyone else sees the passenger's profile
+  const handleTripClick = (e: React.MouseEvent, trip: Trip) => {
+    if (!canEdit) {
+      setProfilePassenger(getPassengerById(trip.passengerId) || null);
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || selectedTripIds.length > 0) {
+      toggleTripSelection(trip._id);
+    } else {
+      setEditingTrip(trip);
+    }
+  };
+
+  const handleLocationChange = (location: string) => {
+    clearSelection();
+    setCurrentLocation(location);
+  };
+
+  const handleBulkAction = async (action: BulkAction) => {
+    if (!canEdit || selectedTrips.length === 0) return;
+    if (action === 'move' && !bulkMoveDate) return;
+    if (action === 'delete' && !window.confirm(`Delete ${selectedTrips.length} trip(s)? This cannot be undone.`)) return;
+
+    setBulkBusy(true);
+    setBulkError(null);
     try {
-      setTrips(prevTrips => prevTrips.filter(t => t._id !== tripId));
-      
-      const response = await fetch(API_ENDPOINTS.TRIP_BY_ID(tripId), {
-        method: 'DELETE',
+      const response = await fetch(API_ENDPOINTS.TRIP_BULK, {
+        method: 'POST',
         headers: {
+          'Content-Type': 'application/json',
           'Authorization': `Bearer ${user?.token}`
-        }
+        },
+        body: JSON.stringify({
+          action,
+          ids: selectedTrips.map(trip => trip._id),
+          ...(action === 'move' && { tripDate: bulkMoveDate })
+        }),
       });
 
-      if (!response.ok && response.status !== 404) {
-        const tripsRes = await fetch(API_ENDPOINTS.TRIPS);
-        if (tripsRes.ok) {
-          const tripsData = await tripsRes.json();
-          setTrips(tripsData);
-        }
-        throw new Error('Failed to delete trip');
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to update trips');
       }
+
+      const result = await response.json();
+      if (action === 'delete') {
+        setTrips(prev => prev.filter(t => !result.deletedIds.includes(t._id)));
+      } else {
+        setTrips(prev => (result.trips as Trip[]).reduce(upsertById, prev));
+      }
+      setSelectedTripIds([]);
+      setBulkMoveDate('');
     } catch (error) {
-      console.error('Error deleting trip:', error);
+      console.error('Error applying bulk action:', error);
+      setBulkError(error instanceof Error ? error.message : 'Failed to update trips');
+    } finally {
+      setBulkBusy(false);
     }
   };
 
+  // Open trips at the current site on a day, i.e. what cancelling the day would touch
+  const countOpenTrips = (date: Date) => {
+    const dateStr = format(date, 'yyyy-MM-dd');
+    return trips.filter(trip =>
+      trip.tripDate === dateStr &&
+      (trip.fromOrigin === currentLocation || trip.toDestination === currentLocation) &&
+      ['planned', 'confirmed'].includes(getTripStatus(trip))
+    ).length;
+  };
+
+  // Imported trips also arrive on the event stream; reload in case it is disconnected
+  const handleTripsImported = () => {
+    fetchData(false);
+    setTripsReloadKey(key => key + 1);
+  };
+
+  const handleDayCancelled = (result: CancelDayResult) => {
+    setTrips(prev => [...result.cancelled, ...result.rescheduled].reduce(upsertById, prev));
+  };
+
   const handleDragStart = (trip: Trip, type: 'incoming' | 'outgoing') => {
-    if (!isAdmin) return;
+    if (!canEdit) return;
     setDraggedTrip(trip);
     setDragType(type);
   };
 
   const handleDragOver = (e: React.DragEvent, _date: Date, type: 'incoming' | 'outgoing') => {
-    if (!isAdmin) return;
+    if (!canEdit) return;
     if (dragType === type) {
       e.preventDefault();
       e.currentTarget.classList.add('drop-target');
@@ -503,7 +749,7 @@ const handleAddTrip = async (tripData: {
   };
 
   const handleDrop = async (e: React.DragEvent, date: Date, type: 'incoming' | 'outgoing') => {
-    if (!isAdmin) return;
+    if (!canEdit) return;
     
     e.currentTarget.classList.remove('drop-target');
     
@@ -521,6 +767,47 @@ const handleAddTrip = async (tripData: {
     }
   };
 
+  // Manifests need the auth header, so fetch them and open the PDF (or
+  // download the CSV) from a blob URL
+  const openManifest = async (url: string, fileName: string) => {
+    try {
+      const response = await fetch(url, {
+        headers: {
+          'Authorization': `Bearer ${user?.token}`
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to generate manifest');
+
+      const blob = await response.blob();
+      const objectUrl = URL.createObjectURL(blob);
+
+      if (blob.type === 'application/pdf') {
+        window.open(objectUrl, '_blank');
+      } else {
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = fileName;
+        link.click();
+      }
+
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+    } catch (error) {
+      console.error('Error generating manifest:', error);
+    }
+  };
+
+  const handlePrintDayManifest = (direction: 'incoming' | 'outgoing', manifestFormat: 'pdf' | 'csv') => {
+    if (!manifestMenu) return;
+
+    const tripDate = format(manifestMenu.date, 'yyyy-MM-dd');
+    const params = new URLSearchParams({ date: tripDate, format: manifestFormat });
+    params.set(direction === 'incoming' ? 'destination' : 'origin', currentLocation);
+
+    openManifest(API_ENDPOINTS.TRIP_MANIFEST(params), `manifest-${tripDate}-${currentLocation}-${direction}.${manifestFormat}`);
+    setManifestMenu(null);
+  };
+
   const handlePrevWeek = () => {
     setWeekOffset(prev => prev - 1);
   };
@@ -540,6 +827,47 @@ const handleAddTrip = async (tripData: {
     return `${format(firstWeek, 'MMM d')} - ${format(lastWeek, 'MMM d, yyyy')}`;
   };
 
+  const describeTripStatus = (trip: Trip) => {
+    const status = getTripStatus(trip);
+    const notes = [TRIP_STATUS_LABELS[status]];
+
+    if (status === 'cancelled' && trip.cancellation) {
+      notes.push(`${CANCELLATION_CATEGORY_LABELS[trip.cancellation.category]}${trip.cancellation.reason ? `: ${trip.cancellation.reason}` : ''}`);
+    }
+    if (trip.originalDate) {
+      notes.push(`originally ${trip.originalDate}`);
+    }
+    return notes.join(' · ');
+  };
+
+  const renderTripCard = (trip: Trip, type: 'incoming' | 'outgoing') => {
+    const passenger = getPassengerById(trip.passengerId);
+
+    return (
+      <div 
+        key={trip._id}
+        onClick={(e) => handleTripClick(e, trip)}
+        className={`passenger-card-container ${!canEdit ? 'readonly' : ''}`}
+        draggable={canEdit}
+        onDragStart={() => canEdit && handleDragStart(trip, type)}
+      >
+        <PassengerCard
+          firstName={passenger ? passenger.firstName : 'Unknown'}
+          lastName={passenger ? passenger.lastName : 'passenger'}
+          jobRole={passenger?.jobRole || ''}
+          siteColor={getSiteColor(type === 'incoming' ? trip.fromOrigin : trip.toDestination)}
+          type={type}
+          confirmed={trip.confirmed}
+          status={getTripStatus(trip)}
+          note={describeTripStatus(trip)}
+          numberOfPassengers={trip.numberOfPassengers}
+          selected={selectedTripIds.includes(trip._id)}
+          onOpenProfile={passenger ? () => setProfilePassenger(passenger) : undefined}
+        />
+      </div>
+    );
+  };
+
   if (loading) {
     return <div className="loading-container">Loading dashboard data...</div>;
   }
@@ -632,8 +960,9 @@ const handleAddTrip = async (tripData: {
             }
           }}>
             <LocationDropdown 
+              sites={activeSites}
               currentLocation={currentLocation} 
-              onLocationChange={setCurrentLocation}
+              onLocationChange={handleLocationChange}
               size="small"
             />
           </Box>
@@ -646,6 +975,36 @@ const handleAddTrip = async (tripData: {
               color: 'white'
             }
           }}>
+            {isAdmin && (
+              <IconButton 
+                onClick={() => setImportOpen(true)}
+                title="Import Trips"
+                sx={{ 
+                  color: 'white',
+                  '&:hover': {
+                    backgroundColor: 'rgba(255, 255, 255, 0.08)'
+                  }
+                }}
+              >
+                <UploadFile />
+              </IconButton>
+            )}
+
+            {isAdmin && (
+              <IconButton 
+                onClick={() => navigate('/reports')}
+                title="Reports"
+                sx={{ 
+                  color: 'white',
+                  '&:hover': {
+                    backgroundColor: 'rgba(255, 255, 255, 0.08)'
+                  }
+                }}
+              >
+                <BarChart />
+              </IconButton>
+            )}
+
             {isAdmin && (
               <IconButton 
                 onClick={() => navigate('/admin')}
@@ -668,6 +1027,20 @@ const handleAddTrip = async (tripData: {
               {user?.userName}
               {isAdmin && " (admin)"}
             </Typography>
+
+            <IconButton 
+              onClick={() => setSessionsOpen(true)}
+              title="My Sessions"
+              size="small"
+              sx={{ 
+                color: 'white',
+                '&:hover': {
+                  backgroundColor: 'rgba(255, 255, 255, 0.08)'
+                }
+              }}
+            >
+              <Devices fontSize="small" />
+            </IconButton>
             
             <Button 
               variant="text" 
@@ -712,39 +1085,52 @@ const handleAddTrip = async (tripData: {
                   >
                     <div className={`date-header ${isTodayDate ? 'today' : ''}`}>
                       {format(day.date, 'MMM d')}
+                      <button
+                        className="manifest-button"
+                        onClick={(e) => setManifestMenu({ anchorEl: e.currentTarget, date: day.date })}
+                        title="Print manifest"
+                      >
+                        <Print fontSize="inherit" />
+                      </button>
+                      {canEdit && (
+                        <button
+                          className="manifest-button"
+                          onClick={() => setCancelDayDate(day.date)}
+                          title="Cancel this day's trips"
+                        >
+                          <Thunderstorm fontSize="inherit" />
+                        </button>
+                      )}
                     </div>
                     
                     <div className="passenger-lists">
                       <div className="sections-container">
                         <div 
                           className="incoming-section"
-                          onDragOver={(e) => isAdmin && handleDragOver(e, day.date, 'incoming')}
+                          onDragOver={(e) => canEdit && handleDragOver(e, day.date, 'incoming')}
                           onDragLeave={handleDragLeave}
-                          onDrop={(e) => isAdmin && handleDrop(e, day.date, 'incoming')}
+                          onDrop={(e) => canEdit && handleDrop(e, day.date, 'incoming')}
                         >
                           <div className="passenger-cards-container">
-                            {day.incoming.map((trip, i) => (
-                              <div 
-                                key={i}
-                                onClick={() => isAdmin && setEditingTrip(trip)}
-                                className={`passenger-card-container ${!isAdmin ? 'readonly' : ''}`}
-                                draggable={isAdmin}
-                                onDragStart={() => isAdmin && handleDragStart(trip, 'incoming')}
+                            {groupTripsByFlight(day.incoming).map(group => (
+                              <div
+                                key={group.flight?._id || 'unassigned'}
+                                className={group.flight ? 'flight-group' : undefined}
                               >
-                                <PassengerCard
-                                  firstName={getPassengerById(trip.passengerId)?.firstName || ''}
-                                  lastName={getPassengerById(trip.passengerId)?.lastName || ''}
-                                  jobRole={getPassengerById(trip.passengerId)?.jobRole || ''}
-                                  fromOrigin={trip.fromOrigin}
-                                  toDestination={trip.toDestination}
-                                  type='incoming'
-                                  confirmed={trip.confirmed}
-                                  numberOfPassengers={trip.numberOfPassengers}
-                                />
+                                {group.flight && (
+                                  <div
+                                    className="flight-group-header"
+                                    title={group.flight.notes ? `${group.flight.notes} - click to print manifest` : 'Click to print manifest'}
+                                    onClick={() => group.flight && openManifest(API_ENDPOINTS.FLIGHT_MANIFEST(group.flight._id, 'pdf'), `manifest-${group.flight._id}.pdf`)}
+                                  >
+                                    {group.flight.departureTime} · {group.flight.aircraftRegistration} · {group.flight.route.join('→')} ({group.flight.seatsBooked}/{group.flight.seatCapacity})
+                                  </div>
+                                )}
+                                {group.trips.map(trip => renderTripCard(trip, 'incoming'))}
                               </div>
                             ))}
                           </div>
-                          {isAdmin && (
+                          {canEdit && (
                             <button
                               onClick={() => {
                                 setSelectedCellDate(day.date);
@@ -761,33 +1147,30 @@ const handleAddTrip = async (tripData: {
                         
                         <div 
                           className="outgoing-section"
-                          onDragOver={(e) => isAdmin && handleDragOver(e, day.date, 'outgoing')}
+                          onDragOver={(e) => canEdit && handleDragOver(e, day.date, 'outgoing')}
                           onDragLeave={handleDragLeave}
-                          onDrop={(e) => isAdmin && handleDrop(e, day.date, 'outgoing')}
+                          onDrop={(e) => canEdit && handleDrop(e, day.date, 'outgoing')}
                         >
                           <div className="passenger-cards-container">
-                            {day.outgoing.map((trip, i) => (
-                              <div 
-                                key={i}
-                                onClick={() => isAdmin && setEditingTrip(trip)}
-                                className={`passenger-card-container ${!isAdmin ? 'readonly' : ''}`}
-                                draggable={isAdmin}
-                                onDragStart={() => isAdmin && handleDragStart(trip, 'outgoing')}
+                            {groupTripsByFlight(day.outgoing).map(group => (
+                              <div
+                                key={group.flight?._id || 'unassigned'}
+                                className={group.flight ? 'flight-group' : undefined}
                               >
-                                <PassengerCard
-                                  firstName={getPassengerById(trip.passengerId)?.firstName || ''}
-                                  lastName={getPassengerById(trip.passengerId)?.lastName || ''}
-                                  jobRole={getPassengerById(trip.passengerId)?.jobRole || ''}
-                                  fromOrigin={trip.fromOrigin}
-                                  toDestination={trip.toDestination}
-                                  type='outgoing'
-                                  confirmed={trip.confirmed}
-                                  numberOfPassengers={trip.numberOfPassengers}
-                                />
+                                {group.flight && (
+                                  <div
+                                    className="flight-group-header"
+                                    title={group.flight.notes ? `${group.flight.notes} - click to print manifest` : 'Click to print manifest'}
+                                    onClick={() => group.flight && openManifest(API_ENDPOINTS.FLIGHT_MANIFEST(group.flight._id, 'pdf'), `manifest-${group.flight._id}.pdf`)}
+                                  >
+                                    {group.flight.departureTime} · {group.flight.aircraftRegistration} · {group.flight.route.join('→')} ({group.flight.seatsBooked}/{group.flight.seatCapacity})
+                                  </div>
+                                )}
+                                {group.trips.map(trip => renderTripCard(trip, 'outgoing'))}
                               </div>
                             ))}
                           </div>
-                          {isAdmin && (
+                          {canEdit && (
                             <button
                               onClick={() => {
                                 setSelectedCellDate(day.date);
@@ -829,27 +1212,122 @@ const handleAddTrip = async (tripData: {
         )}
       </div>
 
+      {canEdit && selectedTrips.length > 0 && (
+        <Paper
+          elevation={6}
+          sx={{
+            position: 'fixed',
+            bottom: 16,
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 1200,
+            display: 'flex',
+            alignItems: 'center',
+            flexWrap: 'wrap',
+            gap: 1,
+            px: 2,
+            py: 1
+          }}
+        >
+          <Typography variant="body2" sx={{ fontWeight: 'bold', mr: 1 }}>
+            {selectedTrips.length} selected
+          </Typography>
+          <Button size="small" variant="contained" color="success" disabled={bulkBusy} onClick={() => handleBulkAction('confirm')}>
+            Confirm
+          </Button>
+          <Button size="small" variant="outlined" disabled={bulkBusy} onClick={() => handleBulkAction('unconfirm')}>
+            Unconfirm
+          </Button>
+          <TextField
+            type="date"
+            size="small"
+            label="Move to"
+            value={bulkMoveDate}
+            onChange={(e) => setBulkMoveDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ width: 160 }}
+          />
+          <Button size="small" variant="outlined" disabled={bulkBusy || !bulkMoveDate} onClick={() => handleBulkAction('move')}>
+            Move
+          </Button>
+          <Button size="small" variant="outlined" color="error" disabled={bulkBusy} onClick={() => handleBulkAction('delete')}>
+            Delete
+          </Button>
+          <IconButton size="small" onClick={clearSelection} title="Clear selection">
+            <Close fontSize="small" />
+          </IconButton>
+          {bulkError && (
+            <Typography variant="body2" color="error" sx={{ width: '100%' }}>
+              {bulkError}
+            </Typography>
+          )}
+        </Paper>
+      )}
+
+      <PassengerProfileDialog
+        open={profilePassenger !== null}
+        onClose={() => setProfilePassenger(null)}
+        token={user?.token}
+        passenger={profilePassenger}
+      />
+
+      <SessionsDialog
+        open={sessionsOpen}
+        onClose={() => setSessionsOpen(false)}
+        token={user?.token}
+        onSignedOut={logout}
+      />
+
+      <Menu
+        anchorEl={manifestMenu?.anchorEl}
+        open={manifestMenu !== null}
+        onClose={() => setManifestMenu(null)}
+      >
+        <MenuItem onClick={() => handlePrintDayManifest('incoming', 'pdf')}>Print incoming manifest</MenuItem>
+        <MenuItem onClick={() => handlePrintDayManifest('outgoing', 'pdf')}>Print outgoing manifest</MenuItem>
+        <MenuItem onClick={() => handlePrintDayManifest('incoming', 'csv')}>Download incoming CSV</MenuItem>
+        <MenuItem onClick={() => handlePrintDayManifest('outgoing', 'csv')}>Download outgoing CSV</MenuItem>
+      </Menu>
+
       {isAdmin && (
+        <ImportTripsModal
+          isOpen={importOpen}
+          onClose={() => setImportOpen(false)}
+          onImported={handleTripsImported}
+        />
+      )}
+
+      {canEdit && (
         <>
           <AddTripModal
             isOpen={modalOpen}
             onClose={() => setModalOpen(false)}
-            passengers={passengers}
+            sites={activeSites}
             selectedDate={selectedCellDate}
             tripType={tripType}
             currentLocation={currentLocation}
             userHomeBase={user?.homeLocation || 'NSC'}
             onSubmit={handleAddTrip}
-            onAddPassenger={handleAddPassenger}
+            onAddPassenger={isAdmin ? handleAddPassenger : undefined}
+          />
+          <CancelDayModal
+            isOpen={cancelDayDate !== null}
+            onClose={() => setCancelDayDate(null)}
+            site={currentLocation}
+            date={cancelDayDate || new Date()}
+            tripCount={cancelDayDate ? countOpenTrips(cancelDayDate) : 0}
+            onCancelled={handleDayCancelled}
           />
           <EditTripModal
             isOpen={editingTrip !== null}
             onClose={() => setEditingTrip(null)}
             passengers={passengers}
             trip={editingTrip}
+            sites={activeSites}
+            flights={flights}
             currentLocation={currentLocation}
-            onUpdate={handleUpdateTrip}
-            onDelete={handleDeleteTrip}
+            onUpdate={handleTripSaved}
+            onDelete={handleTripDeleted}
           />
         </>
       )}
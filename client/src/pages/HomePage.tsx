@@ -1,11 +1,13 @@
 import { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import { 
   Box, 
   TextField, 
   Button, 
   Typography, 
   Paper, 
-  Alert
+  Alert,
+  Link
 } from '@mui/material';
 import { useAuth } from '../auth/AuthContext';
 
@@ -86,7 +88,10 @@ const HomePage = () => {
         </form>
 
         <Box sx={{ mt: 2, textAlign: 'center' }}>
-          <Typography variant="body2" color="textSecondary">
+          <Link component={RouterLink} to="/forgot-password" variant="body2">
+            Forgot password?
+          </Link>
+          <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
             Contact an administrator to create an account
           </Typography>
         </Box>
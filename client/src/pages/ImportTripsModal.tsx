@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TableContainer,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert,
+  Box,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import { UploadFile } from '@mui/icons-material';
+import { API_ENDPOINTS } from '../config/api';
+import { TRIP_STATUS_LABELS } from '../config/tripStatus';
+import type { TripStatus } from '../config/tripStatus';
+import { useAuth } from '../auth/AuthContext';
+
+type ImportChange =
+  | { field: 'status'; from: TripStatus; to: TripStatus }
+  | { field: 'numberOfPassengers'; from: number | null; to: number | null };
+
+type ImportRowStatus = 'create' | 'update' | 'unchanged' | 'duplicate' | 'conflict' | 'error';
+
+interface ImportRow {
+  row: number;
+  status: ImportRowStatus;
+  errors: string[];
+  conflicts: string[];
+  passenger: { match: 'employeeNumber' | 'name' | 'new'; passengerId: string | null; name: string } | null;
+  trip: {
+    fromOrigin: string | null;
+    toDestination: string | null;
+    tripDate: string | null;
+    status: 'planned' | 'confirmed' | null;
+    numberOfPassengers: number | null;
+  };
+  changes: ImportChange[];
+  willImport: boolean;
+}
+
+interface ImportReport {
+  dryRun: boolean;
+  summary: {
+    rows: number;
+    create: number;
+    update: number;
+    unchanged: number;
+    duplicates: number;
+    conflicts: number;
+    errors: number;
+    newPassengers: number;
+    unknownPassengers: number;
+    toImport: number;
+    created: number;
+    updated: number;
+    passengersCreated: number;
+  };
+  rows: ImportRow[];
+}
+
+export interface ImportTripsResult {
+  created: number;
+  updated: number;
+  passengersCreated: number;
+}
+
+interface ImportTripsModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onImported: (result: ImportTripsResult) => void;
+}
+
+const STATUS_COLORS: Record<ImportRowStatus, 'success' | 'info' | 'default' | 'warning' | 'error'> = {
+  create: 'success',
+  update: 'info',
+  unchanged: 'default',
+  duplicate: 'default',
+  conflict: 'warning',
+  error: 'error'
+};
+
+const describeChange = (change: ImportChange) => change.field === 'status'
+  ? `${TRIP_STATUS_LABELS[change.from]} → ${TRIP_STATUS_LABELS[change.to]}`
+  : `Passengers ${change.from ?? 1} → ${change.to ?? 1}`;
+
+const describeRow = (row: ImportRow, createPassengers: boolean) => {
+  if (row.status === 'error') return row.errors.join('; ');
+  const details = [...row.conflicts, ...row.changes.map(describeChange)];
+  if (row.passenger?.match === 'new' && !createPassengers) {
+    details.push('No passenger with this name; tick "Create missing passengers" to add them');
+  }
+  return details.join('; ');
+};
+
+// Upload a crew-change spreadsheet, preview the trips it would create or
+// change, then import it (Admin only)
+export default function ImportTripsModal({ isOpen, onClose, onImported }: ImportTripsModalProps) {
+  const { user } = useAuth();
+  const [file, setFile] = useState<File | null>(null);
+  const [createPassengers, setCreatePassengers] = useState(false);
+  const [importConflicts, setImportConflicts] = useState(false);
+  const [report, setReport] = useState<ImportReport | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setFile(null);
+    setCreatePassengers(false);
+    setImportConflicts(false);
+    setReport(null);
+    setError(null);
+  }, [isOpen]);
+
+  const sendFile = useCallback(async (dryRun: boolean) => {
+    if (!file) return null;
+
+    const params = new URLSearchParams({
+      dryRun: String(dryRun),
+      createPassengers: String(createPassengers),
+      conflicts: importConflicts ? 'create' : 'skip'
+    });
+    const response = await fetch(API_ENDPOINTS.TRIP_IMPORT(params), {
+      method: 'POST',
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'Authorization': `Bearer ${user?.token}`
+      },
+      body: file
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Import failed');
+    }
+    return data as ImportReport;
+  }, [file, createPassengers, importConflicts, user?.token]);
+
+  // Preview again whenever the file or an option changes
+  useEffect(() => {
+    if (!isOpen || !file) return;
+
+    let cancelled = false;
+    const preview = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await sendFile(true);
+        if (!cancelled) setReport(data);
+      } catch (err) {
+        if (!cancelled) {
+          setReport(null);
+          setError(err instanceof Error ? err.message : 'Failed to read file');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    preview();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, file, sendFile]);
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await sendFile(false);
+      if (data) {
+        onImported({
+          created: data.summary.created,
+          updated: data.summary.updated,
+          passengersCreated: data.summary.passengersCreated
+        });
+        onClose();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = report?.summary;
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Trips</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="textSecondary" gutterBottom>
+          CSV or XLSX crew-change plan with a header row. Name (or First Name and Last Name), Date, From and To
+          are required; Employee Number, Passengers, Status (planned/confirmed or yes/no), Job Role and Company
+          are optional. From and To must be existing sites.
+        </Typography>
+
+        <Box display="flex" alignItems="center" flexWrap="wrap" gap={2} my={2}>
+          <Button variant="outlined" component="label" startIcon={<UploadFile />}>
+            Choose File
+            <input
+              type="file"
+              hidden
+              accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+            />
+          </Button>
+          <Typography variant="body2">{file?.name || 'No file chosen'}</Typography>
+          <Box ml="auto">
+            <FormControlLabel
+              control={<Checkbox checked={createPassengers} onChange={(e) => setCreatePassengers(e.target.checked)} />}
+              label="Create missing passengers"
+            />
+            <FormControlLabel
+              control={<Checkbox checked={importConflicts} onChange={(e) => setImportConflicts(e.target.checked)} />}
+              label="Import conflicting rows"
+            />
+          </Box>
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading && !report && <CircularProgress size={24} />}
+
+        {report && summary && (
+          <>
+            <Alert severity={summary.errors > 0 || summary.conflicts > 0 ? 'warning' : 'info'} sx={{ mb: 2 }}>
+              {summary.rows} row(s): {summary.create} new trip(s), {summary.update} update(s), {summary.unchanged} unchanged,{' '}
+              {summary.duplicates} duplicate(s), {summary.conflicts} conflict(s), {summary.errors} with errors.{' '}
+              {summary.toImport} will be imported
+              {summary.newPassengers > 0 && `, creating ${summary.newPassengers} passenger(s)`}
+              {summary.unknownPassengers > 0 && `; ${summary.unknownPassengers} row(s) name unknown passengers`}.
+            </Alert>
+            <TableContainer sx={{ maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Passenger</TableCell>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Route</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.rows.map(row => (
+                    <TableRow key={row.row} sx={{ opacity: row.willImport ? 1 : 0.6 }}>
+                      <TableCell>{row.row}</TableCell>
+                      <TableCell>
+                        {row.passenger?.name}
+                        {row.passenger?.match === 'new' && <Chip label="new" size="small" variant="outlined" sx={{ ml: 1 }} />}
+                      </TableCell>
+                      <TableCell>{row.trip.tripDate}</TableCell>
+                      <TableCell>
+                        {row.trip.fromOrigin && row.trip.toDestination && `${row.trip.fromOrigin} → ${row.trip.toDestination}`}
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={row.status} size="small" color={STATUS_COLORS[row.status]} />
+                      </TableCell>
+                      <TableCell>{describeRow(row, createPassengers)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleImport}
+          disabled={loading || !summary || summary.toImport === 0}
+        >
+          {loading && report ? <CircularProgress size={24} /> : `Import ${summary?.toImport ?? 0} Row(s)`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -1,8 +1,10 @@
 import { FormControl, InputLabel, Select, MenuItem } from '@mui/material';
 import { styled } from '@mui/material/styles';
 import type { SelectChangeEvent } from '@mui/material/Select';
+import type { Site } from './HeliPage';
 
 interface LocationDropdownProps {
+  sites: Site[];
   currentLocation: string;
   onLocationChange: (location: string) => void;
   variant?: 'standard' | 'outlined' | 'filled';
@@ -42,6 +44,7 @@ const LightMenuItem = styled(MenuItem)(({ theme }) => ({
 }));
 
 export default function LocationDropdown({ 
+  sites,
   currentLocation, 
   onLocationChange,
   variant = 'outlined',
@@ -49,7 +52,11 @@ export default function LocationDropdown({
   fullWidth = true,
   label = 'Location'
 }: LocationDropdownProps) {
-  const locations = ['NTM', 'Ogle', 'NSC', 'NDT', 'NBD', 'STC'];
+  // Keep the current location selectable while sites load or if it was archived
+  const locations = sites.map(site => site.siteName);
+  if (currentLocation && !locations.includes(currentLocation)) {
+    locations.push(currentLocation);
+  }
 
   const handleChange = (e: SelectChangeEvent<string>) => {
     onLocationChange(e.target.value);
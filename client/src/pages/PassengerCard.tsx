@@ -1,51 +1,45 @@
+import type { TripStatus } from '../config/tripStatus';
 import './PassengerCard.css';
 
 interface PassengerCardProps {
   firstName: string;
   lastName: string;
   jobRole: string;
-  fromOrigin: string;
-  toDestination: string;
+  // Color of the site at the other end of the trip
+  siteColor: string;
   type: 'incoming' | 'outgoing';
   confirmed: boolean;
+  // Cancelled and no-show trips are drawn struck through
+  status?: TripStatus;
+  // Hover text, e.g. why the trip was cancelled
+  note?: string;
   numberOfPassengers?: number;
+  // Picked for a bulk action
+  selected?: boolean;
+  // Clicking the name opens the passenger's profile instead of the trip
+  onOpenProfile?: () => void;
 }
 
 export default function PassengerCard({ 
   firstName, 
   lastName, 
   jobRole, 
-  fromOrigin, 
-  toDestination,
+  siteColor,
   type,
   confirmed,
-  numberOfPassengers
+  status,
+  note,
+  numberOfPassengers,
+  selected = false,
+  onOpenProfile
 }: PassengerCardProps) {
   const fullName = `${firstName} ${lastName}`;
   
-  // Get the relevant location for color coding
-  const location = type === 'incoming' ? fromOrigin : toDestination;
-  
-  // Site color mapping
-  const getSiteColor = (site: string): string => {
-    const siteUpper = site.toUpperCase();
-    switch (siteUpper) {
-      case 'STC': return '#000000'; // black
-      case 'NTM': return '#2e7d32'; // green
-      case 'NBD': return '#1565c0'; // blue
-      case 'NSC': return '#ff8f00'; // dark yellow
-      case 'OGLE': return '#9575cd'; // calm light purple
-      case 'NDT': return '#ffffff'; // white
-      default: return '#666666'; // default gray
-    }
-  };
-
-  const siteColor = getSiteColor(location);
-
   return (
     <div 
-      className={`passenger-card ${type} ${confirmed ? 'confirmed' : 'unconfirmed'}`}
+      className={`passenger-card ${type} ${confirmed ? 'confirmed' : 'unconfirmed'} ${status ? `status-${status}` : ''} ${selected ? 'selected' : ''}`}
       style={{ borderRightColor: siteColor }}
+      title={note}
     >
       <div className="passenger-content">
         <div className="passenger-main-info">
@@ -53,7 +47,13 @@ export default function PassengerCard({
             <span className="passenger-count">[{numberOfPassengers}]</span>
           )}
           <div className="passenger-text">
-            <div className="passenger-name">
+            <div
+              className={`passenger-name ${onOpenProfile ? 'profile-link' : ''}`}
+              onClick={onOpenProfile && ((e) => {
+                e.stopPropagation();
+                onOpenProfile();
+              })}
+            >
               {fullName}
             </div>
             {jobRole && (
@@ -0,0 +1,415 @@
+import { useState, useEffect } from 'react';
+import type { ReactNode } from 'react';
+import { format, subDays, parseISO, isValid } from 'date-fns';
+import {
+  AppBar,
+  Toolbar,
+  Typography,
+  Box,
+  Container,
+  Paper,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Dashboard as DashboardIcon, Settings, Download } from '@mui/icons-material';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { BarChart } from '@mui/x-charts/BarChart';
+import { LineChart } from '@mui/x-charts/LineChart';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import { API_ENDPOINTS } from '../config/api';
+
+type ReportName = 'pob-utilisation' | 'movements' | 'confirmation' | 'job-roles';
+
+interface UtilisationDay {
+  date: string;
+  startOfDay: number;
+  incoming: number;
+  outgoing: number;
+  endOfDay: number;
+  counted: number | null;
+  peak: number;
+  utilisation: number | null;
+}
+
+interface SiteUtilisation {
+  siteName: string;
+  maximumPOB: number;
+  peak: number;
+  peakDate: string;
+  averagePeak: number;
+  warningDays: number;
+  overDays: number;
+  days: UtilisationDay[];
+}
+
+interface UtilisationReport {
+  sites: SiteUtilisation[];
+}
+
+interface MovementReport {
+  weeks: string[];
+  sites: string[];
+  rows: { weekStart: string; site: string; incoming: number; outgoing: number; total: number }[];
+}
+
+interface ConfirmationCounts {
+  site: string | null;
+  confirmed: number;
+  unconfirmed: number;
+  notTravelled: number;
+  confirmedRatio: number | null;
+}
+
+interface ConfirmationReport {
+  overall: ConfirmationCounts;
+  sites: ConfirmationCounts[];
+}
+
+interface JobRoleReport {
+  total: number;
+  roles: { jobRole: string; trips: number; passengers: number; travellers: number }[];
+}
+
+interface Reports {
+  utilisation: UtilisationReport;
+  movements: MovementReport;
+  confirmation: ConfirmationReport;
+  jobRoles: JobRoleReport;
+}
+
+// Range shown when the page opens, matching the server's default
+const DEFAULT_RANGE_DAYS = 30;
+
+const CHART_HEIGHT = 300;
+
+const formatDay = (date: string) => format(parseISO(date), 'd MMM');
+
+const formatPercent = (ratio: number | null) => (ratio === null ? '—' : `${Math.round(ratio * 100)}%`);
+
+const toDateString = (date: Date | null) => (date && isValid(date) ? format(date, 'yyyy-MM-dd') : null);
+
+interface ReportSectionProps {
+  title: string;
+  subtitle?: string;
+  onDownload: () => void;
+  children: ReactNode;
+}
+
+const ReportSection = ({ title, subtitle, onDownload, children }: ReportSectionProps) => (
+  <Paper sx={{ p: 2, mb: 3 }}>
+    <Box display="flex" alignItems="center" mb={1}>
+      <Box flexGrow={1}>
+        <Typography variant="h6">{title}</Typography>
+        {subtitle && <Typography variant="body2" color="textSecondary">{subtitle}</Typography>}
+      </Box>
+      <Button size="small" startIcon={<Download />} onClick={onDownload}>
+        CSV
+      </Button>
+    </Box>
+    {children}
+  </Paper>
+);
+
+// POB utilisation and movement statistics over a date range (Admin only)
+export default function ReportsPage() {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const token = user?.token;
+
+  const [fromDate, setFromDate] = useState<Date | null>(() => subDays(new Date(), DEFAULT_RANGE_DAYS - 1));
+  const [toDate, setToDate] = useState<Date | null>(() => new Date());
+  const [reports, setReports] = useState<Reports | null>(null);
+  const [selectedSite, setSelectedSite] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const from = toDateString(fromDate);
+  const to = toDateString(toDate);
+
+  useEffect(() => {
+    if (!from || !to) return;
+
+    let cancelled = false;
+    const fetchReports = async () => {
+      setLoading(true);
+      try {
+        const fetchReport = async (report: ReportName) => {
+          const params = new URLSearchParams({ from, to, tzOffset: String(new Date().getTimezoneOffset()) });
+          const response = await fetch(API_ENDPOINTS.REPORT(report, params), {
+            headers: {
+              'Authorization': `Bearer ${token}`,
+              'Content-Type': 'application/json'
+            }
+          });
+          const data = await response.json();
+          if (!response.ok) throw new Error(data.message || data.error || 'Failed to fetch reports');
+          return data;
+        };
+
+        const [utilisation, movements, confirmation, jobRoles] = await Promise.all([
+          fetchReport('pob-utilisation'),
+          fetchReport('movements'),
+          fetchReport('confirmation'),
+          fetchReport('job-roles')
+        ]);
+        if (!cancelled) {
+          setReports({ utilisation, movements, confirmation, jobRoles });
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to fetch reports');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchReports();
+    return () => {
+      cancelled = true;
+    };
+  }, [from, to, token]);
+
+  // The download needs the auth header, so fetch it through a blob URL
+  const handleDownload = async (report: ReportName) => {
+    if (!from || !to) return;
+
+    try {
+      const params = new URLSearchParams({ from, to, tzOffset: String(new Date().getTimezoneOffset()), format: 'csv' });
+      const response = await fetch(API_ENDPOINTS.REPORT(report, params), {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) throw new Error('Download failed');
+
+      const objectUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = `${report}-${from}-to-${to}.csv`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Download failed');
+    }
+  };
+
+  const utilisationSites = reports?.utilisation.sites || [];
+  const chartedSite = utilisationSites.find(site => site.siteName === selectedSite) || utilisationSites[0];
+
+  const movements = reports?.movements;
+  const movementTotal = (site: string, weekStart: string) =>
+    movements?.rows.find(row => row.site === site && row.weekStart === weekStart)?.total ?? 0;
+
+  const confirmation = reports?.confirmation;
+  const jobRoles = reports?.jobRoles;
+
+  return (
+    <Box sx={{ minHeight: '100vh' }}>
+      <AppBar position="static" sx={{ backgroundColor: '#1E1E1E', color: 'white' }}>
+        <Toolbar>
+          <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
+            Reports
+          </Typography>
+          <IconButton color="inherit" onClick={() => navigate('/heli')} title="Dashboard" sx={{ ml: 2 }}>
+            <DashboardIcon />
+          </IconButton>
+          <IconButton color="inherit" onClick={() => navigate('/admin')} title="Admin Settings">
+            <Settings />
+          </IconButton>
+          <Typography variant="subtitle1">
+            {user?.userName}
+          </Typography>
+          <Button variant="text" onClick={logout} color="inherit" size="small"
+            sx={{
+              textTransform: 'none',
+              ml: 1,
+              '&:hover': {
+                backgroundColor: 'rgba(255, 255, 255, 0.08)'
+              }
+            }}
+          >
+            Logout
+          </Button>
+        </Toolbar>
+      </AppBar>
+
+      <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+        <LocalizationProvider dateAdapter={AdapterDateFns}>
+          <Box display="flex" alignItems="center" gap={2} mb={3}>
+            <DatePicker
+              label="From"
+              value={fromDate}
+              onChange={setFromDate}
+              maxDate={toDate || undefined}
+              slotProps={{ textField: { size: 'small' } }}
+            />
+            <DatePicker
+              label="To"
+              value={toDate}
+              onChange={setToDate}
+              minDate={fromDate || undefined}
+              slotProps={{ textField: { size: 'small' } }}
+            />
+            {loading && <CircularProgress size={24} />}
+          </Box>
+        </LocalizationProvider>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {reports && (
+          <>
+            <ReportSection
+              title="POB Utilisation"
+              subtitle="Daily peak POB against each site's maximum"
+              onDownload={() => handleDownload('pob-utilisation')}
+            >
+              {chartedSite && (
+                <>
+                  <TextField
+                    select
+                    size="small"
+                    label="Site"
+                    value={chartedSite.siteName}
+                    onChange={(e) => setSelectedSite(e.target.value)}
+                    sx={{ minWidth: 200, mt: 1 }}
+                  >
+                    {utilisationSites.map(site => (
+                      <MenuItem key={site.siteName} value={site.siteName}>{site.siteName}</MenuItem>
+                    ))}
+                  </TextField>
+                  <LineChart
+                    height={CHART_HEIGHT}
+                    xAxis={[{ scaleType: 'point', data: chartedSite.days.map(day => formatDay(day.date)) }]}
+                    series={[
+                      { data: chartedSite.days.map(day => day.peak), label: 'Peak POB', showMark: false },
+                      { data: chartedSite.days.map(day => day.endOfDay), label: 'End of day', showMark: false },
+                      {
+                        data: chartedSite.days.map(() => chartedSite.maximumPOB),
+                        label: 'Maximum POB',
+                        showMark: false,
+                        color: '#d32f2f'
+                      }
+                    ]}
+                  />
+                </>
+              )}
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Site</TableCell>
+                    <TableCell align="right">Maximum POB</TableCell>
+                    <TableCell align="right">Peak</TableCell>
+                    <TableCell>Peak Date</TableCell>
+                    <TableCell align="right">Average Peak</TableCell>
+                    <TableCell align="right">Days at 95%+</TableCell>
+                    <TableCell align="right">Days Over</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {utilisationSites.map(site => (
+                    <TableRow
+                      key={site.siteName}
+                      hover
+                      selected={site.siteName === chartedSite?.siteName}
+                      onClick={() => setSelectedSite(site.siteName)}
+                      sx={{ cursor: 'pointer' }}
+                    >
+                      <TableCell>{site.siteName}</TableCell>
+                      <TableCell align="right">{site.maximumPOB}</TableCell>
+                      <TableCell align="right">
+                        {site.peak} ({formatPercent(site.maximumPOB ? site.peak / site.maximumPOB : null)})
+                      </TableCell>
+                      <TableCell>{formatDay(site.peakDate)}</TableCell>
+                      <TableCell align="right">{site.averagePeak}</TableCell>
+                      <TableCell align="right">{site.warningDays}</TableCell>
+                      <TableCell align="right" sx={{ color: site.overDays > 0 ? 'error.main' : undefined }}>
+                        {site.overDays}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </ReportSection>
+
+            <ReportSection
+              title="Passenger Movements"
+              subtitle="People flown onto and off each site, by week starting Monday"
+              onDownload={() => handleDownload('movements')}
+            >
+              {movements && movements.weeks.length > 0 ? (
+                <BarChart
+                  height={CHART_HEIGHT}
+                  xAxis={[{ scaleType: 'band', data: movements.weeks.map(formatDay) }]}
+                  series={movements.sites.map(site => ({
+                    data: movements.weeks.map(weekStart => movementTotal(site, weekStart)),
+                    label: site,
+                    stack: 'movements'
+                  }))}
+                />
+              ) : (
+                <Typography variant="body2" color="textSecondary">No movements in this range</Typography>
+              )}
+            </ReportSection>
+
+            <ReportSection
+              title="Confirmed vs Unconfirmed"
+              subtitle={confirmation
+                ? `${formatPercent(confirmation.overall.confirmedRatio)} of ${confirmation.overall.confirmed + confirmation.overall.unconfirmed} trip(s) confirmed, ${confirmation.overall.notTravelled} cancelled or no-show`
+                : undefined}
+              onDownload={() => handleDownload('confirmation')}
+            >
+              {confirmation && confirmation.sites.length > 0 ? (
+                <BarChart
+                  height={CHART_HEIGHT}
+                  xAxis={[{ scaleType: 'band', data: confirmation.sites.map(entry => entry.site || '') }]}
+                  series={[
+                    { data: confirmation.sites.map(entry => entry.confirmed), label: 'Confirmed', stack: 'trips', color: '#2e7d32' },
+                    { data: confirmation.sites.map(entry => entry.unconfirmed), label: 'Unconfirmed', stack: 'trips', color: '#ed6c02' },
+                    { data: confirmation.sites.map(entry => entry.notTravelled), label: 'Cancelled or no-show', stack: 'trips', color: '#9e9e9e' }
+                  ]}
+                />
+              ) : (
+                <Typography variant="body2" color="textSecondary">No trips in this range</Typography>
+              )}
+            </ReportSection>
+
+            <ReportSection
+              title="Top Travelling Job Roles"
+              subtitle={jobRoles && jobRoles.total > jobRoles.roles.length
+                ? `Top ${jobRoles.roles.length} of ${jobRoles.total} roles by trips`
+                : 'By trips'}
+              onDownload={() => handleDownload('job-roles')}
+            >
+              {jobRoles && jobRoles.roles.length > 0 ? (
+                <BarChart
+                  height={Math.max(CHART_HEIGHT, jobRoles.roles.length * 32)}
+                  layout="horizontal"
+                  yAxis={[{ scaleType: 'band', data: jobRoles.roles.map(role => role.jobRole || 'No job role'), width: 140 }]}
+                  series={[
+                    { data: jobRoles.roles.map(role => role.trips), label: 'Trips' },
+                    { data: jobRoles.roles.map(role => role.travellers), label: 'Travellers' }
+                  ]}
+                />
+              ) : (
+                <Typography variant="body2" color="textSecondary">No trips in this range</Typography>
+              )}
+            </ReportSection>
+          </>
+        )}
+      </Container>
+    </Box>
+  );
+}
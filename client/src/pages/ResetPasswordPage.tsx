@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Paper,
+  Alert,
+  Link
+} from '@mui/material';
+import { API_ENDPOINTS } from '../config/api';
+
+const ResetPasswordPage = () => {
+  const { token } = useParams<{ token: string }>();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError("Passwords don't match");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(API_ENDPOINTS.RESET_PASSWORD(token || ''), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to reset password');
+      }
+
+      setMessage(data.message);
+      setPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to reset password');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        background: 'linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%)'
+      }}
+    >
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          width: 400,
+          borderRadius: 2,
+          boxShadow: '0px 4px 20px rgba(0, 0, 0, 0.1)'
+        }}
+      >
+        <Typography variant="h4" gutterBottom sx={{
+          textAlign: 'center',
+          color: 'primary.main',
+          fontWeight: 600
+        }}>
+          Reset Password
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {message ? (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {message}
+          </Alert>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <TextField
+              label="New Password"
+              type="password"
+              fullWidth
+              margin="normal"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              helperText="At least 8 characters"
+            />
+
+            <TextField
+              label="Confirm Password"
+              type="password"
+              fullWidth
+              margin="normal"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+              error={confirmPassword !== '' && password !== confirmPassword}
+            />
+
+            <Button
+              type="submit"
+              variant="contained"
+              fullWidth
+              sx={{ mt: 3, py: 1.5 }}
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Saving...' : 'Set New Password'}
+            </Button>
+          </form>
+        )}
+
+        <Box sx={{ mt: 2, textAlign: 'center' }}>
+          <Link component={RouterLink} to="/" variant="body2">
+            Back to login
+          </Link>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ResetPasswordPage;
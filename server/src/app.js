@@ -81,7 +81,8 @@ app.use((req, res, next) => {
   }
   
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, If-Match');
+  res.header('Access-Control-Expose-Headers', 'ETag');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -117,6 +118,10 @@ loadRoute('/api/users', './routes/userRoutes');
 loadRoute('/api/passengers', './routes/passengerRoutes');
 loadRoute('/api/trips', './routes/tripRoutes');
 loadRoute('/api/sites', './routes/siteRoutes');
+loadRoute('/api/flights', './routes/flightRoutes');
+loadRoute('/api/audit', './routes/auditRoutes');
+loadRoute('/api/events', './routes/eventRoutes');
+loadRoute('/api/reports', './routes/reportRoutes');
 
 // ========== HEALTH CHECK (ALWAYS WORKS - NO DB DEPENDENCY) ==========
 app.get('/api/health', (req, res) => {
@@ -196,7 +201,11 @@ app.use((req, res) => {
       '/api/users',
       '/api/passengers',
       '/api/trips',
-      '/api/sites'
+      '/api/sites',
+      '/api/flights',
+      '/api/audit',
+      '/api/events',
+      '/api/reports'
     ],
     dbConnected
   });
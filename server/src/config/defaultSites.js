@@ -0,0 +1,14 @@
+// Sites created by POST /api/sites/initialize. After that the site registry
+// lives in the database and is managed from the admin Sites tab.
+const DEFAULT_SITES = [
+  { siteName: 'NTM', type: 'vessel', color: '#2e7d32', sortOrder: 1 },
+  { siteName: 'Ogle', type: 'base', color: '#9575cd', sortOrder: 2 },
+  { siteName: 'NSC', type: 'vessel', color: '#ff8f00', sortOrder: 3 },
+  { siteName: 'NDT', type: 'vessel', color: '#ffffff', sortOrder: 4 },
+  { siteName: 'NBD', type: 'vessel', color: '#1565c0', sortOrder: 5 },
+  { siteName: 'STC', type: 'vessel', color: '#000000', sortOrder: 6 }
+];
+
+const DEFAULT_MAXIMUM_POB = 200;
+
+module.exports = { DEFAULT_SITES, DEFAULT_MAXIMUM_POB };
@@ -8,7 +8,11 @@ const routeFiles = [
   'userRoutes.js',
   'passengerRoutes.js', 
   'tripRoutes.js',
-  'siteRoutes.js'
+  'siteRoutes.js',
+  'flightRoutes.js',
+  'auditRoutes.js',
+  'eventRoutes.js',
+  'reportRoutes.js'
 ];
 
 const routesDir = path.join(__dirname, 'routes');
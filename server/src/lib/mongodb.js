@@ -1,5 +1,6 @@
 // src/lib/mongodb.js - Use CommonJS syntax
 const mongoose = require('mongoose');
+const { migratePassengerRefs } = require('../utils/passengerRefs');
 
 const MONGODB_URI = process.env.MONGODB_URI;
 
@@ -10,11 +11,31 @@ if (!MONGODB_URI) {
 let cached = global.mongoose;
 
 if (!cached) {
-  cached = global.mongoose = { conn: null, promise: null };
+  cached = global.mongoose = { conn: null, promise: null, migration: null };
+}
+
+// Data fixes every instance applies once, before serving queries. A failed
+// run is logged and tried again on the next connection request.
+async function runMigrations() {
+  if (!cached.migration) {
+    cached.migration = migratePassengerRefs()
+      .then((converted) => {
+        if (converted > 0) {
+          console.log(`Converted ${converted} trip passengerIds to ObjectId`);
+        }
+      })
+      .catch((err) => {
+        console.error('Failed to migrate passenger references:', err);
+        cached.migration = null;
+      });
+  }
+
+  await cached.migration;
 }
 
 async function dbConnect() {
   if (cached.conn) {
+    await runMigrations();
     return cached.conn;
   }
 
@@ -39,6 +60,7 @@ async function dbConnect() {
     throw e;
   }
 
+  await runMigrations();
   return cached.conn;
 }
 
@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
 const dbConnect = require('../lib/mongodb');
 
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
 const auth = async (req, res, next) => {
   try {
     // Ensure database connection
@@ -48,8 +50,37 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Sessions started before a password reset are no longer valid
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ 
+        error: 'Token expired',
+        message: 'Password was changed. Please log in again',
+        code: 'PASSWORD_CHANGED'
+      });
+    }
+
+    // Tokens removed from the user's sessions (logout, forced sign-out) are revoked
+    const session = user.tokens.find(t => t.token === token);
+    if (!session) {
+      return res.status(401).json({ 
+        error: 'Token revoked',
+        message: 'This session has been signed out. Please log in again',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    // Record activity, at most every few minutes to avoid a write per request
+    if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+      session.lastUsedAt = new Date();
+      await User.updateOne(
+        { _id: user._id, 'tokens._id': session._id },
+        { $set: { 'tokens.$.lastUsedAt': session.lastUsedAt } }
+      ).maxTimeMS(10000);
+    }
+
     // Attach to request
     req.token = token;
+    req.authSession = session;
     req.user = user;
     req.userId = user._id;
     
@@ -106,7 +137,7 @@ auth.optional = async (req, res, next) => {
         .select('-password -__v')
         .maxTimeMS(5000);
       
-      if (user) {
+      if (user && !user.changedPasswordAfter(decoded.iat) && user.tokens.some(t => t.token === token)) {
         req.user = user;
         req.userId = user._id;
         req.token = token;
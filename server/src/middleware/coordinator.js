@@ -0,0 +1,69 @@
+// Site names often come straight from the request body, where anything but
+// text (or nothing) is malformed
+const isMalformedSiteName = (siteName) => siteName !== undefined && siteName !== null && typeof siteName !== 'string';
+
+// Allows admins through, and coordinators when they manage the sites a request
+// touches. Must run after the auth middleware.
+//
+// resolveSites(req) returns a list of site groups, e.g. [['Ogle', 'NSC']]. The
+// user must coordinate at least one site in every group. Returning null means
+// the target record does not exist, and the route is left to answer with 404.
+const coordinator = (resolveSites) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please log in to access this resource'
+      });
+    }
+
+    if (req.user.isAdmin) {
+      return next();
+    }
+
+    const siteGroups = await resolveSites(req);
+
+    if (siteGroups === null) {
+      return next();
+    }
+
+    if (siteGroups.some(group => group.some(isMalformedSiteName))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Site names must be text'
+      });
+    }
+
+    const managedSites = req.user.coordinatorSites || [];
+    const isAllowed = siteGroups.length > 0 && siteGroups.every(group =>
+      group.some(siteName => managedSites.includes(siteName?.trim()))
+    );
+
+    if (!isAllowed) {
+      console.warn(`Coordinator access denied for user: ${req.user.userName || req.user._id}`);
+      return res.status(403).json({
+        error: 'Coordinator access required',
+        message: 'This action requires administrator or site coordinator privileges'
+      });
+    }
+
+    console.log(`Coordinator access granted for user: ${req.user.userName || req.user._id}`);
+    next();
+  } catch (error) {
+    console.error('Coordinator middleware error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid ID format',
+        message: 'Please provide a valid ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Unable to verify coordinator privileges'
+    });
+  }
+};
+
+module.exports = coordinator;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const FlightSchema = new mongoose.Schema({
+  flightDate: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Flight date must be in YYYY-MM-DD format']
+  },
+  departureTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Departure time must be in HH:mm format']
+  },
+  // Ordered stops, e.g. ['Ogle', 'NSC', 'NDT']
+  route: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: function(value) {
+        return Array.isArray(value) && value.length >= 2 && new Set(value).size === value.length;
+      },
+      message: 'Route must have at least two distinct stops'
+    }
+  },
+  aircraftRegistration: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  seatCapacity: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Seat capacity must be a positive integer'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+FlightSchema.index({ flightDate: 1, departureTime: 1 });
+
+module.exports = mongoose.model('Flight', FlightSchema);
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { versionOnUpdate } = require('../utils/concurrency');
+
+// Offshore safety courses most passengers carry. Other names are allowed.
+const CERTIFICATION_TYPES = ['HUET', 'BOSIET', 'FOET', 'CA-EBS', 'Offshore Medical'];
+
+const CertificationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // YYYY-MM-DD, like trip dates; the certificate is valid through this day
+  expiresOn: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'expiresOn must be a YYYY-MM-DD date'],
+    default: null
+  }
+}, { _id: false });
 
 const PassengerSchema = new mongoose.Schema({
   firstName: {
@@ -11,7 +29,64 @@ const PassengerSchema = new mongoose.Schema({
   },
   jobRole: {
     type: String
+  },
+  company: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Unique when set. Left unset rather than empty so many passengers can lack one.
+  employeeNumber: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  emergencyContact: {
+    name: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    relationship: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  // Kilograms, used for helicopter load planning
+  bodyWeight: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  baggageWeight: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  certifications: {
+    type: [CertificationSchema],
+    default: []
   }
 });
 
-module.exports = mongoose.model('Passenger', PassengerSchema);
\ No newline at end of file
+PassengerSchema.index(
+  { employeeNumber: 1 },
+  { unique: true, partialFilterExpression: { employeeNumber: { $type: 'string' } } }
+);
+PassengerSchema.index({ company: 1 });
+
+PassengerSchema.statics.CERTIFICATION_TYPES = CERTIFICATION_TYPES;
+
+PassengerSchema.plugin(versionOnUpdate);
+
+module.exports = mongoose.model('Passenger', PassengerSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// How a count was taken. 'manual' and 'muster' come from people on the site;
+// 'create' and 'initialize' are the starting value a site was set up with, and
+// 'legacy' is the last count a site held before snapshots were kept.
+const SNAPSHOT_SOURCES = ['manual', 'muster', 'site-edit', 'create', 'initialize', 'legacy'];
+
+// Sources a user may give when updating POB
+const REPORTED_SOURCES = ['manual', 'muster'];
+
+// One POB count for a site. Counts are never overwritten, so the projection
+// can anchor on whichever count is nearest the days being shown.
+const PobSnapshotSchema = new mongoose.Schema({
+  siteName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  pob: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  countedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: SNAPSHOT_SOURCES,
+    default: 'manual'
+  },
+  author: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    userName: {
+      type: String,
+      default: 'anonymous'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+});
+
+PobSnapshotSchema.index({ siteName: 1, countedAt: -1 });
+
+PobSnapshotSchema.statics.SNAPSHOT_SOURCES = SNAPSHOT_SOURCES;
+PobSnapshotSchema.statics.REPORTED_SOURCES = REPORTED_SOURCES;
+
+module.exports = mongoose.model('PobSnapshot', PobSnapshotSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const ROTATION_STATUSES = ['active', 'cancelled'];
+
+// A crew change schedule: the passenger flies homeBase → site on the first
+// day of each hitch and site → homeBase after daysOn days, then stays home
+// for daysOff days before the next hitch.
+const RotationSchema = new mongoose.Schema({
+  passengerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Passenger',
+    required: true
+  },
+  // Where the passenger works during a hitch
+  site: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Where hitches start and end, usually the heliport
+  homeBase: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  daysOn: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Days on must be a whole number'
+    }
+  },
+  daysOff: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Days off must be a whole number'
+    }
+  },
+  // Date of the first inbound leg
+  startDate: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Start date must be in YYYY-MM-DD format']
+  },
+  // No leg is generated after this date, so the last hitch must finish by it
+  endDate: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'End date must be in YYYY-MM-DD format']
+  },
+  // Applied to every generated trip
+  confirmed: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ROTATION_STATUSES,
+    default: 'active'
+  },
+  // Legs whose trip was deleted or moved by hand, so series edits do not
+  // bring them back
+  skippedLegs: [{
+    _id: false,
+    tripDate: String,
+    fromOrigin: String,
+    toDestination: String
+  }]
+}, {
+  timestamps: true
+});
+
+RotationSchema.index({ passengerId: 1, startDate: 1 });
+
+RotationSchema.statics.ROTATION_STATUSES = ROTATION_STATUSES;
+
+module.exports = mongoose.model('Rotation', RotationSchema);
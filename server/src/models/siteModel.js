@@ -1,9 +1,13 @@
 const mongoose = require('mongoose');
 
+const SITE_TYPES = ['base', 'rig', 'vessel'];
+
 const SiteSchema = new mongoose.Schema({
   siteName: {
     type: String,
-    required: true
+    required: true,
+    unique: true,
+    trim: true
   },
   currentPOB: {
     type: Number,
@@ -16,7 +20,29 @@ const SiteSchema = new mongoose.Schema({
   pobUpdatedDate: {
     type: Date,  // Use Date type instead of String
     required: true
+  },
+  // Display color used for passenger cards and site chips
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1565c0'],
+    default: '#666666'
+  },
+  type: {
+    type: String,
+    enum: SITE_TYPES,
+    default: 'rig'
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Archived sites keep their history but are hidden from pickers
+  archived: {
+    type: Boolean,
+    default: false
   }
 });
 
-module.exports = mongoose.model('Site', SiteSchema);
\ No newline at end of file
+SiteSchema.statics.SITE_TYPES = SITE_TYPES;
+
+module.exports = mongoose.model('Site', SiteSchema);
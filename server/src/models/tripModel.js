@@ -1,8 +1,11 @@
 const mongoose = require('mongoose');
+const { versionOnUpdate } = require('../utils/concurrency');
+const { TRIP_STATUSES, CANCELLATION_CATEGORIES } = require('../utils/tripStatus');
 
 const TripSchema = new mongoose.Schema({
   passengerId: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Passenger',
     required: true
   },
   fromOrigin: {
@@ -21,6 +24,45 @@ const TripSchema = new mongoose.Schema({
     type: Boolean,
     required: true
   },
+  // Trips saved before status existed read as planned or confirmed
+  status: {
+    type: String,
+    enum: TRIP_STATUSES,
+    default: function() {
+      return this.confirmed ? 'confirmed' : 'planned';
+    }
+  },
+  // Set when the trip is cancelled
+  cancellation: {
+    type: new mongoose.Schema({
+      category: {
+        type: String,
+        enum: CANCELLATION_CATEGORIES,
+        required: true
+      },
+      reason: {
+        type: String,
+        trim: true
+      },
+      cancelledAt: {
+        type: Date,
+        default: Date.now
+      },
+      cancelledBy: String
+    }, { _id: false }),
+    default: null
+  },
+  // Date the trip was first booked for, kept when it is rescheduled
+  originalDate: {
+    type: String,
+    default: null
+  },
+  // The cancelled trip this one replaces
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    default: null
+  },
   numberOfPassengers: {
     type: Number,
     min: 1,
@@ -32,7 +74,29 @@ const TripSchema = new mongoose.Schema({
       message: 'Number of passengers must be a positive integer or empty'
     },
     default: null
+  },
+  flightId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flight',
+    default: null
+  },
+  // Set on trips generated from a rotation series
+  rotationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rotation',
+    default: null
   }
 });
 
+// Range queries on the board, per-site lookups (either end of the trip),
+// passenger history, flight seat counts and rotation occurrences
+TripSchema.index({ tripDate: -1, _id: -1 });
+TripSchema.index({ fromOrigin: 1, tripDate: -1 });
+TripSchema.index({ toDestination: 1, tripDate: -1 });
+TripSchema.index({ passengerId: 1, tripDate: -1 });
+TripSchema.index({ flightId: 1 });
+TripSchema.index({ rotationId: 1, tripDate: 1 });
+
+TripSchema.plugin(versionOnUpdate);
+
 module.exports = mongoose.model('Trip', TripSchema);
\ No newline at end of file
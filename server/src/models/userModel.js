@@ -3,6 +3,9 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
+// Matches the JWT expiry below
+const SESSION_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+
 const UserSchema = new mongoose.Schema({
   userName: {
     type: String,
@@ -33,6 +36,15 @@ const UserSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  // Optional, used to deliver password reset links
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
   isAdmin: {
     type: Boolean,
     required: true
@@ -41,14 +53,29 @@ const UserSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Sites this user may manage trips and POB for without being an admin
+  coordinatorSites: [{
+    type: String,
+    trim: true
+  }],
+  // One entry per signed-in session; removing an entry revokes its JWT
   tokens: [{
     token: {
       type: String,
       required: true
-    }
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date,
+    userAgent: String,
+    ip: String
   }],
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Tokens issued before this moment are no longer accepted
+  passwordChangedAt: Date,
   lastLogin: Date,
   createdAt: {
     type: Date,
@@ -77,8 +104,8 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-UserSchema.methods.generateAuthToken = async function() {
+// Generate JWT token and record it as a session
+UserSchema.methods.generateAuthToken = async function({ userAgent, ip } = {}) {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not defined in environment variables');
   }
@@ -89,20 +116,35 @@ UserSchema.methods.generateAuthToken = async function() {
     { expiresIn: '30d' }
   );
 
-  this.tokens = this.tokens.concat({ token });
+  // Drop sessions whose JWT has expired anyway
+  const cutoff = Date.now() - SESSION_LIFETIME_MS;
+  this.tokens = this.tokens
+    .filter(session => !session.createdAt || session.createdAt.getTime() > cutoff)
+    .concat({ token, userAgent, ip, lastUsedAt: Date.now() });
   await this.save();
   
   return token;
 };
 
+// Hash a reset token the same way it is stored
+UserSchema.statics.hashResetToken = function(resetToken) {
+  return crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+};
+
+// Whether a JWT issued at `issuedAt` (seconds) predates the last password change
+UserSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Generate password reset token
 UserSchema.methods.getResetPasswordToken = function() {
   const resetToken = crypto.randomBytes(20).toString('hex');
   
-  this.resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
+  this.resetPasswordToken = this.constructor.hashResetToken(resetToken);
     
   this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
   
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/auditLogModel');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const dbConnect = require('../lib/mongodb'); // Import the connection helper
+
+// Helper function for error responses
+const handleError = (res, error, customMessage = 'Server Error') => {
+  console.error(`${customMessage}:`, error);
+  
+  if (error.name === 'CastError' || error.kind === 'ObjectId') {
+    return res.status(400).json({ 
+      error: 'Invalid ID format',
+      message: 'Please provide a valid ID'
+    });
+  }
+  
+  if (error.name === 'MongoError' || error.name.includes('Mongo')) {
+    return res.status(503).json({ 
+      error: 'Database service unavailable',
+      message: 'Please try again later'
+    });
+  }
+  
+  res.status(500).json({ error: customMessage });
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/audit
+// @desc    Query the audit trail (Admin only)
+//          ?entityType=&entityId=&action=&actor=&from=&to=&page=&limit=
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const { entityType, entityId, action, actor, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+
+    const filter = {};
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (actor?.trim()) {
+      filter['actor.userName'] = { $regex: escapeRegex(actor.trim()), $options: 'i' };
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({ 
+          error: 'Validation failed',
+          message: 'Invalid date format for from/to' 
+        });
+      }
+
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .maxTimeMS(10000),
+      AuditLog.countDocuments(filter)
+        .maxTimeMS(10000)
+    ]);
+    
+    console.log(`Admin fetched ${logs.length} of ${total} audit entries`);
+    res.json({ logs, total, page, limit });
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch audit trail');
+  }
+});
+
+module.exports = router;
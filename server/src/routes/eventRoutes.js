@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { subscribe, getSubscriberCount } = require('../utils/events');
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Delay the browser waits before reconnecting after the stream drops
+const RETRY_MS = 5000;
+
+// @route   GET /api/events
+// @desc    Server-sent event stream of trip, passenger, site and flight changes
+//          Each message is a JSON object { entity, action, data, timestamp }
+router.get('/', auth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RETRY_MS}\n`);
+  res.write(`event: ready\ndata: ${JSON.stringify({ timestamp: new Date().toISOString() })}\n\n`);
+
+  const unsubscribe = subscribe((change) => {
+    res.write(`event: change\ndata: ${JSON.stringify(change)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  console.log(`Event stream opened by ${req.user.userName} (${getSubscriberCount()} open)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`Event stream closed by ${req.user.userName} (${getSubscriberCount()} open)`);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,481 @@
+const express = require('express');
+const router = express.Router();
+const Flight = require('../models/flightModel');
+const Trip = require('../models/tripModel');
+const auth = require('../middleware/auth');
+const coordinator = require('../middleware/coordinator');
+const dbConnect = require('../lib/mongodb'); // Import the connection helper
+const { formatTripDate } = require('../utils/dates');
+const { recordAudit } = require('../utils/audit');
+const { getSeatLoad, getSeatsBooked, validateFlightLoad } = require('../utils/flights');
+const { buildManifestRows, sendManifest } = require('../utils/manifest');
+const { publishUpsert, publishDelete } = require('../utils/events');
+
+// Helper function for error responses
+const handleError = (res, error, customMessage = 'Server Error') => {
+  console.error(`${customMessage}:`, error);
+
+  if (error.name === 'CastError' || error.kind === 'ObjectId') {
+    return res.status(400).json({
+      error: 'Invalid ID format',
+      message: 'Please provide a valid flight ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: error.message
+    });
+  }
+
+  if (error.name === 'MongoError' || error.name.includes('Mongo')) {
+    return res.status(503).json({
+      error: 'Database service unavailable',
+      message: 'Please try again later'
+    });
+  }
+
+  res.status(500).json({ error: customMessage });
+};
+
+// Sites on the route in the request body
+const requestedFlightSites = (req) => [Array.isArray(req.body.route) ? req.body.route : []];
+
+// Sites on the existing flight's route (and on its replacement route on updates)
+const existingFlightSites = async (req) => {
+  await dbConnect();
+
+  const flight = await Flight.findById(req.params.id)
+    .select('route')
+    .maxTimeMS(10000);
+
+  if (!flight) return null;
+
+  const siteGroups = [flight.route];
+  if (req.method === 'PUT' && Array.isArray(req.body.route)) {
+    siteGroups.push(req.body.route);
+  }
+  return siteGroups;
+};
+
+// Build flight data from a request body, throwing a ValidationError-like error
+// for anything the schema cannot check on its own
+const buildFlightData = ({ flightDate, departureTime, route, aircraftRegistration, seatCapacity, notes }) => {
+  let formattedDate;
+  try {
+    formattedDate = formatTripDate(flightDate);
+  } catch (dateError) {
+    const error = new Error('Invalid flight date format. Use YYYY-MM-DD format or a valid date string');
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return {
+    flightDate: formattedDate,
+    departureTime: departureTime?.trim(),
+    route: Array.isArray(route) ? route.map(stop => String(stop).trim()).filter(Boolean) : route,
+    aircraftRegistration: aircraftRegistration?.trim(),
+    seatCapacity: seatCapacity !== undefined && seatCapacity !== null ? Number(seatCapacity) : seatCapacity,
+    notes: notes?.trim() || ''
+  };
+};
+
+// Attach seat usage to a flight for API responses
+const withSeatUsage = (flight, trips) => ({
+  ...flight.toObject(),
+  seatsBooked: getSeatsBooked(flight.route, trips),
+  seatLoad: getSeatLoad(flight.route, trips)
+});
+
+// @route   POST /api/flights
+// @desc    Create a new flight (Admin or site coordinator)
+router.post('/', [auth, coordinator(requestedFlightSites)], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const { flightDate, departureTime, route, aircraftRegistration, seatCapacity } = req.body;
+
+    if (!flightDate || !departureTime?.trim() || !Array.isArray(route) || !aircraftRegistration?.trim() || seatCapacity === undefined) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'All fields (flightDate, departureTime, route, aircraftRegistration, seatCapacity) are required'
+      });
+    }
+
+    const newFlight = new Flight(buildFlightData(req.body));
+    const savedFlight = await newFlight.save();
+    await recordAudit(req, { action: 'create', entityType: 'Flight', after: savedFlight });
+
+    const createdFlight = withSeatUsage(savedFlight, []);
+    publishUpsert('flight', createdFlight);
+
+    console.log(`New flight created: ${savedFlight._id} on ${savedFlight.flightDate} ${savedFlight.departureTime}`);
+    res.status(201).json(createdFlight);
+  } catch (err) {
+    handleError(res, err, 'Failed to create flight');
+  }
+});
+
+// @route   GET /api/flights
+// @desc    Get flights, optionally within a date range (?from=&to=)
+router.get('/', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const { from, to } = req.query;
+    const filter = {};
+
+    try {
+      if (from || to) {
+        filter.flightDate = {};
+        if (from) filter.flightDate.$gte = formatTripDate(from);
+        if (to) filter.flightDate.$lte = formatTripDate(to);
+      }
+    } catch (dateError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid date format. Use YYYY-MM-DD format'
+      });
+    }
+
+    const flights = await Flight.find(filter)
+      .sort({ flightDate: 1, departureTime: 1 })
+      .maxTimeMS(10000);
+
+    const trips = await Trip.find({ flightId: { $in: flights.map(f => f._id) } })
+      .select('flightId fromOrigin toDestination numberOfPassengers')
+      .lean()
+      .maxTimeMS(10000);
+
+    const result = flights.map(flight => withSeatUsage(
+      flight,
+      trips.filter(trip => String(trip.flightId) === String(flight._id))
+    ));
+
+    console.log(`Fetched ${flights.length} flights`);
+    res.json(result);
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch flights');
+  }
+});
+
+// @route   GET /api/flights/:id
+// @desc    Get flight by ID, including its assigned trips
+router.get('/:id', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const flight = await Flight.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!flight) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Flight not found'
+      });
+    }
+
+    const trips = await Trip.find({ flightId: flight._id })
+      .maxTimeMS(10000);
+
+    res.json({ ...withSeatUsage(flight, trips), trips });
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch flight');
+  }
+});
+
+// @route   GET /api/flights/:id/manifest
+// @desc    Passenger manifest for a flight as PDF or CSV (?format=pdf|csv)
+router.get('/:id/manifest', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const format = req.query.format || 'pdf';
+
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Format must be pdf or csv'
+      });
+    }
+
+    const flight = await Flight.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!flight) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Flight not found'
+      });
+    }
+
+    const trips = await Trip.find({ flightId: flight._id })
+      .lean()
+      .maxTimeMS(10000);
+
+    const rows = await buildManifestRows(trips);
+
+    console.log(`Generated ${format} manifest for flight ${flight._id} with ${rows.length} trips`);
+    sendManifest(res, {
+      format,
+      fileName: `manifest-${flight.flightDate}-${flight.departureTime.replace(':', '')}-${flight.aircraftRegistration}`,
+      title: `Flight Manifest - ${flight.flightDate} ${flight.departureTime}`,
+      subtitle: `${flight.aircraftRegistration}   ${flight.route.join(' - ')}   Seats booked: ${getSeatsBooked(flight.route, trips)}/${flight.seatCapacity}`,
+      rows
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to generate flight manifest');
+  }
+});
+
+// @route   PUT /api/flights/:id
+// @desc    Update flight by ID (Admin or site coordinator)
+router.put('/:id', [auth, coordinator(existingFlightSites)], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const { flightDate, departureTime, route, aircraftRegistration, seatCapacity } = req.body;
+
+    if (!flightDate || !departureTime?.trim() || !Array.isArray(route) || !aircraftRegistration?.trim() || seatCapacity === undefined) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'All fields (flightDate, departureTime, route, aircraftRegistration, seatCapacity) are required'
+      });
+    }
+
+    const flight = await Flight.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!flight) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Flight not found'
+      });
+    }
+
+    const flightBefore = flight.toObject();
+    flight.set(buildFlightData(req.body));
+    await flight.validate();
+
+    // The new schedule must still carry every trip already on board
+    const trips = await Trip.find({ flightId: flight._id })
+      .maxTimeMS(10000);
+    const problems = validateFlightLoad(flight, trips);
+
+    if (problems.length > 0) {
+      return res.status(409).json({
+        error: 'Flight conflict',
+        message: 'The updated flight can no longer carry its assigned trips',
+        problems
+      });
+    }
+
+    const savedFlight = await flight.save();
+    await recordAudit(req, { action: 'update', entityType: 'Flight', before: flightBefore, after: savedFlight });
+    publishUpsert('flight', withSeatUsage(savedFlight, trips));
+
+    console.log(`Flight updated: ${savedFlight._id}`);
+    res.json(withSeatUsage(savedFlight, trips));
+  } catch (err) {
+    handleError(res, err, 'Failed to update flight');
+  }
+});
+
+// @route   DELETE /api/flights/:id
+// @desc    Delete flight by ID and unassign its trips (Admin or site coordinator)
+router.delete('/:id', [auth, coordinator(existingFlightSites)], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const deletedFlight = await Flight.findByIdAndDelete(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!deletedFlight) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Flight not found'
+      });
+    }
+
+    const unassignResult = await Trip.updateMany(
+      { flightId: deletedFlight._id },
+      { $set: { flightId: null } }
+    ).maxTimeMS(10000);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'Flight',
+      before: deletedFlight,
+      metadata: { unassignedTrips: unassignResult.modifiedCount }
+    });
+    // Subscribers clear flightId on the flight's trips themselves
+    publishDelete('flight', deletedFlight._id);
+
+    console.log(`Flight deleted: ${deletedFlight._id}, ${unassignResult.modifiedCount} trips unassigned`);
+    res.json({
+      message: 'Flight deleted successfully',
+      flightId: deletedFlight._id,
+      unassignedTrips: unassignResult.modifiedCount
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to delete flight');
+  }
+});
+
+// @route   POST /api/flights/:id/trips
+// @desc    Assign trips to a flight ({ tripIds: [] }) (Admin or site coordinator)
+router.post('/:id/trips', [auth, coordinator(existingFlightSites)], async (req, res) => {
+  let session = null;
+  let flight = null;
+  let problems = [];
+
+  const { tripIds } = req.body;
+
+  if (!Array.isArray(tripIds) || tripIds.length === 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'tripIds must be a non-empty list of trip IDs'
+    });
+  }
+
+  try {
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
+    session = await mongooseConnection.startSession();
+
+    await session.withTransaction(async () => {
+      // Writing the flight first makes concurrent assignments to it conflict,
+      // so the one that retries checks the seats against the other's trips
+      flight = await Flight.findByIdAndUpdate(
+        req.params.id,
+        { $set: { updatedAt: new Date() } },
+        { new: true, timestamps: false, session }
+      ).maxTimeMS(10000);
+
+      if (!flight) {
+        throw new Error('Flight not found');
+      }
+
+      const tripsToAssign = await Trip.find({ _id: { $in: tripIds } })
+        .session(session)
+        .maxTimeMS(10000);
+
+      if (tripsToAssign.length !== new Set(tripIds.map(String)).size) {
+        throw new Error('Trip not found');
+      }
+
+      const assignedTrips = await Trip.find({ flightId: flight._id, _id: { $nin: tripIds } })
+        .session(session)
+        .maxTimeMS(10000);
+      problems = validateFlightLoad(flight, [...assignedTrips, ...tripsToAssign]);
+
+      if (problems.length > 0) {
+        throw new Error('Flight conflict');
+      }
+
+      await Trip.updateMany(
+        { _id: { $in: tripIds } },
+        { $set: { flightId: flight._id } }
+      )
+        .session(session)
+        .maxTimeMS(10000);
+    });
+
+    const trips = await Trip.find({ flightId: flight._id })
+      .maxTimeMS(10000);
+
+    await recordAudit(req, {
+      action: 'assign',
+      entityType: 'Flight',
+      entityId: flight._id,
+      metadata: { tripIds: tripIds.map(String) }
+    });
+    trips.forEach(trip => publishUpsert('trip', trip));
+    publishUpsert('flight', withSeatUsage(flight, trips));
+
+    console.log(`Assigned ${tripIds.length} trips to flight ${flight._id}`);
+    res.json({ ...withSeatUsage(flight, trips), trips });
+  } catch (err) {
+    if (err.message === 'Flight not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Flight not found'
+      });
+    }
+
+    if (err.message === 'Trip not found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'One or more trips were not found'
+      });
+    }
+
+    if (err.message === 'Flight conflict') {
+      return res.status(409).json({
+        error: 'Flight conflict',
+        message: 'The trips cannot be assigned to this flight',
+        problems
+      });
+    }
+
+    handleError(res, err, 'Failed to assign trips');
+  } finally {
+    // End session if it was started
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// @route   DELETE /api/flights/:id/trips/:tripId
+// @desc    Remove a trip from a flight (Admin or site coordinator)
+router.delete('/:id/trips/:tripId', [auth, coordinator(existingFlightSites)], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const flight = await Flight.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!flight) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Flight not found'
+      });
+    }
+
+    const updatedTrip = await Trip.findOneAndUpdate(
+      { _id: req.params.tripId, flightId: flight._id },
+      { $set: { flightId: null } },
+      {
+        new: true,
+        maxTimeMS: 10000
+      }
+    );
+
+    if (!updatedTrip) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Trip is not assigned to this flight'
+      });
+    }
+
+    const trips = await Trip.find({ flightId: flight._id })
+      .maxTimeMS(10000);
+
+    await recordAudit(req, {
+      action: 'unassign',
+      entityType: 'Flight',
+      entityId: flight._id,
+      metadata: { tripIds: [String(updatedTrip._id)] }
+    });
+    publishUpsert('trip', updatedTrip);
+    publishUpsert('flight', withSeatUsage(flight, trips));
+
+    console.log(`Unassigned trip ${updatedTrip._id} from flight ${flight._id}`);
+    res.json({ ...withSeatUsage(flight, trips), trips });
+  } catch (err) {
+    handleError(res, err, 'Failed to unassign trip');
+  }
+});
+
+module.exports = router;
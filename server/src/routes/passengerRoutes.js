@@ -2,9 +2,30 @@ const express = require('express');
 const router = express.Router();
 const Passenger = require('../models/passengerModel');
 const Trip = require('../models/tripModel');
+const Rotation = require('../models/rotationModel');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const dbConnect = require('../lib/mongodb'); // Import the connection helpers
+const { recordAudit } = require('../utils/audit');
+const { publishUpsert, publishDelete } = require('../utils/events');
+const { getExpectedVersion, setVersionHeader, sendInvalidVersion, sendVersionConflict } = require('../utils/concurrency');
+const { formatTripDate, addDays, daysBetween, today } = require('../utils/dates');
+const { LOCATING_STATUSES, locatePassengers } = require('../utils/roster');
+const { OPEN_STATUSES, statusCondition } = require('../utils/tripStatus');
+const { parseProfileFields } = require('../utils/passengerProfile');
+const { readPassengerFile, buildImportReport, toPassengerCsv, toPassengerXlsx } = require('../utils/passengerImport');
+const { SPREADSHEET_CONTENT_TYPES } = require('../utils/spreadsheet');
+const { passengerRefCondition } = require('../utils/passengerRefs');
+const {
+  SEARCH_FIELDS,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  MAX_SEARCH_CANDIDATES,
+  rankSearchResults,
+  findDuplicatePairs,
+  mergeProfiles
+} = require('../utils/passengerMatching');
+const { MAX_SUMMARY_DAYS, DEFAULT_SUMMARY_DAYS, countDaysBySite, describeRotationStatus } = require('../utils/travelHistory');
 
 // Helper function for error responses
 const handleError = (res, error, customMessage = 'Server Error') => {
@@ -18,6 +39,14 @@ const handleError = (res, error, customMessage = 'Server Error') => {
     return res.status(400).json({ error: error.message });
   }
   
+  // employeeNumber is the only unique field
+  if (error.code === 11000) {
+    return res.status(409).json({ 
+      error: 'Duplicate employee number',
+      message: `Employee number '${error.keyValue?.employeeNumber}' is already used by another passenger` 
+    });
+  }
+  
   if (error.name === 'MongoError' || error.name.includes('Mongo')) {
     return res.status(503).json({ error: 'Database service unavailable' });
   }
@@ -25,8 +54,65 @@ const handleError = (res, error, customMessage = 'Server Error') => {
   res.status(500).json({ error: customMessage });
 };
 
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Update operators for a passenger update
+const toUpdate = (updateData, unsetData) => ({
+  $set: updateData,
+  ...(Object.keys(unsetData).length > 0 && { $unset: unsetData })
+});
+
+// Build a MongoDB filter from the passenger list query string:
+//   ?search=text               name, job role, company, employee number, phone or certification
+//   ?company=name              exact company, ignoring case
+//   ?certification=HUET        holds the certification...
+//   ?certifiedOn=YYYY-MM-DD    ...and it is valid on this day (today by default)
+// Throws a ValidationError for malformed values.
+const buildPassengerFilter = (query) => {
+  const { search, company, certification, certifiedOn } = query;
+  const conditions = [];
+
+  if (search?.trim()) {
+    const words = search.trim().split(/\s+/);
+    const searchFields = ['firstName', 'lastName', 'jobRole', 'company', 'employeeNumber', 'phone', 'certifications.name'];
+
+    // Every word has to match one of the fields
+    words.forEach(word => {
+      const pattern = { $regex: escapeRegex(word), $options: 'i' };
+      conditions.push({ $or: searchFields.map(field => ({ [field]: pattern })) });
+    });
+  }
+
+  if (company?.trim()) {
+    conditions.push({ company: { $regex: `^${escapeRegex(company.trim())}$`, $options: 'i' } });
+  }
+
+  if (certification?.trim()) {
+    let validOn;
+    try {
+      validOn = formatTripDate(certifiedOn || today());
+    } catch (dateError) {
+      throw Object.assign(new Error('Invalid date format for certifiedOn. Use YYYY-MM-DD format'), { name: 'ValidationError' });
+    }
+
+    conditions.push({
+      certifications: {
+        $elemMatch: {
+          name: { $regex: `^${escapeRegex(certification.trim())}$`, $options: 'i' },
+          $or: [{ expiresOn: null }, { expiresOn: { $gte: validOn } }]
+        }
+      }
+    });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
 // @route   POST /api/passengers
 // @desc    Create a new passenger
+//          Body: { firstName, lastName, jobRole, company?, employeeNumber?, phone?,
+//          emergencyContact?: { name, phone, relationship }, bodyWeight?, baggageWeight?,
+//          certifications?: [{ name, expiresOn }] }
 router.post('/', [auth, admin], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
@@ -41,13 +127,24 @@ router.post('/', [auth, admin], async (req, res) => {
       });
     }
 
+    const { updateData: profile, error } = parseProfileFields(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
     const newPassenger = new Passenger({
+      ...profile,
       firstName: firstName.trim(),
       lastName: lastName.trim(),
       jobRole: jobRole?.trim() || ''
     });
 
     const savedPassenger = await newPassenger.save();
+    await recordAudit(req, { action: 'create', entityType: 'Passenger', after: savedPassenger });
+    publishUpsert('passenger', savedPassenger);
     
     console.log(`New passenger created: ${savedPassenger.firstName} ${savedPassenger.lastName}`);
     res.status(201).json(savedPassenger);
@@ -56,13 +153,255 @@ router.post('/', [auth, admin], async (req, res) => {
   }
 });
 
+// What to do with rows that match an existing passenger by name
+const DUPLICATE_STRATEGIES = ['skip', 'create'];
+
+// @route   POST /api/passengers/import
+// @desc    Import passengers from a CSV or XLSX file sent as the request body (Admin only)
+//          ?dryRun=true reports what would happen without saving anything.
+//          Rows with errors are skipped, as are duplicates of an existing passenger
+//          or an earlier row unless ?duplicates=create. Employee number matches
+//          are always skipped.
+router.post('/import', [auth, admin, express.raw({ type: SPREADSHEET_CONTENT_TYPES, limit: '5mb' })], async (req, res) => {
+  let session = null;
+  let createdPassengers = [];
+
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const duplicates = req.query.duplicates || 'skip';
+
+    if (!DUPLICATE_STRATEGIES.includes(duplicates)) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `duplicates must be one of: ${DUPLICATE_STRATEGIES.join(', ')}` 
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Send the file as the request body with a CSV or XLSX content type' 
+      });
+    }
+
+    const { records, error } = await readPassengerFile(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
+
+    const existingPassengers = await Passenger.find()
+      .select('firstName lastName employeeNumber')
+      .lean()
+      .maxTimeMS(10000);
+
+    const rows = buildImportReport(records, existingPassengers);
+    const importable = rows.filter(row =>
+      row.status === 'new' ||
+      (row.status === 'duplicate' && duplicates === 'create' && row.duplicateOf.match === 'name')
+    );
+
+    if (!dryRun && importable.length > 0) {
+      session = await mongooseConnection.startSession();
+
+      await session.withTransaction(async () => {
+        createdPassengers = await Passenger.insertMany(
+          importable.map(row => row.passenger),
+          { session }
+        );
+      });
+
+      await recordAudit(req, {
+        action: 'import',
+        entityType: 'Passenger',
+        metadata: {
+          created: createdPassengers.length,
+          rows: rows.length,
+          duplicates,
+          passengerIds: createdPassengers.map(passenger => passenger._id)
+        }
+      });
+      createdPassengers.forEach(passenger => publishUpsert('passenger', passenger));
+    }
+
+    const summary = {
+      rows: rows.length,
+      new: rows.filter(row => row.status === 'new').length,
+      duplicates: rows.filter(row => row.status === 'duplicate').length,
+      errors: rows.filter(row => row.status === 'error').length,
+      toImport: importable.length,
+      created: createdPassengers.length
+    };
+
+    console.log(`Passenger import${dryRun ? ' (dry run)' : ''}: ${summary.rows} rows, ${summary.created} created`);
+    res.status(dryRun || createdPassengers.length === 0 ? 200 : 201).json({
+      dryRun,
+      duplicates,
+      summary,
+      rows
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to import passengers');
+  } finally {
+    // End session if it was started
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// @route   GET /api/passengers/export
+// @desc    Download passengers as CSV or XLSX (?format=csv|xlsx, Admin only)
+//          Takes the same filters as GET /api/passengers
+router.get('/export', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const exportFormat = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(exportFormat)) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'format must be csv or xlsx' 
+      });
+    }
+
+    const passengers = await Passenger.find(buildPassengerFilter(req.query))
+      .sort({ lastName: 1, firstName: 1 })
+      .lean()
+      .maxTimeMS(10000);
+
+    const fileName = `passengers-${today()}`;
+    console.log(`Exporting ${passengers.length} passengers as ${exportFormat}`);
+
+    if (exportFormat === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+      return res.send(Buffer.from(await toPassengerXlsx(passengers)));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    res.send(toPassengerCsv(passengers));
+  } catch (err) {
+    handleError(res, err, 'Failed to export passengers');
+  }
+});
+
+// Parse ?limit as a whole number from 1 to max, or null when it is malformed
+const parseLimit = (value, defaultLimit, max) => {
+  if (value === undefined) return defaultLimit;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= max ? limit : null;
+};
+
+// @route   GET /api/passengers/search
+// @desc    Find passengers by name or job role, best match first (?q=text, ?limit=10, at most 50)
+//          Every word has to match the start of a word in the first name,
+//          last name or job role, so "jo sm" finds John Smith
+router.get('/search', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const query = req.query.q?.trim();
+    if (!query) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'q is required' 
+      });
+    }
+
+    const limit = parseLimit(req.query.limit, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+    if (limit === null) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `limit must be a whole number from 1 to ${MAX_SEARCH_LIMIT}` 
+      });
+    }
+
+    // Narrow down in the database, then rank in memory. Stray punctuation
+    // such as the dash in "John Smith - Driller" is ignored.
+    const words = query.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word));
+    if (words.length === 0) {
+      return res.json([]);
+    }
+
+    const conditions = words.map(word => {
+      const pattern = { $regex: `(^|[\\s'-])${escapeRegex(word)}`, $options: 'i' };
+      return { $or: SEARCH_FIELDS.map(({ field }) => ({ [field]: pattern })) };
+    });
+
+    const candidates = await Passenger.find({ $and: conditions })
+      .limit(MAX_SEARCH_CANDIDATES)
+      .lean()
+      .maxTimeMS(10000);
+
+    res.json(rankSearchResults(candidates, query, limit));
+  } catch (err) {
+    handleError(res, err, 'Failed to search passengers');
+  }
+});
+
+const DEFAULT_DUPLICATE_LIMIT = 50;
+const MAX_DUPLICATE_LIMIT = 200;
+
+// @route   GET /api/passengers/duplicates
+// @desc    Pairs of passengers that are likely the same person, most likely first (?limit=50, at most 200, Admin only)
+//          Each pair has a score from 0 to 1, the reasons it matched
+//          (same-name, swapped-name, similar-name, same-phone) and each
+//          passenger's trip count, to help pick which record to keep
+router.get('/duplicates', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const limit = parseLimit(req.query.limit, DEFAULT_DUPLICATE_LIMIT, MAX_DUPLICATE_LIMIT);
+    if (limit === null) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `limit must be a whole number from 1 to ${MAX_DUPLICATE_LIMIT}` 
+      });
+    }
+
+    const passengers = await Passenger.find()
+      .select('firstName lastName jobRole company employeeNumber phone')
+      .lean()
+      .maxTimeMS(10000);
+
+    const pairs = findDuplicatePairs(passengers);
+    const shown = pairs.slice(0, limit);
+
+    const passengerIds = [...new Set(shown.flatMap(pair => pair.passengers.map(passenger => passenger._id)))];
+    const tripCounts = await Trip.aggregate([
+      { $match: passengerRefCondition(passengerIds) },
+      { $group: { _id: '$passengerId', count: { $sum: 1 } } }
+    ]).option({ maxTimeMS: 10000 });
+    const countsById = new Map(tripCounts.map(({ _id, count }) => [String(_id), count]));
+
+    res.json({
+      total: pairs.length,
+      pairs: shown.map(pair => ({
+        ...pair,
+        passengers: pair.passengers.map(passenger => ({
+          ...passenger,
+          tripCount: countsById.get(String(passenger._id)) || 0
+        }))
+      }))
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to find duplicate passengers');
+  }
+});
+
 // @route   GET /api/passengers
-// @desc    Get all passengers
+// @desc    Get all passengers, optionally filtered (?search, ?company, ?certification, ?certifiedOn)
 router.get('/', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
-    const passengers = await Passenger.find()
+    const passengers = await Passenger.find(buildPassengerFilter(req.query))
       .sort({ firstName: 1, lastName: 1 }) // Sort alphabetically
       .maxTimeMS(10000); // Add query timeout
     
@@ -88,18 +427,295 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
     
+    setVersionHeader(res, passenger);
     res.json(passenger);
   } catch (err) {
     handleError(res, err, 'Failed to fetch passenger');
   }
 });
 
+// @route   GET /api/passengers/:id/location
+// @desc    Where a passenger is at the end of a day, from their confirmed trips (?date=YYYY-MM-DD, today by default)
+router.get('/:id/location', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    let date;
+    try {
+      date = formatTripDate(req.query.date || today());
+    } catch (dateError) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Invalid date format. Use YYYY-MM-DD format' 
+      });
+    }
+
+    const passenger = await Passenger.findById(req.params.id)
+      .maxTimeMS(10000);
+    
+    if (!passenger) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Passenger not found' 
+      });
+    }
+
+    const locations = await locatePassengers({ date, passengerIds: [passenger._id] });
+    const lastTrip = locations.get(String(passenger._id)) || null;
+
+    const nextTrip = await Trip.findOne({
+      $and: [
+        passengerRefCondition(passenger._id),
+        { tripDate: { $gt: date } },
+        statusCondition(LOCATING_STATUSES)
+      ]
+    })
+    .sort({ tripDate: 1, _id: 1 })
+    .select('fromOrigin toDestination tripDate numberOfPassengers')
+    .maxTimeMS(10000);
+
+    res.json({
+      passengerId: passenger._id,
+      date,
+      // null when the passenger has no confirmed trip on or before the date
+      location: lastTrip ? lastTrip.toDestination : null,
+      since: lastTrip ? lastTrip.tripDate : null,
+      lastTrip,
+      nextTrip
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to locate passenger');
+  }
+});
+
+// Upcoming trips listed in a passenger summary
+const SUMMARY_UPCOMING_TRIPS = 10;
+
+// @route   GET /api/passengers/:id/summary
+// @desc    Travel statistics for a passenger's profile (?from, ?to as YYYY-MM-DD, the last 90 days by default)
+//          Days at each site over the range, trip counts by status, where
+//          they are today, their rotation status and upcoming open trips
+router.get('/:id/summary', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const date = today();
+    let from;
+    let to;
+    try {
+      to = formatTripDate(req.query.to || date);
+      from = formatTripDate(req.query.from || addDays(to, -(DEFAULT_SUMMARY_DAYS - 1)));
+    } catch (dateError) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Invalid date format. Use YYYY-MM-DD format' 
+      });
+    }
+
+    if (to < from) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: "'to' must not be before 'from'" 
+      });
+    }
+
+    if (daysBetween(from, to) >= MAX_SUMMARY_DAYS) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `Range cannot exceed ${MAX_SUMMARY_DAYS} days` 
+      });
+    }
+
+    const passenger = await Passenger.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!passenger) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Passenger not found' 
+      });
+    }
+
+    const { sites, unknownDays } = await countDaysBySite({ passengerId: passenger._id, from, to });
+
+    const statusCounts = await Trip.aggregate([
+      { $match: { $and: [passengerRefCondition(passenger._id), { tripDate: { $gte: from, $lte: to } }] } },
+      {
+        $group: {
+          // Trips saved before status existed count by their confirmed flag
+          _id: { $ifNull: ['$status', { $cond: ['$confirmed', 'confirmed', 'planned'] }] },
+          count: { $sum: 1 }
+        }
+      }
+    ]).option({ maxTimeMS: 10000 });
+
+    const locations = await locatePassengers({ date, passengerIds: [passenger._id] });
+    const lastTrip = locations.get(String(passenger._id)) || null;
+
+    const rotations = await Rotation.find({ passengerId: passenger._id, status: 'active', endDate: { $gte: date } })
+      .sort({ startDate: 1 })
+      .select('site homeBase daysOn daysOff startDate endDate')
+      .lean()
+      .maxTimeMS(10000);
+
+    const upcomingTrips = await Trip.find({
+      $and: [
+        passengerRefCondition(passenger._id),
+        { tripDate: { $gt: date } },
+        statusCondition(OPEN_STATUSES)
+      ]
+    })
+      .sort({ tripDate: 1, _id: 1 })
+      .limit(SUMMARY_UPCOMING_TRIPS)
+      .select('fromOrigin toDestination tripDate status confirmed numberOfPassengers')
+      .maxTimeMS(10000);
+
+    res.json({
+      passengerId: passenger._id,
+      from,
+      to,
+      daysBySite: sites,
+      unknownDays,
+      trips: {
+        total: statusCounts.reduce((sum, { count }) => sum + count, 0),
+        byStatus: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count]))
+      },
+      location: lastTrip ? { site: lastTrip.toDestination, since: lastTrip.tripDate } : null,
+      rotation: describeRotationStatus(rotations, date),
+      upcomingTrips
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to summarize passenger travel');
+  }
+});
+
+// @route   POST /api/passengers/:id/merge
+// @desc    Merge a duplicate record into this passenger (Admin only)
+//          Body: { duplicateId }
+//          The duplicate's trips and rotations move to this passenger, gaps in
+//          this passenger's profile are filled from the duplicate and its
+//          certifications are combined, then the duplicate is deleted
+router.post('/:id/merge', [auth, admin], async (req, res) => {
+  let session = null;
+  let before = null;
+  let duplicate = null;
+  let merged = null;
+  let movedTripIds = [];
+  let movedRotations = 0;
+
+  const passengerId = req.params.id;
+  const duplicateId = typeof req.body.duplicateId === 'string' ? req.body.duplicateId.trim() : '';
+
+  if (!duplicateId || duplicateId === passengerId) {
+    return res.status(400).json({ 
+      error: 'Validation failed',
+      message: 'duplicateId must be the ID of another passenger' 
+    });
+  }
+
+  try {
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
+    session = await mongooseConnection.startSession();
+
+    await session.withTransaction(async () => {
+      const passenger = await Passenger.findById(passengerId)
+        .session(session)
+        .maxTimeMS(10000);
+      duplicate = await Passenger.findById(duplicateId)
+        .session(session)
+        .maxTimeMS(10000);
+
+      if (!passenger || !duplicate) {
+        throw new Error('Passenger not found');
+      }
+
+      before = passenger.toObject();
+
+      movedTripIds = await Trip.distinct('_id', passengerRefCondition(duplicateId))
+        .session(session)
+        .maxTimeMS(10000);
+      await Trip.updateMany(passengerRefCondition(duplicateId), { $set: { passengerId } })
+        .session(session)
+        .maxTimeMS(10000);
+
+      const rotationResult = await Rotation.updateMany({ passengerId: duplicateId }, { $set: { passengerId } })
+        .session(session)
+        .maxTimeMS(10000);
+      movedRotations = rotationResult.modifiedCount;
+
+      // Deleted first so its employee number can move to the kept passenger
+      await Passenger.findByIdAndDelete(duplicateId)
+        .session(session)
+        .maxTimeMS(10000);
+
+      const updateData = mergeProfiles(before, duplicate.toObject());
+      merged = Object.keys(updateData).length > 0
+        ? await Passenger.findByIdAndUpdate(passengerId, { $set: updateData }, { new: true, runValidators: true, session })
+          .maxTimeMS(10000)
+        : passenger;
+    });
+
+    await recordAudit(req, {
+      action: 'merge',
+      entityType: 'Passenger',
+      before,
+      after: merged,
+      metadata: {
+        duplicateId,
+        duplicate: duplicate.toObject(),
+        tripCount: movedTripIds.length,
+        rotationCount: movedRotations
+      }
+    });
+
+    // Subscribers drop a deleted passenger's trips, so the moved trips are
+    // re-sent afterwards under the kept passenger
+    publishDelete('passenger', duplicateId);
+    publishUpsert('passenger', merged);
+    if (movedTripIds.length > 0) {
+      const movedTrips = await Trip.find({ _id: { $in: movedTripIds } })
+        .maxTimeMS(10000);
+      movedTrips.forEach(trip => publishUpsert('trip', trip));
+    }
+
+    console.log(`Merged passenger ${duplicateId} into ${passengerId} (${movedTripIds.length} trips, ${movedRotations} rotations)`);
+    setVersionHeader(res, merged);
+    res.json({
+      passenger: merged,
+      duplicateId,
+      movedTrips: movedTripIds.length,
+      movedRotations
+    });
+  } catch (err) {
+    if (err.message === 'Passenger not found') {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Passenger not found' 
+      });
+    }
+
+    handleError(res, err, 'Failed to merge passengers');
+  } finally {
+    // End session if it was started
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
 // @route   PUT /api/passengers
 // @desc    Update passenger (alternative endpoint that accepts ID in body)
+//          Body fields as for POST; profile fields left out are unchanged
+//          If-Match or __v in the body enables the 409 version check
 router.put('/', [auth, admin], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return sendInvalidVersion(res);
+    }
+    
     // Extract fields from body, including _id
     const { _id, firstName, lastName, jobRole } = req.body;
 
@@ -118,15 +734,38 @@ router.put('/', [auth, admin], async (req, res) => {
       });
     }
 
+    const { updateData: profile, unsetData, error } = parseProfileFields(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
     const updateData = {
+      ...profile,
       firstName: firstName.trim(),
       lastName: lastName.trim(),
       ...(jobRole !== undefined && { jobRole: jobRole?.trim() || '' })
     };
 
-    const updatedPassenger = await Passenger.findByIdAndUpdate(
-      _id,
-      { $set: updateData },
+    const existingPassenger = await Passenger.findById(_id)
+      .maxTimeMS(10000);
+
+    if (!existingPassenger) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Passenger not found' 
+      });
+    }
+
+    if (expectedVersion !== null && existingPassenger.__v !== expectedVersion) {
+      return sendVersionConflict(res, existingPassenger, 'passenger');
+    }
+
+    const updatedPassenger = await Passenger.findOneAndUpdate(
+      { _id, ...(expectedVersion !== null && { __v: expectedVersion }) },
+      toUpdate(updateData, unsetData),
       { 
         new: true, 
         runValidators: true,
@@ -135,13 +774,24 @@ router.put('/', [auth, admin], async (req, res) => {
     );
 
     if (!updatedPassenger) {
-      return res.status(404).json({ 
-        error: 'Not found',
-        message: 'Passenger not found' 
-      });
+      // Changed or deleted between the read above and this write
+      const currentPassenger = await Passenger.findById(_id)
+        .maxTimeMS(10000);
+
+      if (!currentPassenger) {
+        return res.status(404).json({ 
+          error: 'Not found',
+          message: 'Passenger not found' 
+        });
+      }
+      return sendVersionConflict(res, currentPassenger, 'passenger');
     }
 
+    await recordAudit(req, { action: 'update', entityType: 'Passenger', before: existingPassenger, after: updatedPassenger });
+    publishUpsert('passenger', updatedPassenger);
+
     console.log(`Passenger updated via /passengers endpoint: ${updatedPassenger.firstName} ${updatedPassenger.lastName}`);
+    setVersionHeader(res, updatedPassenger);
     res.json(updatedPassenger);
   } catch (err) {
     handleError(res, err, 'Failed to update passenger');
@@ -150,10 +800,17 @@ router.put('/', [auth, admin], async (req, res) => {
 
 // @route   PUT /api/passengers/:id
 // @desc    Update passenger by ID
+//          Body fields as for POST; profile fields left out are unchanged
+//          If-Match or __v in the body enables the 409 version check
 router.put('/:id', [auth, admin], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return sendInvalidVersion(res);
+    }
+    
     const { firstName, lastName, jobRole } = req.body;
 
     // Validate required fields
@@ -164,15 +821,38 @@ router.put('/:id', [auth, admin], async (req, res) => {
       });
     }
 
+    const { updateData: profile, unsetData, error } = parseProfileFields(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
     const updateData = {
+      ...profile,
       firstName: firstName.trim(),
       lastName: lastName.trim(),
       ...(jobRole !== undefined && { jobRole: jobRole?.trim() || '' })
     };
 
-    const updatedPassenger = await Passenger.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateData },
+    const existingPassenger = await Passenger.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!existingPassenger) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Passenger not found' 
+      });
+    }
+
+    if (expectedVersion !== null && existingPassenger.__v !== expectedVersion) {
+      return sendVersionConflict(res, existingPassenger, 'passenger');
+    }
+
+    const updatedPassenger = await Passenger.findOneAndUpdate(
+      { _id: req.params.id, ...(expectedVersion !== null && { __v: expectedVersion }) },
+      toUpdate(updateData, unsetData),
       { 
         new: true, 
         runValidators: true,
@@ -181,35 +861,67 @@ router.put('/:id', [auth, admin], async (req, res) => {
     );
 
     if (!updatedPassenger) {
-      return res.status(404).json({ 
-        error: 'Not found',
-        message: 'Passenger not found' 
-      });
+      // Changed or deleted between the read above and this write
+      const currentPassenger = await Passenger.findById(req.params.id)
+        .maxTimeMS(10000);
+
+      if (!currentPassenger) {
+        return res.status(404).json({ 
+          error: 'Not found',
+          message: 'Passenger not found' 
+        });
+      }
+      return sendVersionConflict(res, currentPassenger, 'passenger');
     }
 
+    await recordAudit(req, { action: 'update', entityType: 'Passenger', before: existingPassenger, after: updatedPassenger });
+    publishUpsert('passenger', updatedPassenger);
+
     console.log(`Passenger updated: ${updatedPassenger.firstName} ${updatedPassenger.lastName}`);
+    setVersionHeader(res, updatedPassenger);
     res.json(updatedPassenger);
   } catch (err) {
     handleError(res, err, 'Failed to update passenger');
   }
 });
 
+// What to do with a deleted passenger's trips and rotation series
+const TRIP_STRATEGIES = ['block', 'cascade', 'reassign'];
+
 // @route   DELETE /api/passengers/:id
-// @desc    Delete passenger by ID and all associated trips
+// @desc    Delete passenger by ID (Admin only)
+//          ?trips=block (default) refuses while the passenger still has trips
+//          or rotation series, ?trips=cascade deletes them and
+//          ?trips=reassign&reassignTo=<id> moves them to another passenger
 router.delete('/:id', [auth, admin], async (req, res) => {
   let session = null;
+  let deletedPassenger = null;
+  let affectedTripIds = [];
+  let rotationCount = 0;
+  
+  const passengerId = req.params.id;
+  const strategy = req.query.trips || 'block';
+  const reassignTo = req.query.reassignTo?.trim();
+
+  if (!TRIP_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ 
+      error: 'Validation failed',
+      message: `trips must be one of: ${TRIP_STRATEGIES.join(', ')}` 
+    });
+  }
+
+  if (strategy === 'reassign' && (!reassignTo || reassignTo === passengerId)) {
+    return res.status(400).json({ 
+      error: 'Validation failed',
+      message: 'reassignTo must be the ID of another passenger when trips=reassign' 
+    });
+  }
   
   try {
-    await dbConnect(); // Ensure DB connection
-    
-    const passengerId = req.params.id;
-    
-    // Use transaction for atomic operation (if using replica set)
-    const mongooseConnection = await dbConnect();
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
     session = await mongooseConnection.startSession();
     
     await session.withTransaction(async () => {
-      // First, check if passenger exists
       const passenger = await Passenger.findById(passengerId)
         .session(session)
         .maxTimeMS(10000);
@@ -218,23 +930,81 @@ router.delete('/:id', [auth, admin], async (req, res) => {
         throw new Error('Passenger not found');
       }
 
-      // Delete all trips associated with this passenger
-      const deleteTripsResult = await Trip.deleteMany({ passengerId })
+      affectedTripIds = await Trip.distinct('_id', passengerRefCondition(passengerId))
+        .session(session)
+        .maxTimeMS(10000);
+      // Rotations go the same way as the trips, so a later series edit
+      // cannot regenerate trips for a passenger that no longer exists
+      rotationCount = await Rotation.countDocuments({ passengerId })
         .session(session)
         .maxTimeMS(10000);
-      
-      console.log(`Deleted ${deleteTripsResult.deletedCount} trips for passenger ${passengerId}`);
 
-      // Then delete the passenger
+      if (affectedTripIds.length > 0 || rotationCount > 0) {
+        if (strategy === 'block') {
+          throw new Error('Passenger has trips');
+        }
+
+        if (strategy === 'reassign') {
+          const target = await Passenger.exists({ _id: reassignTo })
+            .session(session)
+            .maxTimeMS(10000);
+
+          if (!target) {
+            throw new Error('Reassign target not found');
+          }
+
+          await Trip.updateMany(passengerRefCondition(passengerId), { $set: { passengerId: reassignTo } })
+            .session(session)
+            .maxTimeMS(10000);
+          await Rotation.updateMany({ passengerId }, { $set: { passengerId: reassignTo } })
+            .session(session)
+            .maxTimeMS(10000);
+        } else {
+          await Trip.deleteMany(passengerRefCondition(passengerId))
+            .session(session)
+            .maxTimeMS(10000);
+          await Rotation.deleteMany({ passengerId })
+            .session(session)
+            .maxTimeMS(10000);
+        }
+      }
+
+      deletedPassenger = passenger;
+
       await Passenger.findByIdAndDelete(passengerId)
         .session(session)
         .maxTimeMS(10000);
     });
 
     // If we get here, transaction was successful
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'Passenger',
+      before: deletedPassenger,
+      metadata: {
+        trips: strategy,
+        tripCount: affectedTripIds.length,
+        rotationCount,
+        ...(strategy === 'reassign' && { reassignTo })
+      }
+    });
+
+    // Subscribers drop the passenger's trips along with the passenger, so
+    // reassigned trips are re-sent afterwards under their new passenger
+    publishDelete('passenger', passengerId);
+    if (strategy === 'reassign' && affectedTripIds.length > 0) {
+      const reassignedTrips = await Trip.find({ _id: { $in: affectedTripIds } })
+        .maxTimeMS(10000);
+      reassignedTrips.forEach(trip => publishUpsert('trip', trip));
+    }
+
+    console.log(`Deleted passenger ${passengerId} (${strategy}, ${affectedTripIds.length} trips, ${rotationCount} rotations)`);
     res.json({ 
-      message: 'Passenger and associated trips deleted successfully',
-      passengerId: passengerId
+      message: 'Passenger deleted successfully',
+      passengerId: passengerId,
+      trips: strategy,
+      affectedTrips: affectedTripIds.length,
+      affectedRotations: rotationCount
     });
     
   } catch (err) {
@@ -246,6 +1016,23 @@ router.delete('/:id', [auth, admin], async (req, res) => {
         message: 'Passenger not found' 
       });
     }
+
+    if (err.message === 'Passenger has trips') {
+      return res.status(409).json({ 
+        error: 'Passenger has trips',
+        message: `Passenger has ${affectedTripIds.length} trip(s) and ${rotationCount} rotation series. ` +
+          'Delete them with trips=cascade or move them with trips=reassign',
+        tripCount: affectedTripIds.length,
+        rotationCount
+      });
+    }
+
+    if (err.message === 'Reassign target not found') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'The passenger to reassign trips to was not found' 
+      });
+    }
     
     handleError(res, err, 'Failed to delete passenger');
   } finally {
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const dbConnect = require('../lib/mongodb'); // Import the connection helper
+const { formatTripDate, addDays, daysBetween, today } = require('../utils/dates');
+const {
+  MAX_REPORT_DAYS,
+  DEFAULT_REPORT_DAYS,
+  DEFAULT_JOB_ROLE_LIMIT,
+  MAX_JOB_ROLE_LIMIT,
+  buildPobUtilisation,
+  buildMovementReport,
+  buildConfirmationReport,
+  buildJobRoleReport,
+  toReportCsv
+} = require('../utils/reports');
+
+// Helper function for error responses
+const handleError = (res, error, customMessage = 'Server Error') => {
+  console.error(`${customMessage}:`, error);
+
+  if (error.name === 'MongoError' || error.name.includes('Mongo')) {
+    return res.status(503).json({
+      error: 'Database service unavailable',
+      message: 'Please try again later'
+    });
+  }
+
+  res.status(500).json({ error: customMessage });
+};
+
+// Validate the ?from, ?to, ?tzOffset and ?format every report takes.
+// Returns { from, to, offset, format }, or an error message.
+const parseReportQuery = (query) => {
+  let from;
+  let to;
+  try {
+    to = query.to ? formatTripDate(query.to) : today();
+    from = query.from ? formatTripDate(query.from) : addDays(to, 1 - DEFAULT_REPORT_DAYS);
+  } catch (dateError) {
+    return { error: 'Invalid date format. Use YYYY-MM-DD format' };
+  }
+
+  if (to < from) {
+    return { error: "'to' must not be before 'from'" };
+  }
+
+  if (daysBetween(from, to) >= MAX_REPORT_DAYS) {
+    return { error: `Range cannot exceed ${MAX_REPORT_DAYS} days` };
+  }
+
+  const offset = query.tzOffset !== undefined ? parseInt(query.tzOffset) : 0;
+  if (isNaN(offset)) {
+    return { error: 'tzOffset must be a number of minutes' };
+  }
+
+  const format = query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    return { error: 'format must be json or csv' };
+  }
+
+  return { from, to, offset, format };
+};
+
+// Route handler for one report: parses the range and any options of its own,
+// builds the report and sends it as JSON or, with ?format=csv, as a download.
+// parseOptions returns extra options for build, or { error }.
+const reportHandler = (name, build, parseOptions = () => ({})) => async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const { from, to, offset, format, error } = parseReportQuery(req.query);
+    const options = error ? {} : parseOptions(req.query);
+    if (error || options.error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error || options.error
+      });
+    }
+
+    const report = await build({ from, to, tzOffset: offset, ...options });
+    console.log(`Built ${name} report from ${from} to ${to}`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}-${from}-to-${to}.csv"`);
+      return res.send(toReportCsv(name, report));
+    }
+
+    res.json(report);
+  } catch (err) {
+    handleError(res, err, `Failed to build ${name} report`);
+  }
+};
+
+// @route   GET /api/reports/pob-utilisation
+// @desc    Daily peak POB against maximumPOB for each site (Admin only)
+//          ?from=YYYY-MM-DD&to=YYYY-MM-DD (last 30 days by default), ?tzOffset, ?format=json|csv
+router.get('/pob-utilisation', [auth, admin], reportHandler('pob-utilisation', buildPobUtilisation));
+
+// @route   GET /api/reports/movements
+// @desc    Passengers flown onto and off each site per week (Admin only)
+//          ?from=YYYY-MM-DD&to=YYYY-MM-DD (last 30 days by default), ?format=json|csv
+router.get('/movements', [auth, admin], reportHandler('movements', buildMovementReport));
+
+// @route   GET /api/reports/confirmation
+// @desc    Confirmed against unconfirmed trips for each site and overall (Admin only)
+//          ?from=YYYY-MM-DD&to=YYYY-MM-DD (last 30 days by default), ?format=json|csv
+router.get('/confirmation', [auth, admin], reportHandler('confirmation', buildConfirmationReport));
+
+// @route   GET /api/reports/job-roles
+// @desc    Job roles that travelled most (Admin only)
+//          ?from=YYYY-MM-DD&to=YYYY-MM-DD (last 30 days by default), ?limit (10 by default), ?format=json|csv
+router.get('/job-roles', [auth, admin], reportHandler('job-roles', buildJobRoleReport, (query) => {
+  if (query.limit === undefined) return { limit: DEFAULT_JOB_ROLE_LIMIT };
+  const limit = Number(query.limit);
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_JOB_ROLE_LIMIT
+    ? { limit }
+    : { error: `limit must be a whole number from 1 to ${MAX_JOB_ROLE_LIMIT}` };
+}));
+
+module.exports = router;
@@ -1,7 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const Site = require('../models/siteModel');
+const Trip = require('../models/tripModel');
+const User = require('../models/userModel');
+const Flight = require('../models/flightModel');
+const Passenger = require('../models/passengerModel');
+const PobSnapshot = require('../models/pobSnapshotModel');
+const Rotation = require('../models/rotationModel');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const coordinator = require('../middleware/coordinator');
 const dbConnect = require('../lib/mongodb'); // Import the connection helper
+const { formatTripDate, addDays, daysBetween } = require('../utils/dates');
+const { projectPOB, loadSnapshotsForProjection, loadTripsForProjection } = require('../utils/pob');
+const { buildRoster } = require('../utils/roster');
+const { recordAudit } = require('../utils/audit');
+const { publishUpsert, publishResync } = require('../utils/events');
+const { DEFAULT_SITES, DEFAULT_MAXIMUM_POB } = require('../config/defaultSites');
+
+// Longest range a single POB forecast or history request may cover
+const MAX_FORECAST_DAYS = 366;
+
+// Days of POB history returned when no range is given
+const DEFAULT_HISTORY_DAYS = 30;
 
 // Helper function for error responses
 const handleError = (res, error, customMessage = 'Server Error') => {
@@ -24,14 +45,154 @@ const handleError = (res, error, customMessage = 'Server Error') => {
   res.status(500).json({ error: customMessage });
 };
 
+// Site named in the URL
+const routeSite = (req) => [[req.params.siteName]];
+
+// Who took a POB count
+const snapshotAuthor = (req) => ({
+  userId: req.user?._id || null,
+  userName: req.user?.userName || 'anonymous'
+});
+
+// Validate the ?from, ?to and ?tzOffset of a forecast or history request.
+// Returns { fromDate, toDate, offset }, or an error message.
+const parseRangeQuery = (query, defaultRange) => {
+  const { from, to, tzOffset } = query;
+
+  let fromDate;
+  let toDate;
+  try {
+    ({ fromDate, toDate } = defaultRange(
+      from ? formatTripDate(from) : null,
+      to ? formatTripDate(to) : null
+    ));
+  } catch (dateError) {
+    return { error: 'Invalid date format. Use YYYY-MM-DD format' };
+  }
+
+  if (toDate < fromDate) {
+    return { error: "'to' must not be before 'from'" };
+  }
+
+  if (daysBetween(fromDate, toDate) >= MAX_FORECAST_DAYS) {
+    return { error: `Range cannot exceed ${MAX_FORECAST_DAYS} days` };
+  }
+
+  const offset = tzOffset !== undefined ? parseInt(tzOffset) : 0;
+  if (isNaN(offset)) {
+    return { error: 'tzOffset must be a number of minutes' };
+  }
+
+  return { fromDate, toDate, offset };
+};
+
+// Apply a site update and, when it sets currentPOB, store the count as a POB
+// snapshot in the same transaction. The first count stored for a site also
+// keeps the value the site held before, so that count is not lost.
+// Returns { existingSite, updatedSite }; throws 'Site not found' for unknown sites.
+const saveSiteUpdate = async (req, siteName, updateData, { source = 'manual', note = '' } = {}) => {
+  let session = null;
+  let existingSite = null;
+  let updatedSite = null;
+
+  try {
+    const mongooseConnection = await dbConnect();
+    session = await mongooseConnection.startSession();
+
+    await session.withTransaction(async () => {
+      existingSite = await Site.findOne({ siteName })
+        .session(session)
+        .maxTimeMS(10000);
+
+      if (!existingSite) {
+        throw new Error('Site not found');
+      }
+
+      updatedSite = await Site.findOneAndUpdate(
+        { siteName },
+        { $set: updateData },
+        { new: true, runValidators: true, session, maxTimeMS: 10000 }
+      );
+
+      if (updateData.currentPOB === undefined) return;
+
+      const hasHistory = await PobSnapshot.exists({ siteName })
+        .session(session);
+
+      if (!hasHistory) {
+        await PobSnapshot.create([{
+          siteName,
+          pob: existingSite.currentPOB,
+          countedAt: existingSite.pobUpdatedDate,
+          source: 'legacy'
+        }], { session });
+      }
+
+      await PobSnapshot.create([{
+        siteName,
+        pob: updateData.currentPOB,
+        countedAt: updateData.pobUpdatedDate,
+        source,
+        author: snapshotAuthor(req),
+        note
+      }], { session });
+    });
+  } finally {
+    // End session if it was started
+    if (session) {
+      await session.endSession();
+    }
+  }
+
+  return { existingSite, updatedSite };
+};
+
+// Fields describing how a site is listed and displayed (Admin only)
+const DISPLAY_FIELDS = ['color', 'type', 'sortOrder', 'archived'];
+
+// Validate the display fields present in a request body. Returns the fields to
+// set, or an error message.
+const parseDisplayFields = (body) => {
+  const updateData = {};
+
+  if (body.color !== undefined) {
+    if (typeof body.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(body.color)) {
+      return { error: 'color must be a hex value like #1565c0' };
+    }
+    updateData.color = body.color.toLowerCase();
+  }
+
+  if (body.type !== undefined) {
+    if (!Site.SITE_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${Site.SITE_TYPES.join(', ')}` };
+    }
+    updateData.type = body.type;
+  }
+
+  if (body.sortOrder !== undefined) {
+    if (!Number.isInteger(body.sortOrder)) {
+      return { error: 'sortOrder must be an integer' };
+    }
+    updateData.sortOrder = body.sortOrder;
+  }
+
+  if (body.archived !== undefined) {
+    updateData.archived = Boolean(body.archived);
+  }
+
+  return { updateData };
+};
+
 // @route   GET /api/sites
-// @desc    Get all sites
-router.get('/', async (req, res) => {
+// @desc    Get all sites in display order (?includeArchived=true to list archived sites too)
+router.get('/', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
-    const sites = await Site.find()
-      .sort({ siteName: 1 })
+    const filter = req.query.includeArchived === 'true' ? {} : { archived: { $ne: true } };
+    
+    const sites = await Site.find(filter)
+      .sort({ sortOrder: 1, siteName: 1 })
       .maxTimeMS(10000); // Add query timeout
     
     console.log(`Fetched ${sites.length} sites`);
@@ -41,13 +202,87 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   POST /api/sites
+// @desc    Create a new site (Admin only)
+router.post('/', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const { siteName, maximumPOB, currentPOB = 0 } = req.body;
+
+    if (!siteName?.trim()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Site name is required' 
+      });
+    }
+
+    if (!Number.isInteger(maximumPOB) || maximumPOB <= 0) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'maximumPOB must be a positive integer' 
+      });
+    }
+
+    if (!Number.isInteger(currentPOB) || currentPOB < 0) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'currentPOB must be a non-negative integer' 
+      });
+    }
+
+    const { updateData: displayData, error } = parseDisplayFields(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
+    const existingSite = await Site.findOne({ siteName: siteName.trim() })
+      .maxTimeMS(10000);
+
+    if (existingSite) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `Site '${siteName.trim()}' already exists` 
+      });
+    }
+
+    const newSite = new Site({
+      ...displayData,
+      siteName: siteName.trim(),
+      currentPOB,
+      maximumPOB,
+      pobUpdatedDate: new Date()
+    });
+
+    const savedSite = await newSite.save();
+    await PobSnapshot.create({
+      siteName: savedSite.siteName,
+      pob: savedSite.currentPOB,
+      countedAt: savedSite.pobUpdatedDate,
+      source: 'create',
+      author: snapshotAuthor(req)
+    });
+    await recordAudit(req, { action: 'create', entityType: 'Site', after: savedSite });
+    publishUpsert('site', savedSite);
+
+    console.log(`New site created: ${savedSite.siteName}`);
+    res.status(201).json(savedSite);
+  } catch (err) {
+    handleError(res, err, 'Failed to create site');
+  }
+});
+
 // @route   PUT /api/sites/:siteName/pob
-// @desc    Update POB for a specific site (manual update)
-router.put('/:siteName/pob', async (req, res) => {
+// @desc    Record a POB count for a specific site (Admin or site coordinator)
+//          Body: { currentPOB, source?: 'manual' | 'muster', note?, maximumPOB? (Admin only) }
+router.put('/:siteName/pob', [auth, coordinator(routeSite)], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
-    const { currentPOB, maximumPOB } = req.body;
+    const { currentPOB, maximumPOB, source = 'manual', note = '' } = req.body;
     const siteName = req.params.siteName;
 
     // Validate site name
@@ -73,12 +308,33 @@ router.put('/:siteName/pob', async (req, res) => {
       });
     }
 
+    if (!PobSnapshot.REPORTED_SOURCES.includes(source)) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `source must be one of: ${PobSnapshot.REPORTED_SOURCES.join(', ')}` 
+      });
+    }
+
+    if (typeof note !== 'string') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'note must be a string' 
+      });
+    }
+
     // Validate maximumPOB if provided
     const updateData = {
       currentPOB,
       pobUpdatedDate: new Date()
     };
 
+    if (maximumPOB !== undefined && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        error: 'Admin access required',
+        message: 'Only administrators can change maximumPOB' 
+      });
+    }
+
     if (maximumPOB !== undefined) {
       if (!Number.isInteger(maximumPOB) || maximumPOB <= 0) {
         return res.status(400).json({ 
@@ -89,27 +345,38 @@ router.put('/:siteName/pob', async (req, res) => {
       updateData.maximumPOB = maximumPOB;
     }
 
-    const updatedSite = await Site.findOneAndUpdate(
-      { siteName: siteName.trim() },
-      { $set: updateData },
-      { 
-        new: true, 
-        upsert: true, // Create if doesn't exist
-        runValidators: true,
-        maxTimeMS: 10000 
-      }
-    );
+    // Sites are only created through POST /api/sites
+    const { existingSite, updatedSite } = await saveSiteUpdate(req, siteName.trim(), updateData, {
+      source,
+      note: note.trim()
+    });
+
+    await recordAudit(req, {
+      action: 'update-pob',
+      entityType: 'Site',
+      before: existingSite,
+      after: updatedSite,
+      metadata: { source }
+    });
+    publishUpsert('site', updatedSite);
 
     console.log(`Updated POB for ${siteName}: ${currentPOB}`);
     res.json(updatedSite);
   } catch (err) {
+    if (err.message === 'Site not found') {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: `Site '${req.params.siteName}' not found` 
+      });
+    }
+
     handleError(res, err, 'Failed to update POB');
   }
 });
 
 // @route   GET /api/sites/:siteName
 // @desc    Get specific site by name
-router.get('/:siteName', async (req, res) => {
+router.get('/:siteName', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
@@ -138,24 +405,212 @@ router.get('/:siteName', async (req, res) => {
   }
 });
 
-// @route   POST /api/sites/initialize
-// @desc    Initialize all sites with default values
-router.post('/initialize', async (req, res) => {
+// @route   GET /api/sites/:siteName/pob-forecast
+// @desc    Projected day-by-day POB for a site (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/:siteName/pob-forecast', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const siteName = req.params.siteName;
+
+    if (!siteName?.trim()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Site name is required' 
+      });
+    }
+
+    const { fromDate, toDate, offset, error } = parseRangeQuery(req.query, (from, to) => {
+      const start = from || formatTripDate(new Date());
+      return { fromDate: start, toDate: to || addDays(start, 13) };
+    });
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
+    const site = await Site.findOne({ siteName: siteName.trim() })
+      .maxTimeMS(10000);
+    
+    if (!site) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: `Site '${siteName}' not found` 
+      });
+    }
+
+    const snapshots = await loadSnapshotsForProjection(site, fromDate, toDate, offset);
+    const trips = await loadTripsForProjection(site, fromDate, toDate, offset, snapshots);
+    const forecast = projectPOB({ site, trips, from: fromDate, to: toDate, tzOffset: offset, snapshots });
+    
+    console.log(`Projected POB for ${site.siteName} from ${fromDate} to ${toDate}`);
+    res.json(forecast);
+  } catch (err) {
+    handleError(res, err, 'Failed to project POB');
+  }
+});
+
+// @route   GET /api/sites/:siteName/pob-history
+// @desc    POB counts taken at a site, newest first, each with the value the
+//          trips predicted for it (?from=YYYY-MM-DD&to=YYYY-MM-DD, last 30 days by default)
+router.get('/:siteName/pob-history', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
-    const locations = ['Ogle', 'NTM', 'NSC', 'NDT', 'NBD', 'STC'];
-    const defaultMaximumPOB = 200;
+    const siteName = req.params.siteName;
+
+    if (!siteName?.trim()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Site name is required' 
+      });
+    }
+
+    const { fromDate, toDate, offset, error } = parseRangeQuery(req.query, (from, to) => {
+      const end = to || formatTripDate(new Date());
+      return { fromDate: from || addDays(end, 1 - DEFAULT_HISTORY_DAYS), toDate: end };
+    });
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
+    const site = await Site.findOne({ siteName: siteName.trim() })
+      .maxTimeMS(10000);
+    
+    if (!site) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: `Site '${siteName}' not found` 
+      });
+    }
+
+    // Drift is worked out by the projection, so run it over the same range
+    const snapshots = await loadSnapshotsForProjection(site, fromDate, toDate, offset);
+    const trips = await loadTripsForProjection(site, fromDate, toDate, offset, snapshots);
+    const { counts } = projectPOB({ site, trips, from: fromDate, to: toDate, tzOffset: offset, snapshots });
     
-    const operations = locations.map(siteName => ({
+    console.log(`Fetched ${counts.length} POB counts for ${site.siteName} from ${fromDate} to ${toDate}`);
+    res.json({
+      siteName: site.siteName,
+      from: fromDate,
+      to: toDate,
+      counts: counts.reverse()
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch POB history');
+  }
+});
+
+// @route   GET /api/sites/:siteName/roster
+// @desc    Named people on a site at the end of a day, from confirmed trips (?date=YYYY-MM-DD, today by default)
+//          alongside the projected POB so the two can be compared
+router.get('/:siteName/roster', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const siteName = req.params.siteName;
+    const { tzOffset } = req.query;
+
+    if (!siteName?.trim()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Site name is required' 
+      });
+    }
+
+    let date;
+    try {
+      date = formatTripDate(req.query.date || new Date());
+    } catch (dateError) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Invalid date format. Use YYYY-MM-DD format' 
+      });
+    }
+
+    const offset = tzOffset !== undefined ? parseInt(tzOffset) : 0;
+    if (isNaN(offset)) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'tzOffset must be a number of minutes' 
+      });
+    }
+
+    const site = await Site.findOne({ siteName: siteName.trim() })
+      .maxTimeMS(10000);
+    
+    if (!site) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: `Site '${siteName}' not found` 
+      });
+    }
+
+    const roster = await buildRoster(site.siteName, date);
+    const passengers = await Passenger.find({ _id: { $in: roster.map(entry => entry.passengerId) } })
+      .select('firstName lastName jobRole')
+      .lean()
+      .maxTimeMS(10000);
+    const passengersById = new Map(passengers.map(passenger => [String(passenger._id), passenger]));
+
+    const people = roster
+      .map(entry => {
+        const passenger = passengersById.get(entry.passengerId);
+        return {
+          ...entry,
+          firstName: passenger?.firstName || '',
+          lastName: passenger?.lastName || '',
+          jobRole: passenger?.jobRole || ''
+        };
+      })
+      .sort((a, b) => a.lastName.localeCompare(b.lastName) || a.firstName.localeCompare(b.firstName));
+
+    const snapshots = await loadSnapshotsForProjection(site, date, date, offset);
+    const trips = await loadTripsForProjection(site, date, date, offset, snapshots);
+    const [projectedDay] = projectPOB({ site, trips, from: date, to: date, tzOffset: offset, snapshots }).days;
+    const named = people.reduce((sum, person) => sum + person.count, 0);
+
+    console.log(`Built roster for ${site.siteName} on ${date}: ${named} named, ${projectedDay.endOfDay} projected`);
+    res.json({
+      siteName: site.siteName,
+      date,
+      people,
+      named,
+      // The projection also counts planned trips and manual POB counts, so a
+      // difference points at unconfirmed trips or people flown in off the books
+      projectedPOB: projectedDay.endOfDay,
+      difference: projectedDay.endOfDay - named
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to build roster');
+  }
+});
+
+// @route   POST /api/sites/initialize
+// @desc    Initialize all sites with default values (Admin only)
+router.post('/initialize', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const now = new Date();
+    const operations = DEFAULT_SITES.map(({ siteName, type, color, sortOrder }) => ({
       updateOne: {
         filter: { siteName },
         update: {
           $setOnInsert: {
             siteName,
             currentPOB: 0,
-            maximumPOB: defaultMaximumPOB,
-            pobUpdatedDate: new Date()
+            maximumPOB: DEFAULT_MAXIMUM_POB,
+            pobUpdatedDate: now,
+            type,
+            color,
+            sortOrder,
+            archived: false
           }
         },
         upsert: true
@@ -163,11 +618,30 @@ router.post('/initialize', async (req, res) => {
     }));
 
     const result = await Site.bulkWrite(operations, { maxTimeMS: 15000 });
+
+    // Sites created here start from a count of zero
+    const createdNames = Object.keys(result.upsertedIds).map(index => DEFAULT_SITES[index].siteName);
+    if (createdNames.length > 0) {
+      await PobSnapshot.insertMany(createdNames.map(siteName => ({
+        siteName,
+        pob: 0,
+        countedAt: now,
+        source: 'initialize',
+        author: snapshotAuthor(req)
+      })));
+    }
     
     const sites = await Site.find()
-      .sort({ siteName: 1 })
+      .sort({ sortOrder: 1, siteName: 1 })
       .maxTimeMS(10000);
     
+    await recordAudit(req, {
+      action: 'initialize',
+      entityType: 'Site',
+      metadata: { created: result.upsertedCount, existing: result.matchedCount }
+    });
+    publishResync('site');
+    
     console.log(`Initialized sites: ${result.upsertedCount} created, ${result.matchedCount} existing`);
     
     res.status(201).json({
@@ -182,8 +656,8 @@ router.post('/initialize', async (req, res) => {
 });
 
 // @route   PUT /api/sites/:siteName
-// @desc    Update site details (including maximumPOB)
-router.put('/:siteName', async (req, res) => {
+// @desc    Update site details (maximumPOB and display fields are Admin only)
+router.put('/:siteName', [auth, coordinator(routeSite)], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
@@ -197,8 +671,28 @@ router.put('/:siteName', async (req, res) => {
       });
     }
 
-    const updateData = {};
-    
+    if (maximumPOB !== undefined && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        error: 'Admin access required',
+        message: 'Only administrators can change maximumPOB' 
+      });
+    }
+
+    if (DISPLAY_FIELDS.some(field => req.body[field] !== undefined) && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        error: 'Admin access required',
+        message: `Only administrators can change ${DISPLAY_FIELDS.join(', ')}` 
+      });
+    }
+
+    const { updateData, error } = parseDisplayFields(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
     if (maximumPOB !== undefined) {
       if (!Number.isInteger(maximumPOB) || maximumPOB <= 0) {
         return res.status(400).json({ 
@@ -228,28 +722,184 @@ router.put('/:siteName', async (req, res) => {
       });
     }
 
-    const updatedSite = await Site.findOneAndUpdate(
-      { siteName: siteName.trim() },
-      { $set: updateData },
-      { 
-        new: true, 
-        runValidators: true,
-        maxTimeMS: 10000 
-      }
-    );
+    const { existingSite, updatedSite } = await saveSiteUpdate(req, siteName.trim(), updateData, {
+      source: 'site-edit'
+    });
+
+    const action = updateData.archived === undefined || updateData.archived === existingSite.archived
+      ? 'update'
+      : updateData.archived ? 'archive' : 'unarchive';
+    await recordAudit(req, { action, entityType: 'Site', before: existingSite, after: updatedSite });
+    publishUpsert('site', updatedSite);
 
-    if (!updatedSite) {
+    console.log(`Updated site: ${siteName}`, updateData);
+    res.json(updatedSite);
+  } catch (err) {
+    if (err.message === 'Site not found') {
       return res.status(404).json({ 
         error: 'Not found',
-        message: `Site '${siteName}' not found` 
+        message: `Site '${req.params.siteName}' not found` 
       });
     }
 
-    console.log(`Updated site: ${siteName}`, updateData);
-    res.json(updatedSite);
-  } catch (err) {
     handleError(res, err, 'Failed to update site');
   }
 });
 
+// @route   POST /api/sites/:siteName/rename
+// @desc    Rename a site and every trip, flight, user, rotation and POB count that refers to it (Admin only)
+router.post('/:siteName/rename', [auth, admin], async (req, res) => {
+  let session = null;
+  let renamedSite = null;
+  let existingSite = null;
+  const updatedCounts = {};
+  
+  try {
+    const siteName = req.params.siteName?.trim();
+    const newName = req.body.newName?.trim();
+
+    if (!newName) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'newName is required' 
+      });
+    }
+
+    if (newName === siteName) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'newName must differ from the current site name' 
+      });
+    }
+
+    // Use transaction so the site and everything referring to it move together
+    const mongooseConnection = await dbConnect();
+    session = await mongooseConnection.startSession();
+    
+    await session.withTransaction(async () => {
+      existingSite = await Site.findOne({ siteName })
+        .session(session)
+        .maxTimeMS(10000);
+
+      if (!existingSite) {
+        throw new Error('Site not found');
+      }
+
+      const clash = await Site.findOne({ siteName: newName })
+        .session(session)
+        .maxTimeMS(10000);
+
+      if (clash) {
+        throw new Error('Site name taken');
+      }
+
+      renamedSite = await Site.findOneAndUpdate(
+        { _id: existingSite._id },
+        { $set: { siteName: newName } },
+        { new: true, runValidators: true, session, maxTimeMS: 10000 }
+      );
+
+      const fromResult = await Trip.updateMany(
+        { fromOrigin: siteName },
+        { $set: { fromOrigin: newName } },
+        { session }
+      );
+      const toResult = await Trip.updateMany(
+        { toDestination: siteName },
+        { $set: { toDestination: newName } },
+        { session }
+      );
+      updatedCounts.trips = fromResult.modifiedCount + toResult.modifiedCount;
+
+      const flightResult = await Flight.updateMany(
+        { route: siteName },
+        { $set: { 'route.$[stop]': newName } },
+        { arrayFilters: [{ stop: siteName }], session }
+      );
+      updatedCounts.flights = flightResult.modifiedCount;
+
+      const homeResult = await User.updateMany(
+        { homeLocation: siteName },
+        { $set: { homeLocation: newName } },
+        { session }
+      );
+      const coordinatorResult = await User.updateMany(
+        { coordinatorSites: siteName },
+        { $set: { 'coordinatorSites.$[site]': newName } },
+        { arrayFilters: [{ site: siteName }], session }
+      );
+      updatedCounts.users = homeResult.modifiedCount + coordinatorResult.modifiedCount;
+
+      const snapshotResult = await PobSnapshot.updateMany(
+        { siteName },
+        { $set: { siteName: newName } },
+        { session }
+      );
+      updatedCounts.pobSnapshots = snapshotResult.modifiedCount;
+
+      const rotationSiteResult = await Rotation.updateMany(
+        { site: siteName },
+        { $set: { site: newName } },
+        { session }
+      );
+      const rotationHomeResult = await Rotation.updateMany(
+        { homeBase: siteName },
+        { $set: { homeBase: newName } },
+        { session }
+      );
+      // Skipped legs are matched by route, so they follow the rename too
+      await Rotation.updateMany(
+        { 'skippedLegs.fromOrigin': siteName },
+        { $set: { 'skippedLegs.$[leg].fromOrigin': newName } },
+        { arrayFilters: [{ 'leg.fromOrigin': siteName }], session }
+      );
+      await Rotation.updateMany(
+        { 'skippedLegs.toDestination': siteName },
+        { $set: { 'skippedLegs.$[leg].toDestination': newName } },
+        { arrayFilters: [{ 'leg.toDestination': siteName }], session }
+      );
+      updatedCounts.rotations = rotationSiteResult.modifiedCount + rotationHomeResult.modifiedCount;
+    });
+
+    await recordAudit(req, {
+      action: 'rename',
+      entityType: 'Site',
+      before: existingSite,
+      after: renamedSite,
+      metadata: updatedCounts
+    });
+    // A rename rewrites site names across collections, so clients reload
+    publishResync('site');
+    publishResync('trip');
+    publishResync('flight');
+
+    console.log(`Renamed site ${siteName} to ${newName}`, updatedCounts);
+    res.json({
+      site: renamedSite,
+      updated: updatedCounts
+    });
+  } catch (err) {
+    if (err.message === 'Site not found') {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: `Site '${req.params.siteName}' not found` 
+      });
+    }
+
+    if (err.message === 'Site name taken') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `Site '${req.body.newName.trim()}' already exists` 
+      });
+    }
+    
+    handleError(res, err, 'Failed to rename site');
+  } finally {
+    // End session if it was started
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,27 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Trip = require('../models/tripModel');
+const Passenger = require('../models/passengerModel');
+const Rotation = require('../models/rotationModel');
+const Site = require('../models/siteModel');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const coordinator = require('../middleware/coordinator');
 const dbConnect = require('../lib/mongodb'); // Import the connection helper
+const { formatTripDate, addDays, today } = require('../utils/dates');
+const { recordAudit } = require('../utils/audit');
+const { buildManifestRows, sendManifest } = require('../utils/manifest');
+const { publishUpsert, publishDelete } = require('../utils/events');
+const { getExpectedVersion, setVersionHeader, sendInvalidVersion, sendVersionConflict } = require('../utils/concurrency');
+const { validateRotationSchedule, syncRotationTrips, skipRotationLegs } = require('../utils/rotations');
+const { checkCapacityForChanges, checkTripCapacity, describeCapacity } = require('../utils/capacity');
+const { getPassengerCount } = require('../utils/pob');
+const { migratePassengerRefs, passengerRefCondition } = require('../utils/passengerRefs');
+const { validateAssignedTrip } = require('../utils/flights');
+const { SPREADSHEET_CONTENT_TYPES } = require('../utils/spreadsheet');
+const { readTripFile, buildTripImportReport, toTripFields, toTripUpdate } = require('../utils/tripImport');
+const { TRIP_STATUSES, OPEN_STATUSES, NOT_TRAVELLED_STATUSES, CANCELLATION_CATEGORIES, isConfirmedStatus, statusForConfirmed, statusCondition } = require('../utils/tripStatus');
 
 // Helper function for error responses
 const handleError = (res, error, customMessage = 'Server Error') => {
@@ -31,94 +51,1599 @@ const handleError = (res, error, customMessage = 'Server Error') => {
   res.status(500).json({ error: customMessage });
 };
 
-// Helper function to convert any date format to YYYY-MM-DD
-const formatTripDate = (dateInput) => {
-  // If it's already in YYYY-MM-DD format, return as is
-  if (typeof dateInput === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateInput)) {
-    return dateInput;
+// Sites touched by the trip in the request body
+const requestedTripSites = (req) => [[req.body.fromOrigin, req.body.toDestination]];
+
+// Sites touched by the existing trip (and by its replacement on full updates)
+const existingTripSites = async (req) => {
+  await dbConnect();
+
+  const trip = await Trip.findById(req.params.id)
+    .select('fromOrigin toDestination')
+    .maxTimeMS(10000);
+
+  if (!trip) return null;
+
+  const siteGroups = [[trip.fromOrigin, trip.toDestination]];
+  if (req.method === 'PUT') {
+    siteGroups.push([req.body.fromOrigin, req.body.toDestination]);
+  }
+  return siteGroups;
+};
+
+// Returns an error message when passengerId does not reference an existing passenger
+const validatePassengerRef = async (passengerId) => {
+  if (!mongoose.isObjectIdOrHexString(passengerId)) {
+    return 'passengerId must be a valid passenger ID';
+  }
+
+  const exists = await Passenger.exists({ _id: passengerId })
+    .maxTimeMS(10000);
+  return exists ? null : `Passenger ${passengerId} not found`;
+};
+
+// Work out status, confirmed and cancellation for a created or replaced trip.
+// An explicit status wins; otherwise the confirmed flag moves open trips
+// between planned and confirmed. Returns { fields } or { error }.
+const buildStatusFields = (req, existingTrip = null) => {
+  const { status, confirmed, cancellation } = req.body;
+
+  if (status !== undefined && !TRIP_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${TRIP_STATUSES.join(', ')}` };
+  }
+
+  const nextStatus = status ?? statusForConfirmed(existingTrip?.status, Boolean(confirmed));
+  const fields = { status: nextStatus, confirmed: isConfirmedStatus(nextStatus) };
+
+  if (nextStatus !== 'cancelled') {
+    fields.cancellation = null;
+  } else if (cancellation || existingTrip?.status !== 'cancelled') {
+    const category = cancellation?.category || 'other';
+    if (!CANCELLATION_CATEGORIES.includes(category)) {
+      return { error: `cancellation.category must be one of: ${CANCELLATION_CATEGORIES.join(', ')}` };
+    }
+    fields.cancellation = {
+      category,
+      reason: cancellation?.reason,
+      cancelledAt: new Date(),
+      cancelledBy: req.user?.userName
+    };
+    // A cancelled trip no longer takes a seat
+    fields.flightId = null;
+  }
+
+  return { fields };
+};
+
+// Caller's timezone offset in minutes, as from Date#getTimezoneOffset
+const parseTzOffset = (value) => {
+  const offset = parseInt(value);
+  return Number.isNaN(offset) ? 0 : offset;
+};
+
+// Decide whether a capacity result lets a change go ahead. Returns
+// { capacity, override } when it may, or { capacity, refusal } with the
+// status and body to refuse it with. requestedOverride is the admin's
+// { justification } for going over.
+const reviewCapacity = (req, capacity, requestedOverride) => {
+  if (capacity.level !== 'exceeded') {
+    return { capacity, override: null };
+  }
+
+  if (!requestedOverride) {
+    return {
+      capacity,
+      refusal: {
+        status: 409,
+        body: {
+          error: 'Capacity exceeded',
+          message: describeCapacity(capacity),
+          capacity,
+          canOverride: Boolean(req.user?.isAdmin)
+        }
+      }
+    };
+  }
+
+  if (!req.user?.isAdmin) {
+    return {
+      capacity,
+      refusal: {
+        status: 403,
+        body: {
+          error: 'Admin access required',
+          message: 'Only administrators can override site capacity'
+        }
+      }
+    };
+  }
+
+  const justification = requestedOverride.justification?.trim();
+  if (!justification) {
+    return {
+      capacity,
+      refusal: {
+        status: 400,
+        body: {
+          error: 'Validation failed',
+          message: 'A justification is required to override site capacity'
+        }
+      }
+    };
+  }
+
+  return { capacity, override: { justification, sites: capacity.sites } };
+};
+
+const sendCapacityRefusal = (res, refusal) => res.status(refusal.status).json(refusal.body);
+
+// Check a trip change against the maximumPOB of the sites it touches. When
+// the change is refused the response is sent and null is returned; otherwise
+// returns { capacity, override } for the route to report and audit.
+//
+// A change that would exceed capacity gets a 409 with the affected days.
+// Admins may resend it with capacityOverride: { justification }.
+const enforceCapacity = async (req, res, { before = null, after }) => {
+  const capacity = await checkTripCapacity({ before, after, tzOffset: parseTzOffset(req.body.tzOffset) });
+  const review = reviewCapacity(req, capacity, req.body.capacityOverride);
+
+  if (review.refusal) {
+    sendCapacityRefusal(res, review.refusal);
+    return null;
+  }
+
+  return review;
+};
+
+// Check changes to many trips made inside a transaction, before it commits:
+// the projection reads committed trips, so it sees the state the changes
+// replace. Takes the override from body.capacityOverride unless one is
+// passed. Returns the reviewCapacity result; when it holds a refusal the
+// route throws 'Capacity refused' and sends it from its catch block.
+const reviewCapacityForChanges = async (req, changes, {
+  tzOffset = req.body?.tzOffset,
+  requestedOverride = req.body?.capacityOverride
+} = {}) => {
+  const capacity = await checkCapacityForChanges({ changes, tzOffset: parseTzOffset(tzOffset) });
+  return reviewCapacity(req, capacity, requestedOverride);
+};
+
+// Trip response with the capacity result attached when there is something to report
+const withCapacity = (trip, capacity) => {
+  return capacity.level === 'ok' ? trip : { ...trip.toJSON(), capacity };
+};
+
+// Fields to add to a many-trip response or audit entry for a capacity review
+const capacityReport = (review) => (review && review.capacity.level !== 'ok' ? { capacity: review.capacity } : {});
+const capacityOverrideMetadata = (review) => (review?.override ? { capacityOverride: review.override } : {});
+
+// Check a trip change against the flight the trip is assigned to. Only a
+// higher passenger count can overbook it; trips that move or are cancelled
+// leave their flight. When the flight cannot carry the change a 409 is sent
+// and false is returned.
+const enforceFlightLoad = async (res, before, after) => {
+  if (!after.flightId || getPassengerCount(after) <= getPassengerCount(before)) {
+    return true;
+  }
+
+  const problems = await validateAssignedTrip(after);
+  if (problems.length === 0) {
+    return true;
+  }
+
+  res.status(409).json({
+    error: 'Flight conflict',
+    message: 'The trip no longer fits on its flight',
+    problems
+  });
+  return false;
+};
+
+// @route   POST /api/trips
+// @desc    Create a new trip (Admin or site coordinator)
+//          Refused with 409 when a site would exceed its maximumPOB, unless an
+//          admin sends capacityOverride: { justification }. Near-full days come
+//          back as a capacity warning on the created trip.
+//          status (planned|confirmed|cancelled|completed|no-show) is optional and
+//          defaults from confirmed
+router.post('/', [auth, coordinator(requestedTripSites)], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const { passengerId, fromOrigin, toDestination, tripDate, confirmed, status, numberOfPassengers } = req.body;
+
+    // Validate required fields
+    if (!passengerId?.trim() || !fromOrigin?.trim() || !toDestination?.trim() || !tripDate || (typeof confirmed === 'undefined' && typeof status === 'undefined')) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'All fields (passengerId, fromOrigin, toDestination, tripDate, confirmed or status) are required' 
+      });
+    }
+
+    // Convert tripDate to YYYY-MM-DD format
+    let formattedDate;
+    try {
+      formattedDate = formatTripDate(tripDate);
+    } catch (dateError) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Invalid trip date format. Use YYYY-MM-DD format or a valid date string' 
+      });
+    }
+
+    const passengerError = await validatePassengerRef(passengerId.trim());
+    if (passengerError) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: passengerError 
+      });
+    }
+
+    const statusFields = buildStatusFields(req);
+    if (statusFields.error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: statusFields.error 
+      });
+    }
+
+    // Build trip data - set numberOfPassengers to null by default
+    const tripData = {
+      passengerId: passengerId.trim(),
+      fromOrigin: fromOrigin.trim(),
+      toDestination: toDestination.trim(),
+      tripDate: formattedDate,
+      ...statusFields.fields,
+      numberOfPassengers: numberOfPassengers !== undefined && numberOfPassengers !== null ? 
+        parseInt(numberOfPassengers) : null // Changed to null by default
+    };
+
+    const capacityCheck = await enforceCapacity(req, res, { after: tripData });
+    if (!capacityCheck) return;
+
+    const newTrip = new Trip(tripData);
+    const savedTrip = await newTrip.save();
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'Trip',
+      after: savedTrip,
+      ...(capacityCheck.override && { metadata: { capacityOverride: capacityCheck.override } })
+    });
+    publishUpsert('trip', savedTrip);
+    
+    console.log(`New trip created: ${savedTrip._id} for passenger ${passengerId} on date ${formattedDate}`);
+    res.status(201).json(withCapacity(savedTrip, capacityCheck.capacity));
+  } catch (err) {
+    handleError(res, err, 'Failed to create trip');
+  }
+});
+
+// @route   POST /api/trips/capacity-check
+// @desc    Preview what creating or changing a trip would do to site POB, without saving
+//          Body: { fromOrigin, toDestination, tripDate, numberOfPassengers?, status?, tripId? }
+//          tripId checks a change to that existing trip instead of a new one
+router.post('/capacity-check', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const { tripId, fromOrigin, toDestination, tripDate, numberOfPassengers, status } = req.body;
+
+    if (!fromOrigin?.trim() || !toDestination?.trim() || !tripDate) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'fromOrigin, toDestination and tripDate are required' 
+      });
+    }
+
+    let formattedDate;
+    try {
+      formattedDate = formatTripDate(tripDate);
+    } catch (dateError) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Invalid trip date format. Use YYYY-MM-DD format or a valid date string' 
+      });
+    }
+
+    let existingTrip = null;
+    if (tripId) {
+      existingTrip = await Trip.findById(tripId)
+        .maxTimeMS(10000);
+
+      if (!existingTrip) {
+        return res.status(404).json({ 
+          error: 'Not found',
+          message: 'Trip not found' 
+        });
+      }
+    }
+
+    const capacity = await checkTripCapacity({
+      before: existingTrip,
+      after: {
+        _id: existingTrip?._id,
+        fromOrigin: fromOrigin.trim(),
+        toDestination: toDestination.trim(),
+        tripDate: formattedDate,
+        numberOfPassengers: numberOfPassengers ? parseInt(numberOfPassengers) : null,
+        status: status || existingTrip?.status || 'planned'
+      },
+      tzOffset: parseTzOffset(req.body.tzOffset)
+    });
+
+    res.json({
+      ...capacity,
+      message: capacity.level === 'exceeded' ? describeCapacity(capacity) : null,
+      canOverride: Boolean(req.user?.isAdmin)
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to check capacity');
+  }
+});
+
+// Sites touched by the rotation in the request body
+const requestedRotationSites = (req) => [[req.body.homeBase, req.body.site]];
+
+// Sites touched by the existing rotation (and by its new template on updates)
+const existingRotationSites = async (req) => {
+  await dbConnect();
+
+  const rotation = await Rotation.findById(req.params.seriesId)
+    .select('homeBase site')
+    .maxTimeMS(10000);
+
+  if (!rotation) return null;
+
+  const siteGroups = [[rotation.homeBase, rotation.site]];
+  if (req.method === 'PUT') {
+    siteGroups.push([req.body.homeBase ?? rotation.homeBase, req.body.site ?? rotation.site]);
+  }
+  return siteGroups;
+};
+
+const ROTATION_FIELDS = ['passengerId', 'site', 'homeBase', 'daysOn', 'daysOff', 'startDate', 'endDate', 'confirmed', 'notes'];
+
+// Pick and normalize rotation fields from a request body. Throws a
+// ValidationError-like error for malformed dates.
+const buildRotationData = (body) => {
+  const data = {};
+
+  ROTATION_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    data[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+  });
+
+  try {
+    if (data.startDate) data.startDate = formatTripDate(data.startDate);
+    if (data.endDate) data.endDate = formatTripDate(data.endDate);
+  } catch (dateError) {
+    throw Object.assign(new Error('Invalid start or end date. Use YYYY-MM-DD format'), { name: 'ValidationError' });
+  }
+  if (data.daysOn !== undefined) data.daysOn = Number(data.daysOn);
+  if (data.daysOff !== undefined) data.daysOff = Number(data.daysOff);
+  if (data.confirmed !== undefined) data.confirmed = Boolean(data.confirmed);
+
+  return data;
+};
+
+// Schema, schedule, passenger and site checks for a rotation about to be saved.
+// Returns a list of problems, empty when the rotation is valid.
+const validateRotation = async (rotation) => {
+  try {
+    await rotation.validate();
+  } catch (validationError) {
+    return Object.values(validationError.errors || {}).map(error => error.message);
+  }
+
+  const problems = validateRotationSchedule(rotation);
+
+  const passengerError = await validatePassengerRef(String(rotation.passengerId));
+  if (passengerError) problems.push(passengerError);
+
+  const knownSites = await Site.find({ siteName: { $in: [rotation.site, rotation.homeBase] } })
+    .distinct('siteName')
+    .maxTimeMS(10000);
+  [rotation.homeBase, rotation.site].forEach(siteName => {
+    if (!knownSites.includes(siteName)) problems.push(`Unknown site: ${siteName}`);
+  });
+
+  return problems;
+};
+
+// Broadcast the trips a rotation sync touched
+const publishRotationChanges = ({ created, updated, deletedIds }) => {
+  [...created, ...updated].forEach(trip => publishUpsert('trip', trip));
+  deletedIds.forEach(id => publishDelete('trip', id));
+};
+
+const summarizeSync = ({ created, updated, deletedIds }) => ({
+  created: created.length,
+  updated: updated.length,
+  deleted: deletedIds.length
+});
+
+// Trips a sync adds and removes, as changes for a capacity check. Updated
+// trips only change passenger or confirmation, so they leave POB alone.
+const syncCapacityChanges = ({ created, deleted }) => [
+  ...created.map(trip => ({ after: trip })),
+  ...deleted.map(trip => ({ before: trip }))
+];
+
+// @route   GET /api/trips/series
+// @desc    List rotation series (?passengerId=&status=active|cancelled)
+router.get('/series', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const filter = {};
+    if (req.query.passengerId) filter.passengerId = req.query.passengerId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const rotations = await Rotation.find(filter)
+      .sort({ startDate: -1 })
+      .maxTimeMS(10000);
+
+    console.log(`Fetched ${rotations.length} rotation series`);
+    res.json(rotations);
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch rotation series');
+  }
+});
+
+// @route   GET /api/trips/series/:seriesId
+// @desc    Get a rotation series with its trips
+router.get('/series/:seriesId', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const rotation = await Rotation.findById(req.params.seriesId)
+      .maxTimeMS(10000);
+
+    if (!rotation) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Rotation series not found' 
+      });
+    }
+
+    const trips = await Trip.find({ rotationId: rotation._id })
+      .sort({ tripDate: 1 })
+      .maxTimeMS(10000);
+
+    res.json({ ...rotation.toJSON(), trips });
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch rotation series');
+  }
+});
+
+// @route   POST /api/trips/series
+// @desc    Create a rotation series and generate its trips from today on (Admin or site coordinator)
+//          Body: { passengerId, site, homeBase, daysOn, daysOff, startDate, endDate, confirmed?, notes? }
+//          Refused with 409 when its trips would take a site past its
+//          maximumPOB, unless an admin sends capacityOverride: { justification }
+router.post('/series', [auth, coordinator(requestedRotationSites)], async (req, res) => {
+  let session = null;
+  let capacityCheck = null;
+
+  try {
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
+
+    const rotation = new Rotation(buildRotationData(req.body));
+    const problems = await validateRotation(rotation);
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: problems.join('. '),
+        problems
+      });
+    }
+
+    let changes;
+    session = await mongooseConnection.startSession();
+    await session.withTransaction(async () => {
+      await rotation.save({ session });
+      changes = await syncRotationTrips(rotation, today(), { session });
+
+      capacityCheck = await reviewCapacityForChanges(req, syncCapacityChanges(changes));
+      if (capacityCheck.refusal) {
+        throw new Error('Capacity refused');
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'Rotation',
+      after: rotation,
+      metadata: { ...summarizeSync(changes), ...capacityOverrideMetadata(capacityCheck) }
+    });
+    publishRotationChanges(changes);
+
+    console.log(`Rotation ${rotation._id} created with ${changes.created.length} trips`);
+    res.status(201).json({ ...rotation.toJSON(), trips: changes.created, ...capacityReport(capacityCheck) });
+  } catch (err) {
+    if (err.message === 'Capacity refused') {
+      return sendCapacityRefusal(res, capacityCheck.refusal);
+    }
+
+    handleError(res, err, 'Failed to create rotation series');
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// @route   PUT /api/trips/series/:seriesId
+// @desc    Update a rotation series and regenerate its trips from today on (Admin or site coordinator)
+//          Trips whose date and route are unchanged are kept, so flight
+//          assignments survive; past trips are never touched. Refused with 409
+//          when the new trips would take a site past its maximumPOB, unless an
+//          admin sends capacityOverride: { justification }
+router.put('/series/:seriesId', [auth, coordinator(existingRotationSites)], async (req, res) => {
+  let session = null;
+  let capacityCheck = null;
+
+  try {
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
+
+    const rotation = await Rotation.findById(req.params.seriesId)
+      .maxTimeMS(10000);
+
+    if (!rotation) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Rotation series not found' 
+      });
+    }
+
+    if (rotation.status === 'cancelled') {
+      return res.status(409).json({ 
+        error: 'Rotation cancelled',
+        message: 'A cancelled rotation series cannot be edited' 
+      });
+    }
+
+    const rotationBefore = rotation.toObject();
+    rotation.set(buildRotationData(req.body));
+    const problems = await validateRotation(rotation);
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: problems.join('. '),
+        problems
+      });
+    }
+
+    const syncConfirmed = rotation.isModified('confirmed');
+    let changes;
+    session = await mongooseConnection.startSession();
+    await session.withTransaction(async () => {
+      await rotation.save({ session });
+      changes = await syncRotationTrips(rotation, today(), { session, syncConfirmed });
+
+      capacityCheck = await reviewCapacityForChanges(req, syncCapacityChanges(changes));
+      if (capacityCheck.refusal) {
+        throw new Error('Capacity refused');
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Rotation',
+      before: rotationBefore,
+      after: rotation,
+      metadata: { ...summarizeSync(changes), ...capacityOverrideMetadata(capacityCheck) }
+    });
+    publishRotationChanges(changes);
+
+    console.log(`Rotation ${rotation._id} updated`, summarizeSync(changes));
+    res.json({ ...rotation.toJSON(), changes: summarizeSync(changes), ...capacityReport(capacityCheck) });
+  } catch (err) {
+    if (err.message === 'Capacity refused') {
+      return sendCapacityRefusal(res, capacityCheck.refusal);
+    }
+
+    handleError(res, err, 'Failed to update rotation series');
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// @route   DELETE /api/trips/series/:seriesId
+// @desc    Cancel a rotation series and delete its trips from today on (Admin or site coordinator)
+//          The series and its past trips are kept for history.
+router.delete('/series/:seriesId', [auth, coordinator(existingRotationSites)], async (req, res) => {
+  let session = null;
+
+  try {
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
+
+    const rotation = await Rotation.findById(req.params.seriesId)
+      .maxTimeMS(10000);
+
+    if (!rotation) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Rotation series not found' 
+      });
+    }
+
+    const rotationBefore = rotation.toObject();
+    rotation.status = 'cancelled';
+
+    let changes;
+    session = await mongooseConnection.startSession();
+    await session.withTransaction(async () => {
+      await rotation.save({ session });
+      changes = await syncRotationTrips(rotation, today(), { session });
+    });
+
+    await recordAudit(req, {
+      action: 'cancel',
+      entityType: 'Rotation',
+      before: rotationBefore,
+      after: rotation,
+      metadata: summarizeSync(changes)
+    });
+    publishRotationChanges(changes);
+
+    console.log(`Rotation ${rotation._id} cancelled, ${changes.deletedIds.length} trips deleted`);
+    res.json({
+      message: 'Rotation series cancelled',
+      seriesId: rotation._id,
+      deletedTrips: changes.deletedIds.length
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to cancel rotation series');
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+const MAX_PAGE_SIZE = 500;
+
+// Related documents that can be inlined with ?expand=
+const EXPANDABLE = ['passenger'];
+
+// Parse ?expand=passenger into a list, rejecting unknown relations
+const parseExpand = (value) => {
+  if (!value) return [];
+
+  const relations = String(value).split(',').map(relation => relation.trim()).filter(Boolean);
+  const unknown = relations.filter(relation => !EXPANDABLE.includes(relation));
+  if (unknown.length > 0) {
+    throw Object.assign(
+      new Error(`Unknown expand option(s): ${unknown.join(', ')}. Supported: ${EXPANDABLE.join(', ')}`),
+      { name: 'ValidationError' }
+    );
+  }
+  return relations;
+};
+
+// Inline each trip's passenger as { _id, firstName, lastName, jobRole }, or
+// null when the passenger no longer exists. passengerId is left untouched.
+const expandTrips = async (trips, expand) => {
+  if (!expand.includes('passenger')) return trips;
+
+  const passengerIds = [...new Set(trips.map(trip => String(trip.passengerId)))]
+    .filter(id => mongoose.isObjectIdOrHexString(id));
+
+  const passengers = await Passenger.find({ _id: { $in: passengerIds } })
+    .select('firstName lastName jobRole')
+    .lean()
+    .maxTimeMS(10000);
+  const passengersById = new Map(passengers.map(passenger => [String(passenger._id), passenger]));
+
+  return trips.map(trip => ({
+    ...trip.toJSON(),
+    passenger: passengersById.get(String(trip.passengerId)) || null
+  }));
+};
+
+// Pagination cursors are the sort key of the last trip on the previous page
+const encodeCursor = (trip) => {
+  return Buffer.from(JSON.stringify({ tripDate: trip.tripDate, _id: String(trip._id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  const { tripDate, _id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (typeof tripDate !== 'string' || !mongoose.isObjectIdOrHexString(_id)) {
+    throw new Error('Invalid cursor');
+  }
+  return { tripDate, _id: new mongoose.Types.ObjectId(_id) };
+};
+
+// Build a trip query from ?from=&to=&site=&confirmed=&status=&passengerId=.
+// Throws a ValidationError-like error for malformed values.
+const buildTripFilter = (query) => {
+  const { from, to, site, confirmed, status, passengerId } = query;
+  const conditions = [];
+
+  if (from || to) {
+    const tripDate = {};
+    try {
+      if (from) tripDate.$gte = formatTripDate(from);
+      if (to) tripDate.$lte = formatTripDate(to);
+    } catch (dateError) {
+      throw Object.assign(new Error('Invalid date format for from/to. Use YYYY-MM-DD format'), { name: 'ValidationError' });
+    }
+    conditions.push({ tripDate });
+  }
+
+  if (site?.trim()) {
+    conditions.push({ $or: [{ fromOrigin: site.trim() }, { toDestination: site.trim() }] });
+  }
+
+  if (confirmed !== undefined) {
+    if (confirmed !== 'true' && confirmed !== 'false') {
+      throw Object.assign(new Error('confirmed must be true or false'), { name: 'ValidationError' });
+    }
+    conditions.push({ confirmed: confirmed === 'true' });
+  }
+
+  if (status !== undefined) {
+    const statuses = String(status).split(',').map(value => value.trim()).filter(Boolean);
+    if (statuses.length === 0 || !statuses.every(value => TRIP_STATUSES.includes(value))) {
+      throw Object.assign(new Error(`status must be a comma-separated list of: ${TRIP_STATUSES.join(', ')}`), { name: 'ValidationError' });
+    }
+    conditions.push(statusCondition(statuses));
+  }
+
+  if (passengerId?.trim()) {
+    if (!mongoose.isObjectIdOrHexString(passengerId.trim())) {
+      throw Object.assign(new Error('passengerId must be a valid passenger ID'), { name: 'ValidationError' });
+    }
+    conditions.push(passengerRefCondition(passengerId.trim()));
+  }
+
+  return conditions;
+};
+
+// @route   GET /api/trips
+// @desc    Get trips, most recent first
+//          Filters: ?from=&to=&site=&confirmed=true|false&status=planned,confirmed&passengerId=
+//          Pagination: ?limit= returns { trips, nextCursor }; pass ?cursor=nextCursor
+//          for the following page. Without limit all matching trips are returned.
+//          ?expand=passenger inlines each trip's passenger name and job role
+router.get('/', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const expand = parseExpand(req.query.expand);
+    const conditions = buildTripFilter(req.query);
+    const paginate = req.query.limit !== undefined || req.query.cursor !== undefined;
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 100));
+
+    if (req.query.cursor) {
+      let cursor;
+      try {
+        cursor = decodeCursor(req.query.cursor);
+      } catch (cursorError) {
+        return res.status(400).json({ 
+          error: 'Validation failed',
+          message: 'Invalid pagination cursor' 
+        });
+      }
+      conditions.push({
+        $or: [
+          { tripDate: { $lt: cursor.tripDate } },
+          { tripDate: cursor.tripDate, _id: { $lt: cursor._id } }
+        ]
+      });
+    }
+
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    const query = Trip.find(filter)
+      .sort({ tripDate: -1, _id: -1 }) // Most recent first
+      .maxTimeMS(10000);
+
+    if (!paginate) {
+      const trips = await query;
+      console.log(`Fetched ${trips.length} trips`);
+      return res.json(await expandTrips(trips, expand));
+    }
+
+    // Fetch one extra trip to know whether another page follows
+    const page = await query.limit(limit + 1);
+    const trips = page.slice(0, limit);
+    const nextCursor = page.length > limit ? encodeCursor(trips[trips.length - 1]) : null;
+
+    console.log(`Fetched page of ${trips.length} trips`);
+    res.json({ trips: await expandTrips(trips, expand), nextCursor });
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch trips');
+  }
+});
+
+// Look up each trip's passenger, tolerating passengerIds stored as strings
+// before the field became an ObjectId reference
+const passengerLookupStage = () => ({
+  $lookup: {
+    from: Passenger.collection.name,
+    let: {
+      passengerRef: { $convert: { input: '$passengerId', to: 'objectId', onError: null, onNull: null } }
+    },
+    pipeline: [
+      { $match: { $expr: { $eq: ['$_id', '$$passengerRef'] } } },
+      { $project: { _id: 1 } }
+    ],
+    as: 'passenger'
+  }
+});
+
+// @route   GET /api/trips/orphans
+// @desc    Trips whose passenger no longer exists, for clean-up (Admin only)
+router.get('/orphans', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const [trips, legacyRefs] = await Promise.all([
+      Trip.aggregate([
+        passengerLookupStage(),
+        { $match: { passenger: { $size: 0 } } },
+        { $project: { passenger: 0 } },
+        { $sort: { tripDate: -1, _id: -1 } }
+      ]).option({ maxTimeMS: 15000 }),
+      Trip.collection.countDocuments({ passengerId: { $type: 'string' } }, { maxTimeMS: 10000 })
+    ]);
+
+    // Group by the missing passenger so each one can be handled at once
+    const byPassenger = new Map();
+    trips.forEach(trip => {
+      const key = String(trip.passengerId);
+      const group = byPassenger.get(key) || { passengerId: key, tripCount: 0, firstTripDate: trip.tripDate, lastTripDate: trip.tripDate };
+      group.tripCount += 1;
+      if (trip.tripDate < group.firstTripDate) group.firstTripDate = trip.tripDate;
+      if (trip.tripDate > group.lastTripDate) group.lastTripDate = trip.tripDate;
+      byPassenger.set(key, group);
+    });
+
+    console.log(`Found ${trips.length} orphaned trips`);
+    res.json({
+      total: trips.length,
+      passengers: [...byPassenger.values()],
+      trips,
+      // Trips still storing passengerId as a string; see POST /migrate-passenger-refs
+      legacyRefs
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch orphaned trips');
+  }
+});
+
+// @route   POST /api/trips/migrate-passenger-refs
+// @desc    Convert passengerIds stored as strings to ObjectId references (Admin only)
+//          dbConnect already does this once per process; this reruns it on demand
+router.post('/migrate-passenger-refs', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+
+    const converted = await migratePassengerRefs();
+
+    await recordAudit(req, {
+      action: 'migrate',
+      entityType: 'Trip',
+      metadata: { converted }
+    });
+
+    console.log(`Converted ${converted} trip passengerIds to ObjectId`);
+    res.json({
+      message: 'Passenger references migrated',
+      converted
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to migrate passenger references');
+  }
+});
+
+// Operations accepted by POST /api/trips/bulk
+const BULK_ACTIONS = ['confirm', 'unconfirm', 'move', 'delete'];
+
+// Most trips a single bulk request may touch
+const MAX_BULK_TRIPS = 500;
+
+// Parse a bulk request body into { action, query, ids, tripDate }. Trips are
+// selected either by a list of IDs or by the same filters GET /api/trips takes.
+// Throws a ValidationError-like error for malformed bodies.
+const parseBulkRequest = (body = {}) => {
+  const { action, ids, filter, tripDate } = body;
+  const invalid = (message) => Object.assign(new Error(message), { name: 'ValidationError' });
+
+  if (!BULK_ACTIONS.includes(action)) {
+    throw invalid(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+
+  if ((ids === undefined) === (filter === undefined)) {
+    throw invalid('Provide either ids or filter');
+  }
+
+  let query;
+  let uniqueIds = null;
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw invalid('ids must be a non-empty array of trip IDs');
+    }
+    uniqueIds = [...new Set(ids.map(String))];
+    if (!uniqueIds.every(id => mongoose.isObjectIdOrHexString(id))) {
+      throw invalid('ids must be a non-empty array of trip IDs');
+    }
+    query = { _id: { $in: uniqueIds } };
+  } else {
+    if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+      throw invalid('filter must be an object');
+    }
+    const conditions = buildTripFilter(filter);
+    // An empty filter would select every trip ever entered
+    if (conditions.length === 0) {
+      throw invalid('filter must include at least one of from, to, site, confirmed, status, passengerId');
+    }
+    query = { $and: conditions };
+  }
+
+  let formattedDate = null;
+  if (action === 'move') {
+    try {
+      formattedDate = formatTripDate(tripDate);
+    } catch (dateError) {
+      throw invalid('tripDate is required to move trips. Use YYYY-MM-DD format');
+    }
+  }
+
+  return { action, query, ids: uniqueIds, tripDate: formattedDate };
+};
+
+// Sites touched by every trip a bulk request selects
+const bulkTripSites = async (req) => {
+  let selection;
+  try {
+    selection = parseBulkRequest(req.body);
+  } catch (validationError) {
+    return null; // Let the route answer with 400
+  }
+
+  await dbConnect();
+
+  const trips = await Trip.find(selection.query)
+    .select('fromOrigin toDestination')
+    .limit(MAX_BULK_TRIPS + 1)
+    .maxTimeMS(10000);
+
+  if (trips.length === 0) return null;
+
+  return trips.map(trip => [trip.fromOrigin, trip.toDestination]);
+};
+
+// @route   POST /api/trips/bulk
+// @desc    Confirm, unconfirm, move or delete many trips at once (Admin or site coordinator)
+//          Body: { action: confirm|unconfirm|move|delete, ids: [...] } or
+//          { action, filter: { from, to, site, confirmed, status, passengerId } }, plus
+//          tripDate for move. All trips change or none do; coordinators must
+//          manage a site on every selected trip. Confirm and unconfirm leave
+//          cancelled, completed and no-show trips as they are. A move that
+//          would take a site past its maximumPOB is refused with 409 unless an
+//          admin sends capacityOverride: { justification }.
+router.post('/bulk', [auth, coordinator(bulkTripSites)], async (req, res) => {
+  let session = null;
+  let missingIds = [];
+  let capacityCheck = null;
+
+  try {
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
+
+    const { action, query, ids, tripDate } = parseBulkRequest(req.body);
+
+    let trips = [];
+    let deletedIds = [];
+    session = await mongooseConnection.startSession();
+    await session.withTransaction(async () => {
+      const selectedTrips = await Trip.find(query)
+        .limit(MAX_BULK_TRIPS + 1)
+        .session(session)
+        .maxTimeMS(10000);
+
+      if (selectedTrips.length > MAX_BULK_TRIPS) {
+        throw new Error('Too many trips');
+      }
+
+      if (ids) {
+        const foundIds = new Set(selectedTrips.map(trip => String(trip._id)));
+        missingIds = ids.filter(id => !foundIds.has(id));
+        if (missingIds.length > 0) {
+          throw new Error('Trips not found');
+        }
+      }
+
+      const selectedIds = selectedTrips.map(trip => trip._id);
+      if (selectedIds.length === 0) return;
+
+      if (action === 'delete') {
+        await Trip.deleteMany({ _id: { $in: selectedIds } })
+          .session(session)
+          .maxTimeMS(10000);
+        await skipRotationLegs(selectedTrips, { session });
+        deletedIds = selectedIds;
+        return;
+      }
+
+      if (action === 'move') {
+        const movedTrips = selectedTrips.filter(trip => trip.tripDate !== tripDate);
+        capacityCheck = await reviewCapacityForChanges(req, movedTrips.map(trip => ({
+          before: trip,
+          after: { ...trip.toObject(), tripDate }
+        })));
+        if (capacityCheck.refusal) {
+          throw new Error('Capacity refused');
+        }
+
+        // Moved trips leave their flight and rotation, as with PUT /api/trips/:id
+        await skipRotationLegs(movedTrips, { session });
+        await Trip.updateMany(
+          { _id: { $in: selectedIds }, tripDate: { $ne: tripDate } },
+          { $set: { tripDate, flightId: null, rotationId: null } }
+        )
+          .session(session)
+          .maxTimeMS(10000);
+      } else {
+        await Trip.updateMany(
+          { _id: { $in: selectedIds }, ...statusCondition(OPEN_STATUSES) },
+          { $set: { confirmed: action === 'confirm', status: statusForConfirmed(null, action === 'confirm') } }
+        )
+          .session(session)
+          .maxTimeMS(10000);
+      }
+
+      trips = await Trip.find({ _id: { $in: selectedIds } })
+        .session(session)
+        .maxTimeMS(10000);
+    });
+
+    const affectedIds = action === 'delete' ? deletedIds : trips.map(trip => trip._id);
+    if (affectedIds.length > 0) {
+      await recordAudit(req, {
+        action: 'bulk',
+        entityType: 'Trip',
+        metadata: {
+          operation: action,
+          tripIds: affectedIds.map(String),
+          ...(action === 'move' && { tripDate }),
+          ...capacityOverrideMetadata(capacityCheck)
+        }
+      });
+    }
+
+    if (action === 'delete') {
+      deletedIds.forEach(id => publishDelete('trip', id));
+    } else {
+      trips.forEach(trip => publishUpsert('trip', trip));
+    }
+
+    console.log(`Bulk ${action} applied to ${affectedIds.length} trips`);
+    res.json({
+      action,
+      matched: affectedIds.length,
+      ...(action === 'delete' ? { deletedIds } : { trips }),
+      ...capacityReport(capacityCheck)
+    });
+  } catch (err) {
+    if (err.message === 'Capacity refused') {
+      return sendCapacityRefusal(res, capacityCheck.refusal);
+    }
+
+    if (err.message === 'Too many trips') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `A bulk request can change at most ${MAX_BULK_TRIPS} trips; narrow the selection` 
+      });
+    }
+
+    if (err.message === 'Trips not found') {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: `${missingIds.length} of the selected trips no longer exist`,
+        missingIds
+      });
+    }
+
+    handleError(res, err, 'Failed to apply bulk trip operation');
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
   }
-  
-  // Try to parse as Date object
-  const dateObj = new Date(dateInput);
-  if (isNaN(dateObj.getTime())) {
-    throw new Error('Invalid date format');
+});
+
+// How conflicting rows of a trip import are handled
+const CONFLICT_STRATEGIES = ['skip', 'create'];
+
+// Passengers, sites and travelling trips a trip import is checked against.
+// Trips are loaded for every date in the file that parses.
+const loadTripImportContext = async (records, session) => {
+  const dates = new Set();
+  records.forEach(({ values }) => {
+    try {
+      if (values.tripDate) dates.add(formatTripDate(values.tripDate));
+    } catch (dateError) {
+      // Reported against the row by buildTripImportReport
+    }
+  });
+
+  // One at a time: a transaction's operations can't run in parallel
+  const passengers = await Passenger.find()
+    .select('firstName lastName employeeNumber')
+    .session(session)
+    .lean()
+    .maxTimeMS(10000);
+  const sites = await Site.find()
+    .select('siteName archived')
+    .session(session)
+    .lean()
+    .maxTimeMS(10000);
+  const existingTrips = await Trip.find({
+    tripDate: { $in: [...dates] },
+    passengerId: { $ne: null },
+    status: { $nin: NOT_TRAVELLED_STATUSES }
+  })
+    .select('passengerId fromOrigin toDestination tripDate status confirmed numberOfPassengers')
+    .session(session)
+    .lean()
+    .maxTimeMS(10000);
+
+  return { passengers, sites, existingTrips };
+};
+
+// @route   POST /api/trips/import
+// @desc    Import trips from a crew-change CSV or XLSX file sent as the request body (Admin only)
+//          Columns: Name (or First Name and Last Name), Date, From, To, and
+//          optionally Employee Number, Passengers, Status, Job Role and Company.
+//          ?dryRun=true reports what would happen without saving anything.
+//          ?createPassengers=true creates passengers that match no one; their
+//          rows are skipped otherwise. Conflicting rows are skipped unless
+//          ?conflicts=create. Everything is saved in one transaction.
+//          An import that would take a site past its maximumPOB is refused with
+//          409 unless ?capacityJustification= gives a reason to override it.
+router.post('/import', [auth, admin, express.raw({ type: SPREADSHEET_CONTENT_TYPES, limit: '5mb' })], async (req, res) => {
+  let session = null;
+  let capacityCheck = null;
+
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const createPassengers = req.query.createPassengers === 'true';
+    const conflicts = req.query.conflicts || 'skip';
+
+    if (!CONFLICT_STRATEGIES.includes(conflicts)) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `conflicts must be one of: ${CONFLICT_STRATEGIES.join(', ')}` 
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Send the file as the request body with a CSV or XLSX content type' 
+      });
+    }
+
+    const { records, error } = await readTripFile(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: error 
+      });
+    }
+
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
+
+    const buildRows = async (transactionSession) => {
+      const context = await loadTripImportContext(records, transactionSession);
+      return buildTripImportReport(records, context).map(row => ({
+        ...row,
+        willImport: (
+          ['create', 'update'].includes(row.status) ||
+          (row.status === 'conflict' && conflicts === 'create')
+        ) && (row.passenger.match !== 'new' || createPassengers)
+      }));
+    };
+
+    let rows = [];
+    let createdPassengers = [];
+    let createdTrips = [];
+    let updatedTrips = [];
+
+    if (dryRun) {
+      rows = await buildRows(null);
+    } else {
+      session = await mongooseConnection.startSession();
+      await session.withTransaction(async () => {
+        // Checked again inside the transaction so the preview can't go stale
+        rows = await buildRows(session);
+        const importable = rows.filter(row => row.willImport);
+
+        const newPassengers = new Map();
+        importable
+          .filter(row => row.passenger.match === 'new')
+          .forEach(row => newPassengers.set(row.passenger.key, row.passenger.create));
+        createdPassengers = newPassengers.size > 0
+          ? await Passenger.insertMany([...newPassengers.values()], { session })
+          : [];
+        const createdIds = new Map([...newPassengers.keys()].map((key, index) => [key, createdPassengers[index]._id]));
+
+        const toCreate = importable.filter(row => row.status !== 'update');
+        createdTrips = toCreate.length > 0
+          ? await Trip.insertMany(toCreate.map(row => ({
+            ...toTripFields(row.trip),
+            passengerId: row.passenger.passengerId || createdIds.get(row.passenger.key)
+          })), { session })
+          : [];
+
+        const toUpdate = importable.filter(row => row.status === 'update');
+        const tripsBefore = [];
+        for (const row of toUpdate) {
+          const trip = await Trip.findOneAndUpdate(
+            { _id: row.existingTripId, ...statusCondition(OPEN_STATUSES) },
+            { $set: toTripUpdate(row.changes) },
+            { runValidators: true, session }
+          ).maxTimeMS(10000);
+          if (trip) tripsBefore.push(trip);
+        }
+        updatedTrips = tripsBefore.length > 0
+          ? await Trip.find({ _id: { $in: tripsBefore.map(trip => trip._id) } })
+            .session(session)
+            .maxTimeMS(10000)
+          : [];
+
+        const updatedById = new Map(updatedTrips.map(trip => [String(trip._id), trip]));
+        capacityCheck = await reviewCapacityForChanges(req, [
+          ...createdTrips.map(trip => ({ after: trip })),
+          ...tripsBefore.map(trip => ({ before: trip, after: updatedById.get(String(trip._id)) }))
+        ], {
+          tzOffset: req.query.tzOffset,
+          requestedOverride: req.query.capacityJustification !== undefined
+            ? { justification: req.query.capacityJustification }
+            : null
+        });
+        if (capacityCheck.refusal) {
+          throw new Error('Capacity refused');
+        }
+      });
+
+      if (createdTrips.length > 0 || updatedTrips.length > 0) {
+        await recordAudit(req, {
+          action: 'import',
+          entityType: 'Trip',
+          metadata: {
+            rows: rows.length,
+            created: createdTrips.length,
+            updated: updatedTrips.length,
+            passengersCreated: createdPassengers.length,
+            conflicts,
+            tripIds: [...createdTrips, ...updatedTrips].map(trip => String(trip._id)),
+            ...capacityOverrideMetadata(capacityCheck)
+          }
+        });
+      }
+      createdPassengers.forEach(passenger => publishUpsert('passenger', passenger));
+      [...createdTrips, ...updatedTrips].forEach(trip => publishUpsert('trip', trip));
+    }
+
+    const countStatus = (status) => rows.filter(row => row.status === status).length;
+    const summary = {
+      rows: rows.length,
+      create: countStatus('create'),
+      update: countStatus('update'),
+      unchanged: countStatus('unchanged'),
+      duplicates: countStatus('duplicate'),
+      conflicts: countStatus('conflict'),
+      errors: countStatus('error'),
+      newPassengers: new Set(rows
+        .filter(row => row.willImport && row.passenger.match === 'new')
+        .map(row => row.passenger.key)).size,
+      unknownPassengers: rows.filter(row => row.status !== 'error' && row.passenger.match === 'new' && !createPassengers).length,
+      toImport: rows.filter(row => row.willImport).length,
+      created: createdTrips.length,
+      updated: updatedTrips.length,
+      passengersCreated: createdPassengers.length
+    };
+
+    console.log(`Trip import${dryRun ? ' (dry run)' : ''}: ${summary.rows} rows, ${summary.created} created, ${summary.updated} updated`);
+    res.status(dryRun || createdTrips.length === 0 ? 200 : 201).json({
+      dryRun,
+      createPassengers,
+      conflicts,
+      summary,
+      rows,
+      ...capacityReport(capacityCheck)
+    });
+  } catch (err) {
+    if (err.message === 'Capacity refused') {
+      return sendCapacityRefusal(res, capacityCheck.refusal);
+    }
+
+    handleError(res, err, 'Failed to import trips');
+  } finally {
+    // End session if it was started
+    if (session) {
+      await session.endSession();
+    }
   }
-  
-  // Convert to YYYY-MM-DD string
-  return dateObj.toISOString().split('T')[0];
+});
+
+// How far ahead a cancelled day's trips are rebooked before giving up
+const MAX_RESCHEDULE_DAYS = 14;
+
+// Site whose day is being cancelled
+const requestedDaySites = (req) => [[req.body.site]];
+
+// First day after `date` on which nothing at the site was cancelled, or null
+// when every day in the search window was scrubbed too
+const findNextAvailableDay = async (site, date, session) => {
+  const lastDate = addDays(date, MAX_RESCHEDULE_DAYS);
+  const cancelledDates = await Trip.distinct('tripDate', {
+    $or: [{ fromOrigin: site }, { toDestination: site }],
+    tripDate: { $gt: date, $lte: lastDate },
+    status: 'cancelled'
+  })
+    .session(session)
+    .maxTimeMS(10000);
+
+  for (let candidate = addDays(date, 1); candidate <= lastDate; candidate = addDays(candidate, 1)) {
+    if (!cancelledDates.includes(candidate)) return candidate;
+  }
+  return null;
 };
 
-// @route   POST /api/trips
-// @desc    Create a new trip
-router.post('/', async (req, res) => {
+// @route   POST /api/trips/cancel-day
+// @desc    Cancel every open trip at a site on one day, e.g. when flights are scrubbed (Admin or site coordinator)
+//          Body: { site, date, category: weather|operational|other, reason, reschedule? }
+//          The cancelled trips stay on their day for reporting and are rebooked
+//          on the next day with no cancellations. Pass a YYYY-MM-DD date as
+//          reschedule to pick the day, or false to only cancel. Rebooked trips
+//          keep the first booked date in originalDate. Rebooking that would take
+//          a site past its maximumPOB is refused with 409 unless an admin sends
+//          capacityOverride: { justification }.
+router.post('/cancel-day', [auth, coordinator(requestedDaySites)], async (req, res) => {
+  let session = null;
+  let capacityCheck = null;
+
   try {
-    await dbConnect(); // Ensure DB connection
-    
-    const { passengerId, fromOrigin, toDestination, tripDate, confirmed, numberOfPassengers } = req.body;
+    const mongooseConnection = await dbConnect(); // Ensure DB connection
 
-    // Validate required fields
-    if (!passengerId?.trim() || !fromOrigin?.trim() || !toDestination?.trim() || !tripDate || typeof confirmed === 'undefined') {
+    const { site, date, category, reason, reschedule = true } = req.body;
+
+    if (!site?.trim() || !date) {
       return res.status(400).json({ 
         error: 'Validation failed',
-        message: 'All fields (passengerId, fromOrigin, toDestination, tripDate, confirmed) are required' 
+        message: 'site and date are required' 
       });
     }
 
-    // Convert tripDate to YYYY-MM-DD format
-    let formattedDate;
+    if (!CANCELLATION_CATEGORIES.includes(category)) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: `category must be one of: ${CANCELLATION_CATEGORIES.join(', ')}` 
+      });
+    }
+
+    let cancelDate;
+    let requestedDate = null;
     try {
-      formattedDate = formatTripDate(tripDate);
+      cancelDate = formatTripDate(date);
+      if (typeof reschedule === 'string') requestedDate = formatTripDate(reschedule);
     } catch (dateError) {
       return res.status(400).json({ 
         error: 'Validation failed',
-        message: 'Invalid trip date format. Use YYYY-MM-DD format or a valid date string' 
+        message: 'Invalid date format. Use YYYY-MM-DD format' 
       });
     }
 
-    // Build trip data - set numberOfPassengers to null by default
-    const tripData = {
-      passengerId: passengerId.trim(),
-      fromOrigin: fromOrigin.trim(),
-      toDestination: toDestination.trim(),
-      tripDate: formattedDate,
-      confirmed: Boolean(confirmed),
-      numberOfPassengers: numberOfPassengers !== undefined && numberOfPassengers !== null ? 
-        parseInt(numberOfPassengers) : null // Changed to null by default
-    };
+    if (typeof reschedule !== 'boolean' && requestedDate === null) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'reschedule must be true, false or a YYYY-MM-DD date' 
+      });
+    }
 
-    const newTrip = new Trip(tripData);
-    const savedTrip = await newTrip.save();
-    
-    console.log(`New trip created: ${savedTrip._id} for passenger ${passengerId} on date ${formattedDate}`);
-    res.status(201).json(savedTrip);
+    if (requestedDate === cancelDate) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Trips cannot be rescheduled to the day being cancelled' 
+      });
+    }
+
+    const siteExists = await Site.exists({ siteName: site.trim() })
+      .maxTimeMS(10000);
+
+    if (!siteExists) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: `Site "${site.trim()}" not found` 
+      });
+    }
+
+    let cancelledTrips = [];
+    let rescheduledTrips = [];
+    let rescheduledTo = null;
+    session = await mongooseConnection.startSession();
+    await session.withTransaction(async () => {
+      const trips = await Trip.find({
+        $and: [
+          { $or: [{ fromOrigin: site.trim() }, { toDestination: site.trim() }] },
+          { tripDate: cancelDate },
+          statusCondition(OPEN_STATUSES)
+        ]
+      })
+        .session(session)
+        .maxTimeMS(10000);
+
+      if (trips.length === 0) return;
+
+      const tripIds = trips.map(trip => trip._id);
+      await Trip.updateMany(
+        { _id: { $in: tripIds } },
+        {
+          $set: {
+            status: 'cancelled',
+            confirmed: false,
+            flightId: null,
+            cancellation: {
+              category,
+              reason: reason?.trim(),
+              cancelledAt: new Date(),
+              cancelledBy: req.user?.userName
+            }
+          }
+        }
+      )
+        .session(session)
+        .maxTimeMS(10000);
+
+      cancelledTrips = await Trip.find({ _id: { $in: tripIds } })
+        .session(session)
+        .maxTimeMS(10000);
+
+      if (reschedule === false) return;
+
+      rescheduledTo = requestedDate || await findNextAvailableDay(site.trim(), cancelDate, session);
+      if (!rescheduledTo) {
+        throw new Error('No day available');
+      }
+
+      // Each rebooked trip stands in for a cancelled one on the new day
+      capacityCheck = await reviewCapacityForChanges(req, trips.map(trip => ({
+        before: trip,
+        after: { ...trip.toObject(), tripDate: rescheduledTo }
+      })));
+      if (capacityCheck.refusal) {
+        throw new Error('Capacity refused');
+      }
+
+      // Replacements leave the rotation, which would otherwise delete them as off-template
+      rescheduledTrips = await Trip.insertMany(trips.map(trip => ({
+        passengerId: trip.passengerId,
+        fromOrigin: trip.fromOrigin,
+        toDestination: trip.toDestination,
+        tripDate: rescheduledTo,
+        status: trip.status,
+        confirmed: trip.confirmed,
+        numberOfPassengers: trip.numberOfPassengers,
+        originalDate: trip.originalDate || trip.tripDate,
+        rescheduledFrom: trip._id
+      })), { session });
+    });
+
+    if (cancelledTrips.length > 0) {
+      await recordAudit(req, {
+        action: 'cancel',
+        entityType: 'Trip',
+        metadata: {
+          site: site.trim(),
+          date: cancelDate,
+          category,
+          reason: reason?.trim() || null,
+          rescheduledTo,
+          tripIds: cancelledTrips.map(trip => String(trip._id)),
+          ...capacityOverrideMetadata(capacityCheck)
+        }
+      });
+    }
+    [...cancelledTrips, ...rescheduledTrips].forEach(trip => publishUpsert('trip', trip));
+
+    console.log(`Cancelled ${cancelledTrips.length} trips at ${site.trim()} on ${cancelDate} (${category})${rescheduledTo ? `, rebooked on ${rescheduledTo}` : ''}`);
+    res.json({
+      site: site.trim(),
+      date: cancelDate,
+      rescheduledTo,
+      cancelled: cancelledTrips,
+      rescheduled: rescheduledTrips,
+      ...capacityReport(capacityCheck)
+    });
   } catch (err) {
-    handleError(res, err, 'Failed to create trip');
+    if (err.message === 'Capacity refused') {
+      return sendCapacityRefusal(res, capacityCheck.refusal);
+    }
+
+    if (err.message === 'No day available') {
+      return res.status(409).json({ 
+        error: 'No day available',
+        message: `Every day in the next ${MAX_RESCHEDULE_DAYS} days already has cancellations. Pick a reschedule date` 
+      });
+    }
+
+    handleError(res, err, 'Failed to cancel trips');
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
   }
 });
 
-// @route   GET /api/trips
-// @desc    Get all trips
-router.get('/', async (req, res) => {
+// @route   GET /api/trips/manifest
+// @desc    Passenger manifest for a day as PDF or CSV (?date=&origin=&destination=&format=pdf|csv)
+router.get('/manifest', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
-    
-    const trips = await Trip.find()
-      .sort({ tripDate: -1, createdAt: -1 }) // Most recent first
+
+    const { date, origin, destination } = req.query;
+    const format = req.query.format || 'pdf';
+
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Format must be pdf or csv'
+      });
+    }
+
+    let queryDate;
+    try {
+      queryDate = formatTripDate(date);
+    } catch (dateError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'A valid date is required. Use YYYY-MM-DD format'
+      });
+    }
+
+    // Cancelled passengers are not flying
+    const filter = { tripDate: queryDate, status: { $ne: 'cancelled' } };
+    if (origin?.trim()) filter.fromOrigin = origin.trim();
+    if (destination?.trim()) filter.toDestination = destination.trim();
+
+    const trips = await Trip.find(filter)
+      .lean()
       .maxTimeMS(10000);
-    
-    console.log(`Fetched ${trips.length} trips`);
-    res.json(trips);
+
+    const rows = await buildManifestRows(trips);
+    const route = [filter.fromOrigin, filter.toDestination].filter(Boolean);
+
+    console.log(`Generated ${format} manifest for ${queryDate} with ${rows.length} trips`);
+    sendManifest(res, {
+      format,
+      fileName: ['manifest', queryDate, ...route].join('-'),
+      title: `Passenger Manifest - ${queryDate}`,
+      subtitle: [
+        origin?.trim() && `From: ${origin.trim()}`,
+        destination?.trim() && `To: ${destination.trim()}`
+      ].filter(Boolean).join('   '),
+      rows
+    });
   } catch (err) {
-    handleError(res, err, 'Failed to fetch trips');
+    handleError(res, err, 'Failed to generate manifest');
   }
 });
 
 // @route   GET /api/trips/:id
-// @desc    Get trip by ID
-router.get('/:id', async (req, res) => {
+// @desc    Get trip by ID (?expand=passenger)
+router.get('/:id', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
+    const expand = parseExpand(req.query.expand);
     const trip = await Trip.findById(req.params.id)
       .maxTimeMS(10000);
     
@@ -129,18 +1654,22 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    res.json(trip);
+    const [expandedTrip] = await expandTrips([trip], expand);
+
+    setVersionHeader(res, trip);
+    res.json(expandedTrip);
   } catch (err) {
     handleError(res, err, 'Failed to fetch trip');
   }
 });
 
 // @route   GET /api/trips/passenger/:passengerId
-// @desc    Get trips by passenger ID
-router.get('/passenger/:passengerId', async (req, res) => {
+// @desc    Get a passenger's trips, newest first (?expand=passenger); empty when they have none
+router.get('/passenger/:passengerId', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
+    const expand = parseExpand(req.query.expand);
     const passengerId = req.params.passengerId;
     
     if (!passengerId?.trim()) {
@@ -150,30 +1679,35 @@ router.get('/passenger/:passengerId', async (req, res) => {
       });
     }
 
-    const trips = await Trip.find({ passengerId: passengerId.trim() })
-      .sort({ tripDate: -1 })
+    const passengerExists = await Passenger.exists({ _id: passengerId.trim() })
       .maxTimeMS(10000);
-    
-    if (!trips || trips.length === 0) {
+
+    if (!passengerExists) {
       return res.status(404).json({ 
         error: 'Not found',
-        message: 'No trips found for this passenger' 
+        message: 'Passenger not found' 
       });
     }
+
+    // A passenger without trips gets an empty list
+    const trips = await Trip.find(passengerRefCondition(passengerId.trim()))
+      .sort({ tripDate: -1 })
+      .maxTimeMS(10000);
     
     console.log(`Fetched ${trips.length} trips for passenger ${passengerId}`);
-    res.json(trips);
+    res.json(await expandTrips(trips, expand));
   } catch (err) {
     handleError(res, err, 'Failed to fetch passenger trips');
   }
 });
 
 // @route   GET /api/trips/date/:date
-// @desc    Get trips by specific date
-router.get('/date/:date', async (req, res) => {
+// @desc    Get trips by specific date (?expand=passenger)
+router.get('/date/:date', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
+    const expand = parseExpand(req.query.expand);
     const dateParam = req.params.date;
     
     // Convert input date to YYYY-MM-DD format for consistent querying
@@ -195,25 +1729,35 @@ router.get('/date/:date', async (req, res) => {
     .maxTimeMS(10000);
     
     console.log(`Fetched ${trips.length} trips for date ${queryDate}`);
-    res.json(trips);
+    res.json(await expandTrips(trips, expand));
   } catch (err) {
     handleError(res, err, 'Failed to fetch trips by date');
   }
 });
 
 // @route   PUT /api/trips/:id
-// @desc    Update trip by ID
-router.put('/:id', async (req, res) => {
+// @desc    Update trip by ID (Admin or site coordinator)
+//          Without status, confirmed moves an open trip between planned and confirmed.
+//          Capacity is checked as for POST /api/trips; raising the passenger
+//          count is refused with 409 when it would overbook the trip's flight
+//          Send If-Match (or __v in the body) to reject the update with 409
+//          when the trip has changed since it was loaded
+router.put('/:id', [auth, coordinator(existingTripSites)], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
-    const { passengerId, fromOrigin, toDestination, tripDate, confirmed, numberOfPassengers } = req.body;
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return sendInvalidVersion(res);
+    }
+
+    const { passengerId, fromOrigin, toDestination, tripDate, confirmed, status, numberOfPassengers } = req.body;
 
     // Validate required fields
-    if (!passengerId?.trim() || !fromOrigin?.trim() || !toDestination?.trim() || !tripDate || typeof confirmed === 'undefined') {
+    if (!passengerId?.trim() || !fromOrigin?.trim() || !toDestination?.trim() || !tripDate || (typeof confirmed === 'undefined' && typeof status === 'undefined')) {
       return res.status(400).json({ 
         error: 'Validation failed',
-        message: 'All fields (passengerId, fromOrigin, toDestination, tripDate, confirmed) are required' 
+        message: 'All fields (passengerId, fromOrigin, toDestination, tripDate, confirmed or status) are required' 
       });
     }
 
@@ -228,18 +1772,71 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    const passengerError = await validatePassengerRef(passengerId.trim());
+    if (passengerError) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: passengerError 
+      });
+    }
+
     const updateData = {
       passengerId: passengerId.trim(),
       fromOrigin: fromOrigin.trim(),
       toDestination: toDestination.trim(),
       tripDate: formattedDate,
-      confirmed: Boolean(confirmed),
       numberOfPassengers: numberOfPassengers !== undefined && numberOfPassengers !== null ? 
         parseInt(numberOfPassengers) : null // Changed to null by default
     };
 
-    const updatedTrip = await Trip.findByIdAndUpdate(
-      req.params.id,
+    const existingTrip = await Trip.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!existingTrip) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Trip not found' 
+      });
+    }
+
+    if (expectedVersion !== null && existingTrip.__v !== expectedVersion) {
+      return sendVersionConflict(res, existingTrip, 'trip');
+    }
+
+    const statusFields = buildStatusFields(req, existingTrip);
+    if (statusFields.error) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: statusFields.error 
+      });
+    }
+    Object.assign(updateData, statusFields.fields);
+
+    // A trip that moves to another day or route can no longer ride its flight,
+    // and no longer follows its rotation (so series edits leave it alone)
+    const movedTrip = existingTrip.tripDate !== updateData.tripDate ||
+      existingTrip.fromOrigin !== updateData.fromOrigin ||
+      existingTrip.toDestination !== updateData.toDestination;
+
+    if (movedTrip && existingTrip.flightId) {
+      updateData.flightId = null;
+    }
+    if (movedTrip && existingTrip.rotationId) {
+      updateData.rotationId = null;
+    }
+
+    const afterUpdate = { ...existingTrip.toObject(), ...updateData };
+    if (!await enforceFlightLoad(res, existingTrip, afterUpdate)) return;
+
+    const capacityCheck = await enforceCapacity(req, res, {
+      before: existingTrip,
+      after: afterUpdate
+    });
+    if (!capacityCheck) return;
+
+    // Match on the version again so a write that lands in between is not lost
+    const updatedTrip = await Trip.findOneAndUpdate(
+      { _id: req.params.id, ...(expectedVersion !== null && { __v: expectedVersion }) },
       { $set: updateData },
       { 
         new: true, 
@@ -249,21 +1846,41 @@ router.put('/:id', async (req, res) => {
     );
 
     if (!updatedTrip) {
-      return res.status(404).json({ 
-        error: 'Not found',
-        message: 'Trip not found' 
-      });
+      const currentTrip = await Trip.findById(req.params.id)
+        .maxTimeMS(10000);
+
+      if (!currentTrip) {
+        return res.status(404).json({ 
+          error: 'Not found',
+          message: 'Trip not found' 
+        });
+      }
+      return sendVersionConflict(res, currentTrip, 'trip');
     }
 
+    if (updateData.rotationId === null) {
+      await skipRotationLegs([existingTrip]);
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Trip',
+      before: existingTrip,
+      after: updatedTrip,
+      ...(capacityCheck.override && { metadata: { capacityOverride: capacityCheck.override } })
+    });
+    publishUpsert('trip', updatedTrip);
+
     console.log(`Trip updated: ${updatedTrip._id} for date ${formattedDate}`);
-    res.json(updatedTrip);
+    setVersionHeader(res, updatedTrip);
+    res.json(withCapacity(updatedTrip, capacityCheck.capacity));
   } catch (err) {
     handleError(res, err, 'Failed to update trip');
   }
 });
 // @route   PATCH /api/trips/:id/confirm
-// @desc    Update trip confirmation status
-router.patch('/:id/confirm', async (req, res) => {
+// @desc    Update trip confirmation status (Admin or site coordinator)
+router.patch('/:id/confirm', [auth, coordinator(existingTripSites)], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
@@ -276,9 +1893,19 @@ router.patch('/:id/confirm', async (req, res) => {
       });
     }
 
+    const existingTrip = await Trip.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (existingTrip && !OPEN_STATUSES.includes(existingTrip.status)) {
+      return res.status(409).json({ 
+        error: 'Trip closed',
+        message: `A ${existingTrip.status} trip cannot be confirmed or unconfirmed` 
+      });
+    }
+
     const updatedTrip = await Trip.findByIdAndUpdate(
       req.params.id,
-      { $set: { confirmed: Boolean(confirmed) } },
+      { $set: { confirmed: Boolean(confirmed), status: statusForConfirmed(null, Boolean(confirmed)) } },
       { 
         new: true, 
         runValidators: true,
@@ -293,6 +1920,9 @@ router.patch('/:id/confirm', async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: 'confirm', entityType: 'Trip', before: existingTrip, after: updatedTrip });
+    publishUpsert('trip', updatedTrip);
+
     console.log(`Trip ${updatedTrip._id} confirmation set to: ${confirmed}`);
     res.json(updatedTrip);
   } catch (err) {
@@ -301,8 +1931,8 @@ router.patch('/:id/confirm', async (req, res) => {
 });
 
 // @route   DELETE /api/trips/:id
-// @desc    Delete trip by ID
-router.delete('/:id', async (req, res) => {
+// @desc    Delete trip by ID (Admin or site coordinator)
+router.delete('/:id', [auth, coordinator(existingTripSites)], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
@@ -316,6 +1946,11 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    await skipRotationLegs([deletedTrip]);
+
+    await recordAudit(req, { action: 'delete', entityType: 'Trip', before: deletedTrip });
+    publishDelete('trip', deletedTrip._id);
+
     console.log(`Trip deleted: ${deletedTrip._id}`);
     res.json({ 
       message: 'Trip deleted successfully',
@@ -327,11 +1962,32 @@ router.delete('/:id', async (req, res) => {
 });
 
 // @route   PATCH /api/trips/:id/passengers/increment
-// @desc    Increment number of passengers
-router.patch('/:id/passengers/increment', async (req, res) => {
+// @desc    Increment number of passengers (Admin or site coordinator)
+//          Refused with 409 when it would overbook the trip's flight or take a
+//          site past its maximumPOB, unless an admin sends capacityOverride: { justification }
+router.patch('/:id/passengers/increment', [auth, coordinator(existingTripSites)], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
+    const existingTrip = await Trip.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!existingTrip) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Trip not found' 
+      });
+    }
+
+    const afterIncrement = { ...existingTrip.toObject(), numberOfPassengers: getPassengerCount(existingTrip) + 1 };
+    if (!await enforceFlightLoad(res, existingTrip, afterIncrement)) return;
+
+    const capacityCheck = await enforceCapacity(req, res, {
+      before: existingTrip,
+      after: afterIncrement
+    });
+    if (!capacityCheck) return;
+
     const updatedTrip = await Trip.findByIdAndUpdate(
       req.params.id,
       { 
@@ -353,19 +2009,31 @@ router.patch('/:id/passengers/increment', async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Trip',
+      before: existingTrip,
+      after: updatedTrip,
+      ...(capacityCheck.override && { metadata: { capacityOverride: capacityCheck.override } })
+    });
+    publishUpsert('trip', updatedTrip);
+
     console.log(`Incremented passengers for trip ${updatedTrip._id}: ${updatedTrip.numberOfPassengers}`);
-    res.json(updatedTrip);
+    res.json(withCapacity(updatedTrip, capacityCheck.capacity));
   } catch (err) {
     handleError(res, err, 'Failed to increment passengers');
   }
 });
 
 // @route   PATCH /api/trips/:id/passengers/decrement
-// @desc    Decrement number of passengers (minimum 1)
-router.patch('/:id/passengers/decrement', async (req, res) => {
+// @desc    Decrement number of passengers (minimum 1) (Admin or site coordinator)
+router.patch('/:id/passengers/decrement', [auth, coordinator(existingTripSites)], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
+    const existingTrip = await Trip.findById(req.params.id)
+      .maxTimeMS(10000);
+
     // Use findOneAndUpdate with condition to prevent going below 1
     const updatedTrip = await Trip.findOneAndUpdate(
       { 
@@ -393,6 +2061,9 @@ router.patch('/:id/passengers/decrement', async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: 'update', entityType: 'Trip', before: existingTrip, after: updatedTrip });
+    publishUpsert('trip', updatedTrip);
+
     console.log(`Decremented passengers for trip ${updatedTrip._id}: ${updatedTrip.numberOfPassengers}`);
     res.json(updatedTrip);
   } catch (err) {
@@ -401,8 +2072,10 @@ router.patch('/:id/passengers/decrement', async (req, res) => {
 });
 
 // @route   PATCH /api/trips/:id/passengers/set
-// @desc    Set specific number of passengers
-router.patch('/:id/passengers/set', async (req, res) => {
+// @desc    Set specific number of passengers (Admin or site coordinator)
+//          Refused with 409 when it would overbook the trip's flight or take a
+//          site past its maximumPOB, unless an admin sends capacityOverride: { justification }
+router.patch('/:id/passengers/set', [auth, coordinator(existingTripSites)], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
@@ -423,6 +2096,25 @@ router.patch('/:id/passengers/set', async (req, res) => {
       });
     }
 
+    const existingTrip = await Trip.findById(req.params.id)
+      .maxTimeMS(10000);
+
+    if (!existingTrip) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Trip not found' 
+      });
+    }
+
+    const afterSet = { ...existingTrip.toObject(), numberOfPassengers: passengerCount };
+    if (!await enforceFlightLoad(res, existingTrip, afterSet)) return;
+
+    const capacityCheck = await enforceCapacity(req, res, {
+      before: existingTrip,
+      after: afterSet
+    });
+    if (!capacityCheck) return;
+
     const updatedTrip = await Trip.findByIdAndUpdate(
       req.params.id,
       { $set: { numberOfPassengers: passengerCount } },
@@ -440,8 +2132,17 @@ router.patch('/:id/passengers/set', async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Trip',
+      before: existingTrip,
+      after: updatedTrip,
+      ...(capacityCheck.override && { metadata: { capacityOverride: capacityCheck.override } })
+    });
+    publishUpsert('trip', updatedTrip);
+
     console.log(`Set passengers for trip ${updatedTrip._id} to: ${passengerCount}`);
-    res.json(updatedTrip);
+    res.json(withCapacity(updatedTrip, capacityCheck.capacity));
   } catch (err) {
     handleError(res, err, 'Failed to set passengers');
   }
@@ -4,6 +4,8 @@ const User = require('../models/userModel');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const dbConnect = require('../lib/mongodb'); // Import the connection helper
+const { recordAudit } = require('../utils/audit');
+const { sendPasswordResetEmail } = require('../utils/email');
 
 // Helper function for error responses
 const handleError = (res, error, customMessage = 'Server Error') => {
@@ -33,13 +35,51 @@ const handleError = (res, error, customMessage = 'Server Error') => {
   res.status(500).json({ error: customMessage });
 };
 
+// Normalise a coordinatorSites payload into a clean list of site names
+const parseCoordinatorSites = (coordinatorSites) => {
+  if (!Array.isArray(coordinatorSites) || coordinatorSites.some(site => typeof site !== 'string')) {
+    return null;
+  }
+  return [...new Set(coordinatorSites.map(site => site.trim()).filter(Boolean))];
+};
+
+// Session details that are safe to return (never the token itself)
+const toSessionSummary = (session, currentToken = null) => ({
+  _id: session._id,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  userAgent: session.userAgent || '',
+  ip: session.ip || '',
+  current: session.token === currentToken
+});
+
+// Sign out every session after a password change: stored sessions are
+// revoked and older JWTs fail the passwordChangedAt check. passwordChangedAt
+// is backdated slightly so a login straight after the change is not caught by
+// the JWT's one-second iat resolution. Returns how many sessions were revoked.
+const revokeSessionsForPasswordChange = (user) => {
+  const revokedSessions = user.tokens.length;
+  user.tokens = [];
+  user.passwordChangedAt = Date.now() - 1000;
+  return revokedSessions;
+};
+
+// Check that an email address is not already used by another account
+const isEmailTaken = async (email, exceptUserId = null) => {
+  const existingUser = await User.findOne({ email: email.trim().toLowerCase() })
+    .select('_id')
+    .maxTimeMS(10000);
+  return Boolean(existingUser) && String(existingUser._id) !== String(exceptUserId);
+};
+
 // @route   POST /api/users/register
-// @desc    Register a new user (active immediately)
-router.post('/register', async (req, res) => {
+// @desc    Register a new user (active immediately). isAdmin and
+//          coordinatorSites are only honoured when an admin registers the user
+router.post('/register', auth.optional, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
-    const { userName, password, firstName, lastName, homeLocation, isAdmin } = req.body;
+    const { userName, password, email, firstName, lastName, homeLocation, isAdmin, coordinatorSites } = req.body;
 
     // Validate required fields
     if (!userName?.trim() || !password?.trim()) {
@@ -65,6 +105,18 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Only an admin creating an account may grant privileges; self sign-ups
+    // always start as plain users
+    const grantsPrivileges = Boolean(req.user?.isAdmin);
+
+    const sites = grantsPrivileges && coordinatorSites !== undefined ? parseCoordinatorSites(coordinatorSites) : [];
+    if (!sites) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'coordinatorSites must be a list of site names' 
+      });
+    }
+
     // Check if username already exists
     const existingUser = await User.findOne({ userName: userName.trim() })
       .maxTimeMS(10000);
@@ -76,21 +128,32 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    if (email?.trim() && await isEmailTaken(email)) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Email is already in use' 
+      });
+    }
+
     // Create new user (active immediately)
     const newUser = new User({
       userName: userName.trim(),
       password: password.trim(),
+      email: email?.trim() || undefined,
       firstName: firstName?.trim() || '',
       lastName: lastName?.trim() || '',
       homeLocation: homeLocation?.trim() || 'NSC',
-      isAdmin: Boolean(isAdmin) || false
+      isAdmin: grantsPrivileges && Boolean(isAdmin),
+      coordinatorSites: sites
     });
 
     const savedUser = await newUser.save();
+    await recordAudit(req, { action: 'create', entityType: 'User', after: savedUser });
 
     // Return user without password
     const userToReturn = savedUser.toObject();
     delete userToReturn.password;
+    delete userToReturn.tokens;
 
     console.log(`New user registered: ${userName}`);
     res.status(201).json(userToReturn);
@@ -141,7 +204,10 @@ router.post('/login', async (req, res) => {
     await user.save();
 
     // Generate JWT token
-    const token = await user.generateAuthToken();
+    const token = await user.generateAuthToken({
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
 
     // Return user info (without sensitive data) and token
     const userToReturn = user.toObject();
@@ -158,6 +224,116 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/users/forgot-password
+// @desc    Email a password reset link ({ email } or { userName })
+router.post('/forgot-password', async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const { email, userName } = req.body;
+
+    if (!email?.trim() && !userName?.trim()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Email or username is required' 
+      });
+    }
+
+    // The response is the same whether or not an account matches, so the
+    // endpoint cannot be used to discover accounts
+    const genericResponse = {
+      message: 'If an account with a registered email exists, a reset link has been sent'
+    };
+
+    const user = await User.findOne(
+      email?.trim()
+        ? { email: email.trim().toLowerCase() }
+        : { userName: userName.trim().toLowerCase() }
+    ).maxTimeMS(10000);
+
+    if (!user || !user.email) {
+      console.log(`Password reset requested for unknown account: ${email || userName}`);
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user.email, resetToken);
+    } catch (mailError) {
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      console.error('Failed to send password reset email:', mailError);
+      return res.status(500).json({ 
+        error: 'Email could not be sent',
+        message: 'Please try again later'
+      });
+    }
+
+    console.log(`Password reset email sent to user: ${user.userName}`);
+    res.json(genericResponse);
+  } catch (err) {
+    handleError(res, err, 'Failed to process password reset request');
+  }
+});
+
+// @route   POST /api/users/reset-password/:token
+// @desc    Set a new password with a reset token and sign out all sessions
+router.post('/reset-password/:token', async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const { password } = req.body;
+
+    if (!password || password.length < 8) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        message: 'Password must be at least 8 characters long' 
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashResetToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    })
+    .select('+password')
+    .maxTimeMS(10000);
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'Invalid token',
+        message: 'This reset link is invalid or has expired' 
+      });
+    }
+
+    // The token is single use, and every existing session is signed out
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    const revokedSessions = revokeSessionsForPasswordChange(user);
+    await user.save();
+
+    // Attribute the audit entry to the account that reset its password
+    req.user = user;
+    await recordAudit(req, {
+      action: 'reset-password',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { passwordChanged: true, revokedSessions }
+    });
+
+    console.log(`Password reset completed for user: ${user.userName}`);
+    res.json({ 
+      message: 'Password has been reset. Please log in with your new password' 
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to reset password');
+  }
+});
+
 // @route   GET /api/users/me
 // @desc    Get current user profile
 router.get('/me', auth, async (req, res) => {
@@ -165,7 +341,7 @@ router.get('/me', auth, async (req, res) => {
     await dbConnect(); // Ensure DB connection
     
     const user = await User.findById(req.user._id)
-      .select('-password')
+      .select('-password -tokens')
       .maxTimeMS(10000);
       
     if (!user) {
@@ -183,11 +359,13 @@ router.get('/me', auth, async (req, res) => {
 
 // @route   PUT /api/users/me
 // @desc    Update current user profile (including password)
+//          A new password signs out every session; the response then carries
+//          a fresh token for this one
 router.put('/me', auth, async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
-    const { firstName, lastName, homeLocation, currentPassword, newPassword } = req.body;
+    const { firstName, lastName, email, homeLocation, currentPassword, newPassword } = req.body;
     
     // Find the current user with password
     const user = await User.findById(req.user._id)
@@ -201,6 +379,9 @@ router.put('/me', auth, async (req, res) => {
       });
     }
 
+    const userBefore = user.toObject();
+    let revokedSessions = 0;
+
     // If changing password, validate current password
     if (newPassword) {
       if (!currentPassword) {
@@ -227,6 +408,7 @@ router.put('/me', auth, async (req, res) => {
       
       // Set new password - will be hashed by pre-save middleware
       user.password = newPassword;
+      revokedSessions = revokeSessionsForPasswordChange(user);
     }
 
     // Update other fields
@@ -234,23 +416,124 @@ router.put('/me', auth, async (req, res) => {
     if (firstName !== undefined) updateFields.firstName = firstName.trim();
     if (lastName !== undefined) updateFields.lastName = lastName.trim();
     if (homeLocation !== undefined) updateFields.homeLocation = homeLocation.trim();
+    if (email !== undefined) {
+      if (email.trim() && await isEmailTaken(email, user._id)) {
+        return res.status(400).json({ 
+          error: 'Validation failed',
+          message: 'Email is already in use' 
+        });
+      }
+      updateFields.email = email.trim() || undefined;
+    }
 
     // Update user with all fields
     Object.assign(user, updateFields);
     await user.save();
 
+    // The old sessions are gone, so this one continues on a new token
+    const token = newPassword
+      ? await user.generateAuthToken({ userAgent: req.get('User-Agent'), ip: req.ip })
+      : null;
+
     // Return updated user without password
     const updatedUser = await User.findById(req.user._id)
-      .select('-password')
+      .select('-password -tokens')
       .maxTimeMS(10000);
       
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      before: userBefore,
+      after: updatedUser,
+      metadata: newPassword ? { passwordChanged: true, revokedSessions } : null
+    });
+      
     console.log(`User profile updated: ${user.userName}`);
-    res.json(updatedUser);
+    res.json(token ? { ...updatedUser.toJSON(), token } : updatedUser);
   } catch (err) {
     handleError(res, err, 'Failed to update user profile');
   }
 });
 
+// @route   POST /api/users/logout
+// @desc    Sign out the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { tokens: { token: req.token } } }
+    ).maxTimeMS(10000);
+    
+    console.log(`User logged out: ${req.user.userName}`);
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    handleError(res, err, 'Failed to logout user');
+  }
+});
+
+// @route   POST /api/users/logout-all
+// @desc    Sign out every session of the current user, including this one
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const revokedSessions = req.user.tokens.length;
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { tokens: [] } }
+    ).maxTimeMS(10000);
+    
+    console.log(`User logged out of ${revokedSessions} sessions: ${req.user.userName}`);
+    res.json({ 
+      message: 'Logged out of all sessions',
+      revokedSessions
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to logout all sessions');
+  }
+});
+
+// @route   GET /api/users/sessions
+// @desc    List the current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = req.user.tokens
+      .map(session => toSessionSummary(session, req.token))
+      .sort((a, b) => new Date(b.lastUsedAt || 0) - new Date(a.lastUsedAt || 0));
+    
+    res.json(sessions);
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch sessions');
+  }
+});
+
+// @route   DELETE /api/users/sessions/:sessionId
+// @desc    Sign out one of the current user's sessions
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const result = await User.updateOne(
+      { _id: req.user._id, 'tokens._id': req.params.sessionId },
+      { $pull: { tokens: { _id: req.params.sessionId } } }
+    ).maxTimeMS(10000);
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Session not found' 
+      });
+    }
+    
+    console.log(`User ${req.user.userName} signed out session ${req.params.sessionId}`);
+    res.json({ message: 'Session signed out' });
+  } catch (err) {
+    handleError(res, err, 'Failed to sign out session');
+  }
+});
+
 // ADMIN ROUTES //
 
 // @route   GET /api/users
@@ -260,7 +543,7 @@ router.get('/', [auth, admin], async (req, res) => {
     await dbConnect(); // Ensure DB connection
     
     const users = await User.find()
-      .select('-password')
+      .select('-password -tokens')
       .sort({ userName: 1 })
       .maxTimeMS(10000);
     
@@ -278,7 +561,7 @@ router.get('/:id', [auth, admin], async (req, res) => {
     await dbConnect(); // Ensure DB connection
     
     const user = await User.findById(req.params.id)
-      .select('-password')
+      .select('-password -tokens')
       .maxTimeMS(10000);
       
     if (!user) {
@@ -294,13 +577,113 @@ router.get('/:id', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/sessions
+// @desc    List a user's active sessions (Admin only)
+router.get('/:id/sessions', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const user = await User.findById(req.params.id)
+      .select('tokens')
+      .maxTimeMS(10000);
+      
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'User not found' 
+      });
+    }
+    
+    const sessions = user.tokens
+      .map(session => toSessionSummary(session, req.token))
+      .sort((a, b) => new Date(b.lastUsedAt || 0) - new Date(a.lastUsedAt || 0));
+    
+    res.json(sessions);
+  } catch (err) {
+    handleError(res, err, 'Failed to fetch user sessions');
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Force sign-out of one of a user's sessions (Admin only)
+router.delete('/:id/sessions/:sessionId', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const result = await User.updateOne(
+      { _id: req.params.id, 'tokens._id': req.params.sessionId },
+      { $pull: { tokens: { _id: req.params.sessionId } } }
+    ).maxTimeMS(10000);
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'Session not found' 
+      });
+    }
+    
+    await recordAudit(req, {
+      action: 'force-logout',
+      entityType: 'User',
+      entityId: req.params.id,
+      metadata: { revokedSessions: 1 }
+    });
+    
+    console.log(`Admin signed out session ${req.params.sessionId} of user ${req.params.id}`);
+    res.json({ message: 'Session signed out' });
+  } catch (err) {
+    handleError(res, err, 'Failed to sign out session');
+  }
+});
+
+// @route   POST /api/users/:id/logout-all
+// @desc    Force sign-out of every session of a user (Admin only)
+router.post('/:id/logout-all', [auth, admin], async (req, res) => {
+  try {
+    await dbConnect(); // Ensure DB connection
+    
+    const user = await User.findById(req.params.id)
+      .select('userName tokens')
+      .maxTimeMS(10000);
+      
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'Not found',
+        message: 'User not found' 
+      });
+    }
+    
+    const revokedSessions = user.tokens.length;
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { tokens: [] } }
+    ).maxTimeMS(10000);
+    
+    await recordAudit(req, {
+      action: 'force-logout',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { revokedSessions }
+    });
+    
+    console.log(`Admin signed out ${revokedSessions} sessions of user: ${user.userName}`);
+    res.json({ 
+      message: 'User signed out of all sessions',
+      revokedSessions
+    });
+  } catch (err) {
+    handleError(res, err, 'Failed to sign out user');
+  }
+});
+
 // @route   PUT /api/users/:id
 // @desc    Update user by ID (Admin only - can update all fields including password)
+//          A new password signs out every session of that user
 router.put('/:id', [auth, admin], async (req, res) => {
   try {
     await dbConnect(); // Ensure DB connection
     
-    const { userName, firstName, lastName, isAdmin, homeLocation, password } = req.body;
+    const { userName, email, firstName, lastName, isAdmin, homeLocation, password, coordinatorSites } = req.body;
     
     // Find user
     const user = await User.findById(req.params.id)
@@ -313,6 +696,9 @@ router.put('/:id', [auth, admin], async (req, res) => {
       });
     }
 
+    const userBefore = user.toObject();
+    let revokedSessions = 0;
+
     // Check if username is being changed and if it's available
     if (userName && userName !== user.userName) {
       if (!/^[a-zA-Z0-9\-]+$/.test(userName.trim())) {
@@ -339,6 +725,27 @@ router.put('/:id', [auth, admin], async (req, res) => {
     if (lastName !== undefined) user.lastName = lastName.trim();
     if (homeLocation !== undefined) user.homeLocation = homeLocation.trim();
     if (isAdmin !== undefined) user.isAdmin = Boolean(isAdmin);
+
+    if (email !== undefined) {
+      if (email.trim() && await isEmailTaken(email, user._id)) {
+        return res.status(400).json({ 
+          error: 'Validation failed',
+          message: 'Email is already in use' 
+        });
+      }
+      user.email = email.trim() || undefined;
+    }
+
+    if (coordinatorSites !== undefined) {
+      const sites = parseCoordinatorSites(coordinatorSites);
+      if (!sites) {
+        return res.status(400).json({ 
+          error: 'Validation failed',
+          message: 'coordinatorSites must be a list of site names' 
+        });
+      }
+      user.coordinatorSites = sites;
+    }
     
     // Update password if provided
     if (password) {
@@ -349,6 +756,7 @@ router.put('/:id', [auth, admin], async (req, res) => {
         });
       }
       user.password = password;
+      revokedSessions = revokeSessionsForPasswordChange(user);
     }
 
     // Save the updated user
@@ -356,9 +764,17 @@ router.put('/:id', [auth, admin], async (req, res) => {
 
     // Return updated user without password
     const updatedUser = await User.findById(req.params.id)
-      .select('-password')
+      .select('-password -tokens')
       .maxTimeMS(10000);
       
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      before: userBefore,
+      after: updatedUser,
+      metadata: password ? { passwordChanged: true, revokedSessions } : null
+    });
+      
     console.log(`Admin updated user: ${updatedUser.userName}`);
     res.json(updatedUser);
   } catch (err) {
@@ -382,6 +798,8 @@ router.delete('/:id', [auth, admin], async (req, res) => {
       });
     }
     
+    await recordAudit(req, { action: 'delete', entityType: 'User', before: deletedUser });
+    
     console.log(`Admin deleted user: ${deletedUser.userName}`);
     res.json({ 
       message: 'User deleted successfully',
@@ -0,0 +1,66 @@
+const AuditLog = require('../models/auditLogModel');
+
+// Fields that must never be copied into the audit trail
+const SENSITIVE_FIELDS = ['password', 'tokens', 'resetPasswordToken', 'resetPasswordExpire'];
+
+// Fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Convert a mongoose document (or plain object) into a safe plain object
+const toSnapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true })
+    : { ...doc };
+
+  SENSITIVE_FIELDS.forEach(field => delete plain[field]);
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Shallow field-by-field comparison of two snapshots
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from: from ?? null, to: to ?? null });
+    }
+  });
+
+  return changes;
+};
+
+// Record a mutation in the audit trail. Never throws: a failed audit write is
+// logged but must not fail the request that triggered it.
+const recordAudit = async (req, { action, entityType, entityId, before, after, metadata }) => {
+  try {
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+
+    await AuditLog.create({
+      actor: {
+        userId: req.user?._id || null,
+        userName: req.user?.userName || 'anonymous'
+      },
+      action,
+      entityType,
+      entityId: entityId ? String(entityId) : (afterSnapshot?._id || beforeSnapshot?._id || null),
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+      metadata: metadata || null,
+      ip: req.ip
+    });
+  } catch (err) {
+    console.error(`Failed to record audit entry (${action} ${entityType}):`, err.message);
+  }
+};
+
+module.exports = { recordAudit, diffSnapshots };
@@ -0,0 +1,114 @@
+const Site = require('../models/siteModel');
+const { projectPOB, loadSnapshotsForProjection, loadTripsForProjection } = require('./pob');
+const { addDays } = require('./dates');
+const { NOT_TRAVELLED_STATUSES } = require('./tripStatus');
+
+// How many days after a change its effect on POB is checked. An inbound trip
+// raises the count until someone leaves, so the check has to look ahead.
+const CAPACITY_HORIZON_DAYS = 28;
+
+// Share of maximumPOB that earns a warning, matching the board's amber days
+const WARNING_RATIO = 0.95;
+
+const putsPeopleOnSites = (trip) => Boolean(trip) && !NOT_TRAVELLED_STATUSES.includes(trip.status);
+
+// Work out what a set of trip changes does to the projected POB of every
+// site they touch. Each change replaces trip `before` with `after`; leave out
+// before for a new trip and after for a removed one.
+//
+// Only days the changes make fuller are reported. Returns
+// { level, sites: [{ siteName, maximumPOB, level, days: [{ date, before, after }] }] }
+// where level is 'ok', 'warning' (at 95% of maximumPOB or more) or 'exceeded'.
+const checkCapacityForChanges = async ({ changes, tzOffset = 0 }) => {
+  const beforeTrips = changes.map(change => change.before).filter(putsPeopleOnSites);
+  const afterTrips = changes.map(change => change.after).filter(putsPeopleOnSites);
+  const changedTrips = [...beforeTrips, ...afterTrips];
+  if (changedTrips.length === 0) {
+    return { level: 'ok', sites: [] };
+  }
+
+  // Stored copies of changed trips are replaced by the before and after versions
+  const changedIds = new Set(changes
+    .flatMap(change => [change.before, change.after])
+    .filter(trip => trip?._id)
+    .map(trip => String(trip._id)));
+
+  const siteNames = [...new Set(changedTrips.flatMap(trip => [trip.fromOrigin, trip.toDestination]))];
+  const changedDates = changedTrips.map(trip => trip.tripDate).sort();
+  const from = changedDates[0];
+  const to = addDays(changedDates[changedDates.length - 1], CAPACITY_HORIZON_DAYS);
+
+  const sites = await Site.find({ siteName: { $in: siteNames } })
+    .lean()
+    .maxTimeMS(10000);
+
+  const results = [];
+  for (const site of sites) {
+    if (!site.maximumPOB) continue;
+
+    const snapshots = await loadSnapshotsForProjection(site, from, to, tzOffset);
+    const otherTrips = (await loadTripsForProjection(site, from, to, tzOffset, snapshots))
+      .filter(trip => !changedIds.has(String(trip._id)));
+
+    const beforeDays = projectPOB({
+      site,
+      trips: [...otherTrips, ...beforeTrips],
+      from,
+      to,
+      tzOffset,
+      snapshots
+    }).days;
+    const afterDays = projectPOB({
+      site,
+      trips: [...otherTrips, ...afterTrips],
+      from,
+      to,
+      tzOffset,
+      snapshots
+    }).days;
+
+    const days = afterDays
+      .map((day, index) => ({ date: day.date, before: beforeDays[index].endOfDay, after: day.endOfDay }))
+      .filter(day => day.after > day.before && day.after >= site.maximumPOB * WARNING_RATIO);
+
+    if (days.length > 0) {
+      results.push({
+        siteName: site.siteName,
+        maximumPOB: site.maximumPOB,
+        level: days.some(day => day.after > site.maximumPOB) ? 'exceeded' : 'warning',
+        days
+      });
+    }
+  }
+
+  const level = results.some(result => result.level === 'exceeded')
+    ? 'exceeded'
+    : results.length > 0 ? 'warning' : 'ok';
+
+  return { level, sites: results };
+};
+
+// checkCapacityForChanges for a single trip. Pass before = null for a new trip.
+const checkTripCapacity = ({ before = null, after = null, tzOffset = 0 }) => {
+  return checkCapacityForChanges({ changes: [{ before, after }], tzOffset });
+};
+
+// One line per site, e.g. "NSC would reach 205/200 POB on 2025-03-04, 2025-03-05"
+const describeCapacity = (capacity) => {
+  return capacity.sites
+    .filter(site => site.level === 'exceeded')
+    .map(site => {
+      const overDays = site.days.filter(day => day.after > site.maximumPOB);
+      const peak = Math.max(...overDays.map(day => day.after));
+      return `${site.siteName} would reach ${peak}/${site.maximumPOB} POB on ${overDays.map(day => day.date).join(', ')}`;
+    })
+    .join('. ');
+};
+
+module.exports = {
+  CAPACITY_HORIZON_DAYS,
+  WARNING_RATIO,
+  checkCapacityForChanges,
+  checkTripCapacity,
+  describeCapacity
+};
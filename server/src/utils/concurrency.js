@@ -0,0 +1,62 @@
+// Optimistic concurrency for documents edited from the UI. Every write bumps
+// the document's __v, clients send back the version they loaded (If-Match
+// header or __v in the body) and a stale version gets a 409 with the current
+// server copy instead of silently overwriting someone else's change.
+
+const UPDATE_HOOKS = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Mongoose only maintains __v for array changes made through save(), so
+// increment it on every query-based update as well
+const versionOnUpdate = (schema) => {
+  schema.pre(UPDATE_HOOKS, function() {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+    if (update.$inc?.__v !== undefined || update.$set?.__v !== undefined || update.__v !== undefined) return;
+
+    this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+  });
+};
+
+// Version the client last saw. Returns null when none was sent (unconditional
+// update) and NaN when the value is malformed.
+const getExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+  const raw = header !== undefined
+    ? header.trim().replace(/^W\//, '').replace(/"/g, '')
+    : req.body?.__v;
+
+  if (raw === undefined || raw === null || raw === '' || raw === '*') return null;
+
+  const version = Number(raw);
+  return Number.isInteger(version) && version >= 0 ? version : NaN;
+};
+
+const toETag = (doc) => `W/"${doc.__v ?? 0}"`;
+
+const setVersionHeader = (res, doc) => {
+  res.set('ETag', toETag(doc));
+};
+
+const sendInvalidVersion = (res) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    message: 'If-Match or __v must be a document version number'
+  });
+};
+
+const sendVersionConflict = (res, current, entityName) => {
+  setVersionHeader(res, current);
+  return res.status(409).json({
+    error: 'Version conflict',
+    message: `This ${entityName} was changed by someone else since you loaded it`,
+    current
+  });
+};
+
+module.exports = {
+  versionOnUpdate,
+  getExpectedVersion,
+  setVersionHeader,
+  sendInvalidVersion,
+  sendVersionConflict
+};
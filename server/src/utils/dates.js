@@ -0,0 +1,58 @@
+// Trip dates are stored as YYYY-MM-DD strings, so all helpers here work on
+// that format and do their arithmetic in UTC to avoid timezone drift.
+
+// Whether a YYYY-MM-DD string names a real day. Date rolls impossible days
+// over (2024-02-30 becomes 2024-03-01), so the result must read back the same.
+const isCalendarDate = (dateStr) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().split('T')[0] === dateStr;
+};
+
+// Helper function to convert any date format to YYYY-MM-DD
+const formatTripDate = (dateInput) => {
+  // Dates written out as YYYY-MM-DD (alone or leading a timestamp) must exist
+  if (typeof dateInput === 'string' && /^\d{4}-\d{2}-\d{2}/.test(dateInput) && !isCalendarDate(dateInput.slice(0, 10))) {
+    throw new Error('Invalid date format');
+  }
+
+  // If it's already in YYYY-MM-DD format, return as is
+  if (typeof dateInput === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateInput)) {
+    return dateInput;
+  }
+
+  // Try to parse as Date object
+  const dateObj = new Date(dateInput);
+  if (isNaN(dateObj.getTime())) {
+    throw new Error('Invalid date format');
+  }
+
+  // Convert to YYYY-MM-DD string
+  return dateObj.toISOString().split('T')[0];
+};
+
+// Add (or subtract) whole days from a YYYY-MM-DD string
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// Number of whole days from one YYYY-MM-DD string to another
+const daysBetween = (fromStr, toStr) => {
+  const from = new Date(`${fromStr}T00:00:00Z`);
+  const to = new Date(`${toStr}T00:00:00Z`);
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+};
+
+// List every YYYY-MM-DD date from start to end (inclusive)
+const eachDate = (startStr, endStr) => {
+  const dates = [];
+  for (let current = startStr; current <= endStr; current = addDays(current, 1)) {
+    dates.push(current);
+  }
+  return dates;
+};
+
+const today = () => formatTripDate(new Date());
+
+module.exports = { formatTripDate, addDays, daysBetween, eachDate, today };
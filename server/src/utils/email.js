@@ -1,15 +1,47 @@
 const nodemailer = require('nodemailer');
 
-// Brevo SMTP configuration
-const transporter = nodemailer.createTransport({
-  host: "smtp-relay.brevo.com",
-  port: 587, // TLS port
-  secure: false, // true for 465 (SSL), false for other ports
-  auth: {
-    user: process.env.EMAIL_USERNAME,
-    pass: process.env.EMAIL_PASSWORD
+// The mail transport is picked with MAIL_TRANSPORT:
+//   smtp (default) - Brevo SMTP relay, or SMTP_HOST/SMTP_PORT when set
+//   json           - nothing is sent, messages are printed to the console
+// so the reset flow can be exercised locally without Brevo credentials.
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
   }
-});
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "smtp-relay.brevo.com",
+    port: Number(process.env.SMTP_PORT) || 587, // TLS port
+    secure: false, // true for 465 (SSL), false for other ports
+    auth: process.env.EMAIL_USERNAME ? {
+      user: process.env.EMAIL_USERNAME,
+      pass: process.env.EMAIL_PASSWORD
+    } : undefined
+  });
+};
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Replace the transport, e.g. with a stub that records sent messages
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+const sendMail = async (mailOptions) => {
+  const info = await getTransporter().sendMail(mailOptions);
+
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    console.log('Email (not sent, MAIL_TRANSPORT=json):', info.message);
+  }
+  return info;
+};
 
 const sendVerificationEmail = async (email) => {
   const mailOptions = {
@@ -20,12 +52,12 @@ const sendVerificationEmail = async (email) => {
     html: `<p>A new user with email <strong>${email}</strong> awaits verification.</p>`
   };
 
-  await transporter.sendMail(mailOptions);
+  await sendMail(mailOptions);
 };
 
 const sendPasswordResetEmail = async (email, token) => {
   const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
-  
+
   const mailOptions = {
     from: process.env.EMAIL_FROM,
     to: email,
@@ -38,7 +70,7 @@ const sendPasswordResetEmail = async (email, token) => {
     `
   };
 
-  await transporter.sendMail(mailOptions);
+  await sendMail(mailOptions);
 };
 
-module.exports = { sendVerificationEmail, sendPasswordResetEmail };
\ No newline at end of file
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, setTransport };
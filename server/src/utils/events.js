@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+
+// In-process broadcaster for data changes. Every open /api/events stream
+// subscribes here; clients connected to another server instance only see
+// changes made through that instance.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const CHANGE_EVENT = 'change';
+
+// Serialize a mongoose document (or plain object) for the wire
+const toPayload = (doc) => {
+  if (!doc) return null;
+  return JSON.parse(JSON.stringify(typeof doc.toJSON === 'function' ? doc.toJSON() : doc));
+};
+
+// Broadcast a change to all subscribers.
+//   entity: 'trip' | 'passenger' | 'site' | 'flight'
+//   action: 'upsert' (data is the full document), 'delete' (data is { _id })
+//           or 'resync' (clients should refetch everything for the entity)
+// Never throws: a failed broadcast must not fail the request that triggered it.
+const publishChange = (entity, action, data) => {
+  try {
+    emitter.emit(CHANGE_EVENT, {
+      entity,
+      action,
+      data: toPayload(data),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error(`Failed to publish change (${action} ${entity}):`, err.message);
+  }
+};
+
+// Convenience wrappers for the common cases
+const publishUpsert = (entity, doc) => publishChange(entity, 'upsert', doc);
+const publishDelete = (entity, id) => publishChange(entity, 'delete', { _id: String(id) });
+const publishResync = (entity) => publishChange(entity, 'resync', null);
+
+// Register a listener; returns a function that removes it
+const subscribe = (listener) => {
+  emitter.on(CHANGE_EVENT, listener);
+  return () => emitter.off(CHANGE_EVENT, listener);
+};
+
+const getSubscriberCount = () => emitter.listenerCount(CHANGE_EVENT);
+
+module.exports = {
+  publishChange,
+  publishUpsert,
+  publishDelete,
+  publishResync,
+  subscribe,
+  getSubscriberCount
+};
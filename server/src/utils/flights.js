@@ -0,0 +1,83 @@
+const Flight = require('../models/flightModel');
+const Trip = require('../models/tripModel');
+const { getPassengerCount } = require('./pob');
+
+// Position of a trip's legs on a flight route, or null if the flight does not
+// carry the trip (both stops must be on the route, origin before destination)
+const getTripLegs = (route, trip) => {
+  const fromIndex = route.indexOf(trip.fromOrigin);
+  const toIndex = route.indexOf(trip.toDestination);
+
+  if (fromIndex === -1 || toIndex === -1 || fromIndex >= toIndex) {
+    return null;
+  }
+  return { fromIndex, toIndex };
+};
+
+// Seats booked on each leg of the route (Ogle → NSC, NSC → NDT, ...)
+const getSeatLoad = (route, trips) => {
+  const segments = route.slice(0, -1).map((stop, index) => ({
+    from: stop,
+    to: route[index + 1],
+    booked: 0
+  }));
+
+  trips.forEach(trip => {
+    const legs = getTripLegs(route, trip);
+    if (!legs) return;
+
+    for (let i = legs.fromIndex; i < legs.toIndex; i++) {
+      segments[i].booked += getPassengerCount(trip);
+    }
+  });
+
+  return segments;
+};
+
+// Peak number of seats in use on any leg of the flight
+const getSeatsBooked = (route, trips) => {
+  return getSeatLoad(route, trips).reduce((max, segment) => Math.max(max, segment.booked), 0);
+};
+
+// Check a set of trips against a flight. Returns a list of problems, empty
+// when every trip can be carried without overbooking any leg.
+const validateFlightLoad = (flight, trips) => {
+  const problems = [];
+
+  trips.forEach(trip => {
+    if (trip.status === 'cancelled') {
+      problems.push(`Trip ${trip._id} is cancelled`);
+    } else if (trip.tripDate !== flight.flightDate) {
+      problems.push(`Trip ${trip._id} is on ${trip.tripDate}, but the flight departs on ${flight.flightDate}`);
+    } else if (!getTripLegs(flight.route, trip)) {
+      problems.push(`Trip ${trip._id} (${trip.fromOrigin} → ${trip.toDestination}) is not on the flight route ${flight.route.join(' → ')}`);
+    }
+  });
+
+  getSeatLoad(flight.route, trips).forEach(segment => {
+    if (segment.booked > flight.seatCapacity) {
+      problems.push(`Leg ${segment.from} → ${segment.to} is overbooked: ${segment.booked} seats for a capacity of ${flight.seatCapacity}`);
+    }
+  });
+
+  return problems;
+};
+
+// Check a trip that is about to change against the flight it is assigned to,
+// e.g. when its passenger count goes up. Returns the flight's problems with
+// the changed trip in place of the stored one; empty when it is not on a flight.
+const validateAssignedTrip = async (trip, session = null) => {
+  if (!trip.flightId) return [];
+
+  const flight = await Flight.findById(trip.flightId)
+    .session(session)
+    .maxTimeMS(10000);
+  if (!flight) return [];
+
+  const otherTrips = await Trip.find({ flightId: flight._id, _id: { $ne: trip._id } })
+    .session(session)
+    .maxTimeMS(10000);
+  return validateFlightLoad(flight, [...otherTrips, trip]);
+};
+
+module.exports = { getTripLegs, getSeatLoad, getSeatsBooked, validateFlightLoad, validateAssignedTrip };
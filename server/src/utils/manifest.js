@@ -0,0 +1,144 @@
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const Passenger = require('../models/passengerModel');
+const Flight = require('../models/flightModel');
+const { getPassengerCount } = require('./pob');
+
+const MANIFEST_COLUMNS = [
+  { key: 'passengerName', label: 'Passenger', width: 150 },
+  { key: 'jobRole', label: 'Job Role', width: 110 },
+  { key: 'fromOrigin', label: 'Origin', width: 60 },
+  { key: 'toDestination', label: 'Destination', width: 70 },
+  { key: 'flight', label: 'Flight', width: 80 },
+  { key: 'confirmed', label: 'Confirmed', width: 55 },
+  { key: 'numberOfPassengers', label: 'Count', width: 40 }
+];
+
+const describeFlight = (flight) => {
+  return flight ? `${flight.departureTime} ${flight.aircraftRegistration}` : '';
+};
+
+// Resolve passengers and flights for a set of trips and flatten them into
+// manifest rows, ordered by departure time and then passenger name
+const buildManifestRows = async (trips) => {
+  const passengerIds = [...new Set(trips.map(trip => String(trip.passengerId)))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const flightIds = [...new Set(trips.filter(trip => trip.flightId).map(trip => String(trip.flightId)))];
+
+  const [passengers, flights] = await Promise.all([
+    Passenger.find({ _id: { $in: passengerIds } }).lean().maxTimeMS(10000),
+    Flight.find({ _id: { $in: flightIds } }).lean().maxTimeMS(10000)
+  ]);
+
+  const passengersById = new Map(passengers.map(p => [String(p._id), p]));
+  const flightsById = new Map(flights.map(f => [String(f._id), f]));
+
+  const rows = trips.map(trip => {
+    const passenger = passengersById.get(String(trip.passengerId));
+    const flight = trip.flightId ? flightsById.get(String(trip.flightId)) : null;
+
+    return {
+      passengerName: passenger ? `${passenger.firstName} ${passenger.lastName}` : 'Unknown passenger',
+      jobRole: passenger?.jobRole || '',
+      fromOrigin: trip.fromOrigin,
+      toDestination: trip.toDestination,
+      flight: describeFlight(flight),
+      departureTime: flight?.departureTime || '',
+      confirmed: trip.confirmed ? 'Yes' : 'No',
+      numberOfPassengers: getPassengerCount(trip)
+    };
+  });
+
+  // Trips without a flight go last
+  return rows.sort((a, b) =>
+    (a.departureTime || '99:99').localeCompare(b.departureTime || '99:99') ||
+    a.passengerName.localeCompare(b.passengerName)
+  );
+};
+
+const getTotalPassengers = (rows) => {
+  return rows.reduce((total, row) => total + row.numberOfPassengers, 0);
+};
+
+// Quote a CSV value when it contains a separator, quote or line break
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toManifestCsv = (rows) => {
+  const header = MANIFEST_COLUMNS.map(column => column.label);
+  const lines = rows.map(row => MANIFEST_COLUMNS.map(column => escapeCsvValue(row[column.key])));
+
+  return [header, ...lines].map(line => line.join(',')).join('\r\n') + '\r\n';
+};
+
+// Stream a printable manifest PDF into a writable stream (e.g. the response)
+const writeManifestPdf = (stream, { title, subtitle, rows }) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  doc.fontSize(16).font('Helvetica-Bold').text(title);
+  if (subtitle) {
+    doc.fontSize(10).font('Helvetica').fillColor('#555555').text(subtitle);
+  }
+  doc.fillColor('#000000').moveDown();
+
+  const left = doc.page.margins.left;
+  const drawRow = (values, bold) => {
+    const y = doc.y;
+    let x = left;
+
+    doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    const heights = MANIFEST_COLUMNS.map((column, index) => {
+      const height = doc.heightOfString(String(values[index]), { width: column.width - 4 });
+      doc.text(String(values[index]), x, y, { width: column.width - 4 });
+      x += column.width;
+      return height;
+    });
+
+    doc.y = y + Math.max(...heights) + 4;
+    doc.moveTo(left, doc.y - 2).lineTo(x, doc.y - 2).strokeColor('#dddddd').stroke();
+  };
+
+  const drawHeader = () => drawRow(MANIFEST_COLUMNS.map(column => column.label), true);
+
+  drawHeader();
+  rows.forEach(row => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(MANIFEST_COLUMNS.map(column => row[column.key]), false);
+  });
+
+  doc.moveDown()
+    .fontSize(10)
+    .font('Helvetica-Bold')
+    .text(`Total passengers: ${getTotalPassengers(rows)}`, left);
+
+  doc.end();
+};
+
+// Send a manifest in the requested format ('pdf' or 'csv')
+const sendManifest = (res, { format, fileName, title, subtitle, rows }) => {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.send(toManifestCsv(rows));
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+  writeManifestPdf(res, { title, subtitle, rows });
+};
+
+module.exports = {
+  MANIFEST_COLUMNS,
+  buildManifestRows,
+  getTotalPassengers,
+  escapeCsvValue,
+  toManifestCsv,
+  writeManifestPdf,
+  sendManifest
+};
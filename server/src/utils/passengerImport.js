@@ -0,0 +1,201 @@
+const ExcelJS = require('exceljs');
+const { escapeCsvValue } = require('./manifest');
+const { readSpreadsheet } = require('./spreadsheet');
+const { parseProfileFields } = require('./passengerProfile');
+
+// Spreadsheet columns, in export order. An export can be re-imported.
+const PASSENGER_COLUMNS = [
+  { key: 'firstName', label: 'First Name' },
+  { key: 'lastName', label: 'Last Name' },
+  { key: 'jobRole', label: 'Job Role' },
+  { key: 'company', label: 'Company' },
+  { key: 'employeeNumber', label: 'Employee Number' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'emergencyContactName', label: 'Emergency Contact' },
+  { key: 'emergencyContactRelationship', label: 'Emergency Contact Relationship' },
+  { key: 'emergencyContactPhone', label: 'Emergency Contact Phone' },
+  { key: 'bodyWeight', label: 'Body Weight (kg)' },
+  { key: 'baggageWeight', label: 'Baggage Weight (kg)' },
+  // "HUET:2026-01-31; BOSIET:2027-05-01", the date left out when there is no expiry
+  { key: 'certifications', label: 'Certifications' }
+];
+
+// Largest file a single import may contain
+const MAX_IMPORT_ROWS = 1000;
+
+// Turn an uploaded CSV or XLSX file into records keyed by column, each with
+// its spreadsheet row number. Returns { columns, records }, or an error.
+const readPassengerFile = async (buffer) => {
+  const { keys, records, error } = await readSpreadsheet(buffer, PASSENGER_COLUMNS, MAX_IMPORT_ROWS);
+  if (error) {
+    return { error };
+  }
+
+  if (!keys.includes('firstName') || !keys.includes('lastName')) {
+    return { error: 'The file needs First Name and Last Name columns' };
+  }
+
+  return { columns: keys, records };
+};
+
+const parseCertifications = (text) => {
+  return text.split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return separator === -1
+        ? { name: entry, expiresOn: null }
+        : { name: entry.slice(0, separator).trim(), expiresOn: entry.slice(separator + 1).trim() || null };
+    });
+};
+
+const parseWeightCell = (text) => (text === '' ? null : Number(text));
+
+// Build a passenger request body from a record, leaving out columns the file lacks
+const recordToBody = (values) => {
+  const body = {
+    firstName: values.firstName,
+    lastName: values.lastName,
+    jobRole: values.jobRole ?? ''
+  };
+
+  ['company', 'employeeNumber', 'phone'].forEach(key => {
+    if (values[key] !== undefined) body[key] = values[key];
+  });
+
+  if (['emergencyContactName', 'emergencyContactRelationship', 'emergencyContactPhone'].some(key => values[key] !== undefined)) {
+    body.emergencyContact = {
+      name: values.emergencyContactName || '',
+      relationship: values.emergencyContactRelationship || '',
+      phone: values.emergencyContactPhone || ''
+    };
+  }
+
+  ['bodyWeight', 'baggageWeight'].forEach(key => {
+    if (values[key] !== undefined) body[key] = parseWeightCell(values[key]);
+  });
+
+  if (values.certifications !== undefined) {
+    body.certifications = parseCertifications(values.certifications);
+  }
+
+  return body;
+};
+
+const nameKey = (firstName, lastName) => `${firstName.trim().toLowerCase()} ${lastName.trim().toLowerCase()}`;
+
+// Check every record and look for duplicates, both of existing passengers and
+// of earlier rows. Names match the way the admin passenger dialog does, exact
+// and ignoring case; an employee number match is always the same person.
+//
+// Returns rows of { row, status: 'new' | 'duplicate' | 'error', errors,
+// duplicateOf: { match, passengerId?, row?, name } | null, passenger }.
+const buildImportReport = (records, existingPassengers) => {
+  const byName = new Map();
+  const byEmployeeNumber = new Map();
+
+  existingPassengers.forEach(passenger => {
+    const name = `${passenger.firstName} ${passenger.lastName}`;
+    const entry = { passengerId: passenger._id, name };
+    byName.set(nameKey(passenger.firstName, passenger.lastName), entry);
+    if (passenger.employeeNumber) {
+      byEmployeeNumber.set(passenger.employeeNumber.toLowerCase(), entry);
+    }
+  });
+
+  return records.map(({ rowNumber, values }) => {
+    const errors = [];
+    const body = recordToBody(values);
+
+    if (!body.firstName || !body.lastName) {
+      errors.push('First name and last name are required');
+    }
+
+    const { updateData: profile, error } = parseProfileFields(body);
+    if (error) {
+      errors.push(error);
+    }
+
+    const passenger = {
+      ...profile,
+      firstName: body.firstName || '',
+      lastName: body.lastName || '',
+      jobRole: body.jobRole
+    };
+
+    let duplicateOf = null;
+    if (errors.length === 0) {
+      const employeeMatch = passenger.employeeNumber && byEmployeeNumber.get(passenger.employeeNumber.toLowerCase());
+      const nameMatch = byName.get(nameKey(passenger.firstName, passenger.lastName));
+
+      if (employeeMatch) {
+        duplicateOf = { match: 'employeeNumber', ...employeeMatch };
+      } else if (nameMatch) {
+        duplicateOf = { match: 'name', ...nameMatch };
+      }
+
+      // Later rows are checked against this one too
+      const entry = { row: rowNumber, name: `${passenger.firstName} ${passenger.lastName}` };
+      if (!byName.has(nameKey(passenger.firstName, passenger.lastName))) {
+        byName.set(nameKey(passenger.firstName, passenger.lastName), entry);
+      }
+      if (passenger.employeeNumber && !employeeMatch) {
+        byEmployeeNumber.set(passenger.employeeNumber.toLowerCase(), entry);
+      }
+    }
+
+    return {
+      row: rowNumber,
+      status: errors.length > 0 ? 'error' : duplicateOf ? 'duplicate' : 'new',
+      errors,
+      duplicateOf,
+      passenger
+    };
+  });
+};
+
+const toPassengerRow = (passenger) => ({
+  firstName: passenger.firstName,
+  lastName: passenger.lastName,
+  jobRole: passenger.jobRole || '',
+  company: passenger.company || '',
+  employeeNumber: passenger.employeeNumber || '',
+  phone: passenger.phone || '',
+  emergencyContactName: passenger.emergencyContact?.name || '',
+  emergencyContactRelationship: passenger.emergencyContact?.relationship || '',
+  emergencyContactPhone: passenger.emergencyContact?.phone || '',
+  bodyWeight: passenger.bodyWeight ?? '',
+  baggageWeight: passenger.baggageWeight ?? '',
+  certifications: (passenger.certifications || [])
+    .map(certification => certification.expiresOn ? `${certification.name}:${certification.expiresOn}` : certification.name)
+    .join('; ')
+});
+
+const toPassengerCsv = (passengers) => {
+  const header = PASSENGER_COLUMNS.map(column => column.label);
+  const lines = passengers.map(toPassengerRow)
+    .map(row => PASSENGER_COLUMNS.map(column => escapeCsvValue(row[column.key])));
+
+  return [header, ...lines].map(line => line.join(',')).join('\r\n') + '\r\n';
+};
+
+const toPassengerXlsx = async (passengers) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Passengers');
+
+  sheet.columns = PASSENGER_COLUMNS.map(column => ({ header: column.label, key: column.key, width: 20 }));
+  sheet.getRow(1).font = { bold: true };
+  passengers.forEach(passenger => sheet.addRow(toPassengerRow(passenger)));
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  PASSENGER_COLUMNS,
+  MAX_IMPORT_ROWS,
+  readPassengerFile,
+  buildImportReport,
+  toPassengerCsv,
+  toPassengerXlsx
+};
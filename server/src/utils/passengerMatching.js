@@ -0,0 +1,219 @@
+// Name matching for passenger search, duplicate detection and merging
+
+// Fields searched by GET /api/passengers/search, with the weight of a match in each
+const SEARCH_FIELDS = [
+  { field: 'firstName', weight: 2 },
+  { field: 'lastName', weight: 2 },
+  { field: 'jobRole', weight: 1 }
+];
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+// Passengers scored per search; ranking happens in memory after the query
+const MAX_SEARCH_CANDIDATES = 500;
+
+// Lowercase without accents or punctuation, so "José O'Neil" matches "jose oneil"
+const normalizeName = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, '')
+  .replace(/[\s-]+/g, ' ')
+  .trim();
+
+const splitWords = (text) => normalizeName(text).split(' ').filter(Boolean);
+
+// How well one search word matches one field: the whole field, the start of
+// it, or the start of a later word in it
+const scoreWord = (word, value) => {
+  if (!value) return 0;
+  if (value === word) return 3;
+  if (value.startsWith(word)) return 2;
+  return value.split(' ').some(part => part.startsWith(word)) ? 1 : 0;
+};
+
+// Rank a passenger for a search. Every word has to match the start of a word
+// in one of the fields; the best field counts for each. A query that reads
+// as first name then last name ranks above scattered matches. Returns 0 when
+// a word misses.
+const scoreSearchMatch = (passenger, query) => {
+  const words = splitWords(query);
+  const values = SEARCH_FIELDS.map(({ field, weight }) => ({ value: normalizeName(passenger[field]), weight }));
+
+  let score = 0;
+  for (const word of words) {
+    const best = Math.max(...values.map(({ value, weight }) => scoreWord(word, value) * weight));
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  // "jo sm" for John Smith
+  const [firstWord, ...rest] = words;
+  if (values[0].value.startsWith(firstWord) && (rest.length === 0 || values[1].value.startsWith(rest.join(' ')))) {
+    score += 5;
+  }
+  return score;
+};
+
+const compareByName = (a, b) =>
+  (a.lastName || '').localeCompare(b.lastName || '') || (a.firstName || '').localeCompare(b.firstName || '');
+
+// Passengers matching the query, best first, at most `limit`
+const rankSearchResults = (passengers, query, limit) => {
+  return passengers
+    .map(passenger => ({ passenger, score: scoreSearchMatch(passenger, query) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || compareByName(a.passenger, b.passenger))
+    .slice(0, limit)
+    .map(({ passenger, score }) => ({ ...passenger, score }));
+};
+
+// Edit distance between two strings, for spotting typos
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Names at most this many edits apart count as a typo
+const MAX_NAME_EDITS = 1;
+
+const isSimilarName = (a, b) => {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  // "Jon" and "Jonathan", "J" and "James"
+  if (a.startsWith(b) || b.startsWith(a)) return true;
+  return Math.min(a.length, b.length) >= 4 && levenshtein(a, b) <= MAX_NAME_EDITS;
+};
+
+// Why two passengers look like the same person, strongest reason first, or
+// null when they don't. Passengers with different employee numbers are
+// different people whatever their names.
+//   same-name     first and last name match
+//   swapped-name  first and last name are the wrong way round
+//   similar-name  same last name and a similar first name, or a one-letter
+//                 typo in either name
+//   same-phone    same phone number
+const compareForDuplicate = (a, b) => {
+  if (a.employeeNumber && b.employeeNumber && a.employeeNumber.toLowerCase() !== b.employeeNumber.toLowerCase()) {
+    return null;
+  }
+
+  const first = [normalizeName(a.firstName), normalizeName(b.firstName)];
+  const last = [normalizeName(a.lastName), normalizeName(b.lastName)];
+  const reasons = [];
+  let score = 0;
+
+  if (first[0] === first[1] && last[0] === last[1]) {
+    reasons.push('same-name');
+    score = 1;
+  } else if (first[0] === last[1] && last[0] === first[1]) {
+    reasons.push('swapped-name');
+    score = 0.9;
+  } else if (
+    (last[0] === last[1] && isSimilarName(first[0], first[1])) ||
+    (first[0] === first[1] && isSimilarName(last[0], last[1]))
+  ) {
+    reasons.push('similar-name');
+    score = 0.75;
+  }
+
+  const phone = [a.phone, b.phone].map(value => (value || '').replace(/\D/g, ''));
+  if (phone[0].length >= 6 && phone[0] === phone[1]) {
+    reasons.push('same-phone');
+    score = score > 0 ? Math.min(1, score + 0.2) : 0.5;
+  }
+
+  return reasons.length > 0 ? { score, reasons } : null;
+};
+
+// Likely duplicate pairs among the passengers, most likely first. Only
+// passengers sharing a last-name or first-name initial are compared, which
+// still catches swapped names.
+const findDuplicatePairs = (passengers) => {
+  const blocks = new Map();
+  passengers.forEach(passenger => {
+    const initials = new Set([normalizeName(passenger.lastName)[0], normalizeName(passenger.firstName)[0]]);
+    initials.forEach(initial => {
+      if (!initial) return;
+      blocks.set(initial, [...(blocks.get(initial) || []), passenger]);
+    });
+  });
+
+  const pairs = new Map();
+  blocks.forEach(block => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = [block[i], block[j]].sort((x, y) => String(x._id).localeCompare(String(y._id)));
+        const key = `${a._id}|${b._id}`;
+        if (pairs.has(key)) continue;
+
+        const match = compareForDuplicate(a, b);
+        if (match) pairs.set(key, { ...match, passengers: [a, b] });
+      }
+    }
+  });
+
+  return [...pairs.values()].sort((x, y) => y.score - x.score || compareByName(x.passengers[0], y.passengers[0]));
+};
+
+const PROFILE_FIELDS = ['jobRole', 'company', 'employeeNumber', 'phone', 'bodyWeight', 'baggageWeight'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Fields to $set on the kept passenger when another record is merged into it.
+// The kept passenger's own values win; the merged record only fills gaps.
+// Certifications are combined, keeping the later expiry of each course.
+const mergeProfiles = (kept, merged) => {
+  const update = {};
+
+  PROFILE_FIELDS.forEach(field => {
+    if (isBlank(kept[field]) && !isBlank(merged[field])) {
+      update[field] = merged[field];
+    }
+  });
+
+  const keptContact = kept.emergencyContact || {};
+  if (!keptContact.name && !keptContact.phone && merged.emergencyContact?.name) {
+    update.emergencyContact = merged.emergencyContact;
+  }
+
+  const certifications = new Map();
+  [...(kept.certifications || []), ...(merged.certifications || [])].forEach(certification => {
+    const key = certification.name.toLowerCase();
+    const current = certifications.get(key);
+    // No expiry outlasts any date
+    if (!current || (current.expiresOn && (!certification.expiresOn || certification.expiresOn > current.expiresOn))) {
+      certifications.set(key, { name: current?.name || certification.name, expiresOn: certification.expiresOn || null });
+    }
+  });
+  const combined = [...certifications.values()];
+  const current = (kept.certifications || []).map(({ name, expiresOn }) => ({ name, expiresOn: expiresOn || null }));
+  if (JSON.stringify(combined) !== JSON.stringify(current)) {
+    update.certifications = combined;
+  }
+
+  return update;
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  MAX_SEARCH_CANDIDATES,
+  normalizeName,
+  rankSearchResults,
+  findDuplicatePairs,
+  mergeProfiles
+};
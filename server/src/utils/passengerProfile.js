@@ -0,0 +1,88 @@
+const { formatTripDate } = require('./dates');
+
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+const parseWeight = (value, field) => {
+  if (value === null || value === '') return { value: null };
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    return { error: `${field} must be a non-negative number of kilograms` };
+  }
+  return { value };
+};
+
+// Validate the profile fields present in a request body (everything but the
+// name and job role). Fields left out of the body are not returned, so a PUT
+// only changes what it sends. Returns { updateData, unsetData }, or an error.
+const parseProfileFields = (body) => {
+  const updateData = {};
+  const unsetData = {};
+
+  for (const field of ['company', 'phone']) {
+    if (body[field] === undefined) continue;
+    if (!isOptionalString(body[field])) {
+      return { error: `${field} must be a string` };
+    }
+    updateData[field] = body[field]?.trim() || '';
+  }
+
+  if (body.employeeNumber !== undefined) {
+    if (!isOptionalString(body.employeeNumber)) {
+      return { error: 'employeeNumber must be a string' };
+    }
+    if (body.employeeNumber?.trim()) {
+      updateData.employeeNumber = body.employeeNumber.trim();
+    } else {
+      unsetData.employeeNumber = '';
+    }
+  }
+
+  if (body.emergencyContact !== undefined) {
+    const contact = body.emergencyContact || {};
+    if (typeof contact !== 'object' || !['name', 'phone', 'relationship'].every(key => isOptionalString(contact[key]))) {
+      return { error: 'emergencyContact must be an object with name, phone and relationship strings' };
+    }
+    updateData.emergencyContact = {
+      name: contact.name?.trim() || '',
+      phone: contact.phone?.trim() || '',
+      relationship: contact.relationship?.trim() || ''
+    };
+  }
+
+  for (const field of ['bodyWeight', 'baggageWeight']) {
+    if (body[field] === undefined) continue;
+    const { value, error } = parseWeight(body[field], field);
+    if (error) return { error };
+    updateData[field] = value;
+  }
+
+  if (body.certifications !== undefined) {
+    if (!Array.isArray(body.certifications)) {
+      return { error: 'certifications must be an array' };
+    }
+
+    const certifications = [];
+    for (const certification of body.certifications) {
+      if (!certification?.name || typeof certification.name !== 'string' || !certification.name.trim()) {
+        return { error: 'Every certification needs a name' };
+      }
+
+      let expiresOn = null;
+      if (certification.expiresOn) {
+        try {
+          expiresOn = formatTripDate(certification.expiresOn);
+        } catch (dateError) {
+          return { error: `Invalid expiry date for ${certification.name.trim()}. Use YYYY-MM-DD format` };
+        }
+      }
+
+      certifications.push({ name: certification.name.trim(), expiresOn });
+    }
+    updateData.certifications = certifications;
+  }
+
+  return { updateData, unsetData };
+};
+
+module.exports = {
+  parseProfileFields
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/tripModel');
+
+// Trips saved before passengerId became an ObjectId reference hold it as a
+// string. dbConnect converts them once per process; until that has
+// succeeded, passengerRefCondition matches both forms.
+let legacyRefsConverted = false;
+
+// Convert passengerIds stored as strings to ObjectIds. Returns how many
+// trips were converted.
+const migratePassengerRefs = async () => {
+  // Runs on the raw collection so mongoose does not cast the pipeline away
+  const result = await Trip.collection.updateMany(
+    { passengerId: { $type: 'string', $regex: /^[0-9a-fA-F]{24}$/ } },
+    [{ $set: { passengerId: { $toObjectId: '$passengerId' } } }],
+    { maxTimeMS: 30000 }
+  );
+
+  legacyRefsConverted = true;
+  return result.modifiedCount;
+};
+
+// Filter for the trips of one or more passengers, for find queries and
+// $match stages alike. Query casting turns a plain { passengerId } filter
+// into an ObjectId, which misses trips still storing a string, so until
+// those are converted the string is matched through $expr, which is not cast.
+const passengerRefCondition = (passengerIds) => {
+  const ids = [].concat(passengerIds).map(String);
+  const objectIds = ids
+    .filter(id => mongoose.isObjectIdOrHexString(id))
+    .map(id => new mongoose.Types.ObjectId(id));
+
+  if (legacyRefsConverted) {
+    return { passengerId: { $in: objectIds } };
+  }
+
+  return {
+    $or: [
+      { passengerId: { $in: objectIds } },
+      { $expr: { $in: ['$passengerId', ids] } }
+    ]
+  };
+};
+
+module.exports = {
+  migratePassengerRefs,
+  passengerRefCondition
+};
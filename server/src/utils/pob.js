@@ -0,0 +1,246 @@
+const Trip = require('../models/tripModel');
+const PobSnapshot = require('../models/pobSnapshotModel');
+const { formatTripDate, addDays } = require('./dates');
+const { NOT_TRAVELLED_STATUSES } = require('./tripStatus');
+
+// Helper function to get passenger count from a trip
+const getPassengerCount = (trip) => {
+  return trip.numberOfPassengers && trip.numberOfPassengers > 1
+    ? trip.numberOfPassengers
+    : 1;
+};
+
+// Convert a timestamp into the YYYY-MM-DD day it falls on for the caller.
+// tzOffset follows Date#getTimezoneOffset (minutes behind UTC).
+const toLocalDate = (timestamp, tzOffset = 0) => {
+  return formatTripDate(new Date(new Date(timestamp).getTime() - tzOffset * 60 * 1000));
+};
+
+// Start of a local day as a timestamp, the inverse of toLocalDate
+const startOfLocalDay = (date, tzOffset = 0) => {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + tzOffset * 60 * 1000);
+};
+
+// A site's own current count, used for sites that have no stored counts yet
+const siteSnapshot = (site) => ({
+  _id: null,
+  siteName: site.siteName,
+  pob: site.currentPOB,
+  countedAt: site.pobUpdatedDate || new Date(),
+  source: 'legacy',
+  author: null,
+  note: ''
+});
+
+// Load the POB counts a projection between two dates needs: the last count
+// before the range and every count inside it. A site with nothing earlier is
+// worked out backwards from the first count after the range instead.
+const loadSnapshotsForProjection = async (site, from, to, tzOffset = 0) => {
+  const rangeStart = startOfLocalDay(from, tzOffset);
+  const rangeEnd = startOfLocalDay(addDays(to, 1), tzOffset);
+
+  const previous = await PobSnapshot.findOne({
+    siteName: site.siteName,
+    countedAt: { $lt: rangeStart }
+  })
+  .sort({ countedAt: -1 })
+  .lean()
+  .maxTimeMS(10000);
+
+  const inRange = await PobSnapshot.find({
+    siteName: site.siteName,
+    countedAt: { $gte: rangeStart, $lt: rangeEnd }
+  })
+  .sort({ countedAt: 1 })
+  .lean()
+  .maxTimeMS(10000);
+
+  if (previous || inRange.length > 0) {
+    return previous ? [previous, ...inRange] : inRange;
+  }
+
+  const next = await PobSnapshot.findOne({
+    siteName: site.siteName,
+    countedAt: { $gte: rangeEnd }
+  })
+  .sort({ countedAt: 1 })
+  .lean()
+  .maxTimeMS(10000);
+
+  return [next || siteSnapshot(site)];
+};
+
+// Group counts by the day they were taken on, oldest first within each day
+const groupSnapshotsByDate = (snapshots, tzOffset = 0) => {
+  const countsByDate = new Map();
+
+  [...snapshots]
+    .sort((a, b) => new Date(a.countedAt) - new Date(b.countedAt))
+    .forEach(snapshot => {
+      const date = toLocalDate(snapshot.countedAt, tzOffset);
+      if (!countsByDate.has(date)) {
+        countsByDate.set(date, []);
+      }
+      countsByDate.get(date).push(snapshot);
+    });
+
+  return countsByDate;
+};
+
+// The counted day a projection starts from: the last one before `from`, so
+// counts inside the range can be checked against it, or the first one there
+// is when nothing was counted earlier
+const getAnchorDate = (countsByDate, from) => {
+  const dates = [...countsByDate.keys()].sort();
+  const earlier = dates.filter(date => date < from);
+  return earlier.length > 0 ? earlier[earlier.length - 1] : dates[0];
+};
+
+// Sum incoming/outgoing passengers per day for a site
+const groupMovementsByDate = (trips, siteName) => {
+  const movements = {};
+
+  trips.forEach(trip => {
+    if (!movements[trip.tripDate]) {
+      movements[trip.tripDate] = { incoming: 0, outgoing: 0 };
+    }
+
+    const passengerCount = getPassengerCount(trip);
+    if (trip.toDestination === siteName) {
+      movements[trip.tripDate].incoming += passengerCount;
+    } else if (trip.fromOrigin === siteName) {
+      movements[trip.tripDate].outgoing += passengerCount;
+    }
+  });
+
+  return movements;
+};
+
+// Describe a count for the projection and history responses
+const describeSnapshot = (snapshot, date, computed) => ({
+  _id: snapshot._id || null,
+  date,
+  countedAt: snapshot.countedAt,
+  counted: snapshot.pob,
+  computed,
+  drift: computed === null ? null : snapshot.pob - computed,
+  source: snapshot.source,
+  author: snapshot.author || null,
+  note: snapshot.note || ''
+});
+
+// Build the day-by-day POB projection for a site.
+//
+// Each count is treated as the start-of-day value on the day it was taken.
+// The projection starts from the nearest count before `from` and walks
+// forwards, resetting to every later count it reaches; days before the first
+// count are worked out backwards. Each count is compared with the value the
+// trips predicted for it, and the difference is reported as drift. Without
+// stored counts the site's currentPOB at pobUpdatedDate is used.
+const projectPOB = ({ site, trips, from, to, tzOffset = 0, snapshots = [siteSnapshot(site)] }) => {
+  const countsByDate = groupSnapshotsByDate(snapshots, tzOffset);
+  const anchorDate = getAnchorDate(countsByDate, from);
+  const anchorCounts = countsByDate.get(anchorDate);
+  const anchorCount = anchorCounts[anchorCounts.length - 1];
+  const anchor = {
+    date: anchorDate,
+    pob: anchorCount.pob,
+    updatedAt: anchorCount.countedAt
+  };
+
+  const movements = groupMovementsByDate(trips, site.siteName);
+  const movementsOn = (date) => movements[date] || { incoming: 0, outgoing: 0 };
+
+  const startDate = from < anchorDate ? from : anchorDate;
+  const endDate = to > anchorDate ? to : anchorDate;
+
+  // Apply the counts taken on a day to the value carried into it, comparing
+  // each with the one before. Returns the last count of the day.
+  const counts = [];
+  const applyCounts = (date, carried) => {
+    let expected = carried === null ? null : Math.max(0, carried);
+    countsByDate.get(date).forEach(snapshot => {
+      counts.push(describeSnapshot(snapshot, date, expected));
+      expected = snapshot.pob;
+    });
+    return expected;
+  };
+
+  // Start-of-day counts, walking outwards from the anchor day
+  const startOfDay = { [anchorDate]: applyCounts(anchorDate, null) };
+
+  for (let date = anchorDate; date < endDate; date = addDays(date, 1)) {
+    const { incoming, outgoing } = movementsOn(date);
+    const next = addDays(date, 1);
+    const computed = startOfDay[date] + incoming - outgoing;
+    startOfDay[next] = countsByDate.has(next) ? applyCounts(next, computed) : computed;
+  }
+
+  for (let date = anchorDate; date > startDate; date = addDays(date, -1)) {
+    const previous = addDays(date, -1);
+    const { incoming, outgoing } = movementsOn(previous);
+    startOfDay[previous] = startOfDay[date] - incoming + outgoing;
+  }
+
+  const countsInRange = counts.filter(count => count.date >= from && count.date <= to);
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const { incoming, outgoing } = movementsOn(date);
+    const start = startOfDay[date];
+    const dayCounts = countsInRange.filter(count => count.date === date);
+    const dayDrifts = dayCounts.filter(count => count.drift !== null);
+
+    days.push({
+      date,
+      startOfDay: Math.max(0, start),
+      incoming,
+      outgoing,
+      endOfDay: Math.max(0, start + incoming - outgoing),
+      isAnchorDay: dayCounts.length > 0,
+      // Last count taken that day, and how far the day's counts moved the value
+      counted: dayCounts.length > 0 ? dayCounts[dayCounts.length - 1].counted : null,
+      drift: dayDrifts.length > 0 ? dayDrifts.reduce((sum, count) => sum + count.drift, 0) : null
+    });
+  }
+
+  return {
+    siteName: site.siteName,
+    maximumPOB: site.maximumPOB,
+    from,
+    to,
+    anchor,
+    counts: countsInRange,
+    days
+  };
+};
+
+// Load the trips needed to project a site between two dates (inclusive),
+// given the counts the projection will use.
+// Cancelled and no-show trips never moved anyone, so they are left out.
+const loadTripsForProjection = async (site, from, to, tzOffset = 0, snapshots = [siteSnapshot(site)]) => {
+  const anchorDate = getAnchorDate(groupSnapshotsByDate(snapshots, tzOffset), from);
+
+  const startDate = from < anchorDate ? from : anchorDate;
+  const endDate = to > anchorDate ? to : anchorDate;
+
+  return Trip.find({
+    $or: [
+      { fromOrigin: site.siteName },
+      { toDestination: site.siteName }
+    ],
+    tripDate: { $gte: startDate, $lte: endDate },
+    status: { $nin: NOT_TRAVELLED_STATUSES }
+  })
+  .select('fromOrigin toDestination tripDate numberOfPassengers')
+  .lean()
+  .maxTimeMS(10000);
+};
+
+module.exports = {
+  getPassengerCount,
+  toLocalDate,
+  projectPOB,
+  loadSnapshotsForProjection,
+  loadTripsForProjection
+};
@@ -0,0 +1,295 @@
+const Site = require('../models/siteModel');
+const Trip = require('../models/tripModel');
+const Passenger = require('../models/passengerModel');
+const { projectPOB, loadSnapshotsForProjection, loadTripsForProjection } = require('./pob');
+const { addDays } = require('./dates');
+const { NOT_TRAVELLED_STATUSES, isConfirmedStatus } = require('./tripStatus');
+const { WARNING_RATIO } = require('./capacity');
+const { escapeCsvValue } = require('./manifest');
+
+// Longest range a single report may cover
+const MAX_REPORT_DAYS = 366;
+
+// Range covered when none is given: the last 30 days up to today
+const DEFAULT_REPORT_DAYS = 30;
+
+const DEFAULT_JOB_ROLE_LIMIT = 10;
+const MAX_JOB_ROLE_LIMIT = 50;
+
+// Trips saved before status existed count by their confirmed flag
+const STATUS_EXPRESSION = { $ifNull: ['$status', { $cond: ['$confirmed', 'confirmed', 'planned'] }] };
+
+// Seats a trip takes, as getPassengerCount works it out
+const PASSENGER_COUNT_EXPRESSION = { $cond: [{ $gt: ['$numberOfPassengers', 1] }, '$numberOfPassengers', 1] };
+
+const roundRatio = (value) => Math.round(value * 1000) / 1000;
+
+// Monday of the week a date falls in
+const startOfWeek = (date) => {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+};
+
+// Fullest a site is known to have been on a day: at the start or end of it,
+// or at a count taken during it. Crew changes swap people on the same
+// flights, so arrivals are not added on top of the people leaving.
+const dailyPeak = (day) => Math.max(day.startOfDay, day.endOfDay, day.counted ?? 0);
+
+// Daily peak POB against maximumPOB for every site in use. Returns
+// { from, to, sites: [{ siteName, maximumPOB, peak, peakDate, averagePeak,
+// warningDays, overDays, days: [{ date, startOfDay, incoming, outgoing,
+// endOfDay, counted, peak, utilisation }] }] }. utilisation is the peak as a
+// share of maximumPOB, or null for a site without one.
+const buildPobUtilisation = async ({ from, to, tzOffset = 0 }) => {
+  const sites = await Site.find({ archived: { $ne: true } })
+    .sort({ sortOrder: 1, siteName: 1 })
+    .lean()
+    .maxTimeMS(10000);
+
+  const results = [];
+  for (const site of sites) {
+    const snapshots = await loadSnapshotsForProjection(site, from, to, tzOffset);
+    const trips = await loadTripsForProjection(site, from, to, tzOffset, snapshots);
+    const projection = projectPOB({ site, trips, from, to, tzOffset, snapshots });
+
+    const days = projection.days.map(day => {
+      const peak = dailyPeak(day);
+      return {
+        date: day.date,
+        startOfDay: day.startOfDay,
+        incoming: day.incoming,
+        outgoing: day.outgoing,
+        endOfDay: day.endOfDay,
+        counted: day.counted,
+        peak,
+        utilisation: site.maximumPOB ? roundRatio(peak / site.maximumPOB) : null
+      };
+    });
+
+    const busiest = days.reduce((best, day) => (day.peak > best.peak ? day : best), days[0]);
+    results.push({
+      siteName: site.siteName,
+      maximumPOB: site.maximumPOB,
+      peak: busiest.peak,
+      peakDate: busiest.date,
+      averagePeak: Math.round((days.reduce((sum, day) => sum + day.peak, 0) / days.length) * 10) / 10,
+      warningDays: site.maximumPOB
+        ? days.filter(day => day.peak >= site.maximumPOB * WARNING_RATIO && day.peak <= site.maximumPOB).length
+        : 0,
+      overDays: site.maximumPOB ? days.filter(day => day.peak > site.maximumPOB).length : 0,
+      days
+    });
+  }
+
+  return { from, to, sites: results };
+};
+
+// People flown onto and off each site per week, from trips that flew or are
+// still going to. Weeks start on Monday, so the first and last may be cut
+// short by the range. Returns { from, to, weeks, sites, rows: [{ weekStart,
+// site, incoming, outgoing, total }] }.
+const buildMovementReport = async ({ from, to }) => {
+  const legs = await Trip.aggregate([
+    { $match: { tripDate: { $gte: from, $lte: to }, status: { $nin: NOT_TRAVELLED_STATUSES } } },
+    {
+      $group: {
+        _id: { tripDate: '$tripDate', fromOrigin: '$fromOrigin', toDestination: '$toDestination' },
+        passengers: { $sum: PASSENGER_COUNT_EXPRESSION }
+      }
+    }
+  ]).option({ maxTimeMS: 10000 });
+
+  const rows = new Map();
+  const addMovement = (site, weekStart, direction, passengers) => {
+    const key = `${weekStart}|${site}`;
+    const row = rows.get(key) || { weekStart, site, incoming: 0, outgoing: 0, total: 0 };
+    row[direction] += passengers;
+    row.total += passengers;
+    rows.set(key, row);
+  };
+
+  legs.forEach(({ _id: leg, passengers }) => {
+    const weekStart = startOfWeek(leg.tripDate);
+    addMovement(leg.fromOrigin, weekStart, 'outgoing', passengers);
+    addMovement(leg.toDestination, weekStart, 'incoming', passengers);
+  });
+
+  const sorted = [...rows.values()]
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart) || a.site.localeCompare(b.site));
+
+  return {
+    from,
+    to,
+    weeks: [...new Set(sorted.map(row => row.weekStart))],
+    sites: [...new Set(sorted.map(row => row.site))].sort(),
+    rows: sorted
+  };
+};
+
+const emptyConfirmationCounts = (site) => ({ site, confirmed: 0, unconfirmed: 0, notTravelled: 0, confirmedRatio: null });
+
+// Confirmed against unconfirmed trips for each site they leave or reach, and
+// across all trips. Completed trips count as confirmed; cancelled and no-show
+// trips are counted apart and left out of the ratio. Returns { from, to,
+// overall, sites: [{ site, confirmed, unconfirmed, notTravelled,
+// confirmedRatio }] }.
+const buildConfirmationReport = async ({ from, to }) => {
+  const groups = await Trip.aggregate([
+    { $match: { tripDate: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: { fromOrigin: '$fromOrigin', toDestination: '$toDestination', status: STATUS_EXPRESSION },
+        count: { $sum: 1 }
+      }
+    }
+  ]).option({ maxTimeMS: 10000 });
+
+  const overall = emptyConfirmationCounts(null);
+  const sites = new Map();
+  const bucketFor = (status) => {
+    if (NOT_TRAVELLED_STATUSES.includes(status)) return 'notTravelled';
+    return isConfirmedStatus(status) ? 'confirmed' : 'unconfirmed';
+  };
+
+  groups.forEach(({ _id: group, count }) => {
+    const bucket = bucketFor(group.status);
+    overall[bucket] += count;
+    new Set([group.fromOrigin, group.toDestination]).forEach(site => {
+      const entry = sites.get(site) || emptyConfirmationCounts(site);
+      entry[bucket] += count;
+      sites.set(site, entry);
+    });
+  });
+
+  const withRatio = (entry) => {
+    const open = entry.confirmed + entry.unconfirmed;
+    return { ...entry, confirmedRatio: open > 0 ? roundRatio(entry.confirmed / open) : null };
+  };
+
+  return {
+    from,
+    to,
+    overall: withRatio(overall),
+    sites: [...sites.values()].map(withRatio).sort((a, b) => a.site.localeCompare(b.site))
+  };
+};
+
+// Job roles that travelled most, by trips flown or still going to fly.
+// Roles are matched ignoring case and surrounding spaces; passengers without
+// one, or whose record is gone, come under ''. Returns { from, to, total,
+// roles: [{ jobRole, trips, passengers, travellers }] } with the `limit`
+// busiest roles, where passengers counts seats and travellers counts people.
+const buildJobRoleReport = async ({ from, to, limit = DEFAULT_JOB_ROLE_LIMIT }) => {
+  const roles = await Trip.aggregate([
+    { $match: { tripDate: { $gte: from, $lte: to }, status: { $nin: NOT_TRAVELLED_STATUSES } } },
+    {
+      $group: {
+        _id: '$passengerId',
+        trips: { $sum: 1 },
+        passengers: { $sum: PASSENGER_COUNT_EXPRESSION }
+      }
+    },
+    {
+      $lookup: {
+        from: Passenger.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'passenger'
+      }
+    },
+    { $addFields: { jobRole: { $trim: { input: { $ifNull: [{ $arrayElemAt: ['$passenger.jobRole', 0] }, ''] } } } } },
+    {
+      $group: {
+        _id: { $toLower: '$jobRole' },
+        jobRole: { $first: '$jobRole' },
+        trips: { $sum: '$trips' },
+        passengers: { $sum: '$passengers' },
+        travellers: { $sum: 1 }
+      }
+    },
+    { $sort: { trips: -1, passengers: -1, _id: 1 } }
+  ]).option({ maxTimeMS: 10000 });
+
+  return {
+    from,
+    to,
+    total: roles.length,
+    roles: roles.slice(0, limit).map(({ jobRole, trips, passengers, travellers }) => ({ jobRole, trips, passengers, travellers }))
+  };
+};
+
+const formatPercent = (ratio) => (ratio === null ? '' : Math.round(ratio * 100));
+
+// CSV layout of each report: its columns and the rows they are read from
+const REPORT_CSV = {
+  'pob-utilisation': {
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'siteName', label: 'Site' },
+      { key: 'maximumPOB', label: 'Maximum POB' },
+      { key: 'startOfDay', label: 'Start of Day' },
+      { key: 'incoming', label: 'Incoming' },
+      { key: 'outgoing', label: 'Outgoing' },
+      { key: 'endOfDay', label: 'End of Day' },
+      { key: 'counted', label: 'Counted' },
+      { key: 'peak', label: 'Peak POB' },
+      { key: 'utilisation', label: 'Utilisation %' }
+    ],
+    rows: (report) => report.sites.flatMap(site => site.days.map(day => ({
+      ...day,
+      siteName: site.siteName,
+      maximumPOB: site.maximumPOB,
+      utilisation: formatPercent(day.utilisation)
+    })))
+  },
+  movements: {
+    columns: [
+      { key: 'weekStart', label: 'Week Starting' },
+      { key: 'site', label: 'Site' },
+      { key: 'incoming', label: 'Incoming' },
+      { key: 'outgoing', label: 'Outgoing' },
+      { key: 'total', label: 'Total' }
+    ],
+    rows: (report) => report.rows
+  },
+  confirmation: {
+    columns: [
+      { key: 'site', label: 'Site' },
+      { key: 'confirmed', label: 'Confirmed' },
+      { key: 'unconfirmed', label: 'Unconfirmed' },
+      { key: 'notTravelled', label: 'Cancelled or No-show' },
+      { key: 'confirmedRatio', label: 'Confirmed %' }
+    ],
+    rows: (report) => [...report.sites, { ...report.overall, site: 'All trips' }]
+      .map(entry => ({ ...entry, confirmedRatio: formatPercent(entry.confirmedRatio) }))
+  },
+  'job-roles': {
+    columns: [
+      { key: 'jobRole', label: 'Job Role' },
+      { key: 'trips', label: 'Trips' },
+      { key: 'passengers', label: 'Passengers' },
+      { key: 'travellers', label: 'Travellers' }
+    ],
+    rows: (report) => report.roles.map(role => ({ ...role, jobRole: role.jobRole || 'No job role' }))
+  }
+};
+
+const toReportCsv = (name, report) => {
+  const { columns, rows } = REPORT_CSV[name];
+  const header = columns.map(column => column.label);
+  const lines = rows(report).map(row => columns.map(column => escapeCsvValue(row[column.key])));
+
+  return [header, ...lines].map(line => line.join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  MAX_REPORT_DAYS,
+  DEFAULT_REPORT_DAYS,
+  DEFAULT_JOB_ROLE_LIMIT,
+  MAX_JOB_ROLE_LIMIT,
+  buildPobUtilisation,
+  buildMovementReport,
+  buildConfirmationReport,
+  buildJobRoleReport,
+  toReportCsv
+};
@@ -0,0 +1,86 @@
+const Trip = require('../models/tripModel');
+const { getPassengerCount } = require('./pob');
+const { statusCondition } = require('./tripStatus');
+const { passengerRefCondition } = require('./passengerRefs');
+
+// Only trips that are confirmed (or have flown) say where someone is
+const LOCATING_STATUSES = ['confirmed', 'completed'];
+
+// The leg a day's trips end on. Someone flying A → B → C on one day ends at
+// C, the leg whose destination no other leg that day leaves from.
+const finalLeg = (dayTrips) => {
+  const ending = dayTrips.filter(trip => !dayTrips.some(other => other !== trip && other.fromOrigin === trip.toDestination));
+  return ending.length > 0 ? ending[ending.length - 1] : dayTrips[dayTrips.length - 1];
+};
+
+// Find where passengers are at the end of a day from their confirmed trips.
+// Pass passengerIds to limit the lookup. Returns a Map of passengerId to the
+// trip that took them there ({ _id, fromOrigin, toDestination, tripDate,
+// numberOfPassengers }); passengers with no confirmed trip yet are left out.
+const locatePassengers = async ({ date, passengerIds = null }) => {
+  const lastDays = await Trip.aggregate([
+    {
+      $match: {
+        $and: [
+          ...(passengerIds ? [passengerRefCondition(passengerIds)] : []),
+          { tripDate: { $lte: date } },
+          statusCondition(LOCATING_STATUSES)
+        ]
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $group: {
+        _id: { passengerId: '$passengerId', tripDate: '$tripDate' },
+        trips: {
+          $push: {
+            _id: '$_id',
+            fromOrigin: '$fromOrigin',
+            toDestination: '$toDestination',
+            tripDate: '$tripDate',
+            numberOfPassengers: '$numberOfPassengers'
+          }
+        }
+      }
+    },
+    { $sort: { '_id.tripDate': -1 } },
+    { $group: { _id: '$_id.passengerId', trips: { $first: '$trips' } } }
+  ]).option({ maxTimeMS: 10000 });
+
+  return new Map(lastDays.map(({ _id, trips }) => [String(_id), finalLeg(trips)]));
+};
+
+// The people on a site at the end of a day. Returns [{ passengerId, count,
+// arrivedOn, arrivedFrom, tripId }]; count is more than one for group
+// bookings made under a single passenger.
+const buildRoster = async (siteName, date) => {
+  // Anyone on the site must have flown there at some point
+  const candidates = await Trip.distinct('passengerId', {
+    toDestination: siteName,
+    tripDate: { $lte: date },
+    ...statusCondition(LOCATING_STATUSES)
+  }).maxTimeMS(10000);
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const locations = await locatePassengers({ date, passengerIds: candidates });
+
+  return [...locations.entries()]
+    .filter(([, trip]) => trip.toDestination === siteName)
+    .map(([passengerId, trip]) => ({
+      passengerId,
+      count: getPassengerCount(trip),
+      arrivedOn: trip.tripDate,
+      arrivedFrom: trip.fromOrigin,
+      tripId: trip._id
+    }));
+};
+
+module.exports = {
+  LOCATING_STATUSES,
+  finalLeg,
+  locatePassengers,
+  buildRoster
+};
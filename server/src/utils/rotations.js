@@ -0,0 +1,152 @@
+const Trip = require('../models/tripModel');
+const Rotation = require('../models/rotationModel');
+const { addDays, daysBetween } = require('./dates');
+const { OPEN_STATUSES, statusForConfirmed, statusCondition } = require('./tripStatus');
+
+// Longest schedule a single series may span, to keep generation bounded
+const MAX_ROTATION_DAYS = 731;
+
+// Every leg of a rotation, in date order: an inbound leg on the first day of
+// each hitch and an outbound leg daysOn later. Hitches that would not finish
+// by the end date are left out.
+const buildRotationLegs = (rotation) => {
+  const legs = [];
+  const cycleLength = rotation.daysOn + rotation.daysOff;
+
+  for (
+    let hitchStart = rotation.startDate;
+    addDays(hitchStart, rotation.daysOn) <= rotation.endDate;
+    hitchStart = addDays(hitchStart, cycleLength)
+  ) {
+    legs.push({ tripDate: hitchStart, fromOrigin: rotation.homeBase, toDestination: rotation.site });
+    legs.push({ tripDate: addDays(hitchStart, rotation.daysOn), fromOrigin: rotation.site, toDestination: rotation.homeBase });
+  }
+
+  return legs;
+};
+
+// Problems with a rotation's schedule that the schema cannot express
+const validateRotationSchedule = (rotation) => {
+  const problems = [];
+
+  if (rotation.site === rotation.homeBase) {
+    problems.push('Site and home base cannot be the same');
+  }
+  if (rotation.endDate <= rotation.startDate) {
+    problems.push('End date must be after the start date');
+  } else if (daysBetween(rotation.startDate, rotation.endDate) > MAX_ROTATION_DAYS) {
+    problems.push(`A rotation can span at most ${MAX_ROTATION_DAYS} days`);
+  } else if (buildRotationLegs(rotation).length === 0) {
+    problems.push('The first hitch does not finish before the end date');
+  }
+
+  return problems;
+};
+
+const legKey = (leg) => `${leg.tripDate}|${leg.fromOrigin}|${leg.toDestination}`;
+
+// Bring a rotation's trips from `fromDate` onwards in line with its template.
+// Trips whose date and route still match a leg are kept (with their flight
+// assignment); the rest are deleted and missing legs are created, apart from
+// skipped ones. Cancelled rotations end up with no trips from `fromDate` on.
+//
+// Options:
+//   session        - transaction to run in
+//   syncConfirmed  - also overwrite `confirmed` on kept trips that are still open
+//
+// Returns { created, updated, deleted, deletedIds } for broadcasting,
+// auditing and capacity checks.
+const syncRotationTrips = async (rotation, fromDate, { session = null, syncConfirmed = false } = {}) => {
+  const desiredLegs = rotation.status === 'active'
+    ? buildRotationLegs(rotation).filter(leg => leg.tripDate >= fromDate)
+    : [];
+
+  const existingTrips = await Trip.find({ rotationId: rotation._id, tripDate: { $gte: fromDate } })
+    .session(session)
+    .maxTimeMS(10000);
+
+  const existingByKey = new Map(existingTrips.map(trip => [legKey(trip), trip]));
+  const desiredKeys = new Set(desiredLegs.map(legKey));
+  const skippedKeys = new Set((rotation.skippedLegs || []).map(legKey));
+
+  const staleTrips = existingTrips.filter(trip => !desiredKeys.has(legKey(trip)));
+  const keptTrips = existingTrips.filter(trip => desiredKeys.has(legKey(trip)));
+  const missingLegs = desiredLegs.filter(leg => !existingByKey.has(legKey(leg)) && !skippedKeys.has(legKey(leg)));
+
+  const deletedIds = staleTrips.map(trip => trip._id);
+  if (deletedIds.length > 0) {
+    await Trip.deleteMany({ _id: { $in: deletedIds } })
+      .session(session)
+      .maxTimeMS(10000);
+  }
+
+  let updated = [];
+  const tripsToUpdate = keptTrips.filter(trip =>
+    String(trip.passengerId) !== String(rotation.passengerId) ||
+    (syncConfirmed && OPEN_STATUSES.includes(trip.status) && trip.confirmed !== rotation.confirmed)
+  );
+  if (tripsToUpdate.length > 0) {
+    const updateIds = tripsToUpdate.map(trip => trip._id);
+    await Trip.updateMany(
+      { _id: { $in: updateIds } },
+      { $set: { passengerId: rotation.passengerId } }
+    )
+      .session(session)
+      .maxTimeMS(10000);
+
+    if (syncConfirmed) {
+      await Trip.updateMany(
+        { _id: { $in: updateIds }, ...statusCondition(OPEN_STATUSES) },
+        { $set: { confirmed: rotation.confirmed, status: statusForConfirmed(null, rotation.confirmed) } }
+      )
+        .session(session)
+        .maxTimeMS(10000);
+    }
+
+    updated = await Trip.find({ _id: { $in: updateIds } })
+      .session(session)
+      .maxTimeMS(10000);
+  }
+
+  const created = missingLegs.length > 0
+    ? await Trip.insertMany(missingLegs.map(leg => ({
+        ...leg,
+        passengerId: rotation.passengerId,
+        confirmed: rotation.confirmed,
+        numberOfPassengers: null,
+        rotationId: rotation._id
+      })), { session })
+    : [];
+
+  return { created, updated, deleted: staleTrips, deletedIds };
+};
+
+// Record that these trips were taken off their rotation by hand (deleted or
+// moved), so later series edits do not generate their legs again. Trips that
+// never belonged to a rotation are ignored.
+const skipRotationLegs = async (trips, { session = null } = {}) => {
+  const legsByRotation = new Map();
+  trips.filter(trip => trip.rotationId).forEach(trip => {
+    const rotationId = String(trip.rotationId);
+    const legs = legsByRotation.get(rotationId) || [];
+    legs.push({ tripDate: trip.tripDate, fromOrigin: trip.fromOrigin, toDestination: trip.toDestination });
+    legsByRotation.set(rotationId, legs);
+  });
+
+  for (const [rotationId, legs] of legsByRotation) {
+    await Rotation.updateOne(
+      { _id: rotationId },
+      { $addToSet: { skippedLegs: { $each: legs } } }
+    )
+      .session(session)
+      .maxTimeMS(10000);
+  }
+};
+
+module.exports = {
+  MAX_ROTATION_DAYS,
+  buildRotationLegs,
+  validateRotationSchedule,
+  syncRotationTrips,
+  skipRotationLegs
+};
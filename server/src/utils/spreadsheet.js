@@ -0,0 +1,135 @@
+const ExcelJS = require('exceljs');
+const { formatTripDate } = require('./dates');
+
+// Body types accepted by spreadsheet imports. Browsers label CSV files
+// inconsistently, so the file itself decides between CSV and XLSX.
+const SPREADSHEET_CONTENT_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/octet-stream'
+];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Split CSV text into rows of cells, honouring quoted cells with commas,
+// doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const readCellText = (cell) => {
+  if (cell.value instanceof Date) return formatTripDate(cell.value);
+  return cell.text || '';
+};
+
+// Read the first sheet of an XLSX file into rows of cells, keeping the
+// spreadsheet row numbers so errors can point at them
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      cells.push(readCellText(row.getCell(column)));
+    }
+    rows.push({ rowNumber, cells });
+  });
+  return rows;
+};
+
+// XLSX files are zip archives, which start with "PK"
+const isXlsx = (buffer) => buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+// Turn an uploaded CSV or XLSX file into records keyed by column, each with
+// its spreadsheet row number. Headers match a column's label, key or any of
+// its aliases, ignoring case, spaces and punctuation; other columns are
+// ignored and blank rows skipped.
+//
+// Returns { keys, records } where keys are the columns the file has, or an error.
+const readSpreadsheet = async (buffer, columns, maxRows) => {
+  let rows;
+  try {
+    rows = isXlsx(buffer)
+      ? await readXlsx(buffer)
+      : parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''))
+        .map((cells, index) => ({ rowNumber: index + 1, cells }));
+  } catch (parseError) {
+    return { error: 'The file could not be read as CSV or XLSX' };
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  if (!headerRow) {
+    return { error: 'The file is empty' };
+  }
+
+  const columnsByHeader = new Map(columns.flatMap(column =>
+    [column.label, column.key, ...(column.aliases || [])].map(header => [normalizeHeader(header), column.key])
+  ));
+  const headerKeys = headerRow.cells.map(header => columnsByHeader.get(normalizeHeader(header)) || null);
+
+  const records = dataRows
+    .filter(row => row.cells.some(cell => String(cell).trim()))
+    .map(row => {
+      const values = {};
+      headerKeys.forEach((key, index) => {
+        if (key) values[key] = String(row.cells[index] ?? '').trim();
+      });
+      return { rowNumber: row.rowNumber, values };
+    });
+
+  if (records.length > maxRows) {
+    return { error: `Cannot import more than ${maxRows} rows at once` };
+  }
+
+  return { keys: headerKeys.filter(Boolean), records };
+};
+
+module.exports = {
+  SPREADSHEET_CONTENT_TYPES,
+  readSpreadsheet
+};
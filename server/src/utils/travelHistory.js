@@ -0,0 +1,109 @@
+const Trip = require('../models/tripModel');
+const { addDays, daysBetween, eachDate } = require('./dates');
+const { LOCATING_STATUSES, finalLeg, locatePassengers } = require('./roster');
+const { statusCondition } = require('./tripStatus');
+const { passengerRefCondition } = require('./passengerRefs');
+
+// Longest range a travel summary covers
+const MAX_SUMMARY_DAYS = 731;
+
+// Range covered when none is given: the last 90 days up to today
+const DEFAULT_SUMMARY_DAYS = 90;
+
+// Days a passenger ended at each site over a range, from their confirmed
+// trips. A day counts for the site they were at by the end of it, so the day
+// they fly out counts for where they flew to. Returns { sites: [{ site, days,
+// visits, firstDay, lastDay }], unknownDays }, most days first; unknownDays
+// are days before their first confirmed trip.
+const countDaysBySite = async ({ passengerId, from, to }) => {
+  const before = await locatePassengers({ date: addDays(from, -1), passengerIds: [passengerId] });
+  let location = before.get(String(passengerId))?.toDestination || null;
+
+  const trips = await Trip.find({
+    $and: [
+      passengerRefCondition(passengerId),
+      { tripDate: { $gte: from, $lte: to } },
+      statusCondition(LOCATING_STATUSES)
+    ]
+  })
+    .sort({ _id: 1 })
+    .select('fromOrigin toDestination tripDate')
+    .lean()
+    .maxTimeMS(10000);
+
+  const tripsByDate = new Map();
+  trips.forEach(trip => tripsByDate.set(trip.tripDate, [...(tripsByDate.get(trip.tripDate) || []), trip]));
+
+  const sites = new Map();
+  let unknownDays = 0;
+
+  eachDate(from, to).forEach(date => {
+    const dayTrips = tripsByDate.get(date);
+    const arrived = dayTrips && finalLeg(dayTrips).toDestination !== location;
+    if (dayTrips) {
+      location = finalLeg(dayTrips).toDestination;
+    }
+
+    if (!location) {
+      unknownDays++;
+      return;
+    }
+
+    const entry = sites.get(location) || { site: location, days: 0, visits: 0, firstDay: date, lastDay: date };
+    entry.days++;
+    entry.lastDay = date;
+    // Being there when the range starts counts as a visit
+    if (arrived || date === from) entry.visits++;
+    sites.set(location, entry);
+  });
+
+  return {
+    sites: [...sites.values()].sort((a, b) => b.days - a.days || a.site.localeCompare(b.site)),
+    unknownDays
+  };
+};
+
+// Where a passenger is in their rotation on a date. Returns null without an
+// active rotation covering or following the date, otherwise { rotation,
+// phase: 'on' | 'off' | 'upcoming', hitchStart, nextChange }: 'on' while at
+// the site, 'off' between hitches, 'upcoming' before the rotation starts.
+// hitchStart is the first day of the current or last hitch; nextChange is
+// the next travel day, or null after the last hitch.
+const describeRotationStatus = (rotations, date) => {
+  const current = rotations.find(rotation => rotation.startDate <= date && date <= rotation.endDate);
+
+  if (!current) {
+    const upcoming = rotations.find(rotation => rotation.startDate > date);
+    return upcoming
+      ? { rotation: upcoming, phase: 'upcoming', hitchStart: null, nextChange: upcoming.startDate }
+      : null;
+  }
+
+  const cycleLength = current.daysOn + current.daysOff;
+  const offset = daysBetween(current.startDate, date) % cycleLength;
+  const hitchStart = addDays(date, -offset);
+
+  // Hitches that would not finish by the end date are never flown
+  const finishes = (start) => addDays(start, current.daysOn) <= current.endDate;
+
+  if (offset < current.daysOn && finishes(hitchStart)) {
+    return { rotation: current, phase: 'on', hitchStart, nextChange: addDays(hitchStart, current.daysOn) };
+  }
+
+  // Between hitches, or past the last one that fits
+  const lastHitch = offset < current.daysOn ? addDays(hitchStart, -cycleLength) : hitchStart;
+  const nextHitch = addDays(hitchStart, cycleLength);
+  return {
+    rotation: current,
+    phase: 'off',
+    hitchStart: lastHitch >= current.startDate ? lastHitch : null,
+    nextChange: finishes(nextHitch) ? nextHitch : null
+  };
+};
+
+module.exports = {
+  MAX_SUMMARY_DAYS,
+  DEFAULT_SUMMARY_DAYS,
+  countDaysBySite,
+  describeRotationStatus
+};
@@ -0,0 +1,285 @@
+const { formatTripDate } = require('./dates');
+const { readSpreadsheet } = require('./spreadsheet');
+const { OPEN_STATUSES, isConfirmedStatus } = require('./tripStatus');
+
+// Columns of a crew-change spreadsheet. Passengers are found by Employee
+// Number when the file has one, otherwise by Name (or First and Last Name).
+// Job Role and Company are only used for passengers the import creates.
+const TRIP_IMPORT_COLUMNS = [
+  { key: 'name', label: 'Name', aliases: ['Passenger', 'Passenger Name', 'Full Name'] },
+  { key: 'firstName', label: 'First Name' },
+  { key: 'lastName', label: 'Last Name', aliases: ['Surname'] },
+  { key: 'employeeNumber', label: 'Employee Number', aliases: ['Employee No', 'Employee ID'] },
+  { key: 'jobRole', label: 'Job Role' },
+  { key: 'company', label: 'Company' },
+  { key: 'tripDate', label: 'Date', aliases: ['Trip Date', 'Travel Date'] },
+  { key: 'fromOrigin', label: 'From', aliases: ['Origin'] },
+  { key: 'toDestination', label: 'To', aliases: ['Destination'] },
+  { key: 'numberOfPassengers', label: 'Passengers', aliases: ['Count', 'Number of Passengers'] },
+  // planned or confirmed; yes/no is read as confirmed or not
+  { key: 'status', label: 'Status', aliases: ['Confirmed'] }
+];
+
+// Largest file a single import may contain
+const MAX_TRIP_IMPORT_ROWS = 1000;
+
+const CONFIRMED_VALUES = ['confirmed', 'yes', 'y', 'true', '1'];
+const PLANNED_VALUES = ['planned', 'no', 'n', 'false', '0'];
+
+// Turn an uploaded CSV or XLSX file into records keyed by column, each with
+// its spreadsheet row number. Returns { columns, records }, or an error.
+const readTripFile = async (buffer) => {
+  const { keys, records, error } = await readSpreadsheet(buffer, TRIP_IMPORT_COLUMNS, MAX_TRIP_IMPORT_ROWS);
+  if (error) {
+    return { error };
+  }
+
+  const hasPassengerColumn = keys.includes('name') || keys.includes('employeeNumber') ||
+    (keys.includes('firstName') && keys.includes('lastName'));
+  if (!hasPassengerColumn || !['tripDate', 'fromOrigin', 'toDestination'].every(key => keys.includes(key))) {
+    return { error: 'The file needs Name (or First Name and Last Name), Date, From and To columns' };
+  }
+
+  return { columns: keys, records };
+};
+
+// First and last name from the row; a single Name column splits at the first space
+const readName = (values) => {
+  if (values.firstName || values.lastName) {
+    return { firstName: values.firstName || '', lastName: values.lastName || '' };
+  }
+  const [firstName = '', ...rest] = (values.name || '').split(/\s+/);
+  return { firstName, lastName: rest.join(' ') };
+};
+
+const nameKey = ({ firstName, lastName }) => `${firstName.toLowerCase()} ${lastName.toLowerCase()}`;
+
+// Passengers, sites and trips the report is checked against
+//   passengers     all passengers ({ _id, firstName, lastName, employeeNumber })
+//   sites          all sites ({ siteName, archived })
+//   existingTrips  trips that travel, for the passengers and dates in the file
+const indexContext = ({ passengers, sites, existingTrips }) => {
+  const passengersByName = new Map();
+  const passengersByEmployeeNumber = new Map();
+  passengers.forEach(passenger => {
+    const key = nameKey(passenger);
+    passengersByName.set(key, [...(passengersByName.get(key) || []), passenger]);
+    if (passenger.employeeNumber) {
+      passengersByEmployeeNumber.set(passenger.employeeNumber.toLowerCase(), passenger);
+    }
+  });
+
+  const sitesByName = new Map(sites.map(site => [site.siteName.toLowerCase(), site]));
+
+  return { passengersByName, passengersByEmployeeNumber, sitesByName, existingTrips };
+};
+
+const resolvePassenger = (values, context, errors) => {
+  const name = readName(values);
+  const displayName = `${name.firstName} ${name.lastName}`.trim();
+
+  if (values.employeeNumber) {
+    const passenger = context.passengersByEmployeeNumber.get(values.employeeNumber.toLowerCase());
+    if (passenger) {
+      return { match: 'employeeNumber', passengerId: passenger._id, name: `${passenger.firstName} ${passenger.lastName}` };
+    }
+  }
+
+  if (!name.firstName || !name.lastName) {
+    errors.push(values.employeeNumber
+      ? `No passenger has employee number ${values.employeeNumber}, and the row has no full name`
+      : 'A first and last name are required');
+    return null;
+  }
+
+  const matches = context.passengersByName.get(nameKey(name)) || [];
+  if (matches.length > 1) {
+    errors.push(`${matches.length} passengers are named ${displayName}; add an Employee Number column to tell them apart`);
+    return null;
+  }
+  if (matches.length === 1) {
+    return { match: 'name', passengerId: matches[0]._id, name: displayName };
+  }
+
+  // Rows naming the same new passenger share one created passenger
+  return {
+    match: 'new',
+    passengerId: null,
+    name: displayName,
+    key: nameKey(name),
+    create: {
+      ...name,
+      jobRole: values.jobRole || '',
+      company: values.company || '',
+      ...(values.employeeNumber && { employeeNumber: values.employeeNumber })
+    }
+  };
+};
+
+const resolveSite = (value, label, context, errors) => {
+  if (!value) {
+    errors.push(`${label} is required`);
+    return null;
+  }
+  const site = context.sitesByName.get(value.toLowerCase());
+  if (!site) {
+    errors.push(`${label} '${value}' is not a known site`);
+    return null;
+  }
+  if (site.archived) {
+    errors.push(`${label} '${site.siteName}' is archived`);
+    return null;
+  }
+  return site.siteName;
+};
+
+// A blank status or count is null, so a matched trip keeps its own
+const parseStatus = (value, errors) => {
+  const text = (value || '').toLowerCase();
+  if (!text) return null;
+  if (CONFIRMED_VALUES.includes(text)) return 'confirmed';
+  if (PLANNED_VALUES.includes(text)) return 'planned';
+  errors.push(`Status '${value}' must be planned or confirmed`);
+  return null;
+};
+
+const parseCount = (value, errors) => {
+  if (!value) return null;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    errors.push('Passengers must be a positive whole number');
+    return null;
+  }
+  return count;
+};
+
+const describeRoute = (trip) => `${trip.fromOrigin} → ${trip.toDestination} on ${trip.tripDate}`;
+
+// Check every record against the passengers, sites and trips in the context
+// and decide what importing it would do:
+//   create     a new trip
+//   update     an open trip with the same passenger, date and route gets the
+//              row's status and passenger count, where the row gives them
+//   unchanged  that trip already matches the row
+//   duplicate  an earlier row has the same passenger, date and route, whether
+//              it creates that trip or updates it
+//   conflict   the passenger already leaves from or arrives at one of the
+//              row's sites that day on a different route
+//   error      the row cannot be imported
+//
+// Returns rows of { row, status, errors, conflicts, passenger, trip,
+// existingTripId, changes }.
+const buildTripImportReport = (records, contextData) => {
+  const context = indexContext(contextData);
+  // Trips on the board or earlier in the file, by passenger and date
+  const plannedByDay = new Map();
+  const addPlanned = (passengerKey, trip) => {
+    const key = `${passengerKey}|${trip.tripDate}`;
+    plannedByDay.set(key, [...(plannedByDay.get(key) || []), trip]);
+  };
+  context.existingTrips.forEach(trip => addPlanned(String(trip.passengerId), { ...trip, existing: true }));
+
+  return records.map(({ rowNumber, values }) => {
+    const errors = [];
+    const conflicts = [];
+
+    const passenger = resolvePassenger(values, context, errors);
+    const fromOrigin = resolveSite(values.fromOrigin, 'From', context, errors);
+    const toDestination = resolveSite(values.toDestination, 'To', context, errors);
+
+    let tripDate = null;
+    if (!values.tripDate) {
+      errors.push('Date is required');
+    } else {
+      try {
+        tripDate = formatTripDate(values.tripDate);
+      } catch (dateError) {
+        errors.push(`Date '${values.tripDate}' is not a valid date`);
+      }
+    }
+
+    if (fromOrigin && fromOrigin === toDestination) {
+      errors.push('From and To must be different sites');
+    }
+
+    const status = parseStatus(values.status, errors);
+    const numberOfPassengers = parseCount(values.numberOfPassengers, errors);
+
+    const trip = { fromOrigin, toDestination, tripDate, status, numberOfPassengers };
+    const report = { row: rowNumber, status: 'error', errors, conflicts, passenger, trip, existingTripId: null, changes: [] };
+
+    if (errors.length > 0) {
+      return report;
+    }
+
+    const passengerKey = passenger.passengerId ? String(passenger.passengerId) : `new:${passenger.key}`;
+    const sameDay = plannedByDay.get(`${passengerKey}|${tripDate}`) || [];
+    const sameRoutes = sameDay.filter(other => other.fromOrigin === fromOrigin && other.toDestination === toDestination);
+    const earlierRow = sameRoutes.find(other => !other.existing);
+
+    if (earlierRow) {
+      report.status = 'duplicate';
+      conflicts.push(`Same trip as row ${earlierRow.row}`);
+      return report;
+    }
+
+    const sameRoute = sameRoutes[0];
+    if (sameRoute) {
+      report.existingTripId = sameRoute._id;
+      const currentStatus = sameRoute.status || (sameRoute.confirmed ? 'confirmed' : 'planned');
+      if (status && OPEN_STATUSES.includes(currentStatus) && currentStatus !== status) {
+        report.changes.push({ field: 'status', from: currentStatus, to: status });
+      }
+      if (numberOfPassengers !== null && (sameRoute.numberOfPassengers || null) !== numberOfPassengers) {
+        report.changes.push({ field: 'numberOfPassengers', from: sameRoute.numberOfPassengers || null, to: numberOfPassengers });
+      }
+      report.status = report.changes.length > 0 ? 'update' : 'unchanged';
+      // Later rows for this trip are duplicates of this one
+      addPlanned(passengerKey, { ...trip, row: rowNumber, matchesExisting: true });
+      return report;
+    }
+
+    sameDay
+      // A row matching a booked trip is already reported as that booking
+      .filter(other => !other.matchesExisting)
+      .filter(other => other.fromOrigin === fromOrigin || other.toDestination === toDestination)
+      .forEach(other => conflicts.push(other.existing
+        ? `Already booked ${describeRoute(other)}`
+        : `Row ${other.row} books ${describeRoute(other)}`));
+
+    // New trips without a status are planned; a null count means one seat
+    trip.status = status || 'planned';
+    report.status = conflicts.length > 0 ? 'conflict' : 'create';
+    addPlanned(passengerKey, { ...trip, row: rowNumber });
+    return report;
+  });
+};
+
+// Trip fields for a created trip, or the $set for an updated one
+const toTripFields = (trip) => ({
+  fromOrigin: trip.fromOrigin,
+  toDestination: trip.toDestination,
+  tripDate: trip.tripDate,
+  status: trip.status,
+  confirmed: isConfirmedStatus(trip.status),
+  cancellation: null,
+  numberOfPassengers: trip.numberOfPassengers
+});
+
+const toTripUpdate = (changes) => {
+  const update = {};
+  changes.forEach(({ field, to }) => {
+    update[field] = to;
+    if (field === 'status') update.confirmed = isConfirmedStatus(to);
+  });
+  return update;
+};
+
+module.exports = {
+  TRIP_IMPORT_COLUMNS,
+  MAX_TRIP_IMPORT_ROWS,
+  readTripFile,
+  buildTripImportReport,
+  toTripFields,
+  toTripUpdate
+};
@@ -0,0 +1,46 @@
+// Trip lifecycle. `status` is the source of truth; the older `confirmed`
+// boolean is kept in step with it for clients that only know that flag.
+
+const TRIP_STATUSES = ['planned', 'confirmed', 'cancelled', 'completed', 'no-show'];
+
+// Trips that are still going to fly and can be confirmed or unconfirmed
+const OPEN_STATUSES = ['planned', 'confirmed'];
+
+// Trips that never put anyone on or off a site
+const NOT_TRAVELLED_STATUSES = ['cancelled', 'no-show'];
+
+const CANCELLATION_CATEGORIES = ['weather', 'operational', 'other'];
+
+const isConfirmedStatus = (status) => status === 'confirmed' || status === 'completed';
+
+// Status for a trip whose confirmed flag is being set. Only open trips move
+// between planned and confirmed; closed trips keep their status.
+const statusForConfirmed = (currentStatus, confirmed) => {
+  if (currentStatus && !OPEN_STATUSES.includes(currentStatus)) return currentStatus;
+  return confirmed ? 'confirmed' : 'planned';
+};
+
+// Query condition matching any of the given statuses. Trips saved before
+// status existed are matched as planned or confirmed by their flag.
+const statusCondition = (statuses) => {
+  const legacyFlags = [];
+  if (statuses.includes('planned')) legacyFlags.push(false);
+  if (statuses.includes('confirmed')) legacyFlags.push(true);
+
+  return {
+    $or: [
+      { status: { $in: statuses } },
+      ...(legacyFlags.length > 0 ? [{ status: null, confirmed: { $in: legacyFlags } }] : [])
+    ]
+  };
+};
+
+module.exports = {
+  TRIP_STATUSES,
+  OPEN_STATUSES,
+  NOT_TRAVELLED_STATUSES,
+  CANCELLATION_CATEGORIES,
+  isConfirmedStatus,
+  statusForConfirmed,
+  statusCondition
+};